@@ -0,0 +1,131 @@
+// API contract tests: the routes the Express app serves against openapi.js,
+// and the bodies they answer with against its response schemas
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { app, storage, call, createDevice, registeredDevice, signedCommand } = require('./helpers');
+const { openapi } = require('../openapi');
+const { validateValue } = require('../middleware/validate');
+
+console.error = () => {};
+
+// Documented operations by operationId, with their method and path
+const operations = new Map();
+Object.entries(openapi.paths).forEach(([path, pathItem]) => {
+  Object.entries(pathItem).forEach(([method, operation]) => {
+    operations.set(operation.operationId, { ...operation, method, path });
+  });
+});
+
+// Routes of the app as "METHOD /path/{param}", with the operation they validate requests against
+function servedRoutes() {
+  const routes = new Map();
+  app._router.stack.filter(layer => layer.route).forEach(({ route }) => {
+    const path = route.path.replace(/:(\w+)/g, '{$1}');
+    const validator = route.stack.find(layer => layer.handle.operationId);
+    Object.keys(route.methods).forEach(method => {
+      routes.set(`${method.toUpperCase()} ${path}`, validator ? validator.handle.operationId : null);
+    });
+  });
+  return routes;
+}
+
+// A schema that also refuses undocumented properties wherever it lists them
+function closed(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const copy = { ...schema };
+  if (copy.items) copy.items = closed(copy.items);
+  if (copy.properties) {
+    copy.properties = Object.fromEntries(Object.entries(copy.properties).map(([name, property]) => [name, closed(property)]));
+    copy.additionalProperties = false;
+  }
+  return copy;
+}
+
+const succeeded = new Set();
+
+// Call an operation at its documented method and path, and check the body
+// against the schema documented for the status it answered with
+async function request(operationId, { params = {}, ...options } = {}) {
+  const operation = operations.get(operationId);
+  const path = operation.path.replace(/\{(\w+)\}/g, (_, name) => encodeURIComponent(params[name]));
+  const response = await call(operation.method, path, options);
+
+  const documented = operation.responses[response.status] || operation.responses.default;
+  const errors = validateValue(closed(documented.content['application/json'].schema), response.body, 'response');
+  assert.deepEqual(errors, [], `${operationId} answered ${response.status} with ${response.text}`);
+  if (response.status === 200) succeeded.add(operationId);
+  return response;
+}
+
+describe('Routes', () => {
+  test('every served route is documented and every documented operation served', () => {
+    const served = [...servedRoutes().keys()].sort();
+    const documented = [...operations.values()].map(({ method, path }) => `${method.toUpperCase()} ${path}`).sort();
+    assert.deepEqual(served, documented);
+  });
+
+  test('routes with parameters or a body validate them against their own operation', () => {
+    const routes = servedRoutes();
+    operations.forEach(({ operationId, method, path, parameters, requestBody }) => {
+      const validated = routes.get(`${method.toUpperCase()} ${path}`);
+      if (requestBody || (parameters || []).length > 0) {
+        assert.equal(validated, operationId, `${method.toUpperCase()} ${path}`);
+      }
+    });
+  });
+});
+
+describe('Responses', () => {
+  test('every operation answers with its documented success body', async () => {
+    const sender = createDevice('contract-phone');
+    await request('registerDevice', { body: sender.registration() });
+    const challenge = await request('createDeviceChallenge', { body: { deviceId: sender.deviceId } });
+    const login = await request('loginDevice', {
+      body: sender.sign({ type: 'DEVICE_LOGIN', deviceId: sender.deviceId, challenge: challenge.body.challenge })
+    });
+    sender.token = login.body.token;
+    const receiver = await registeredDevice('contract-lamp');
+    const pairIds = { senderDeviceId: sender.deviceId, receiverDeviceId: receiver.deviceId };
+
+    const forHandshake = await request('createAuthChallenge', { body: pairIds, token: sender.token });
+    await request('answerPairingHandshake', { body: { token: forHandshake.body.token, publicKey: receiver.publicKey }, token: receiver.token });
+    await request('revealPairingHandshake', { body: { receiverDeviceId: receiver.deviceId, publicKey: sender.publicKey }, token: sender.token });
+    await request('getPairingHandshake', { params: pairIds });
+
+    const forVerify = await request('createAuthChallenge', { body: pairIds, token: sender.token });
+    await request('verifyAuthToken', { body: { token: forVerify.body.token, receiverDeviceId: receiver.deviceId }, token: receiver.token });
+
+    await request('confirmPairing', { body: { peerDeviceId: receiver.deviceId }, token: sender.token });
+    await request('confirmPairing', { body: { peerDeviceId: sender.deviceId }, token: receiver.token });
+    await request('getPairingStatus', { params: { deviceId: sender.deviceId } });
+    await request('verifyCommand', { body: { signedCommand: signedCommand(sender, receiver) }, token: receiver.token });
+    await request('logCommand', {
+      body: { senderId: sender.deviceId, receiverId: receiver.deviceId, command: 'PLAY', nonce: 'nonce-123', result: 'ok' },
+      token: receiver.token
+    });
+
+    await request('openArqSession', { params: { sessionId: 4242 }, body: { receiverDeviceId: receiver.deviceId }, token: sender.token });
+    await request('postArqAck', { params: { sessionId: 4242 }, body: { mode: 'arq_ack', session: 4242, ackId: 1, missing: [] }, token: receiver.token });
+    await request('getArqAck', { params: { sessionId: 4242 }, token: sender.token });
+
+    await request('revokePairing', { body: { deviceId1: sender.deviceId, deviceId2: receiver.deviceId }, token: receiver.token });
+
+    await storage.set('configs', sender.deviceId, { brightness: 80 });
+    await request('getConfig', { params: { deviceId: sender.deviceId } });
+    await request('rotateJwtKeys', { body: {}, headers: { 'x-admin-key': 'test-admin-key' } });
+    await request('getHealth');
+    await request('getOpenApi');
+
+    assert.deepEqual([...operations.keys()].filter(operationId => !succeeded.has(operationId)), []);
+  });
+
+  test('refused requests answer with the documented error body', async () => {
+    for (const [operationId, { parameters, requestBody }] of operations) {
+      if (!requestBody && !parameters) continue;
+      const params = Object.fromEntries((parameters || []).map(({ name }) => [name, 'not valid!']));
+      const response = await request(operationId, { params, ...(requestBody ? { body: {} } : {}) });
+      assert.ok(response.status >= 400 && response.status < 500, `${operationId} answered ${response.status}`);
+    }
+  });
+});
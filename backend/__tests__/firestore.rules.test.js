@@ -0,0 +1,290 @@
+// firestore.rules against the Firestore emulator: npm run test:rules starts
+// it (needs Java) and runs this file; plain npm test skips it
+
+const { describe, test, before, after, beforeEach } = require('node:test');
+const fs = require('fs');
+const { initializeTestEnvironment, assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { doc, getDoc, setDoc, updateDoc, deleteDoc } = require('firebase/firestore');
+
+const skip = !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator (npm run test:rules)';
+
+describe('firestore.rules', { skip }, () => {
+  let testEnv;
+
+  before(async () => {
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-lightsync',
+      firestore: { rules: fs.readFileSync(require.resolve('../firestore.rules'), 'utf8') }
+    });
+  });
+
+  after(() => testEnv.cleanup());
+
+  beforeEach(() => testEnv.clearFirestore());
+
+  // Firestore as a signed-in device, a device of an organization, an admin, or nobody.
+  // mallory is a registered device with no part in any record below.
+  const as = (deviceId) => testEnv.authenticatedContext(deviceId).firestore();
+  const asMember = (deviceId, orgId = 'acme') => testEnv.authenticatedContext(deviceId, { orgId }).firestore();
+  const asAdmin = () => testEnv.authenticatedContext('admin', { admin: true }).firestore();
+  const asNobody = () => testEnv.unauthenticatedContext().firestore();
+
+  // Write test data the way the backend does, past the rules
+  const seed = (docPath, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), docPath), data));
+
+  describe('owned records', () => {
+    test('a device edits its own profile fields only', async () => {
+      await seed('device_profiles/alice', { id: 'alice', nickname: 'Alice', identityKey: { keyId: '0123456789abcdef' }, revokedKeys: [] });
+
+      await assertSucceeds(updateDoc(doc(as('alice'), 'device_profiles/alice'), { nickname: 'Al', updatedAt: new Date() }));
+      await assertFails(updateDoc(doc(as('mallory'), 'device_profiles/alice'), { nickname: 'Owned' }));
+      await assertFails(updateDoc(doc(as('alice'), 'device_profiles/alice'), { identityKey: { keyId: 'fedcba9876543210' } }));
+      await assertFails(updateDoc(doc(as('alice'), 'device_profiles/alice'), { nickname: 'Al', status: 'suspended' }));
+      await assertFails(updateDoc(doc(as('alice'), 'device_profiles/alice'), { trustLevel: 'admin' }));
+      await assertFails(updateDoc(doc(as('alice'), 'device_profiles/alice'), { trustLevel: 'trusted' }));
+      await assertSucceeds(updateDoc(doc(asAdmin(), 'device_profiles/alice'), { trustLevel: 'trusted', updatedAt: new Date() }));
+      await assertFails(updateDoc(doc(asAdmin(), 'device_profiles/alice'), { revokedKeys: [{ keyId: '0123456789abcdef' }] }));
+      await assertSucceeds(getDoc(doc(as('mallory'), 'device_profiles/alice')));
+      await assertFails(getDoc(doc(asNobody(), 'device_profiles/alice')));
+    });
+
+    test('a device creates its profile without an identity key', async () => {
+      await assertSucceeds(setDoc(doc(as('alice'), 'device_profiles/alice'), { id: 'alice', category: 'temporary', trustLevel: 'basic' }));
+      await assertFails(setDoc(doc(as('dave'), 'device_profiles/dave'), { id: 'dave', trustLevel: 'trusted' }));
+      await assertFails(setDoc(doc(as('bob'), 'device_profiles/bob'), { id: 'bob', identityKey: { keyId: '0123456789abcdef' } }));
+      await assertFails(setDoc(doc(as('mallory'), 'device_profiles/carol'), { id: 'carol' }));
+    });
+
+    test('per-device configs are the device\'s own', async () => {
+      await seed('ui_configs/alice', { theme: 'dark' });
+
+      await assertSucceeds(getDoc(doc(as('alice'), 'ui_configs/alice')));
+      await assertSucceeds(setDoc(doc(as('alice'), 'ui_configs/alice'), { theme: 'light' }));
+      await assertFails(getDoc(doc(as('mallory'), 'ui_configs/alice')));
+      await assertFails(setDoc(doc(as('mallory'), 'ui_configs/alice'), { theme: 'light' }));
+    });
+
+    test('records named by their deviceId field belong to that device', async () => {
+      await seed('api_tokens/t1', { deviceId: 'alice', name: 'ci' });
+
+      await assertSucceeds(updateDoc(doc(as('alice'), 'api_tokens/t1'), { name: 'deploy' }));
+      await assertFails(updateDoc(doc(as('alice'), 'api_tokens/t1'), { deviceId: 'bob' }));
+      await assertFails(getDoc(doc(as('mallory'), 'api_tokens/t1')));
+      await assertFails(deleteDoc(doc(as('mallory'), 'api_tokens/t1')));
+    });
+  });
+
+  describe('pairings', () => {
+    const pairing = { id: 'alice_bob', devices: ['alice', 'bob'], status: 'active' };
+
+    test('only participants read a pairing', async () => {
+      await seed('pairings/alice_bob', pairing);
+
+      await assertSucceeds(getDoc(doc(as('alice'), 'pairings/alice_bob')));
+      await assertSucceeds(getDoc(doc(as('bob'), 'pairings/alice_bob')));
+      await assertFails(getDoc(doc(as('mallory'), 'pairings/alice_bob')));
+    });
+
+    test('devices cannot pair themselves with anyone', async () => {
+      await assertFails(setDoc(doc(as('mallory'), 'pairings/alice_mallory'), { id: 'alice_mallory', devices: ['alice', 'mallory'], status: 'active' }));
+      await assertFails(setDoc(doc(as('alice'), 'pairings/alice_bob'), pairing));
+    });
+
+    test('a revoked pairing stays revoked', async () => {
+      await seed('pairings/alice_bob', { ...pairing, status: 'revoked' });
+
+      await assertFails(updateDoc(doc(as('alice'), 'pairings/alice_bob'), { status: 'active' }));
+      await assertFails(updateDoc(doc(as('bob'), 'pairings/alice_bob'), { status: 'active' }));
+      await assertFails(deleteDoc(doc(as('alice'), 'pairings/alice_bob')));
+    });
+
+    test('pairing handshakes and confirmations are backend only', async () => {
+      await seed('pairing_confirmations/alice_bob', { deviceId: 'alice', peerDeviceId: 'bob' });
+
+      await assertFails(getDoc(doc(as('alice'), 'pairing_confirmations/alice_bob')));
+      await assertFails(setDoc(doc(as('bob'), 'pairing_confirmations/bob_alice'), { deviceId: 'bob', peerDeviceId: 'alice' }));
+      await assertFails(setDoc(doc(as('alice'), 'pairing_handshakes/alice_bob'), { publicKey: 'x' }));
+    });
+  });
+
+  describe('append-only logs', () => {
+    test('events are written by the backend and read by admins', async () => {
+      await seed('events/e1', { type: 'device_registered', deviceId: 'alice' });
+
+      await assertSucceeds(getDoc(doc(asAdmin(), 'events/e1')));
+      await assertFails(getDoc(doc(as('alice'), 'events/e1')));
+      await assertFails(setDoc(doc(as('alice'), 'events/e2'), { type: 'forged' }));
+      await assertFails(updateDoc(doc(as('alice'), 'events/e1'), { type: 'forged' }));
+      await assertFails(updateDoc(doc(asAdmin(), 'events/e1'), { type: 'forged' }));
+      await assertFails(deleteDoc(doc(asAdmin(), 'events/e1')));
+    });
+
+    test('audit logs are created as the caller and never changed', async () => {
+      await assertSucceeds(setDoc(doc(as('alice'), 'audit_logs/a1'), { actor: 'alice', action: 'login' }));
+      await assertFails(setDoc(doc(as('mallory'), 'audit_logs/a2'), { actor: 'alice', action: 'login' }));
+
+      await assertSucceeds(getDoc(doc(as('alice'), 'audit_logs/a1')));
+      await assertSucceeds(getDoc(doc(asAdmin(), 'audit_logs/a1')));
+      await assertFails(getDoc(doc(as('mallory'), 'audit_logs/a1')));
+
+      await assertFails(updateDoc(doc(as('alice'), 'audit_logs/a1'), { action: 'nothing' }));
+      await assertFails(deleteDoc(doc(as('alice'), 'audit_logs/a1')));
+      await assertFails(deleteDoc(doc(asAdmin(), 'audit_logs/a1')));
+    });
+  });
+
+  describe('configs', () => {
+    test('only admins write them; the device reads its own', async () => {
+      await assertSucceeds(setDoc(doc(asAdmin(), 'configs/alice'), { brightness: 80 }));
+      await assertFails(setDoc(doc(as('alice'), 'configs/alice'), { brightness: 100 }));
+      await assertFails(updateDoc(doc(as('alice'), 'configs/alice'), { brightness: 100 }));
+
+      await assertSucceeds(getDoc(doc(as('alice'), 'configs/alice')));
+      await assertFails(getDoc(doc(as('mallory'), 'configs/alice')));
+    });
+  });
+
+  describe('shared records', () => {
+    test('outsiders may only join or leave a mesh network', async () => {
+      await seed('mesh_networks/m1', { id: 'm1', name: 'Home', devices: ['alice'], routes: [], messageQueue: [], maxDevices: 3, createdBy: 'alice' });
+
+      await assertSucceeds(updateDoc(doc(as('bob'), 'mesh_networks/m1'), { devices: ['alice', 'bob'], lastUpdated: new Date() }));
+      await assertFails(updateDoc(doc(as('mallory'), 'mesh_networks/m1'), { routes: [{ to: 'mallory' }] }));
+      await assertFails(updateDoc(doc(as('mallory'), 'mesh_networks/m1'), { devices: ['alice', 'bob', 'mallory', 'eve'] }));
+      await assertSucceeds(updateDoc(doc(as('alice'), 'mesh_networks/m1'), { routes: [{ to: 'bob' }], lastUpdated: new Date() }));
+      await assertFails(updateDoc(doc(as('alice'), 'mesh_networks/m1'), { name: 'Renamed' }));
+      await assertFails(updateDoc(doc(as('alice'), 'mesh_networks/m1'), { devices: ['alice'], maxDevices: 100 }));
+    });
+
+    test('players set only their own score; others join waiting games as themselves', async () => {
+      await seed('game_sessions/g1', { id: 'g1', game: 'trivia', players: [{ deviceId: 'alice' }, { deviceId: 'bob' }], scores: { alice: 0, bob: 0 }, state: {}, status: 'active' });
+      await seed('game_sessions/g2', { id: 'g2', game: 'trivia', players: [{ deviceId: 'alice' }], scores: { alice: 0 }, state: {}, status: 'waiting' });
+
+      await assertSucceeds(updateDoc(doc(as('alice'), 'game_sessions/g1'), { 'scores.alice': 3, state: { round: 2 } }));
+      await assertFails(updateDoc(doc(as('alice'), 'game_sessions/g1'), { 'scores.bob': -10 }));
+      await assertFails(updateDoc(doc(as('alice'), 'game_sessions/g1'), { players: [{ deviceId: 'alice' }] }));
+      await assertFails(updateDoc(doc(as('mallory'), 'game_sessions/g1'), { state: { round: 9 } }));
+
+      await assertFails(updateDoc(doc(as('mallory'), 'game_sessions/g2'), { players: [{ deviceId: 'alice' }, { deviceId: 'mallory' }], scores: { alice: -5, mallory: 0 } }));
+      await assertFails(updateDoc(doc(as('mallory'), 'game_sessions/g2'), { players: [{ deviceId: 'alice' }, { deviceId: 'carol' }], scores: { alice: 0, mallory: 0 } }));
+      await assertSucceeds(updateDoc(doc(as('mallory'), 'game_sessions/g2'), { players: [{ deviceId: 'alice' }, { deviceId: 'mallory' }], scores: { alice: 0, mallory: 0 } }));
+    });
+
+    test('players join open tournaments and only the creator closes them', async () => {
+      await seed('tournaments/t1', { id: 't1', players: ['alice'], maxPlayers: 2, status: 'open', createdBy: 'alice' });
+
+      await assertFails(updateDoc(doc(as('bob'), 'tournaments/t1'), { players: ['alice', 'bob'], maxPlayers: 10 }));
+      await assertSucceeds(updateDoc(doc(as('bob'), 'tournaments/t1'), { players: ['alice', 'bob'] }));
+      await assertFails(updateDoc(doc(as('bob'), 'tournaments/t1'), { status: 'closed' }));
+      await assertSucceeds(updateDoc(doc(as('alice'), 'tournaments/t1'), { status: 'closed' }));
+    });
+  });
+
+  describe('device metrics and alerts', () => {
+    test('metrics belong to the device that recorded them', async () => {
+      await seed('vlc_quality_metrics/q1', { deviceId: 'alice', sessionId: 's1', bitErrorRate: 0.01 });
+      await seed('rate_limits/r1', { deviceId: 'alice', endpointId: 'e1' });
+
+      await assertSucceeds(getDoc(doc(as('alice'), 'vlc_quality_metrics/q1')));
+      await assertFails(getDoc(doc(as('mallory'), 'vlc_quality_metrics/q1')));
+      await assertFails(getDoc(doc(as('mallory'), 'rate_limits/r1')));
+      await assertSucceeds(setDoc(doc(as('alice'), 'vlc_optimizations/o1'), { deviceId: 'alice', sessionId: 's1' }));
+      await assertFails(setDoc(doc(as('mallory'), 'vlc_optimizations/o2'), { deviceId: 'alice', sessionId: 's1' }));
+      await assertFails(setDoc(doc(as('mallory'), 'rate_limits/r2'), { endpointId: 'e1' }));
+    });
+
+    test('alerts are read by the device that raised them and their recipients', async () => {
+      await seed('security_alerts/s1', { triggeredBy: 'alice', recipients: ['bob'], status: 'active' });
+      await seed('notification_logs/n1', { sentBy: 'alice', recipient: 'bob', alertId: 's1' });
+
+      await assertSucceeds(getDoc(doc(as('bob'), 'security_alerts/s1')));
+      await assertFails(getDoc(doc(as('mallory'), 'security_alerts/s1')));
+      await assertFails(getDoc(doc(as('mallory'), 'notification_logs/n1')));
+      await assertFails(setDoc(doc(as('mallory'), 'security_alerts/s2'), { triggeredBy: 'alice', recipients: ['bob'] }));
+      await assertFails(updateDoc(doc(as('alice'), 'security_alerts/s1'), { status: 'closed' }));
+    });
+  });
+
+  describe('organization records', () => {
+    test('assets change only through checkout, check-in and moves, within the organization', async () => {
+      await seed('assets/a1', { id: 'a1', orgId: 'acme', name: 'Scanner', status: 'available', assignedTo: null, location: 'Desk' });
+
+      await assertSucceeds(getDoc(doc(asMember('alice'), 'assets/a1')));
+      await assertFails(getDoc(doc(as('mallory'), 'assets/a1')));
+      await assertFails(getDoc(doc(asMember('eve', 'globex'), 'assets/a1')));
+
+      const checkout = { status: 'checked_out', assignedTo: 'bob', checkedOutAt: new Date(), lastUpdated: new Date() };
+      await assertFails(updateDoc(doc(as('mallory'), 'assets/a1'), { ...checkout, checkedOutBy: 'mallory' }));
+      await assertSucceeds(updateDoc(doc(asMember('alice'), 'assets/a1'), { ...checkout, checkedOutBy: 'alice' }));
+      await assertFails(updateDoc(doc(asMember('alice'), 'assets/a1'), { status: 'available', checkedInBy: 'bob' }));
+      await assertFails(updateDoc(doc(asMember('alice'), 'assets/a1'), { name: 'Mine now' }));
+      await assertFails(updateDoc(doc(asMember('alice'), 'assets/a1'), { orgId: 'globex' }));
+      await assertFails(deleteDoc(doc(asMember('alice'), 'assets/a1')));
+      await assertSucceeds(deleteDoc(doc(asAdmin(), 'assets/a1')));
+
+      await assertSucceeds(setDoc(doc(asMember('alice'), 'assets/a2'), { id: 'a2', orgId: 'acme', name: 'Drill', status: 'available' }));
+      await assertFails(setDoc(doc(as('mallory'), 'assets/a3'), { id: 'a3', name: 'Drill', status: 'available' }));
+      await assertFails(setDoc(doc(asMember('eve', 'globex'), 'assets/a3'), { id: 'a3', orgId: 'acme', name: 'Drill', status: 'available' }));
+    });
+
+    test('inventory quantities stay whole and other fields stay put', async () => {
+      await seed('inventory_items/i1', { id: 'i1', orgId: 'acme', name: 'Gloves', quantity: 5 });
+
+      await assertSucceeds(updateDoc(doc(asMember('alice'), 'inventory_items/i1'), { quantity: 3, lastUpdated: new Date() }));
+      await assertFails(updateDoc(doc(asMember('alice'), 'inventory_items/i1'), { quantity: -1 }));
+      await assertFails(updateDoc(doc(asMember('alice'), 'inventory_items/i1'), { name: 'Masks' }));
+      await assertFails(updateDoc(doc(as('mallory'), 'inventory_items/i1'), { quantity: 0 }));
+    });
+
+    test('attendees are checked out once, and time entries stopped by their recorder', async () => {
+      await seed('attendance_records/r1', { orgId: 'acme', recordedBy: 'alice', eventId: 'e1', attendeeId: 'u1', checkOutTime: null });
+      await seed('time_entries/t1', { orgId: 'acme', recordedBy: 'alice', employeeId: 'u1', status: 'active', endTime: null });
+
+      await assertFails(updateDoc(doc(as('mallory'), 'attendance_records/r1'), { checkOutTime: new Date() }));
+      await assertSucceeds(updateDoc(doc(asMember('bob'), 'attendance_records/r1'), { checkOutTime: new Date() }));
+      await assertFails(updateDoc(doc(asMember('bob'), 'attendance_records/r1'), { checkOutTime: new Date(0) }));
+
+      const stop = { endTime: new Date(), duration: 30, status: 'completed' };
+      await assertFails(updateDoc(doc(as('mallory'), 'time_entries/t1'), stop));
+      await assertFails(updateDoc(doc(asMember('bob'), 'time_entries/t1'), stop));
+      await assertSucceeds(updateDoc(doc(asMember('alice'), 'time_entries/t1'), stop));
+      await assertFails(updateDoc(doc(asMember('alice'), 'time_entries/t1'), { ...stop, duration: 1 }));
+    });
+
+    test('access is revoked only by its granter, an admin, or anyone in the organization once expired', async () => {
+      const grant = { orgId: 'acme', grantedBy: 'alice', userId: 'u1', resourceId: 'door', status: 'active' };
+      await seed('access_permissions/p1', { ...grant, expiresAt: new Date(Date.now() + 60 * 60 * 1000) });
+      await seed('access_permissions/p2', { ...grant, expiresAt: new Date(Date.now() - 60 * 1000) });
+      const revoke = (deviceId) => ({ status: 'revoked', revokedBy: deviceId, revokedAt: new Date(), revokeReason: '' });
+
+      await assertFails(getDoc(doc(as('mallory'), 'access_permissions/p1')));
+      await assertFails(updateDoc(doc(as('mallory'), 'access_permissions/p1'), revoke('mallory')));
+      await assertFails(updateDoc(doc(asMember('bob'), 'access_permissions/p1'), revoke('bob')));
+      await assertSucceeds(updateDoc(doc(asMember('alice'), 'access_permissions/p1'), revoke('alice')));
+      await assertFails(updateDoc(doc(asMember('alice'), 'access_permissions/p1'), { status: 'active' }));
+
+      await assertFails(updateDoc(doc(as('mallory'), 'access_permissions/p2'), revoke('mallory')));
+      await assertSucceeds(updateDoc(doc(asMember('bob'), 'access_permissions/p2'), revoke('bob')));
+    });
+
+    test('clinical records stay with the patient\'s organization and are never edited', async () => {
+      await seed('patients/p1', { orgId: 'acme', name: 'Pat' });
+      await seed('patients/p2', { orgId: 'globex', name: 'Sam' });
+      await seed('vital_signs/v1', { orgId: 'acme', patientId: 'p1', recordedBy: 'alice', pulse: 70 });
+
+      await assertSucceeds(getDoc(doc(asMember('bob'), 'patients/p1')));
+      await assertSucceeds(getDoc(doc(asMember('bob'), 'vital_signs/v1')));
+      await assertSucceeds(getDoc(doc(asAdmin(), 'vital_signs/v1')));
+      await assertFails(getDoc(doc(as('mallory'), 'patients/p1')));
+      await assertFails(getDoc(doc(as('mallory'), 'vital_signs/v1')));
+      await assertFails(getDoc(doc(asMember('eve', 'globex'), 'vital_signs/v1')));
+
+      await assertSucceeds(setDoc(doc(asMember('alice'), 'vital_signs/v2'), { orgId: 'acme', patientId: 'p1', recordedBy: 'alice', pulse: 72 }));
+      await assertFails(setDoc(doc(asMember('alice'), 'vital_signs/v3'), { orgId: 'acme', patientId: 'p2', recordedBy: 'alice', pulse: 72 }));
+      await assertFails(setDoc(doc(as('mallory'), 'medication_records/m1'), { orgId: 'acme', patientId: 'p1', administeredBy: 'mallory' }));
+      await assertFails(setDoc(doc(as('mallory'), 'emergency_alerts/e1'), { orgId: 'acme', patientId: 'p1', triggeredBy: 'mallory' }));
+      await assertFails(updateDoc(doc(asMember('alice'), 'vital_signs/v1'), { pulse: 60 }));
+      await assertFails(updateDoc(doc(asMember('alice'), 'patients/p1'), { name: 'Renamed' }));
+    });
+  });
+});
@@ -0,0 +1,114 @@
+// Shared setup of the integration tests: the app on the in-memory adapter,
+// devices with Ed25519 identity keys, and request helpers
+
+process.env.STORAGE_ADAPTER = 'memory';
+process.env.TRUST_PROXY = '1'; // Client IPs come from X-Forwarded-For
+process.env.ADMIN_API_KEY = 'test-admin-key';
+
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const request = require('supertest');
+const app = require('../server');
+
+const storage = app.locals.storage;
+
+let lastIp = 0;
+
+// A fresh client IP, so per-IP limits only bite where a test means them to
+function nextIp() {
+  lastIp++;
+  return `10.${(lastIp >> 16) & 255}.${(lastIp >> 8) & 255}.${lastIp & 255}`;
+}
+
+// JSON with object keys sorted at every level, as the devices sign it
+function canonicalJson(value) {
+  const sortKeys = (item) => {
+    if (Array.isArray(item)) return item.map(sortKeys);
+    if (item && typeof item === 'object') {
+      return Object.keys(item).sort().reduce((sorted, key) => {
+        sorted[key] = sortKeys(item[key]);
+        return sorted;
+      }, {});
+    }
+    return item;
+  };
+  return JSON.stringify(sortKeys(value));
+}
+
+// Request through the app; `token` goes in as the device token, `ip` as the client IP
+function call(method, path, { body, token, ip = nextIp(), headers = {} } = {}) {
+  let req = request(app)[method](path).set('X-Forwarded-For', ip);
+  if (token) req = req.set('Authorization', `Bearer ${token}`);
+  Object.entries(headers).forEach(([name, value]) => {
+    req = req.set(name, value);
+  });
+  return body === undefined ? req : req.send(body);
+}
+
+// A device with an identity key; sign() adds keyId and signature to an envelope
+function createDevice(deviceId) {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+  const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+  const device = {
+    deviceId,
+    publicKey: raw.toString('base64'),
+    keyId: crypto.createHash('sha256').update(raw).digest('hex').slice(0, 16),
+    token: null
+  };
+  device.sign = (envelope) => {
+    const unsigned = { ...envelope, keyId: device.keyId };
+    return { ...unsigned, signature: crypto.sign(null, Buffer.from(canonicalJson(unsigned)), privateKey).toString('base64') };
+  };
+  device.registration = (fields = {}) => device.sign({
+    type: 'DEVICE_REGISTRATION',
+    deviceId,
+    publicKey: device.publicKey,
+    profile: { platform: 'test' },
+    revokedKeys: [],
+    issuedAt: Date.now(),
+    ...fields
+  });
+  return device;
+}
+
+// Register a device and log it in, returns it with its device token
+async function registeredDevice(deviceId) {
+  const device = createDevice(deviceId);
+  const registered = await call('post', '/devices/register', { body: device.registration() });
+  if (registered.status !== 200) throw new Error(`Registering ${deviceId} failed: ${registered.text}`);
+  device.token = await login(device);
+  return device;
+}
+
+// Log a device in with its current key, returns the device token
+async function login(device) {
+  const challenge = await call('post', '/devices/challenge', { body: { deviceId: device.deviceId } });
+  if (challenge.status !== 200) throw new Error(`Challenge for ${device.deviceId} failed: ${challenge.text}`);
+  const response = await call('post', '/devices/login', {
+    body: device.sign({ type: 'DEVICE_LOGIN', deviceId: device.deviceId, challenge: challenge.body.challenge })
+  });
+  if (response.status !== 200) throw new Error(`Login of ${device.deviceId} failed: ${response.text}`);
+  return response.body.token;
+}
+
+// Pair two logged-in devices: each confirms the other, as after comparing the SAS
+async function pair(deviceA, deviceB) {
+  await call('post', '/pairing/confirm', { body: { peerDeviceId: deviceB.deviceId }, token: deviceA.token });
+  const confirmed = await call('post', '/pairing/confirm', { body: { peerDeviceId: deviceA.deviceId }, token: deviceB.token });
+  if (confirmed.body.status !== 'active') throw new Error(`Pairing failed: ${confirmed.text}`);
+}
+
+// Command signed by `sender` for `receiver`
+function signedCommand(sender, receiver, fields = {}) {
+  return sender.sign({
+    type: 'COMMAND',
+    senderId: sender.deviceId,
+    receiverId: receiver.deviceId,
+    command: 'PLAY',
+    nonce: crypto.randomBytes(12).toString('base64url'),
+    expiresAt: Date.now() + 60 * 1000,
+    ...fields
+  });
+}
+
+module.exports = { app, storage, call, nextIp, createDevice, registeredDevice, login, pair, signedCommand };
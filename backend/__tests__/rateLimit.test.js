@@ -0,0 +1,33 @@
+// Token-bucket store tests
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryBucketStore } = require('../middleware/rateLimit');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('refuses requests once a bucket is empty, until it refills', async () => {
+  const store = createMemoryBucketStore();
+  assert.equal((await store.take('device:a', 2, 100)).allowed, true);
+  assert.equal((await store.take('device:a', 2, 100)).allowed, true);
+
+  const refused = await store.take('device:a', 2, 100);
+  assert.equal(refused.allowed, false);
+  assert.ok(refused.retryAfterMs > 0 && refused.retryAfterMs <= 10);
+
+  await sleep(20);
+  assert.equal((await store.take('device:a', 2, 100)).allowed, true);
+});
+
+test('pruning judges each bucket by its own limits', async () => {
+  const store = createMemoryBucketStore({ maxBuckets: 2 });
+  await store.take('strict:a', 1, 1 / 3600);
+  assert.equal((await store.take('strict:a', 1, 1 / 3600)).allowed, false);
+
+  // A lenient limiter filling up the store must not reset the strict bucket
+  await store.take('lenient:a', 1, 1000);
+  await sleep(5);
+  await store.take('lenient:b', 1, 1000);
+  await store.take('lenient:c', 1, 1000);
+  assert.equal((await store.take('strict:a', 1, 1 / 3600)).allowed, false);
+});
@@ -0,0 +1,546 @@
+// Route integration tests: the app on the in-memory adapter, driven over HTTP
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { storage, call, nextIp, createDevice, registeredDevice, login, pair, signedCommand } = require('./helpers');
+
+let lastDevice = 0;
+const newDeviceId = (name) => `${name}-${++lastDevice}`;
+
+// The routes log failures they answer with 5xx; keep the test output readable
+console.error = () => {};
+
+describe('POST /devices/register', () => {
+  test('registers a device with a signed registration', async () => {
+    const device = createDevice(newDeviceId('phone'));
+    const response = await call('post', '/devices/register', { body: device.registration() });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+
+    const stored = await storage.get('devices', device.deviceId);
+    assert.equal(stored.keyId, device.keyId);
+  });
+
+  test('rejects malformed, stale, mismatched and forged registrations', async () => {
+    const device = createDevice(newDeviceId('phone'));
+
+    const malformed = await call('post', '/devices/register', { body: { deviceId: device.deviceId } });
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, 'INVALID_REQUEST');
+
+    const stale = await call('post', '/devices/register', { body: device.registration({ issuedAt: Date.now() - 60 * 60 * 1000 }) });
+    assert.equal(stale.status, 401);
+    assert.equal(stale.body.code, 'REGISTRATION_EXPIRED');
+
+    const mismatched = await call('post', '/devices/register', { body: { ...device.registration(), keyId: '0123456789abcdef' } });
+    assert.equal(mismatched.status, 400);
+    assert.equal(mismatched.body.code, 'KEY_MISMATCH');
+
+    const forged = await call('post', '/devices/register', { body: { ...device.registration(), profile: { platform: 'other' } } });
+    assert.equal(forged.status, 403);
+    assert.equal(forged.body.code, 'SIGNATURE_INVALID');
+  });
+
+  test('only the logged-in device rotates its key, and old keys stay revoked', async () => {
+    const device = await registeredDevice(newDeviceId('phone'));
+    const other = await registeredDevice(newDeviceId('phone'));
+    const newKey = createDevice(device.deviceId);
+
+    const takeover = await call('post', '/devices/register', { body: newKey.registration() });
+    assert.equal(takeover.status, 409);
+    assert.equal(takeover.body.code, 'DEVICE_EXISTS');
+
+    const byOther = await call('post', '/devices/register', { body: newKey.registration(), token: other.token });
+    assert.equal(byOther.status, 403);
+    assert.equal(byOther.body.code, 'FORBIDDEN');
+
+    const rotated = await call('post', '/devices/register', { body: newKey.registration(), token: device.token });
+    assert.equal(rotated.status, 200);
+
+    // Tokens of the old key stop working with it
+    const withOldToken = await call('post', '/command/log', {
+      body: { senderId: device.deviceId, receiverId: other.deviceId, command: 'PLAY', nonce: 'nonce-123', result: 'ok' },
+      token: device.token
+    });
+    assert.equal(withOldToken.status, 401);
+
+    const restored = await call('post', '/devices/register', { body: device.registration(), token: await login(newKey) });
+    assert.equal(restored.status, 403);
+    assert.equal(restored.body.code, 'KEY_REVOKED');
+  });
+
+  test('limits registrations per IP', async () => {
+    const ip = nextIp();
+    const statuses = [];
+    for (let i = 0; i < 6; i++) {
+      const device = createDevice(newDeviceId('burst'));
+      const response = await call('post', '/devices/register', { body: device.registration(), ip });
+      statuses.push(response.status);
+    }
+    assert.deepEqual(statuses, [200, 200, 200, 200, 200, 429]);
+  });
+});
+
+describe('POST /devices/challenge and /devices/login', () => {
+  test('logs a device in once per challenge', async () => {
+    const device = createDevice(newDeviceId('phone'));
+    await call('post', '/devices/register', { body: device.registration() });
+
+    const challenge = await call('post', '/devices/challenge', { body: { deviceId: device.deviceId } });
+    assert.equal(challenge.status, 200);
+
+    const envelope = device.sign({ type: 'DEVICE_LOGIN', deviceId: device.deviceId, challenge: challenge.body.challenge });
+    const first = await call('post', '/devices/login', { body: envelope });
+    assert.equal(first.status, 200);
+    assert.equal(typeof first.body.token, 'string');
+
+    const replayed = await call('post', '/devices/login', { body: envelope });
+    assert.equal(replayed.status, 401);
+    assert.equal(replayed.body.code, 'CHALLENGE_INVALID');
+  });
+
+  test('refuses unknown devices and other keys', async () => {
+    const unknown = await call('post', '/devices/challenge', { body: { deviceId: newDeviceId('ghost') } });
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'DEVICE_NOT_REGISTERED');
+
+    const device = await registeredDevice(newDeviceId('phone'));
+    const challenge = await call('post', '/devices/challenge', { body: { deviceId: device.deviceId } });
+    const impostor = createDevice(device.deviceId);
+    const response = await call('post', '/devices/login', {
+      body: impostor.sign({ type: 'DEVICE_LOGIN', deviceId: device.deviceId, challenge: challenge.body.challenge })
+    });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'KEY_MISMATCH');
+  });
+
+  test('login attempts from one IP do not lock the device out elsewhere', async () => {
+    const device = await registeredDevice(newDeviceId('phone'));
+    const ip = nextIp();
+    const statuses = [];
+    for (let i = 0; i < 11; i++) {
+      const response = await call('post', '/devices/challenge', { body: { deviceId: device.deviceId }, ip });
+      statuses.push(response.status);
+    }
+    assert.equal(statuses.at(-1), 429);
+    assert.ok(statuses.slice(0, 10).every(status => status === 200));
+
+    assert.equal(typeof await login(device), 'string');
+  });
+});
+
+describe('POST /auth/challenge and /auth/verify', () => {
+  test('issues a token the receiver verifies once', async () => {
+    const sender = await registeredDevice(newDeviceId('phone'));
+    const receiver = await registeredDevice(newDeviceId('lamp'));
+
+    const unauthenticated = await call('post', '/auth/challenge', { body: { senderDeviceId: sender.deviceId, receiverDeviceId: receiver.deviceId } });
+    assert.equal(unauthenticated.status, 401);
+
+    const asOther = await call('post', '/auth/challenge', {
+      body: { senderDeviceId: sender.deviceId, receiverDeviceId: receiver.deviceId },
+      token: receiver.token
+    });
+    assert.equal(asOther.status, 403);
+
+    const issued = await call('post', '/auth/challenge', {
+      body: { senderDeviceId: sender.deviceId, receiverDeviceId: receiver.deviceId },
+      token: sender.token
+    });
+    assert.equal(issued.status, 200);
+
+    const bySender = await call('post', '/auth/verify', {
+      body: { token: issued.body.token, receiverDeviceId: receiver.deviceId },
+      token: sender.token
+    });
+    assert.equal(bySender.status, 403);
+
+    const verified = await call('post', '/auth/verify', {
+      body: { token: issued.body.token, receiverDeviceId: receiver.deviceId },
+      token: receiver.token
+    });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.senderDeviceId, sender.deviceId);
+
+    const reused = await call('post', '/auth/verify', {
+      body: { token: issued.body.token, receiverDeviceId: receiver.deviceId },
+      token: receiver.token
+    });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.message, 'Token already used');
+  });
+
+  test('rejects tokens issued for another receiver', async () => {
+    const sender = await registeredDevice(newDeviceId('phone'));
+    const receiver = await registeredDevice(newDeviceId('lamp'));
+    const bystander = await registeredDevice(newDeviceId('lamp'));
+
+    const issued = await call('post', '/auth/challenge', {
+      body: { senderDeviceId: sender.deviceId, receiverDeviceId: receiver.deviceId },
+      token: sender.token
+    });
+    const response = await call('post', '/auth/verify', {
+      body: { token: issued.body.token, receiverDeviceId: bystander.deviceId },
+      token: bystander.token
+    });
+    assert.equal(response.status, 401);
+  });
+});
+
+describe('POST /admin/jwt/rotate', () => {
+  test('needs the admin key, and tokens signed before rotating still verify', async () => {
+    const sender = await registeredDevice(newDeviceId('phone'));
+    const receiver = await registeredDevice(newDeviceId('lamp'));
+    const issued = await call('post', '/auth/challenge', {
+      body: { senderDeviceId: sender.deviceId, receiverDeviceId: receiver.deviceId },
+      token: sender.token
+    });
+
+    const withoutKey = await call('post', '/admin/jwt/rotate', { body: {} });
+    assert.equal(withoutKey.status, 401);
+
+    const rotated = await call('post', '/admin/jwt/rotate', { body: {}, headers: { 'x-admin-key': 'test-admin-key' } });
+    assert.equal(rotated.status, 200);
+    assert.ok(rotated.body.keys.length >= 2);
+
+    const verified = await call('post', '/auth/verify', {
+      body: { token: issued.body.token, receiverDeviceId: receiver.deviceId },
+      token: receiver.token
+    });
+    assert.equal(verified.status, 200);
+  });
+});
+
+describe('GET /config/:deviceId', () => {
+  test('returns the stored configuration', async () => {
+    const deviceId = newDeviceId('lamp');
+    const missing = await call('get', `/config/${deviceId}`);
+    assert.equal(missing.status, 404);
+
+    await storage.set('configs', deviceId, { brightness: 80 });
+    const found = await call('get', `/config/${deviceId}`);
+    assert.equal(found.status, 200);
+    assert.equal(found.body.config.brightness, 80);
+  });
+});
+
+describe('Pairing handshake', () => {
+  test('relays the receiver answer to the sender once', async () => {
+    const sender = await registeredDevice(newDeviceId('phone'));
+    const receiver = await registeredDevice(newDeviceId('lamp'));
+    const issued = await call('post', '/auth/challenge', {
+      body: { senderDeviceId: sender.deviceId, receiverDeviceId: receiver.deviceId },
+      token: sender.token
+    });
+    const answer = { token: issued.body.token, publicKey: receiver.publicKey };
+
+    const pending = await call('get', `/pairing/handshake/${sender.deviceId}/${receiver.deviceId}`);
+    assert.equal(pending.status, 404);
+
+    const bySender = await call('post', '/pairing/handshake', { body: answer, token: sender.token });
+    assert.equal(bySender.status, 403);
+
+    const answered = await call('post', '/pairing/handshake', { body: answer, token: receiver.token });
+    assert.equal(answered.status, 200);
+
+    const again = await call('post', '/pairing/handshake', { body: answer, token: receiver.token });
+    assert.equal(again.status, 409);
+
+    const relayed = await call('get', `/pairing/handshake/${sender.deviceId}/${receiver.deviceId}`);
+    assert.equal(relayed.status, 200);
+    assert.equal(relayed.body.publicKey, receiver.publicKey);
+    assert.equal(relayed.body.initiatorPublicKey, undefined);
+  });
+
+  test('relays the sender key to the receiver only after the answer, once', async () => {
+    const sender = await registeredDevice(newDeviceId('phone'));
+    const receiver = await registeredDevice(newDeviceId('lamp'));
+    const reveal = { receiverDeviceId: receiver.deviceId, publicKey: sender.publicKey };
+
+    const early = await call('post', '/pairing/handshake/reveal', { body: reveal, token: sender.token });
+    assert.equal(early.status, 404);
+
+    const issued = await call('post', '/auth/challenge', {
+      body: { senderDeviceId: sender.deviceId, receiverDeviceId: receiver.deviceId },
+      token: sender.token
+    });
+    await call('post', '/pairing/handshake', { body: { token: issued.body.token, publicKey: receiver.publicKey }, token: receiver.token });
+
+    // Only the sender can reveal: another device's reveal lands on a handshake of its own
+    const byReceiver = await call('post', '/pairing/handshake/reveal', {
+      body: { receiverDeviceId: receiver.deviceId, publicKey: receiver.publicKey },
+      token: receiver.token
+    });
+    assert.equal(byReceiver.status, 404);
+
+    const revealed = await call('post', '/pairing/handshake/reveal', { body: reveal, token: sender.token });
+    assert.equal(revealed.status, 200);
+
+    const again = await call('post', '/pairing/handshake/reveal', { body: reveal, token: sender.token });
+    assert.equal(again.status, 409);
+
+    const relayed = await call('get', `/pairing/handshake/${sender.deviceId}/${receiver.deviceId}`);
+    assert.equal(relayed.body.publicKey, receiver.publicKey);
+    assert.equal(relayed.body.initiatorPublicKey, sender.publicKey);
+  });
+});
+
+describe('POST /pairing/verify-command', () => {
+  test('accepts a signed command between paired devices once', async () => {
+    const sender = await registeredDevice(newDeviceId('phone'));
+    const receiver = await registeredDevice(newDeviceId('lamp'));
+    const command = signedCommand(sender, receiver);
+
+    const unpaired = await call('post', '/pairing/verify-command', { body: { signedCommand: command }, token: receiver.token });
+    assert.equal(unpaired.status, 403);
+    assert.equal(unpaired.body.code, 'NOT_PAIRED');
+
+    await pair(sender, receiver);
+
+    const bySender = await call('post', '/pairing/verify-command', { body: { signedCommand: command }, token: sender.token });
+    assert.equal(bySender.status, 403);
+    assert.equal(bySender.body.code, 'FORBIDDEN');
+
+    const verified = await call('post', '/pairing/verify-command', { body: { signedCommand: command }, token: receiver.token });
+    assert.equal(verified.status, 200);
+
+    const replayed = await call('post', '/pairing/verify-command', { body: { signedCommand: command }, token: receiver.token });
+    assert.equal(replayed.status, 409);
+    assert.equal(replayed.body.code, 'NONCE_REUSED');
+  });
+
+  test('rejects expired, far-future and forged commands', async () => {
+    const sender = await registeredDevice(newDeviceId('phone'));
+    const receiver = await registeredDevice(newDeviceId('lamp'));
+    await pair(sender, receiver);
+    const verify = (command) => call('post', '/pairing/verify-command', { body: { signedCommand: command }, token: receiver.token });
+
+    const expired = await verify(signedCommand(sender, receiver, { expiresAt: Date.now() - 60 * 60 * 1000 }));
+    assert.equal(expired.body.code, 'COMMAND_EXPIRED');
+
+    const tooFar = await verify(signedCommand(sender, receiver, { expiresAt: Date.now() + 24 * 60 * 60 * 1000 }));
+    assert.equal(tooFar.body.code, 'EXPIRY_TOO_FAR');
+
+    const forged = await verify({ ...signedCommand(sender, receiver), command: 'UNLOCK' });
+    assert.equal(forged.status, 403);
+    assert.equal(forged.body.code, 'SIGNATURE_INVALID');
+
+    const unknownKey = await verify(signedCommand(createDevice(sender.deviceId), receiver));
+    assert.equal(unknownKey.status, 403);
+    assert.equal(unknownKey.body.code, 'UNKNOWN_SENDER_KEY');
+  });
+});
+
+describe('POST /pairing/confirm', () => {
+  test('activates a pairing once both devices confirm', async () => {
+    const phone = await registeredDevice(newDeviceId('phone'));
+    const lamp = await registeredDevice(newDeviceId('lamp'));
+
+    const first = await call('post', '/pairing/confirm', { body: { peerDeviceId: lamp.deviceId }, token: phone.token });
+    assert.equal(first.status, 200);
+    assert.equal(first.body.status, 'pending');
+    assert.equal((await call('get', `/pairing/status/${phone.deviceId}`)).body.pairingCount, 0);
+
+    const second = await call('post', '/pairing/confirm', { body: { peerDeviceId: phone.deviceId }, token: lamp.token });
+    assert.equal(second.body.status, 'active');
+
+    const status = await call('get', `/pairing/status/${phone.deviceId}`);
+    assert.deepEqual(status.body.pairedDevices.map(paired => paired.deviceId), [lamp.deviceId]);
+  });
+
+  test('one device alone cannot pair, or pair again after a revocation', async () => {
+    const phone = await registeredDevice(newDeviceId('phone'));
+    const lamp = await registeredDevice(newDeviceId('lamp'));
+
+    assert.equal((await call('post', '/pairing/confirm', { body: { peerDeviceId: lamp.deviceId } })).status, 401);
+    assert.equal((await call('post', '/pairing/confirm', { body: { peerDeviceId: phone.deviceId }, token: phone.token })).status, 400);
+    assert.equal((await call('post', '/pairing/confirm', { body: { peerDeviceId: newDeviceId('ghost') }, token: phone.token })).status, 404);
+
+    // Repeating a confirmation does not stand in for the other device's
+    await call('post', '/pairing/confirm', { body: { peerDeviceId: lamp.deviceId }, token: phone.token });
+    const again = await call('post', '/pairing/confirm', { body: { peerDeviceId: lamp.deviceId }, token: phone.token });
+    assert.equal(again.body.status, 'pending');
+
+    await call('post', '/pairing/confirm', { body: { peerDeviceId: phone.deviceId }, token: lamp.token });
+    await call('post', '/pairing/revoke', { body: { deviceId1: phone.deviceId, deviceId2: lamp.deviceId }, token: lamp.token });
+
+    const reactivated = await call('post', '/pairing/confirm', { body: { peerDeviceId: lamp.deviceId }, token: phone.token });
+    assert.equal(reactivated.body.status, 'pending');
+    assert.equal((await storage.get('pairings', [phone.deviceId, lamp.deviceId].sort().join('_'))).status, 'revoked');
+  });
+});
+
+describe('Pairing status and revocation', () => {
+  test('lists active pairings and stops commands once revoked', async () => {
+    const sender = await registeredDevice(newDeviceId('phone'));
+    const receiver = await registeredDevice(newDeviceId('lamp'));
+    const outsider = await registeredDevice(newDeviceId('phone'));
+    await pair(sender, receiver);
+
+    const status = await call('get', `/pairing/status/${sender.deviceId}`);
+    assert.equal(status.status, 200);
+    assert.deepEqual(status.body.pairedDevices.map(paired => paired.deviceId), [receiver.deviceId]);
+
+    const pairingIds = { deviceId1: sender.deviceId, deviceId2: receiver.deviceId };
+    const byOutsider = await call('post', '/pairing/revoke', { body: pairingIds, token: outsider.token });
+    assert.equal(byOutsider.status, 403);
+
+    const revoked = await call('post', '/pairing/revoke', { body: pairingIds, token: receiver.token });
+    assert.equal(revoked.status, 200);
+
+    const after = await call('get', `/pairing/status/${sender.deviceId}`);
+    assert.equal(after.body.pairingCount, 0);
+
+    const command = await call('post', '/pairing/verify-command', { body: { signedCommand: signedCommand(sender, receiver) }, token: receiver.token });
+    assert.equal(command.body.code, 'NOT_PAIRED');
+
+    const missing = await call('post', '/pairing/revoke', { body: { deviceId1: sender.deviceId, deviceId2: outsider.deviceId }, token: sender.token });
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.code, 'PAIRING_NOT_FOUND');
+  });
+});
+
+describe('Per-device rate limits', () => {
+  test('lookups of a device ID from many IPs do not lock the device out', async () => {
+    const device = await registeredDevice(newDeviceId('lamp'));
+    for (let i = 0; i < 40; i++) {
+      const response = await call('get', `/pairing/status/${device.deviceId}`);
+      assert.equal(response.status, 200);
+    }
+  });
+
+  test('commands count against the receiver verifying them, not the sender they name', async () => {
+    const sender = await registeredDevice(newDeviceId('phone'));
+    const receiver = await registeredDevice(newDeviceId('lamp'));
+    const flooder = await registeredDevice(newDeviceId('lamp'));
+    await pair(sender, receiver);
+
+    for (let i = 0; i < 31; i++) {
+      await call('post', '/pairing/verify-command', { body: { signedCommand: signedCommand(sender, flooder) }, token: flooder.token });
+    }
+    const flooded = await call('post', '/pairing/verify-command', { body: { signedCommand: signedCommand(sender, flooder) }, token: flooder.token });
+    assert.equal(flooded.status, 429);
+
+    const verified = await call('post', '/pairing/verify-command', { body: { signedCommand: signedCommand(sender, receiver) }, token: receiver.token });
+    assert.equal(verified.status, 200);
+  });
+});
+
+describe('POST /command/log', () => {
+  test('logs commands for their sender or receiver only', async () => {
+    const sender = await registeredDevice(newDeviceId('phone'));
+    const receiver = await registeredDevice(newDeviceId('lamp'));
+    const outsider = await registeredDevice(newDeviceId('phone'));
+    const entry = { senderId: sender.deviceId, receiverId: receiver.deviceId, command: 'PLAY', nonce: 'nonce-123', result: 'ok' };
+
+    const byOutsider = await call('post', '/command/log', { body: entry, token: outsider.token });
+    assert.equal(byOutsider.status, 403);
+
+    const logged = await call('post', '/command/log', { body: entry, token: receiver.token });
+    assert.equal(logged.status, 200);
+  });
+});
+
+describe('ARQ acknowledgments', () => {
+  const ack = (ackId, session = 4242) => ({ mode: 'arq_ack', session, ackId, missing: [] });
+
+  test('relays the latest acknowledgment from the receiver to the sender', async () => {
+    const sender = await registeredDevice(newDeviceId('lamp'));
+    const receiver = await registeredDevice(newDeviceId('phone'));
+
+    const unopened = await call('post', '/arq/4242/ack', { body: ack(1), token: receiver.token });
+    assert.equal(unopened.status, 404);
+    assert.equal(unopened.body.code, 'SESSION_NOT_FOUND');
+
+    const opened = await call('post', '/arq/4242', { body: { receiverDeviceId: receiver.deviceId }, token: sender.token });
+    assert.equal(opened.status, 200);
+
+    const none = await call('get', '/arq/4242/ack', { token: sender.token });
+    assert.equal(none.status, 404);
+
+    const otherSession = await call('post', '/arq/4242/ack', { body: ack(1, 4243), token: receiver.token });
+    assert.equal(otherSession.status, 400);
+
+    await call('post', '/arq/4242/ack', { body: ack(2), token: receiver.token });
+    const older = await call('post', '/arq/4242/ack', { body: ack(1), token: receiver.token });
+    assert.equal(older.body.message, 'Newer acknowledgment already stored');
+
+    const latest = await call('get', '/arq/4242/ack', { token: sender.token });
+    assert.equal(latest.status, 200);
+    assert.equal(latest.body.ack.ackId, 2);
+  });
+
+  test('only the session\'s receiver posts and only its sender polls', async () => {
+    const sender = await registeredDevice(newDeviceId('lamp'));
+    const receiver = await registeredDevice(newDeviceId('phone'));
+    const outsider = await registeredDevice(newDeviceId('phone'));
+    await call('post', '/arq/5151', { body: { receiverDeviceId: receiver.deviceId }, token: sender.token });
+
+    const unauthenticated = await call('post', '/arq/5151/ack', { body: ack(1, 5151) });
+    assert.equal(unauthenticated.status, 401);
+
+    const forged = await call('post', '/arq/5151/ack', { body: { ...ack(2 ** 31, 5151), complete: true }, token: outsider.token });
+    assert.equal(forged.status, 403);
+
+    const bySender = await call('post', '/arq/5151/ack', { body: ack(1, 5151), token: sender.token });
+    assert.equal(bySender.status, 403);
+
+    await call('post', '/arq/5151/ack', { body: ack(1, 5151), token: receiver.token });
+    assert.equal((await call('get', '/arq/5151/ack')).status, 401);
+    assert.equal((await call('get', '/arq/5151/ack', { token: outsider.token })).status, 403);
+    assert.equal((await call('get', '/arq/5151/ack', { token: receiver.token })).status, 403);
+    assert.equal((await call('get', '/arq/5151/ack', { token: sender.token })).body.ack.ackId, 1);
+  });
+
+  test('a session belongs to the devices that opened it until it expires', async () => {
+    const sender = await registeredDevice(newDeviceId('lamp'));
+    const receiver = await registeredDevice(newDeviceId('phone'));
+    const outsider = await registeredDevice(newDeviceId('phone'));
+    const open = (device, receiverDeviceId) => call('post', '/arq/6262', { body: { receiverDeviceId }, token: device.token });
+
+    assert.equal((await open(sender, receiver.deviceId)).status, 200);
+    assert.equal((await open(sender, receiver.deviceId)).status, 200);
+
+    const taken = await open(outsider, outsider.deviceId);
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, 'SESSION_EXISTS');
+
+    await storage.update('arq_sessions', '6262', { expireAt: new Date(Date.now() - 1000) });
+    assert.equal((await open(outsider, outsider.deviceId)).status, 200);
+    assert.equal((await call('get', '/arq/6262/ack', { token: sender.token })).status, 403);
+  });
+
+  test('acknowledgments expire', async () => {
+    const sender = await registeredDevice(newDeviceId('lamp'));
+    const receiver = await registeredDevice(newDeviceId('phone'));
+    await call('post', '/arq/7373', { body: { receiverDeviceId: receiver.deviceId }, token: sender.token });
+    await call('post', '/arq/7373/ack', { body: ack(1, 7373), token: receiver.token });
+
+    const stored = await storage.get('arq_acks', '7373');
+    assert.ok(new Date(stored.expireAt).getTime() > Date.now());
+
+    await storage.update('arq_acks', '7373', { expireAt: new Date(Date.now() - 1000) });
+    assert.equal((await call('get', '/arq/7373/ack', { token: sender.token })).status, 404);
+  });
+});
+
+describe('Request handling', () => {
+  test('answers health checks and serves the OpenAPI document', async () => {
+    const health = await call('get', '/health');
+    assert.equal(health.status, 200);
+
+    const openapi = await call('get', '/openapi.json');
+    assert.equal(openapi.status, 200);
+    assert.ok(openapi.body.paths['/devices/register']);
+  });
+
+  test('rejects malformed JSON and oversized bodies', async () => {
+    const malformed = await call('post', '/devices/challenge').set('Content-Type', 'application/json').send('{"deviceId":');
+    assert.equal(malformed.status, 400);
+    assert.equal(malformed.body.code, 'INVALID_REQUEST');
+
+    const oversized = await call('post', '/devices/challenge', { body: { deviceId: 'x'.repeat(200 * 1024) } });
+    assert.equal(oversized.status, 413);
+    assert.equal(oversized.body.code, 'PAYLOAD_TOO_LARGE');
+  });
+});
@@ -0,0 +1,87 @@
+// Storage adapter tests: the memory adapter, SQLite where better-sqlite3 is
+// installed, and Firestore against the emulator (npm run test:rules)
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryStorage } = require('../storage/memory');
+const { createSqliteStorage } = require('../storage/sqlite');
+const { createFirestoreStorage } = require('../storage/firestore');
+
+let hasSqlite = true;
+try {
+  require.resolve('better-sqlite3');
+} catch (_error) {
+  hasSqlite = false;
+}
+
+// The Admin SDK initializes once per process, so every test shares one
+// Firestore adapter and starts from an emptied emulator
+let firestore = null;
+async function emptyFirestore() {
+  firestore = firestore || createFirestoreStorage();
+  const projectId = process.env.FIREBASE_PROJECT_ID || 'vigil-edge';
+  await fetch(`http://${process.env.FIRESTORE_EMULATOR_HOST}/emulator/v1/projects/${projectId}/databases/(default)/documents`, { method: 'DELETE' });
+  return firestore;
+}
+
+const adapters = [
+  { name: 'memory', create: () => createMemoryStorage(), skip: false },
+  { name: 'sqlite', create: () => createSqliteStorage(':memory:'), skip: !hasSqlite && 'better-sqlite3 is not installed' },
+  { name: 'firestore', create: emptyFirestore, skip: !process.env.FIRESTORE_EMULATOR_HOST && 'needs the Firestore emulator (npm run test:rules)' }
+];
+
+const past = () => new Date(Date.now() - 1000);
+const future = () => new Date(Date.now() + 60 * 1000);
+
+adapters.forEach(({ name, create, skip }) => {
+  describe(`${name} adapter`, { skip }, () => {
+    test('creates a document once and merges updates', async () => {
+      const storage = await create();
+      assert.equal(await storage.create('devices', 'a', { status: 'active' }), true);
+      assert.equal(await storage.create('devices', 'a', { status: 'other' }), false);
+      assert.equal(await storage.update('devices', 'a', { keyId: 'k1' }), true);
+      assert.equal(await storage.update('devices', 'missing', { keyId: 'k1' }), false);
+      assert.deepEqual(await storage.get('devices', 'a'), { status: 'active', keyId: 'k1' });
+    });
+
+    test('finds documents by a value of an array field', async () => {
+      const storage = await create();
+      await storage.set('pairings', 'a_b', { devices: ['a', 'b'] });
+      await storage.set('pairings', 'a_c', { devices: ['a', 'c'] });
+      const found = await storage.findByArrayValue('pairings', 'devices', 'b');
+      assert.deepEqual(found, [{ devices: ['a', 'b'] }]);
+    });
+
+    test('hides documents once their expireAt passes', async () => {
+      const storage = await create();
+      await storage.set('command_nonces', 'old', { expireAt: past() });
+      await storage.set('command_nonces', 'fresh', { expireAt: future() });
+      await storage.set('pairings', 'gone', { devices: ['a'], expireAt: past() });
+
+      assert.equal(await storage.get('command_nonces', 'old'), null);
+      assert.notEqual(await storage.get('command_nonces', 'fresh'), null);
+      assert.equal(await storage.update('command_nonces', 'old', { used: true }), false);
+      assert.deepEqual(await storage.findByArrayValue('pairings', 'devices', 'a'), []);
+    });
+
+    test('lets an expired document\'s ID be created again', async () => {
+      const storage = await create();
+      await storage.set('device_challenge_uses', 'c1', { deviceId: 'old', expireAt: past() });
+      assert.equal(await storage.create('device_challenge_uses', 'c1', { deviceId: 'new', expireAt: future() }), true);
+      assert.equal(await storage.create('device_challenge_uses', 'c1', { deviceId: 'other', expireAt: future() }), false);
+      assert.equal((await storage.get('device_challenge_uses', 'c1')).deviceId, 'new');
+    });
+
+    test('prunes expired documents', { skip: name === 'firestore' && 'Firestore deletes them through its TTL policy' }, async () => {
+      const storage = await create();
+      await storage.set('auth_token_uses', 'old', { expireAt: past() });
+      await storage.set('auth_token_uses', 'fresh', { expireAt: future() });
+      await storage.set('devices', 'a', { status: 'active' });
+
+      assert.equal(await storage.pruneExpired(), 1);
+      assert.equal(await storage.pruneExpired(), 0);
+      assert.notEqual(await storage.get('auth_token_uses', 'fresh'), null);
+      assert.notEqual(await storage.get('devices', 'a'), null);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// Device authentication
+//
+// Devices log in with their identity key (POST /devices/login) and send the
+// device token they get back as `Authorization: Bearer <token>`. A token
+// only counts while the device is registered with the key it proved, so
+// rotating the key ends the sessions opened with the old one.
+
+function failure(status, code, message) {
+  return { failure: { status, code, message } };
+}
+
+function createDeviceAuth(tokens, storage) {
+  // The calling device ({ deviceId, keyId }), or a { failure } to answer with
+  const authenticate = async (req) => {
+    const match = /^Bearer (\S+)$/.exec(req.get('authorization') || '');
+    if (!match) return failure(401, 'UNAUTHORIZED', 'Device token required');
+
+    let decoded;
+    try {
+      decoded = await tokens.verifyDeviceToken(match[1]);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') return failure(401, 'TOKEN_EXPIRED', 'Device token expired');
+      if (error.name === 'JsonWebTokenError') return failure(401, 'UNAUTHORIZED', 'Invalid device token');
+      throw error;
+    }
+
+    const device = await storage.get('devices', decoded.sub);
+    if (!device || device.status !== 'active' || device.keyId !== decoded.keyId) {
+      return failure(401, 'UNAUTHORIZED', 'Device is not registered with this key');
+    }
+    return { device: { deviceId: decoded.sub, keyId: decoded.keyId } };
+  };
+
+  // Middleware refusing requests without a valid device token; sets req.device
+  const requireDevice = async (req, res, next) => {
+    try {
+      const result = await authenticate(req);
+      if (result.failure) {
+        const { status, code, message } = result.failure;
+        return res.status(status).json({ success: false, code, message });
+      }
+      req.device = result.device;
+      next();
+    } catch (error) {
+      console.error('Device authentication error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  };
+
+  return { authenticate, requireDevice };
+}
+
+// Middleware refusing callers that are not one of the devices `participants(req)` names
+function requireParticipant(participants) {
+  return (req, res, next) => {
+    if (participants(req).includes(req.device.deviceId)) return next();
+    res.status(403).json({
+      success: false,
+      code: 'FORBIDDEN',
+      message: 'Only a participant device may do this'
+    });
+  };
+}
+
+module.exports = { createDeviceAuth, requireParticipant };
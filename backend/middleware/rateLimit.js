@@ -0,0 +1,98 @@
+// Token-bucket rate limiting
+//
+// Each limiter gives every key (an IP, a device ID) a bucket of `capacity`
+// tokens refilled at `refillPerSecond`; a request takes one token and is
+// refused with 429 when the bucket is empty. Buckets live in a store so
+// several instances can share them; a store implements
+//
+//   take(key, capacity, refillPerSecond)  { allowed, remaining, retryAfterMs }
+//
+// and the in-memory one below is the default.
+
+const MAX_MEMORY_BUCKETS = 10000; // Least recently used full buckets give way beyond this
+const PRUNE_BATCH = 100; // Buckets a request looks at once there are too many
+const PRUNE_INTERVAL_MS = 60 * 1000; // How often all full buckets are swept out
+
+function createMemoryBucketStore({ maxBuckets = MAX_MEMORY_BUCKETS, pruneIntervalMs = PRUNE_INTERVAL_MS } = {}) {
+  // Buckets keep the limits they were made with, so pruning judges each by
+  // its own; the Map is ordered least recently used first
+  const buckets = new Map();
+
+  const refill = (bucket, now) => {
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * bucket.refillPerSecond);
+    bucket.updatedAt = now;
+    return bucket;
+  };
+
+  // A full bucket holds nothing a fresh one would not; looks at up to `limit` buckets
+  const prune = (limit = Infinity) => {
+    const now = Date.now();
+    let checked = 0;
+    for (const [key, bucket] of buckets) {
+      if (checked++ >= limit) break;
+      if (refill(bucket, now).tokens >= bucket.capacity) buckets.delete(key);
+    }
+  };
+
+  setInterval(() => prune(), pruneIntervalMs).unref();
+
+  return {
+    async take(key, capacity, refillPerSecond) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (bucket) {
+        buckets.delete(key); // Set again below, as the most recently used
+        refill(bucket, now);
+      } else {
+        if (buckets.size >= maxBuckets) prune(PRUNE_BATCH);
+        bucket = { tokens: capacity, capacity, refillPerSecond, updatedAt: now };
+      }
+      buckets.set(key, bucket);
+
+      if (bucket.tokens < 1) {
+        return { allowed: false, remaining: 0, retryAfterMs: Math.ceil(((1 - bucket.tokens) / bucket.refillPerSecond) * 1000) };
+      }
+
+      bucket.tokens -= 1;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfterMs: 0 };
+    }
+  };
+}
+
+const defaultStore = createMemoryBucketStore();
+
+// Express middleware limiting requests per key. `key(req)` names the bucket;
+// requests it returns nothing for are not limited by this limiter.
+function rateLimit({ name, capacity, refillPerSecond, key, store = defaultStore }) {
+  return async (req, res, next) => {
+    try {
+      const bucketKey = key(req);
+      if (!bucketKey) return next();
+
+      const result = await store.take(`${name}:${bucketKey}`, capacity, refillPerSecond);
+      res.set('RateLimit-Limit', String(capacity));
+      res.set('RateLimit-Remaining', String(result.remaining));
+
+      if (!result.allowed) {
+        const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          code: 'RATE_LIMITED',
+          message: `Too many requests, retry in ${retryAfter} s`,
+          retryAfter
+        });
+      }
+      next();
+    } catch (error) {
+      // A failing store should not take the API down with it
+      console.error(`Rate limiter ${name} error:`, error);
+      next();
+    }
+  };
+}
+
+// Bucket keys
+const byIp = (req) => req.ip;
+
+module.exports = { rateLimit, createMemoryBucketStore, byIp };
@@ -0,0 +1,135 @@
+// Request validation against JSON Schemas
+//
+// Supports the subset of JSON Schema the route schemas use: type (one or a
+// list), enum, const, minLength/maxLength/pattern, minimum/maximum,
+// items/minItems/maxItems and properties/required/additionalProperties.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Errors of a value against a schema, as "path message" strings
+function validateValue(schema, value, path, errors = []) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push(`${path} must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} is malformed`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) errors.push(`${path}.${name} is required`);
+    });
+    Object.keys(value).forEach(name => {
+      if (properties[name]) {
+        validateValue(properties[name], value[name], `${path}.${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Express middleware checking req.body and req.params against schemas;
+// failures get a 400 with the given error code
+function validate({ body, params }, { code = 'INVALID_REQUEST' } = {}) {
+  return (req, res, next) => {
+    const errors = [];
+    if (params) validateValue(params, req.params, 'params', errors);
+    if (body) validateValue(body, req.body, 'body', errors);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        code,
+        message: errors[0],
+        errors
+      });
+    }
+    next();
+  };
+}
+
+// validate() for an operation of an OpenAPI document, by operationId. Its
+// path parameters and JSON request body are checked; `x-error-code` on the
+// operation replaces the default error code. The middleware carries the
+// operationId, so the contract test can match routes to operations.
+function createRequestValidator(spec) {
+  const operations = new Map();
+  Object.values(spec.paths).forEach(pathItem => {
+    Object.values(pathItem).forEach(op => operations.set(op.operationId, op));
+  });
+
+  return (operationId) => {
+    const op = operations.get(operationId);
+    if (!op) {
+      throw new Error(`No operation ${operationId} in the API document`);
+    }
+
+    const pathParameters = (op.parameters || []).filter(parameter => parameter.in === 'path');
+    const params = pathParameters.length > 0 ? {
+      type: 'object',
+      required: pathParameters.map(parameter => parameter.name),
+      properties: Object.fromEntries(pathParameters.map(parameter => [parameter.name, parameter.schema]))
+    } : null;
+    const body = op.requestBody ? op.requestBody.content['application/json'].schema : null;
+
+    const middleware = validate({ body, params }, op['x-error-code'] ? { code: op['x-error-code'] } : {});
+    middleware.operationId = operationId;
+    return middleware;
+  };
+}
+
+module.exports = { validate, validateValue, createRequestValidator };
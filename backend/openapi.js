@@ -0,0 +1,339 @@
+const { schemas } = require('./schemas');
+
+// OpenAPI 3.1 description of every route in server.js
+//
+// Request bodies and path parameters come from schemas.js, and the server
+// validates requests against this document (middleware/validate.js), so the
+// two cannot disagree. The app's typed client is generated from it:
+// npm run generate-api-client. __tests__/apiContract.test.js checks the
+// routes and their responses against it.
+// Operations secured with deviceToken need the Bearer token of
+// POST /devices/login; the generated client fetches it for them.
+
+const deviceId = schemas.deviceParams.params.properties.deviceId;
+const deviceToken = [{ deviceToken: [] }];
+
+const errorResponse = {
+  type: 'object',
+  required: ['success', 'message'],
+  properties: {
+    success: { const: false },
+    code: { type: 'string' },
+    message: { type: 'string' },
+    errors: { type: 'array', items: { type: 'string' } },
+    retryAfter: { type: 'integer' }
+  }
+};
+
+const messageResponse = {
+  type: 'object',
+  required: ['success', 'message'],
+  properties: {
+    success: { const: true },
+    message: { type: 'string' }
+  }
+};
+
+// Path parameters of an operation from its params schema
+function pathParameters(paramsSchema) {
+  return Object.entries(paramsSchema.properties).map(([name, schema]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema
+  }));
+}
+
+// An operation: request schemas from schemas.js, the 200 response body, and
+// the shared error body for everything else
+function operation(operationId, summary, { request = {}, response, ...extra }) {
+  return {
+    operationId,
+    summary,
+    ...(request.params ? { parameters: pathParameters(request.params) } : {}),
+    ...(request.body ? { requestBody: { required: true, content: { 'application/json': { schema: request.body } } } } : {}),
+    responses: {
+      200: { description: 'Success', content: { 'application/json': { schema: response } } },
+      default: { description: 'Error', content: { 'application/json': { schema: errorResponse } } }
+    },
+    ...extra
+  };
+}
+
+const openapi = {
+  openapi: '3.1.0',
+  info: {
+    title: 'VLC Backend API',
+    version: '1.0.0',
+    description: 'Authentication, pairing, configuration and ARQ relay for LightSync VLC devices'
+  },
+  components: {
+    securitySchemes: {
+      adminKey: { type: 'apiKey', in: 'header', name: 'x-admin-key' },
+      deviceToken: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    }
+  },
+  paths: {
+    '/devices/register': {
+      post: operation('registerDevice', "Register a device's identity key and profile", {
+        request: schemas.deviceRegister,
+        security: [{}, ...deviceToken], // Replacing a registered key takes a token of that device
+        response: {
+          type: 'object',
+          required: ['success', 'message', 'deviceId', 'keyId'],
+          properties: {
+            success: { const: true },
+            message: { type: 'string' },
+            deviceId,
+            keyId: schemas.deviceRegister.body.properties.keyId
+          }
+        }
+      })
+    },
+    '/devices/challenge': {
+      post: operation('createDeviceChallenge', 'Issue a login challenge for a registered device', {
+        request: schemas.deviceChallenge,
+        response: {
+          type: 'object',
+          required: ['success', 'challenge', 'expiresAt'],
+          properties: {
+            success: { const: true },
+            challenge: schemas.deviceLogin.body.properties.challenge,
+            expiresAt: { type: 'integer' }
+          }
+        }
+      })
+    },
+    '/devices/login': {
+      post: operation('loginDevice', 'Exchange a signed challenge for a device token', {
+        request: schemas.deviceLogin,
+        response: {
+          type: 'object',
+          required: ['success', 'token', 'expiresAt'],
+          properties: {
+            success: { const: true },
+            token: { type: 'string' },
+            expiresAt: { type: 'integer' },
+            firebaseToken: { type: ['string', 'null'] } // Firebase custom token, with Firestore storage
+          }
+        }
+      })
+    },
+    '/auth/challenge': {
+      post: operation('createAuthChallenge', 'Issue a JWT token for a sender/receiver pair', {
+        request: schemas.authChallenge,
+        security: deviceToken,
+        response: {
+          type: 'object',
+          required: ['success', 'token', 'expiresAt'],
+          properties: {
+            success: { const: true },
+            token: { type: 'string' },
+            expiresAt: { type: 'integer' }
+          }
+        }
+      })
+    },
+    '/auth/verify': {
+      post: operation('verifyAuthToken', 'Verify a JWT token for the receiver it was issued to, once', {
+        request: schemas.authVerify,
+        security: deviceToken,
+        response: {
+          type: 'object',
+          required: ['success', 'message', 'senderDeviceId', 'receiverDeviceId'],
+          properties: {
+            success: { const: true },
+            message: { type: 'string' },
+            senderDeviceId: deviceId,
+            receiverDeviceId: deviceId
+          }
+        }
+      })
+    },
+    '/admin/jwt/rotate': {
+      post: operation('rotateJwtKeys', 'Start signing tokens with a new key', {
+        request: schemas.jwtRotate,
+        security: [{ adminKey: [] }],
+        response: {
+          type: 'object',
+          required: ['success', 'message', 'keys'],
+          properties: {
+            success: { const: true },
+            message: { type: 'string' },
+            keys: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['kid', 'createdAt', 'retiresAt', 'active'],
+                properties: {
+                  kid: { type: 'string' },
+                  createdAt: { type: 'integer' },
+                  retiresAt: { type: ['integer', 'null'] },
+                  active: { type: 'boolean' }
+                }
+              }
+            }
+          }
+        }
+      })
+    },
+    '/config/{deviceId}': {
+      get: operation('getConfig', 'Device configuration', {
+        request: schemas.deviceParams,
+        response: {
+          type: 'object',
+          required: ['success', 'config'],
+          properties: {
+            success: { const: true },
+            config: { type: 'object' }
+          }
+        }
+      })
+    },
+    '/pairing/verify-command': {
+      post: operation('verifyCommand', 'Verify a signed command and reserve its nonce', {
+        request: schemas.verifyCommand,
+        security: deviceToken,
+        'x-error-code': 'INVALID_COMMAND', // Validation failures use the route's own error code
+        response: {
+          type: 'object',
+          required: ['success', 'message', 'command'],
+          properties: {
+            success: { const: true },
+            message: { type: 'string' },
+            command: schemas.verifyCommand.body.properties.signedCommand
+          }
+        }
+      })
+    },
+    '/pairing/status/{deviceId}': {
+      get: operation('getPairingStatus', 'Devices paired with a device', {
+        request: schemas.deviceParams,
+        response: {
+          type: 'object',
+          required: ['success', 'deviceId', 'pairedDevices', 'pairingCount'],
+          properties: {
+            success: { const: true },
+            deviceId,
+            pairedDevices: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['deviceId'],
+                properties: {
+                  deviceId,
+                  pairedAt: {},
+                  lastActivity: {}
+                }
+              }
+            },
+            pairingCount: { type: 'integer' }
+          }
+        }
+      })
+    },
+    '/pairing/confirm': {
+      post: operation('confirmPairing', 'Confirm pairing with a device; active once both have confirmed', {
+        request: schemas.pairingConfirm,
+        security: deviceToken,
+        response: {
+          type: 'object',
+          required: ['success', 'status', 'message'],
+          properties: {
+            success: { const: true },
+            status: { enum: ['pending', 'active'] },
+            message: { type: 'string' }
+          }
+        }
+      })
+    },
+    '/pairing/revoke': {
+      post: operation('revokePairing', 'Revoke the pairing between two devices', {
+        request: schemas.pairingRevoke,
+        security: deviceToken,
+        response: messageResponse
+      })
+    },
+    '/command/log': {
+      post: operation('logCommand', 'Log a command execution', {
+        request: schemas.commandLog,
+        security: deviceToken,
+        response: messageResponse
+      })
+    },
+    '/pairing/handshake': {
+      post: operation('answerPairingHandshake', "Relay the receiver's key agreement public key to the sender", {
+        request: schemas.pairingHandshake,
+        security: deviceToken,
+        response: messageResponse
+      })
+    },
+    '/pairing/handshake/reveal': {
+      post: operation('revealPairingHandshake', "Relay the sender's key agreement public key, committed to in its pairing payload, to the receiver", {
+        request: schemas.pairingHandshakeReveal,
+        security: deviceToken,
+        response: messageResponse
+      })
+    },
+    '/pairing/handshake/{senderDeviceId}/{receiverDeviceId}': {
+      get: operation('getPairingHandshake', "Receiver's key agreement public key, polled by the sender, and the sender's once revealed, polled by the receiver", {
+        request: schemas.handshakeParams,
+        response: {
+          type: 'object',
+          required: ['success', 'publicKey'],
+          properties: {
+            success: { const: true },
+            publicKey: schemas.pairingHandshake.body.properties.publicKey,
+            initiatorPublicKey: schemas.pairingHandshakeReveal.body.properties.publicKey
+          }
+        }
+      })
+    },
+    '/arq/{sessionId}': {
+      post: operation('openArqSession', 'Open an ARQ session between the calling sender and a receiver', {
+        request: schemas.arqSession,
+        security: deviceToken,
+        response: messageResponse
+      })
+    },
+    '/arq/{sessionId}/ack': {
+      post: operation('postArqAck', 'Store the latest ARQ acknowledgment of a session, sent by its receiver', {
+        request: schemas.arqAck,
+        security: deviceToken,
+        response: messageResponse
+      }),
+      get: operation('getArqAck', 'Latest ARQ acknowledgment of a session, polled by its sender', {
+        request: schemas.arqSessionParams,
+        security: deviceToken,
+        response: {
+          type: 'object',
+          required: ['success', 'ack'],
+          properties: {
+            success: { const: true },
+            ack: schemas.arqAck.body
+          }
+        }
+      })
+    },
+    '/health': {
+      get: operation('getHealth', 'Health check', {
+        response: {
+          type: 'object',
+          required: ['success', 'message', 'timestamp'],
+          properties: {
+            success: { const: true },
+            message: { type: 'string' },
+            timestamp: { type: 'string' }
+          }
+        }
+      })
+    },
+    '/openapi.json': {
+      get: operation('getOpenApi', 'This document', {
+        response: { type: 'object' }
+      })
+    }
+  }
+};
+
+module.exports = { openapi };
@@ -0,0 +1,230 @@
+// JSON Schemas of the request bodies and path parameters of every route
+
+const deviceId = { type: 'string', pattern: '^[A-Za-z0-9_.:-]{1,128}$' };
+const token = { type: 'string', minLength: 1, maxLength: 4096 };
+const publicKey = { type: 'string', pattern: '^[A-Za-z0-9+/]{43}=$' }; // 32 bytes in base64
+const keyId = { type: 'string', pattern: '^[0-9a-f]{16}$' };
+const signature = { type: 'string', pattern: '^[A-Za-z0-9+/]{86}==$' }; // 64 bytes in base64
+const arqSessionParams = {
+  type: 'object',
+  required: ['sessionId'],
+  properties: { sessionId: { type: 'string', pattern: '^[0-9]{1,10}$' } }
+};
+
+const schemas = {
+  deviceRegister: {
+    body: {
+      type: 'object',
+      required: ['type', 'deviceId', 'publicKey', 'issuedAt', 'keyId', 'signature'],
+      additionalProperties: false,
+      properties: {
+        type: { const: 'DEVICE_REGISTRATION' },
+        deviceId,
+        publicKey,
+        profile: {
+          type: 'object',
+          additionalProperties: false,
+          properties: {
+            platform: { type: 'string', maxLength: 32 },
+            name: { type: 'string', maxLength: 64 }
+          }
+        },
+        revokedKeys: {
+          type: 'array',
+          maxItems: 100,
+          items: {
+            type: 'object',
+            required: ['keyId', 'revokedAt'],
+            additionalProperties: false,
+            properties: {
+              keyId,
+              revokedAt: { type: 'integer', minimum: 0 },
+              reason: { type: 'string', maxLength: 64 }
+            }
+          }
+        },
+        issuedAt: { type: 'integer', minimum: 0 },
+        keyId,
+        signature
+      }
+    }
+  },
+
+  deviceChallenge: {
+    body: {
+      type: 'object',
+      required: ['deviceId'],
+      additionalProperties: false,
+      properties: { deviceId }
+    }
+  },
+
+  deviceLogin: {
+    body: {
+      type: 'object',
+      required: ['type', 'deviceId', 'challenge', 'keyId', 'signature'],
+      additionalProperties: false,
+      properties: {
+        type: { const: 'DEVICE_LOGIN' },
+        deviceId,
+        challenge: { type: 'string', pattern: '^[A-Za-z0-9_-]{43}$' }, // 32 random bytes in base64url
+        keyId,
+        signature
+      }
+    }
+  },
+
+  authChallenge: {
+    body: {
+      type: 'object',
+      required: ['senderDeviceId', 'receiverDeviceId'],
+      additionalProperties: false,
+      properties: { senderDeviceId: deviceId, receiverDeviceId: deviceId }
+    }
+  },
+
+  authVerify: {
+    body: {
+      type: 'object',
+      required: ['token', 'receiverDeviceId'],
+      additionalProperties: false,
+      properties: { token, receiverDeviceId: deviceId }
+    }
+  },
+
+  jwtRotate: {
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: { retireImmediately: { type: 'boolean' } }
+    }
+  },
+
+  deviceParams: {
+    params: {
+      type: 'object',
+      required: ['deviceId'],
+      properties: { deviceId }
+    }
+  },
+
+  verifyCommand: {
+    body: {
+      type: 'object',
+      required: ['signedCommand'],
+      additionalProperties: false,
+      properties: {
+        signedCommand: {
+          type: 'object',
+          required: ['type', 'senderId', 'receiverId', 'command', 'nonce', 'expiresAt', 'keyId', 'signature'],
+          additionalProperties: false,
+          properties: {
+            type: { const: 'COMMAND' },
+            senderId: deviceId,
+            receiverId: deviceId,
+            command: { type: 'string', minLength: 1, maxLength: 256 },
+            nonce: { type: 'string', pattern: '^[A-Za-z0-9_-]{8,128}$' }, // Becomes a document ID
+            expiresAt: { type: ['integer', 'string'] },                  // Epoch ms or ISO date
+            keyId,
+            signature
+          }
+        }
+      }
+    }
+  },
+
+  pairingConfirm: {
+    body: {
+      type: 'object',
+      required: ['peerDeviceId'],
+      additionalProperties: false,
+      properties: { peerDeviceId: deviceId }
+    }
+  },
+
+  pairingRevoke: {
+    body: {
+      type: 'object',
+      required: ['deviceId1', 'deviceId2'],
+      additionalProperties: false,
+      properties: { deviceId1: deviceId, deviceId2: deviceId }
+    }
+  },
+
+  commandLog: {
+    body: {
+      type: 'object',
+      required: ['senderId', 'receiverId', 'command', 'nonce'],
+      additionalProperties: false,
+      properties: {
+        senderId: deviceId,
+        receiverId: deviceId,
+        command: { type: 'string', minLength: 1, maxLength: 256 },
+        nonce: { type: 'string', maxLength: 128 },
+        result: {}
+      }
+    }
+  },
+
+  pairingHandshake: {
+    body: {
+      type: 'object',
+      required: ['token', 'publicKey'],
+      additionalProperties: false,
+      properties: { token, publicKey }
+    }
+  },
+
+  pairingHandshakeReveal: {
+    body: {
+      type: 'object',
+      required: ['receiverDeviceId', 'publicKey'],
+      additionalProperties: false,
+      properties: { receiverDeviceId: deviceId, publicKey }
+    }
+  },
+
+  handshakeParams: {
+    params: {
+      type: 'object',
+      required: ['senderDeviceId', 'receiverDeviceId'],
+      properties: { senderDeviceId: deviceId, receiverDeviceId: deviceId }
+    }
+  },
+
+  arqSession: {
+    params: arqSessionParams,
+    body: {
+      type: 'object',
+      required: ['receiverDeviceId'],
+      additionalProperties: false,
+      properties: { receiverDeviceId: deviceId }
+    }
+  },
+
+  arqAck: {
+    params: arqSessionParams,
+    body: {
+      type: 'object',
+      required: ['mode', 'session', 'ackId', 'missing'],
+      additionalProperties: false,
+      properties: {
+        mode: { const: 'arq_ack' },
+        session: { type: 'integer', minimum: 0 },
+        ackId: { type: 'integer', minimum: 0 },
+        total: { type: 'integer', minimum: 0 },
+        received: { type: 'integer', minimum: 0 },
+        last: { type: 'integer', minimum: -1 },
+        through: { type: 'integer', minimum: -1 },
+        missing: { type: 'array', maxItems: 64, items: { type: 'integer', minimum: 0 } },
+        complete: { type: 'boolean' }
+      }
+    }
+  },
+
+  arqSessionParams: {
+    params: arqSessionParams
+  }
+};
+
+module.exports = { schemas };
@@ -1,75 +1,338 @@
 const express = require('express');
 const cors = require('cors');
-const jwt = require('jsonwebtoken');
-const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
 require('dotenv').config();
+const { createStorage } = require('./storage');
+const { createTokenService } = require('./tokens');
+const { rateLimit, byIp } = require('./middleware/rateLimit');
+const { createRequestValidator } = require('./middleware/validate');
+const { createDeviceAuth, requireParticipant } = require('./middleware/deviceAuth');
+const { openapi } = require('./openapi');
 
-// Initialize Firebase Admin
-const serviceAccount = {
-  type: "service_account",
-  project_id: process.env.FIREBASE_PROJECT_ID || "vigil-edge",
-  private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-  private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-  client_email: process.env.FIREBASE_CLIENT_EMAIL,
-  client_id: process.env.FIREBASE_CLIENT_ID,
-  auth_uri: "https://accounts.google.com/o/oauth2/auth",
-  token_uri: "https://oauth2.googleapis.com/token",
-  auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-  client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
+const storage = createStorage();
+const tokens = createTokenService(storage);
+const validateRequest = createRequestValidator(openapi);
+const { authenticate: authenticateDevice, requireDevice } = createDeviceAuth(tokens, storage);
+const app = express();
+app.locals.storage = storage; // For tests seeding data the routes read
+const PORT = process.env.PORT || 3000;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Admin routes are disabled without it
+const CLOCK_SKEW_MS = Number(process.env.CLOCK_SKEW_MS) || 2 * 60 * 1000; // Tolerated drift between device clocks and ours
+const MAX_COMMAND_LIFETIME_MS = 10 * 60 * 1000; // Latest expiry a signed command may ask for
+const DEVICE_CHALLENGE_TTL_MS = 60 * 1000; // How long a login challenge can be answered
+const PAIRING_CONFIRMATION_TTL_MS = 10 * 60 * 1000; // How long one device's confirmation waits for the other's
+const ARQ_SESSION_TTL_MS = 10 * 60 * 1000; // How long an ARQ session and its acknowledgments last
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex'); // DER header of a raw Ed25519 public key
+
+// Error codes of /pairing/verify-command
+const COMMAND_ERRORS = {
+  INVALID_COMMAND: 'INVALID_COMMAND',
+  NOT_PAIRED: 'NOT_PAIRED',
+  COMMAND_EXPIRED: 'COMMAND_EXPIRED',
+  EXPIRY_TOO_FAR: 'EXPIRY_TOO_FAR',
+  UNKNOWN_SENDER_KEY: 'UNKNOWN_SENDER_KEY',
+  KEY_REVOKED: 'KEY_REVOKED',
+  SIGNATURE_INVALID: 'SIGNATURE_INVALID',
+  NONCE_REUSED: 'NONCE_REUSED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
 };
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  databaseURL: `https://${process.env.FIREBASE_PROJECT_ID || "vigil-edge"}.firebaseio.com`
-});
+// Error codes of the /devices routes
+const DEVICE_ERRORS = {
+  DEVICE_NOT_REGISTERED: 'DEVICE_NOT_REGISTERED',
+  DEVICE_EXISTS: 'DEVICE_EXISTS',
+  REGISTRATION_EXPIRED: 'REGISTRATION_EXPIRED',
+  KEY_MISMATCH: 'KEY_MISMATCH',
+  KEY_REVOKED: 'KEY_REVOKED',
+  SIGNATURE_INVALID: 'SIGNATURE_INVALID',
+  CHALLENGE_INVALID: 'CHALLENGE_INVALID',
+  FORBIDDEN: 'FORBIDDEN'
+};
 
-const db = admin.firestore();
-const app = express();
-const PORT = process.env.PORT || 3000;
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
+// Rate limits: bucket size and refill per second, per IP or per device
+const limitByIp = rateLimit({ name: 'ip', capacity: 120, refillPerSecond: 2, key: req => (req.path === '/health' ? null : byIp(req)) });
+const limitChallengeByIp = rateLimit({ name: 'challenge-ip', capacity: 10, refillPerSecond: 10 / 60, key: byIp });
+const limitChallengeByDevice = rateLimit({ name: 'challenge-device', capacity: 5, refillPerSecond: 5 / 60, key: req => req.device.deviceId });
+const limitTokenUseByIp = rateLimit({ name: 'token-ip', capacity: 20, refillPerSecond: 20 / 60, key: byIp });
+const limitTokenUseByDevice = rateLimit({ name: 'token-device', capacity: 10, refillPerSecond: 10 / 60, key: req => req.device.deviceId });
+const limitLookupByIp = rateLimit({ name: 'lookup-ip', capacity: 30, refillPerSecond: 30 / 60, key: byIp }); // Against enumerating device IDs
+const limitCommandByDevice = rateLimit({ name: 'command-device', capacity: 30, refillPerSecond: 30 / 60, key: req => req.device.deviceId });
+const limitRegisterByIp = rateLimit({ name: 'register-ip', capacity: 5, refillPerSecond: 5 / 60, key: byIp });
+const limitLoginByIp = rateLimit({ name: 'login-ip', capacity: 20, refillPerSecond: 20 / 60, key: byIp });
+// Per IP and device: the device ID is unauthenticated, so alone it would let anyone lock a device out
+const limitLoginByDevice = rateLimit({ name: 'login-device', capacity: 10, refillPerSecond: 10 / 60, key: req => `${byIp(req)}:${req.body.deviceId}` });
+const limitArqSessionByDevice = rateLimit({ name: 'arq-session-device', capacity: 10, refillPerSecond: 10 / 60, key: req => req.device.deviceId });
+const limitAdminByIp = rateLimit({ name: 'admin-ip', capacity: 5, refillPerSecond: 5 / 60, key: byIp });
+
+// Behind a proxy (Railway, Render), req.ip is only the client's with TRUST_PROXY set
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(limitByIp);
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '16kb' }));
 
 // Helper function to log events
 async function logEvent(action, data) {
   try {
-    await db.collection('events').add({
+    await storage.add('events', {
       action,
       ...data,
-      timestamp: admin.firestore.Timestamp.now()
+      timestamp: new Date()
     });
   } catch (error) {
     console.error('Failed to log event:', error);
   }
 }
 
-// POST /auth/challenge
-// Issues JWT token for sender/receiver pair
-app.post('/auth/challenge', async (req, res) => {
+// JSON with object keys sorted at every level, as signed by the devices
+function canonicalJson(value) {
+  const sortKeys = (item) => {
+    if (Array.isArray(item)) return item.map(sortKeys);
+    if (item && typeof item === 'object') {
+      return Object.keys(item).sort().reduce((sorted, key) => {
+        sorted[key] = sortKeys(item[key]);
+        return sorted;
+      }, {});
+    }
+    return item;
+  };
+  const normalized = JSON.stringify(value);
+  return normalized === undefined ? 'null' : JSON.stringify(sortKeys(JSON.parse(normalized)));
+}
+
+// Whether a signed envelope carries a valid Ed25519 signature by the base64 public key
+function verifyEnvelopeSignature(envelope, publicKey) {
   try {
-    const { senderDeviceId, receiverDeviceId } = req.body;
+    const { signature, ...unsigned } = envelope;
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'base64')]),
+      format: 'der',
+      type: 'spki'
+    });
+    return crypto.verify(null, Buffer.from(canonicalJson(unsigned)), key, Buffer.from(signature, 'base64'));
+  } catch (_error) {
+    return false; // Malformed key or signature
+  }
+}
 
-    if (!senderDeviceId || !receiverDeviceId) {
-      return res.status(400).json({
-        success: false,
-        message: 'senderDeviceId and receiverDeviceId are required'
-      });
+// Key ID of a base64 Ed25519 public key, as the devices compute it
+function signingKeyId(publicKey) {
+  return crypto.createHash('sha256').update(Buffer.from(publicKey, 'base64')).digest('hex').slice(0, 16);
+}
+
+// Revocation list entries of both lists, each key ID once
+function mergeRevokedKeys(current, added) {
+  const merged = [...current];
+  added.forEach(entry => {
+    if (!merged.some(revoked => revoked.keyId === entry.keyId)) merged.push(entry);
+  });
+  return merged;
+}
+
+// Whether a request carries the admin API key (compared in constant time)
+function isAdminRequest(req) {
+  const provided = req.get('x-admin-key');
+  if (!ADMIN_API_KEY || !provided) return false;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(provided), digest(ADMIN_API_KEY));
+}
+
+// Reject a request with a status, error code and message
+function rejectRequest(res, status, code, message) {
+  return res.status(status).json({ success: false, code, message });
+}
+
+// POST /devices/register
+// Registers a device's identity key and profile; replacing a registered key takes a device token
+app.post('/devices/register', limitRegisterByIp, validateRequest('registerDevice'), async (req, res) => {
+  try {
+    const registration = req.body;
+    const { deviceId, publicKey, keyId } = registration;
+
+    // Self-signed by the key being registered, recently
+    if (Math.abs(Date.now() - registration.issuedAt) > CLOCK_SKEW_MS) {
+      return rejectRequest(res, 401, DEVICE_ERRORS.REGISTRATION_EXPIRED, 'Registration is too old or from the future; check the device clock');
+    }
+    if (keyId !== signingKeyId(publicKey)) {
+      return rejectRequest(res, 400, DEVICE_ERRORS.KEY_MISMATCH, 'keyId does not match the public key');
+    }
+    if (!verifyEnvelopeSignature(registration, publicKey)) {
+      return rejectRequest(res, 403, DEVICE_ERRORS.SIGNATURE_INVALID, 'Invalid signature');
     }
 
-    const issuedAt = Date.now();
-    const expiresAt = issuedAt + (2 * 60 * 1000); // 2 minutes
+    const existing = await storage.get('devices', deviceId);
+    const profile = (await storage.get('device_profiles', deviceId)) || {};
+    let revokedKeys = mergeRevokedKeys(profile.revokedKeys || [], registration.revokedKeys || []);
+    if (revokedKeys.some(revoked => revoked.keyId === keyId)) {
+      return rejectRequest(res, 403, DEVICE_ERRORS.KEY_REVOKED, 'This key is revoked for the device');
+    }
 
-    const tokenPayload = {
-      senderDeviceId,
-      receiverDeviceId,
-      type: 'auth',
-      issuedAt,
+    // A new key for a registered device: only a session opened with the
+    // current key may swap it, which then stops being accepted
+    const rotated = Boolean(existing) && existing.keyId !== keyId;
+    if (rotated) {
+      const caller = await authenticateDevice(req);
+      if (caller.failure && !req.get('authorization')) {
+        return rejectRequest(res, 409, DEVICE_ERRORS.DEVICE_EXISTS, 'Device is registered with another key; log in with it to rotate');
+      }
+      if (caller.failure) {
+        return rejectRequest(res, caller.failure.status, caller.failure.code, caller.failure.message);
+      }
+      if (caller.device.deviceId !== deviceId) {
+        return rejectRequest(res, 403, DEVICE_ERRORS.FORBIDDEN, 'Device tokens only rotate their own device\'s key');
+      }
+      revokedKeys = mergeRevokedKeys(revokedKeys, [{ keyId: existing.keyId, revokedAt: Date.now(), reason: 'rotated' }]);
+    }
+
+    const profileFields = registration.profile || {};
+    await storage.set('devices', deviceId, {
+      ...(existing || {}),
+      deviceId,
+      keyId,
+      ...profileFields,
+      platform: profileFields.platform || (existing && existing.platform) || 'unknown',
+      status: 'active',
+      registeredAt: existing ? existing.registeredAt : new Date(),
+      lastSeen: new Date()
+    });
+    await storage.set('device_profiles', deviceId, {
+      ...profile,
+      identityKey: {
+        publicKey,
+        keyId,
+        createdAt: profile.identityKey && profile.identityKey.keyId === keyId ? profile.identityKey.createdAt : Date.now()
+      },
+      revokedKeys,
+      updatedAt: new Date()
+    });
+
+    await logEvent(rotated ? 'device_key_rotated' : 'device_registered', {
+      deviceId,
+      keyId
+    });
+
+    res.json({
+      success: true,
+      message: existing ? 'Device registration updated' : 'Device registered',
+      deviceId,
+      keyId
+    });
+  } catch (error) {
+    console.error('Device registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /devices/challenge
+// Issues a one-time challenge for a registered device to sign at /devices/login
+app.post('/devices/challenge', limitLoginByIp, validateRequest('createDeviceChallenge'), limitLoginByDevice, async (req, res) => {
+  try {
+    const { deviceId } = req.body;
+
+    const device = await storage.get('devices', deviceId);
+    if (!device || device.status !== 'active') {
+      return rejectRequest(res, 404, DEVICE_ERRORS.DEVICE_NOT_REGISTERED, 'Device is not registered');
+    }
+
+    const challenge = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + DEVICE_CHALLENGE_TTL_MS;
+    await storage.set('device_challenges', challenge, {
+      deviceId,
+      expiresAt,
+      expireAt: new Date(expiresAt)
+    });
+
+    res.json({
+      success: true,
+      challenge,
       expiresAt
-    };
+    });
+  } catch (error) {
+    console.error('Device challenge error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /devices/login
+// Exchanges a challenge signed with the device's identity key for a short-lived device token
+app.post('/devices/login', limitLoginByIp, validateRequest('loginDevice'), limitLoginByDevice, async (req, res) => {
+  try {
+    const login = req.body;
+    const { deviceId, challenge } = login;
+
+    const issued = await storage.get('device_challenges', challenge);
+    if (!issued || issued.deviceId !== deviceId || Date.now() > issued.expiresAt) {
+      return rejectRequest(res, 401, DEVICE_ERRORS.CHALLENGE_INVALID, 'Unknown or expired challenge');
+    }
+    // Each challenge is answered once, even by concurrent requests
+    const consumed = await storage.create('device_challenge_uses', challenge, {
+      deviceId,
+      usedAt: new Date(),
+      expireAt: new Date(issued.expiresAt)
+    });
+    if (!consumed) {
+      return rejectRequest(res, 401, DEVICE_ERRORS.CHALLENGE_INVALID, 'Challenge already used');
+    }
+
+    const device = await storage.get('devices', deviceId);
+    const profile = await storage.get('device_profiles', deviceId);
+    if (!device || device.status !== 'active' || !profile || !profile.identityKey) {
+      return rejectRequest(res, 404, DEVICE_ERRORS.DEVICE_NOT_REGISTERED, 'Device is not registered');
+    }
+    if (login.keyId !== device.keyId) {
+      return rejectRequest(res, 403, DEVICE_ERRORS.KEY_MISMATCH, 'Signed with a key that is not the registered one');
+    }
+    if (!verifyEnvelopeSignature(login, profile.identityKey.publicKey)) {
+      return rejectRequest(res, 403, DEVICE_ERRORS.SIGNATURE_INVALID, 'Invalid signature');
+    }
+
+    const { token, expiresAt } = await tokens.issueDeviceToken(deviceId, device.keyId);
+    await storage.update('devices', deviceId, { lastSeen: new Date() });
+
+    // On Firestore the app also uses the database directly, signed in as
+    // the device so firestore.rules can tell devices apart
+    const firebaseToken = storage.createCustomToken
+      ? await storage.createCustomToken(deviceId, { keyId: device.keyId })
+      : null;
+
+    await logEvent('device_logged_in', {
+      deviceId,
+      keyId: device.keyId
+    });
 
-    const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: '2m' });
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      firebaseToken
+    });
+  } catch (error) {
+    console.error('Device login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /auth/challenge
+// Issues JWT token for sender/receiver pair (the calling device must be the sender)
+app.post('/auth/challenge', limitChallengeByIp, requireDevice, validateRequest('createAuthChallenge'), requireParticipant(req => [req.body.senderDeviceId]), limitChallengeByDevice, async (req, res) => {
+  try {
+    const { senderDeviceId, receiverDeviceId } = req.body;
+
+    // Valid for 2 minutes, for this receiver only
+    const { token, expiresAt } = await tokens.issueAuthToken(senderDeviceId, receiverDeviceId);
 
     // Log the challenge creation
     await logEvent('auth_challenge_created', {
@@ -93,34 +356,27 @@ app.post('/auth/challenge', async (req, res) => {
 });
 
 // POST /auth/verify
-// Verifies JWT token
-app.post('/auth/verify', async (req, res) => {
+// Verifies a JWT token for the receiver it was issued to, once (the calling device must be the receiver)
+app.post('/auth/verify', limitTokenUseByIp, requireDevice, validateRequest('verifyAuthToken'), requireParticipant(req => [req.body.receiverDeviceId]), limitTokenUseByDevice, async (req, res) => {
   try {
-    const { token } = req.body;
-
-    if (!token) {
-      return res.status(400).json({
-        success: false,
-        message: 'Token is required'
-      });
-    }
+    const { token, receiverDeviceId } = req.body;
 
-    // Verify the token
-    const decoded = jwt.verify(token, JWT_SECRET);
+    // Verify the signature, issuer and audience
+    const decoded = await tokens.verifyAuthToken(token, receiverDeviceId);
 
-    // Check if it's an auth token
-    if (decoded.type !== 'auth') {
-      return res.status(400).json({
+    // Check expiration
+    if (Date.now() > decoded.expiresAt) {
+      return res.status(401).json({
         success: false,
-        message: 'Invalid token type'
+        message: 'Token expired'
       });
     }
 
-    // Check expiration
-    if (Date.now() > decoded.expiresAt) {
+    // A token flashed by light can be filmed; only its first use counts
+    if (!(await tokens.consumeToken(decoded, 'verify'))) {
       return res.status(401).json({
         success: false,
-        message: 'Token expired'
+        message: 'Token already used'
       });
     }
 
@@ -161,35 +417,58 @@ app.post('/auth/verify', async (req, res) => {
   }
 });
 
-// GET /config/:deviceId
-// Returns device configuration
-app.get('/config/:deviceId', async (req, res) => {
+// POST /admin/jwt/rotate
+// Start signing tokens with a new key (requires the x-admin-key header)
+app.post('/admin/jwt/rotate', limitAdminByIp, validateRequest('rotateJwtKeys'), async (req, res) => {
   try {
-    const { deviceId } = req.params;
-
-    if (!deviceId) {
-      return res.status(400).json({
+    if (!isAdminRequest(req)) {
+      return res.status(ADMIN_API_KEY ? 401 : 503).json({
         success: false,
-        message: 'Device ID is required'
+        message: ADMIN_API_KEY ? 'Invalid admin key' : 'Admin API is disabled'
       });
     }
 
-    // Get config from Firestore
-    const configDoc = await db.collection('configs').doc(deviceId).get();
+    // Compromised keys stop verifying at once instead of after the grace period
+    const keys = await tokens.rotateKeys({ retireImmediately: req.body.retireImmediately === true });
+
+    await logEvent('jwt_key_rotated', {
+      kid: keys[keys.length - 1].kid,
+      retireImmediately: req.body.retireImmediately === true
+    });
+
+    res.json({
+      success: true,
+      message: 'Signing key rotated',
+      keys
+    });
+  } catch (error) {
+    console.error('JWT rotation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
 
-    if (!configDoc.exists) {
+// GET /config/:deviceId
+// Returns device configuration
+app.get('/config/:deviceId', limitLookupByIp, validateRequest('getConfig'), async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const config = await storage.get('configs', deviceId);
+
+    if (!config) {
       return res.status(404).json({
         success: false,
         message: 'Configuration not found for this device'
       });
     }
 
-    const config = configDoc.data();
-
     // Log config access
     await logEvent('config_accessed', {
       deviceId,
-      configId: configDoc.id
+      configId: deviceId
     });
 
     res.json({
@@ -206,60 +485,59 @@ app.get('/config/:deviceId', async (req, res) => {
 });
 
 // POST /pairing/verify-command
-// Verifies signed command payload
-app.post('/pairing/verify-command', async (req, res) => {
+// Verifies a signed command against the sender's identity key and reserves its nonce (called by the receiver)
+app.post('/pairing/verify-command', requireDevice, validateRequest('verifyCommand'), requireParticipant(req => [req.body.signedCommand.receiverId]), limitCommandByDevice, async (req, res) => {
   try {
     const { signedCommand } = req.body;
 
-    if (!signedCommand) {
-      return res.status(400).json({
-        success: false,
-        message: 'signedCommand is required'
-      });
+    // Check expiration, allowing for clock skew either way
+    const expiresAt = typeof signedCommand.expiresAt === 'number'
+      ? signedCommand.expiresAt
+      : Date.parse(signedCommand.expiresAt);
+    const now = Date.now();
+    if (!Number.isFinite(expiresAt)) {
+      return rejectRequest(res, 400, COMMAND_ERRORS.INVALID_COMMAND, 'Malformed expiresAt');
     }
-
-    // Basic validation of command structure
-    const requiredFields = ['type', 'senderId', 'receiverId', 'command', 'nonce', 'expiresAt', 'signature'];
-    for (const field of requiredFields) {
-      if (!signedCommand[field]) {
-        return res.status(400).json({
-          success: false,
-          message: `Missing required field: ${field}`
-        });
-      }
+    if (now > expiresAt + CLOCK_SKEW_MS) {
+      return rejectRequest(res, 401, COMMAND_ERRORS.COMMAND_EXPIRED, 'Command expired');
+    }
+    if (expiresAt > now + MAX_COMMAND_LIFETIME_MS + CLOCK_SKEW_MS) {
+      return rejectRequest(res, 401, COMMAND_ERRORS.EXPIRY_TOO_FAR, 'Command expires too far in the future');
     }
 
     // Check if devices are paired
     const pairingId = [signedCommand.senderId, signedCommand.receiverId].sort().join('_');
-    const pairingDoc = await db.collection('pairings').doc(pairingId).get();
+    const pairing = await storage.get('pairings', pairingId);
 
-    if (!pairingDoc.exists() || pairingDoc.data().status !== 'active') {
-      return res.status(403).json({
-        success: false,
-        message: 'Devices are not paired'
-      });
+    if (!pairing || pairing.status !== 'active') {
+      return rejectRequest(res, 403, COMMAND_ERRORS.NOT_PAIRED, 'Devices are not paired');
     }
 
-    // Check expiration
-    if (Date.now() > signedCommand.expiresAt) {
-      return res.status(401).json({
-        success: false,
-        message: 'Command expired'
-      });
-    }
+    // Verify the signature against the sender's registered identity key
+    const profile = (await storage.get('device_profiles', signedCommand.senderId)) || {};
+    const revokedKeys = profile.revokedKeys || [];
 
-    // Check for replay attack (simple check against recent commands)
-    const recentCommands = await db.collection('command_logs')
-      .where('nonce', '==', signedCommand.nonce)
-      .where('senderId', '==', signedCommand.senderId)
-      .limit(1)
-      .get();
+    if (revokedKeys.some(revoked => revoked.keyId === signedCommand.keyId)) {
+      return rejectRequest(res, 403, COMMAND_ERRORS.KEY_REVOKED, 'Signed with a revoked key');
+    }
+    if (!profile.identityKey || profile.identityKey.keyId !== signedCommand.keyId) {
+      return rejectRequest(res, 403, COMMAND_ERRORS.UNKNOWN_SENDER_KEY, 'Signed with a key the sender has not registered');
+    }
+    if (!verifyEnvelopeSignature(signedCommand, profile.identityKey.publicKey)) {
+      return rejectRequest(res, 403, COMMAND_ERRORS.SIGNATURE_INVALID, 'Invalid signature');
+    }
 
-    if (!recentCommands.empty) {
-      return res.status(403).json({
-        success: false,
-        message: 'Command already executed (replay attack)'
-      });
+    // Reserve the nonce; create() fails if it exists, so concurrent replays
+    // cannot both pass. The document expires at expireAt (see storage/index.js).
+    const reserved = await storage.create('command_nonces', `${signedCommand.senderId}_${signedCommand.nonce}`, {
+      senderId: signedCommand.senderId,
+      receiverId: signedCommand.receiverId,
+      nonce: signedCommand.nonce,
+      reservedAt: new Date(),
+      expireAt: new Date(expiresAt + CLOCK_SKEW_MS)
+    });
+    if (!reserved) {
+      return rejectRequest(res, 409, COMMAND_ERRORS.NONCE_REUSED, 'Command already executed (replay attack)');
     }
 
     // Log command verification
@@ -267,7 +545,8 @@ app.post('/pairing/verify-command', async (req, res) => {
       senderId: signedCommand.senderId,
       receiverId: signedCommand.receiverId,
       command: signedCommand.command,
-      nonce: signedCommand.nonce
+      nonce: signedCommand.nonce,
+      keyId: signedCommand.keyId
     });
 
     res.json({
@@ -277,34 +556,21 @@ app.post('/pairing/verify-command', async (req, res) => {
     });
   } catch (error) {
     console.error('Command verification error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error'
-    });
+    rejectRequest(res, 500, COMMAND_ERRORS.INTERNAL_ERROR, 'Internal server error');
   }
 });
 
 // GET /pairing/status/:deviceId
 // Get pairing status for a device
-app.get('/pairing/status/:deviceId', async (req, res) => {
+app.get('/pairing/status/:deviceId', limitLookupByIp, validateRequest('getPairingStatus'), async (req, res) => {
   try {
     const { deviceId } = req.params;
 
-    if (!deviceId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Device ID is required'
-      });
-    }
-
     // Get pairings where this device is involved
-    const pairingsRef = db.collection('pairings');
-    const pairingsQuery = pairingsRef.where('devices', 'array-contains', deviceId);
-    const pairingsSnapshot = await pairingsQuery.get();
+    const pairings = await storage.findByArrayValue('pairings', 'devices', deviceId);
 
     const pairedDevices = [];
-    pairingsSnapshot.forEach(doc => {
-      const pairing = doc.data();
+    pairings.forEach(pairing => {
       if (pairing.status === 'active') {
         const otherDevice = pairing.devices.find(id => id !== deviceId);
         if (otherDevice) {
@@ -332,30 +598,93 @@ app.get('/pairing/status/:deviceId', async (req, res) => {
   }
 });
 
-// POST /pairing/revoke
-// Revoke pairing between devices
-app.post('/pairing/revoke', async (req, res) => {
+// POST /pairing/confirm
+// Confirm pairing with a device once the users compared the SAS; the backend
+// activates the pairing when both devices have confirmed each other
+app.post('/pairing/confirm', requireDevice, validateRequest('confirmPairing'), async (req, res) => {
   try {
-    const { deviceId1, deviceId2 } = req.body;
+    const { deviceId } = req.device;
+    const { peerDeviceId } = req.body;
 
-    if (!deviceId1 || !deviceId2) {
-      return res.status(400).json({
-        success: false,
-        message: 'Both deviceId1 and deviceId2 are required'
+    if (peerDeviceId === deviceId) {
+      return rejectRequest(res, 400, 'INVALID_REQUEST', 'A device cannot pair with itself');
+    }
+    if (!(await storage.get('devices', peerDeviceId))) {
+      return rejectRequest(res, 404, DEVICE_ERRORS.DEVICE_NOT_REGISTERED, 'Device is not registered');
+    }
+
+    await storage.set('pairing_confirmations', `${deviceId}_${peerDeviceId}`, {
+      deviceId,
+      peerDeviceId,
+      confirmedAt: new Date(),
+      expireAt: new Date(Date.now() + PAIRING_CONFIRMATION_TTL_MS)
+    });
+
+    // A confirmation counts once, so a revoked pairing needs both devices again
+    const peerConfirmationId = `${peerDeviceId}_${deviceId}`;
+    const peerConfirmation = await storage.get('pairing_confirmations', peerConfirmationId);
+    if (!peerConfirmation || peerConfirmation.usedAt) {
+      return res.json({
+        success: true,
+        status: 'pending',
+        message: 'Waiting for the other device to confirm'
       });
     }
 
-    const pairingId = [deviceId1, deviceId2].sort().join('_');
-    const pairingRef = db.collection('pairings').doc(pairingId);
+    const pairingId = [deviceId, peerDeviceId].sort().join('_');
+    await storage.set('pairings', pairingId, {
+      id: pairingId,
+      devices: [peerDeviceId, deviceId],
+      establishedAt: new Date(),
+      status: 'active',
+      lastActivity: new Date()
+    });
+    await storage.update('pairing_confirmations', peerConfirmationId, { usedAt: new Date() });
+    await storage.update('pairing_confirmations', `${deviceId}_${peerDeviceId}`, { usedAt: new Date() });
+
+    await logEvent('pairing_established', {
+      deviceId1: peerDeviceId,
+      deviceId2: deviceId
+    });
+
+    res.json({
+      success: true,
+      status: 'active',
+      message: 'Pairing established'
+    });
+  } catch (error) {
+    console.error('Pairing confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
 
-    await pairingRef.update({
+// POST /pairing/revoke
+// Revoke pairing between devices (the calling device must be one of them)
+app.post('/pairing/revoke', requireDevice, validateRequest('revokePairing'), requireParticipant(req => [req.body.deviceId1, req.body.deviceId2]), async (req, res) => {
+  try {
+    const { deviceId1, deviceId2 } = req.body;
+
+    const pairingId = [deviceId1, deviceId2].sort().join('_');
+    const revoked = await storage.update('pairings', pairingId, {
       status: 'revoked',
-      revokedAt: admin.firestore.Timestamp.now()
+      revokedAt: new Date()
     });
 
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        code: 'PAIRING_NOT_FOUND',
+        message: 'Pairing not found'
+      });
+    }
+
     await logEvent('pairing_revoked', {
       deviceId1,
-      deviceId2
+      deviceId2,
+      revokedBy: req.device.deviceId
     });
 
     res.json({
@@ -372,18 +701,18 @@ app.post('/pairing/revoke', async (req, res) => {
 });
 
 // POST /command/log
-// Log command execution (called after successful verification)
-app.post('/command/log', async (req, res) => {
+// Log command execution (called after successful verification, by the sender or receiver)
+app.post('/command/log', requireDevice, validateRequest('logCommand'), requireParticipant(req => [req.body.senderId, req.body.receiverId]), async (req, res) => {
   try {
     const { senderId, receiverId, command, nonce, result } = req.body;
 
-    await db.collection('command_logs').add({
+    await storage.add('command_logs', {
       senderId,
       receiverId,
       command,
       nonce,
       result,
-      executedAt: admin.firestore.Timestamp.now()
+      executedAt: new Date()
     });
 
     res.json({
@@ -399,6 +728,269 @@ app.post('/command/log', async (req, res) => {
   }
 });
 
+// POST /pairing/handshake
+// Relay the receiver's key agreement public key back to the pairing sender
+app.post('/pairing/handshake', limitTokenUseByIp, requireDevice, validateRequest('answerPairingHandshake'), async (req, res) => {
+  try {
+    const { token, publicKey } = req.body;
+
+    // Only the receiver the pairing token was issued for has it, and it
+    // answers the handshake once
+    const decoded = await tokens.verifyAuthToken(token);
+    if (decoded.receiverDeviceId !== req.device.deviceId) {
+      return res.status(403).json({
+        success: false,
+        code: 'FORBIDDEN',
+        message: 'Only the receiver the token was issued to may answer'
+      });
+    }
+    if (!(await tokens.consumeToken(decoded, 'handshake'))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Handshake already answered for this token'
+      });
+    }
+
+    const handshakeId = `${decoded.senderDeviceId}_${decoded.receiverDeviceId}`;
+    await storage.set('pairing_handshakes', handshakeId, {
+      senderDeviceId: decoded.senderDeviceId,
+      receiverDeviceId: decoded.receiverDeviceId,
+      publicKey,
+      expiresAt: decoded.expiresAt,
+      createdAt: new Date()
+    });
+
+    await logEvent('pairing_handshake_answered', {
+      senderDeviceId: decoded.senderDeviceId,
+      receiverDeviceId: decoded.receiverDeviceId
+    });
+
+    res.json({
+      success: true,
+      message: 'Handshake answer stored'
+    });
+  } catch (error) {
+    console.error('Pairing handshake error:', error);
+
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /pairing/handshake/reveal
+// Relay the pairing sender's key agreement public key to the receiver once
+// the receiver has answered; the receiver checks it against the commitment
+// flashed with the token
+app.post('/pairing/handshake/reveal', requireDevice, validateRequest('revealPairingHandshake'), async (req, res) => {
+  try {
+    const { receiverDeviceId, publicKey } = req.body;
+    const senderDeviceId = req.device.deviceId;
+    const handshakeId = `${senderDeviceId}_${receiverDeviceId}`;
+    const handshake = await storage.get('pairing_handshakes', handshakeId);
+
+    if (!handshake || Date.now() > handshake.expiresAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No handshake answer to reveal to'
+      });
+    }
+    if (handshake.initiatorPublicKey) {
+      return res.status(409).json({
+        success: false,
+        message: 'Key already revealed for this handshake'
+      });
+    }
+
+    await storage.set('pairing_handshakes', handshakeId, {
+      ...handshake,
+      initiatorPublicKey: publicKey,
+      revealedAt: new Date()
+    });
+
+    await logEvent('pairing_handshake_revealed', { senderDeviceId, receiverDeviceId });
+
+    res.json({
+      success: true,
+      message: 'Handshake key revealed'
+    });
+  } catch (error) {
+    console.error('Pairing handshake reveal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /pairing/handshake/:senderDeviceId/:receiverDeviceId
+// Receiver's key agreement public key, polled by the pairing sender, and the
+// sender's once revealed, polled by the receiver
+app.get('/pairing/handshake/:senderDeviceId/:receiverDeviceId', limitLookupByIp, validateRequest('getPairingHandshake'), async (req, res) => {
+  try {
+    const { senderDeviceId, receiverDeviceId } = req.params;
+    const handshake = await storage.get('pairing_handshakes', `${senderDeviceId}_${receiverDeviceId}`);
+
+    if (!handshake || Date.now() > handshake.expiresAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'No handshake answer yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      publicKey: handshake.publicKey,
+      ...(handshake.initiatorPublicKey ? { initiatorPublicKey: handshake.initiatorPublicKey } : {})
+    });
+  } catch (error) {
+    console.error('Pairing handshake lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// The ARQ session of the request when the calling device is its `role`
+// ('senderDeviceId' or 'receiverDeviceId'); otherwise answers and returns null
+async function getArqSession(req, res, role) {
+  const session = await storage.get('arq_sessions', req.params.sessionId);
+  if (!session) {
+    rejectRequest(res, 404, 'SESSION_NOT_FOUND', 'Unknown or expired session');
+    return null;
+  }
+  if (session[role] !== req.device.deviceId) {
+    rejectRequest(res, 403, 'FORBIDDEN', 'Device is not part of this session');
+    return null;
+  }
+  return session;
+}
+
+// POST /arq/:sessionId
+// Open an ARQ session: only the calling sender and the given receiver relay its acknowledgments until it expires
+app.post('/arq/:sessionId', requireDevice, validateRequest('openArqSession'), limitArqSessionByDevice, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { receiverDeviceId } = req.body;
+    const senderDeviceId = req.device.deviceId;
+
+    const opened = await storage.create('arq_sessions', sessionId, {
+      senderDeviceId,
+      receiverDeviceId,
+      createdAt: new Date(),
+      expireAt: new Date(Date.now() + ARQ_SESSION_TTL_MS)
+    });
+
+    // Opening it again is fine for the same pair of devices
+    if (!opened) {
+      const existing = await storage.get('arq_sessions', sessionId);
+      if (!existing || existing.senderDeviceId !== senderDeviceId || existing.receiverDeviceId !== receiverDeviceId) {
+        return rejectRequest(res, 409, 'SESSION_EXISTS', 'Session is in use by other devices');
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Session opened'
+    });
+  } catch (error) {
+    console.error('ARQ session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// POST /arq/:sessionId/ack
+// Relay an ARQ acknowledgment from the session's receiver back to its sender (latest one wins)
+app.post('/arq/:sessionId/ack', requireDevice, validateRequest('postArqAck'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const ack = req.body;
+
+    if (!(await getArqSession(req, res, 'receiverDeviceId'))) return;
+
+    if (String(ack.session) !== sessionId) {
+      return res.status(400).json({
+        success: false,
+        code: 'INVALID_REQUEST',
+        message: 'Acknowledgment is for another session'
+      });
+    }
+
+    const existing = await storage.get('arq_acks', sessionId);
+    if (existing && existing.ack.ackId >= ack.ackId) {
+      return res.json({
+        success: true,
+        message: 'Newer acknowledgment already stored'
+      });
+    }
+
+    await storage.set('arq_acks', sessionId, {
+      ack,
+      updatedAt: new Date(),
+      expireAt: new Date(Date.now() + ARQ_SESSION_TTL_MS)
+    });
+
+    res.json({
+      success: true,
+      message: 'Acknowledgment stored'
+    });
+  } catch (error) {
+    console.error('ARQ ack error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /arq/:sessionId/ack
+// Latest ARQ acknowledgment for a session, polled by its sender
+app.get('/arq/:sessionId/ack', requireDevice, validateRequest('getArqAck'), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!(await getArqSession(req, res, 'senderDeviceId'))) return;
+
+    const stored = await storage.get('arq_acks', sessionId);
+
+    if (!stored) {
+      return res.status(404).json({
+        success: false,
+        message: 'No acknowledgment yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      ack: stored.ack
+    });
+  } catch (error) {
+    console.error('ARQ ack lookup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// GET /openapi.json
+// OpenAPI document of this API
+app.get('/openapi.json', (req, res) => {
+  res.json(openapi);
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -410,6 +1002,22 @@ app.get('/health', (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  // Body parser rejections, shaped like the validation errors
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      code: 'PAYLOAD_TOO_LARGE',
+      message: 'Request body too large'
+    });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      code: 'INVALID_REQUEST',
+      message: 'Request body is not valid JSON'
+    });
+  }
+
   console.error('Unhandled error:', err);
   res.status(500).json({
     success: false,
@@ -417,10 +1025,12 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-});
+// Start server when run directly, so the app can also be required
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT} (${storage.adapter} storage)`);
+    console.log(`Health check: http://localhost:${PORT}/health`);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,102 @@
+const admin = require('firebase-admin');
+
+// Firestore storage through the Admin SDK, configured from the FIREBASE_*
+// environment variables, or the emulator at FIRESTORE_EMULATOR_HOST.
+// Timestamps read back are turned into Dates. The TTL policy on expireAt
+// deletes expired documents up to a day late, so reads skip them as well and
+// create() takes over their IDs.
+
+// Document data with Firestore Timestamps replaced by Dates
+function toPlain(value) {
+  if (value instanceof admin.firestore.Timestamp) return value.toDate();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toPlain(item)]));
+  }
+  return value;
+}
+
+// Whether a document's expireAt has passed; documents without one never expire
+function isExpired(data, now = Date.now()) {
+  return data.expireAt !== undefined && new Date(data.expireAt).getTime() <= now;
+}
+
+// Plain data of a snapshot, or null when it is missing or expired
+function liveData(snapshot) {
+  if (!snapshot.exists) return null;
+  const data = toPlain(snapshot.data());
+  return isExpired(data) ? null : data;
+}
+
+function createFirestoreStorage() {
+  const serviceAccount = {
+    type: "service_account",
+    project_id: process.env.FIREBASE_PROJECT_ID || "vigil-edge",
+    private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
+    private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    client_email: process.env.FIREBASE_CLIENT_EMAIL,
+    client_id: process.env.FIREBASE_CLIENT_ID,
+    auth_uri: "https://accounts.google.com/o/oauth2/auth",
+    token_uri: "https://oauth2.googleapis.com/token",
+    auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
+    client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
+  };
+
+  admin.initializeApp(process.env.FIRESTORE_EMULATOR_HOST
+    ? { projectId: serviceAccount.project_id }
+    : {
+      credential: admin.credential.cert(serviceAccount),
+      databaseURL: `https://${process.env.FIREBASE_PROJECT_ID || "vigil-edge"}.firebaseio.com`
+    });
+
+  const db = admin.firestore();
+
+  return {
+    async get(collection, id) {
+      return liveData(await db.collection(collection).doc(id).get());
+    },
+
+    async set(collection, id, data) {
+      await db.collection(collection).doc(id).set(data);
+    },
+
+    // In a transaction, so an expired document the TTL policy has not
+    // deleted yet is replaced atomically
+    async create(collection, id, data) {
+      const ref = db.collection(collection).doc(id);
+      return db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        if (liveData(snapshot)) return false;
+        transaction.set(ref, data);
+        return true;
+      });
+    },
+
+    async update(collection, id, changes) {
+      const ref = db.collection(collection).doc(id);
+      return db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        if (!liveData(snapshot)) return false;
+        transaction.update(ref, changes);
+        return true;
+      });
+    },
+
+    async add(collection, data) {
+      const ref = await db.collection(collection).add(data);
+      return ref.id;
+    },
+
+    async findByArrayValue(collection, field, value) {
+      const snapshot = await db.collection(collection).where(field, 'array-contains', value).get();
+      return snapshot.docs.map(liveData).filter(Boolean);
+    },
+
+    // Firebase Auth custom token signing the app in as uid (a device ID)
+    async createCustomToken(uid, claims = {}) {
+      return admin.auth().createCustomToken(uid, claims);
+    }
+  };
+}
+
+module.exports = { createFirestoreStorage };
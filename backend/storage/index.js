@@ -0,0 +1,45 @@
+// Storage layer for the backend
+//
+// Routes talk to a small document store (collections of JSON documents by ID)
+// instead of Firestore directly, so the server also runs on SQLite or in
+// memory. STORAGE_ADAPTER picks the adapter: firestore (default), sqlite or
+// memory. Every adapter implements:
+//
+//   get(collection, id)                     document data, or null
+//   set(collection, id, data)               create or replace a document
+//   create(collection, id, data)            false if the ID is taken (atomic)
+//   update(collection, id, changes)         merge fields, false if missing
+//   add(collection, data)                   store under a new ID, returns it
+//   findByArrayValue(collection, field, v)  documents whose array field holds v
+//
+// Dates go in as Date objects; adapters may hand them back as Dates or ISO
+// strings, which serialize the same in responses.
+//
+// Documents with an `expireAt` date (nonces, challenges, token uses) are gone
+// once it passes: every adapter skips them on reads and lets create() take
+// their IDs. Firestore deletes them through a TTL policy on the field; the
+// SQLite and memory adapters sweep them out every minute, and also have
+// pruneExpired() to sweep on demand.
+//
+// The Firestore adapter also has createCustomToken(uid, claims): the app
+// reads and writes some collections directly, and signs in to Firebase with
+// this token so firestore.rules know which device is calling.
+
+const ADAPTERS = {
+  firestore: () => require('./firestore').createFirestoreStorage(),
+  sqlite: () => require('./sqlite').createSqliteStorage(process.env.SQLITE_PATH),
+  memory: () => require('./memory').createMemoryStorage()
+};
+
+// Storage for an adapter name (STORAGE_ADAPTER when omitted)
+function createStorage(adapter = process.env.STORAGE_ADAPTER || 'firestore') {
+  const factory = ADAPTERS[adapter];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_ADAPTER "${adapter}", expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  const storage = factory();
+  storage.adapter = adapter;
+  return storage;
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+// In-memory storage for local runs and tests; data is gone on restart.
+// Documents are copied through JSON on the way in and out, like the SQLite
+// adapter, so callers never share objects with the store.
+
+const PRUNE_INTERVAL_MS = 60 * 1000; // How often expired documents are swept out
+
+function clone(data) {
+  return JSON.parse(JSON.stringify(data));
+}
+
+// Whether a stored document's expireAt has passed; documents without one never expire
+function isExpired(data, now = Date.now()) {
+  return data.expireAt !== undefined && new Date(data.expireAt).getTime() <= now;
+}
+
+function createMemoryStorage({ pruneIntervalMs = PRUNE_INTERVAL_MS } = {}) {
+  const collections = new Map();
+
+  const getCollection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  // Document data unless it has expired, which deletes it
+  const getLive = (documents, id) => {
+    const data = documents.get(id);
+    if (data && isExpired(data)) {
+      documents.delete(id);
+      return null;
+    }
+    return data || null;
+  };
+
+  // Delete every expired document, returns how many went
+  const pruneExpired = () => {
+    const now = Date.now();
+    let pruned = 0;
+    for (const documents of collections.values()) {
+      for (const [id, data] of documents) {
+        if (isExpired(data, now)) {
+          documents.delete(id);
+          pruned++;
+        }
+      }
+    }
+    return pruned;
+  };
+
+  // Nonces, challenges and token uses would otherwise pile up on a long-running server
+  setInterval(pruneExpired, pruneIntervalMs).unref();
+
+  return {
+    async get(collection, id) {
+      const data = getLive(getCollection(collection), id);
+      return data ? clone(data) : null;
+    },
+
+    async set(collection, id, data) {
+      getCollection(collection).set(id, clone(data));
+    },
+
+    async create(collection, id, data) {
+      const documents = getCollection(collection);
+      if (getLive(documents, id)) return false;
+      documents.set(id, clone(data));
+      return true;
+    },
+
+    async update(collection, id, changes) {
+      const documents = getCollection(collection);
+      const existing = getLive(documents, id);
+      if (!existing) return false;
+      documents.set(id, { ...existing, ...clone(changes) });
+      return true;
+    },
+
+    async add(collection, data) {
+      const id = crypto.randomUUID();
+      getCollection(collection).set(id, clone(data));
+      return id;
+    },
+
+    async findByArrayValue(collection, field, value) {
+      return Array.from(getCollection(collection).values())
+        .filter(data => !isExpired(data) && Array.isArray(data[field]) && data[field].includes(value))
+        .map(clone);
+    },
+
+    async pruneExpired() {
+      return pruneExpired();
+    }
+  };
+}
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+// SQLite storage: one table of JSON documents keyed by collection and ID.
+// Needs the optional better-sqlite3 dependency; its calls are synchronous, so
+// each statement (and each update's read-merge-write) runs without interleaving.
+
+const PRUNE_INTERVAL_MS = 60 * 1000; // How often expired documents are swept out
+
+// Documents whose expireAt has not passed (or that have none); dates are
+// stored as ISO strings, which compare in time order
+const LIVE = "(json_extract(data, '$.expireAt') IS NULL OR json_extract(data, '$.expireAt') > ?)";
+const EXPIRED = "json_extract(data, '$.expireAt') <= ?";
+
+function createSqliteStorage(filename = 'lightsync.db', { pruneIntervalMs = PRUNE_INTERVAL_MS } = {}) {
+  const Database = require('better-sqlite3');
+  const db = new Database(filename);
+
+  db.pragma('journal_mode = WAL');
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const statements = {
+    get: db.prepare(`SELECT data FROM documents WHERE collection = ? AND id = ? AND ${LIVE}`),
+    set: db.prepare('INSERT OR REPLACE INTO documents (collection, id, data) VALUES (?, ?, ?)'),
+    create: db.prepare('INSERT OR IGNORE INTO documents (collection, id, data) VALUES (?, ?, ?)'),
+    replace: db.prepare('UPDATE documents SET data = ? WHERE collection = ? AND id = ?'),
+    deleteExpired: db.prepare(`DELETE FROM documents WHERE collection = ? AND id = ? AND ${EXPIRED}`),
+    pruneExpired: db.prepare(`DELETE FROM documents WHERE ${EXPIRED}`),
+    findByArrayValue: db.prepare(`
+      SELECT data FROM documents
+      WHERE collection = ? AND ${LIVE} AND EXISTS (
+        SELECT 1 FROM json_each(documents.data, '$.' || ?) WHERE json_each.value = ?
+      )
+    `)
+  };
+
+  const now = () => new Date().toISOString();
+
+  const read = (collection, id) => {
+    const row = statements.get.get(collection, id, now());
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  // An expired document no longer holds its ID
+  const create = db.transaction((collection, id, data) => {
+    statements.deleteExpired.run(collection, id, now());
+    return statements.create.run(collection, id, JSON.stringify(data)).changes === 1;
+  });
+
+  const pruneExpired = () => statements.pruneExpired.run(now()).changes;
+
+  // Nonces, challenges and token uses would otherwise pile up on a long-running server
+  setInterval(pruneExpired, pruneIntervalMs).unref();
+
+  const update = db.transaction((collection, id, changes) => {
+    const existing = read(collection, id);
+    if (!existing) return false;
+    statements.replace.run(JSON.stringify({ ...existing, ...changes }), collection, id);
+    return true;
+  });
+
+  return {
+    async get(collection, id) {
+      return read(collection, id);
+    },
+
+    async set(collection, id, data) {
+      statements.set.run(collection, id, JSON.stringify(data));
+    },
+
+    async create(collection, id, data) {
+      return create(collection, id, data);
+    },
+
+    async update(collection, id, changes) {
+      return update(collection, id, changes);
+    },
+
+    async add(collection, data) {
+      const id = crypto.randomUUID();
+      statements.set.run(collection, id, JSON.stringify(data));
+      return id;
+    },
+
+    async findByArrayValue(collection, field, value) {
+      return statements.findByArrayValue.all(collection, now(), field, value).map(row => JSON.parse(row.data));
+    },
+
+    async pruneExpired() {
+      return pruneExpired();
+    }
+  };
+}
+
+module.exports = { createSqliteStorage };
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Auth tokens signed with a rotating keyring
+//
+// Tokens are HS256 JWTs whose `kid` header names the signing key. The keyring
+// lives in storage so every instance shares it and rotations survive
+// restarts: the newest key signs, and keys replaced by a rotation keep
+// verifying until their retiresAt, so tokens already handed out stay valid.
+// JWT_SECRET only seeds the first key; without it a random one is generated.
+// Tokens name the sender as `sub` and the receiver as `aud`, and each use
+// (verification, handshake answer) is recorded by `jti` so it happens once.
+// Device tokens, issued after a device logs in with its identity key, name
+// the device as `sub` and the key it proved as `keyId`.
+
+const KEYRING_COLLECTION = 'jwt_keys';
+const KEYRING_ID = 'keyring';
+const TOKEN_USES_COLLECTION = 'auth_token_uses';
+const TOKEN_LIFETIME_SECONDS = 2 * 60;
+const DEVICE_TOKEN_AUDIENCE = 'device-api';
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function keyIdFor(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex').slice(0, 16);
+}
+
+function createTokenService(storage, {
+  issuer = process.env.JWT_ISSUER || 'lightsync-backend',
+  seedSecret = process.env.JWT_SECRET,
+  graceMs = Number(process.env.JWT_KEY_GRACE_MS) || 10 * 60 * 1000, // Retired keys keep verifying this long
+  cacheMs = 30 * 1000,                                              // Reload the keyring from storage this often
+  deviceTokenSeconds = Number(process.env.DEVICE_TOKEN_TTL_SECONDS) || 15 * 60
+} = {}) {
+  let cached = null;
+
+  const loadKeyring = async (force = false) => {
+    if (!force && cached && Date.now() - cached.loadedAt < cacheMs) return cached.keys;
+
+    let keyring = await storage.get(KEYRING_COLLECTION, KEYRING_ID);
+    if (!keyring) {
+      const secret = seedSecret || newSecret();
+      const seeded = { keys: [{ kid: keyIdFor(secret), secret, createdAt: Date.now(), retiresAt: null }] };
+      // Another instance may have seeded it first; theirs wins
+      keyring = (await storage.create(KEYRING_COLLECTION, KEYRING_ID, seeded))
+        ? seeded
+        : await storage.get(KEYRING_COLLECTION, KEYRING_ID);
+    }
+
+    cached = { keys: keyring.keys, loadedAt: Date.now() };
+    return cached.keys;
+  };
+
+  const isUsable = (key) => key.retiresAt === null || Date.now() < key.retiresAt;
+
+  // Key for a kid, reloading once in case another instance rotated
+  const findKey = async (kid) => {
+    const match = (keys) => keys.find(key => key.kid === kid && isUsable(key));
+    return match(await loadKeyring()) || match(await loadKeyring(true));
+  };
+
+  const signingKey = async () => (await loadKeyring()).filter(key => key.retiresAt === null).pop();
+
+  // Claims of a token signed by a usable key; throws jsonwebtoken's errors
+  const verifySigned = async (token, options) => {
+    const header = jwt.decode(token, { complete: true })?.header;
+    const key = header && header.kid ? await findKey(header.kid) : null;
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown or retired signing key');
+    }
+    return jwt.verify(token, key.secret, { algorithms: ['HS256'], issuer, ...options });
+  };
+
+  return {
+    // Signed auth token for a sender/receiver pair, with its expiry (ms)
+    async issueAuthToken(senderDeviceId, receiverDeviceId) {
+      const key = await signingKey();
+      const issuedAt = Date.now();
+      const expiresAt = issuedAt + TOKEN_LIFETIME_SECONDS * 1000;
+
+      const token = jwt.sign({
+        senderDeviceId,
+        receiverDeviceId,
+        type: 'auth',
+        issuedAt,
+        expiresAt
+      }, key.secret, {
+        algorithm: 'HS256',
+        keyid: key.kid,
+        expiresIn: TOKEN_LIFETIME_SECONDS,
+        issuer,
+        subject: senderDeviceId,
+        audience: receiverDeviceId,
+        jwtid: crypto.randomUUID()
+      });
+
+      return { token, expiresAt };
+    },
+
+    // Decoded claims of a valid auth token; throws jsonwebtoken's errors.
+    // With a receiverDeviceId, the token must have been issued for it.
+    async verifyAuthToken(token, receiverDeviceId = null) {
+      const decoded = await verifySigned(token, receiverDeviceId ? { audience: receiverDeviceId } : {});
+      if (decoded.type !== 'auth' || decoded.sub !== decoded.senderDeviceId || decoded.aud !== decoded.receiverDeviceId || !decoded.jti) {
+        throw new jwt.JsonWebTokenError('Invalid token claims');
+      }
+      return decoded;
+    },
+
+    // Device token for a device that proved it holds the identity key keyId
+    async issueDeviceToken(deviceId, keyId) {
+      const key = await signingKey();
+      const expiresAt = Date.now() + deviceTokenSeconds * 1000;
+
+      const token = jwt.sign({ type: 'device', keyId }, key.secret, {
+        algorithm: 'HS256',
+        keyid: key.kid,
+        expiresIn: deviceTokenSeconds,
+        issuer,
+        subject: deviceId,
+        audience: DEVICE_TOKEN_AUDIENCE
+      });
+
+      return { token, expiresAt };
+    },
+
+    // Decoded claims of a valid device token; throws jsonwebtoken's errors
+    async verifyDeviceToken(token) {
+      const decoded = await verifySigned(token, { audience: DEVICE_TOKEN_AUDIENCE });
+      if (decoded.type !== 'device' || !decoded.sub || !decoded.keyId) {
+        throw new jwt.JsonWebTokenError('Invalid token claims');
+      }
+      return decoded;
+    },
+
+    // Record one use of a verified token; false if it was already used for this
+    async consumeToken(decoded, purpose) {
+      return storage.create(TOKEN_USES_COLLECTION, `${decoded.jti}_${purpose}`, {
+        purpose,
+        senderDeviceId: decoded.senderDeviceId,
+        receiverDeviceId: decoded.receiverDeviceId,
+        usedAt: new Date(),
+        expireAt: new Date(decoded.exp * 1000)
+      });
+    },
+
+    // Start signing with a new key. Previous keys retire after the grace
+    // period, or at once when they may be compromised.
+    async rotateKeys({ retireImmediately = false } = {}) {
+      const now = Date.now();
+      const retiresAt = retireImmediately ? now : now + graceMs;
+      const secret = newSecret();
+
+      const keys = (await loadKeyring(true))
+        .filter(key => key.retiresAt === null || key.retiresAt > now - graceMs) // Drop long-retired keys
+        .map(key => (key.retiresAt === null || key.retiresAt > retiresAt ? { ...key, retiresAt } : key));
+      keys.push({ kid: keyIdFor(secret), secret, createdAt: now, retiresAt: null });
+
+      await storage.set(KEYRING_COLLECTION, KEYRING_ID, { keys, updatedAt: new Date() });
+      cached = { keys, loadedAt: now };
+      return this.listKeys();
+    },
+
+    // Key IDs and lifetimes, without secrets
+    async listKeys() {
+      return (await loadKeyring()).map(({ kid, createdAt, retiresAt }) => ({
+        kid,
+        createdAt,
+        retiresAt,
+        active: retiresAt === null
+      }));
+    }
+  };
+}
+
+module.exports = { createTokenService };
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Run a selective-repeat ARQ transfer over lossy in-process loopback channels and report what it took.
+ * Frames go through the real bit serialization and decoder; both directions drop messages with a seeded rate.
+ * Run from the project root: npm run arq-loopback -- [--loss 0.2] [--ack-loss 0.1] [--chunks 24] (see --help for all options)
+ */
+
+const path = require("path");
+const { Buffer } = require("buffer");
+const { pathToFileURL } = require("url");
+
+const root = process.cwd();
+
+const usage = `Usage: node ./scripts/arq-loopback.js [options]
+
+  --loss <rate>      Forward (frame) loss rate, 0..1 (default 0.2)
+  --ack-loss <rate>  Return (acknowledgment) loss rate, 0..1 (default 0.1)
+  --chunks <n>       Chunks to split the payload into (default 24)
+  --window <n>       Frames in flight (default 8)
+  --delay <ms>       One-way channel delay (default 5)
+  --timeout <ms>     Sender acknowledgment timeout (default 200)
+  --ack-delay <ms>   Receiver acknowledgment delay (default 50)
+  --seed <n>         Loss pattern seed (default 1)
+  --size <bytes>     Payload size (default 2000)`;
+
+const parseArgs = (argv) => {
+  const options = { loss: 0.2, ackLoss: 0.1, chunks: 24, window: 8, delay: 5, timeout: 200, ackDelay: 50, seed: 1, size: 2000 };
+  const flags = {
+    "--loss": "loss",
+    "--ack-loss": "ackLoss",
+    "--chunks": "chunks",
+    "--window": "window",
+    "--delay": "delay",
+    "--timeout": "timeout",
+    "--ack-delay": "ackDelay",
+    "--seed": "seed",
+    "--size": "size",
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (flags[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value)) throw new Error(`${arg} expects a number`);
+      options[flags[arg]] = value;
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return options;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(usage);
+    return;
+  }
+
+  const load = (file) => import(pathToFileURL(path.join(root, "src", file)).href);
+  const { ARQSender, ARQReceiver, createLoopbackChannel } = await load("utils/arq.js");
+  const { encodeChunkedData, framesToBits } = await load("encoder/encoder.js");
+  const { DATA_TYPES, PACKET_FLAGS } = await load("utils/packet.js");
+  const { VLCDecoderCore } = await load("decoder/decoderCore.js");
+
+  // Random binary payload: incompressible, so the chunk count is what was asked for
+  let state = options.seed;
+  const payload = Buffer.from(Array.from({ length: options.size }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state >> 16;
+  }));
+  const frames = encodeChunkedData(payload, DATA_TYPES.FILE, false, true, options.chunks);
+
+  const forward = createLoopbackChannel({ lossRate: options.loss, delayMs: options.delay, seed: options.seed });
+  const reverse = createLoopbackChannel({ lossRate: options.ackLoss, delayMs: options.delay, seed: options.seed + 1000 });
+
+  // The decoder logs every frame; the summary is the output here
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+
+  const decoder = new VLCDecoderCore();
+  decoder.enablePacketMode();
+  const receiver = new ARQReceiver({ reverse, windowSize: options.window, ackDelayMs: options.ackDelay });
+  receiver.attach(decoder);
+
+  let retransmissionsSeen = 0;
+  forward.onMessage((frame) => {
+    if (frame[2] & PACKET_FLAGS.RETRANSMISSION) retransmissionsSeen++;
+    framesToBits([frame]).forEach((bit) => decoder.processPacketBit(Number(bit), 0));
+  });
+
+  const sender = new ARQSender(frames, { forward, reverse, windowSize: options.window, timeoutMs: options.timeout });
+  const started = Date.now();
+  let result;
+  try {
+    result = await sender.start();
+  } finally {
+    receiver.close();
+    console.log = log;
+    console.warn = warn;
+  }
+
+  const delivered = decoder.receivedData.some((record) => record.data instanceof Uint8Array && payload.equals(record.data));
+  console.log(`Session ${result.session}: ${frames.length} frames, window ${options.window}, loss ${options.loss} forward / ${options.ackLoss} return`);
+  console.log(`Sender: ${result.success ? "acknowledged" : "failed"} (${result.message}) after ${Date.now() - started}ms`);
+  console.log(`Frames sent ${result.stats.sent}, retransmitted ${result.stats.retransmitted}, timeouts ${result.stats.timeouts}, acknowledgments ${result.stats.acks}`);
+  console.log(`Channel: ${forward.stats.dropped}/${forward.stats.sent} frames and ${reverse.stats.dropped}/${reverse.stats.sent} acknowledgments dropped`);
+  console.log(`Receiver: payload ${delivered ? "delivered intact" : "NOT delivered"}, ${retransmissionsSeen} retransmissions received`);
+  if (!result.success || !delivered) process.exit(1);
+};
+
+main().catch((err) => {
+  console.error(`arq-loopback: ${err.message}`);
+  process.exit(1);
+});
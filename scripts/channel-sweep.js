@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Sweep SNR over the simulated optical channel and report packet success per FEC/compression setting.
+ * Every trial is seeded, so two runs with the same options print the same table.
+ * Run from the project root: npm run channel-sweep -- [--snr 10,14,18,22,26,30] [--trials 5] [--line-coding MANCHESTER] [--modulation OOK] (see --help for all options)
+ */
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const root = process.cwd();
+
+const usage = `Usage: node ./scripts/channel-sweep.js [options]
+
+  --snr <list>           Comma separated SNR points in dB (default 10,14,18,22,26,30)
+  --trials <n>           Transfers per point and setting (default 5)
+  --line-coding <name>   NRZ, MANCHESTER or FOUR_B_FIVE_B (default MANCHESTER)
+  --modulation <name>    OOK, PAM4, CSK4 or CSK8 (default OOK)
+  --message <text>       Payload to send (default a short sensor report)
+  --ambient <n>          Ambient brightness offset
+  --flicker <n>          Mains flicker amplitude
+  --flicker-hz <n>       Flicker frequency (default 100)
+  --dropout-rate <n>     Occlusion bursts per second
+  --dropout-ms <n>       Length of each burst (default 300)
+  --skew <n>             Transmitter clock skew, 0.02 = 2% slow
+  --jitter <ms>          Camera frame jitter standard deviation
+  --sample-interval <ms> Camera sampling period (default 25)`;
+
+const DEFAULT_MESSAGE = "temp=21.5C humidity=40% lux=320 battery=87% status=OK; temp=21.6C humidity=40% lux=318";
+
+// Settings under comparison: [compression, fec]
+const SETTINGS = [
+  [true, true],
+  [false, true],
+  [true, false],
+  [false, false],
+];
+
+// Column label, e.g. "FEC+HUFFMAN", naming the codec the encoder picked for the message
+const settingLabel = ([compression, fec], codec) =>
+  [fec ? "FEC" : null, compression ? codec : null].filter(Boolean).join("+") || "none";
+
+const parseArgs = (argv) => {
+  const options = { snr: [10, 14, 18, 22, 26, 30], trials: 5, lineCoding: "MANCHESTER", modulation: "OOK", message: DEFAULT_MESSAGE, channel: {} };
+  const channelFlags = {
+    "--ambient": "ambient",
+    "--flicker": "flickerAmplitude",
+    "--flicker-hz": "flickerFrequency",
+    "--dropout-rate": "dropoutRate",
+    "--dropout-ms": "dropoutMs",
+    "--skew": "clockSkew",
+    "--jitter": "jitterMs",
+    "--sample-interval": "sampleInterval",
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (channelFlags[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value)) throw new Error(`${arg} expects a number`);
+      options.channel[channelFlags[arg]] = value;
+    } else if (arg === "--snr") {
+      options.snr = argv[++i].split(",").map(Number);
+      if (options.snr.some((v) => !Number.isFinite(v))) throw new Error("--snr expects a list of numbers");
+    } else if (arg === "--trials") {
+      options.trials = Number(argv[++i]);
+      if (!(options.trials >= 1)) throw new Error("--trials expects a positive number");
+    } else if (arg === "--line-coding") {
+      options.lineCoding = String(argv[++i]).toUpperCase();
+    } else if (arg === "--modulation") {
+      options.modulation = String(argv[++i]).toUpperCase();
+    } else if (arg === "--message") {
+      options.message = argv[++i];
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return options;
+};
+
+const COLUMN_WIDTH = 22;
+
+const pad = (value, width) => String(value).padEnd(width);
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(usage);
+    return;
+  }
+
+  const load = (file) => import(pathToFileURL(path.join(root, "src", file)).href);
+  const { simulateTransfer, noiseForSNR } = await load("utils/channelSimulator.js");
+  const { DATA_TYPES } = await load("utils/packet.js");
+  const { LINE_CODINGS } = await load("utils/lineCoding.js");
+  const { MODULATIONS } = await load("utils/modulation.js");
+
+  const lineCoding = LINE_CODINGS[options.lineCoding];
+  if (lineCoding === undefined) {
+    throw new Error(`Unknown line coding: ${options.lineCoding}`);
+  }
+  const modulation = MODULATIONS[options.modulation];
+  if (modulation === undefined) {
+    throw new Error(`Unknown modulation: ${options.modulation}`);
+  }
+
+  // The decoder logs every frame; the table is the output here
+  const { log, warn, error } = console;
+  const mute = () => {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  };
+  const unmute = () => {
+    console.log = log;
+    console.warn = warn;
+    console.error = error;
+  };
+
+  const codecs = SETTINGS.map(() => "NONE");
+  const rows = [];
+  for (const snr of options.snr) {
+    const cells = [];
+    for (const [index, [compression, fec]] of SETTINGS.entries()) {
+      let transfers = 0;
+      let framesSent = 0;
+      let framesValid = 0;
+
+      mute();
+      try {
+        for (let trial = 0; trial < options.trials; trial++) {
+          const result = simulateTransfer(options.message, DATA_TYPES.TEXT, {
+            compression,
+            fec,
+            lineCoding,
+            modulation,
+            channel: { ...options.channel, noiseStdDev: noiseForSNR(snr), seed: trial + 1 },
+          });
+          if (result.success) transfers++;
+          codecs[index] = result.codec;
+          framesSent += result.framesSent;
+          framesValid += result.framesValid;
+        }
+      } finally {
+        unmute();
+      }
+
+      const transferRate = (transfers / options.trials) * 100;
+      const frameRate = framesSent > 0 ? (framesValid / framesSent) * 100 : 0;
+      cells.push(pad(`${transferRate.toFixed(0)}% (${frameRate.toFixed(0)}%)`, COLUMN_WIDTH));
+    }
+    rows.push(pad(snr, 8) + cells.join(""));
+  }
+
+  console.log(`Line coding ${options.lineCoding}, modulation ${options.modulation}, ${options.trials} trials per point, ${options.message.length} byte message`);
+  console.log("Cells: transfer success % (frame success %)");
+  console.log("");
+  console.log(pad("SNR dB", 8) + SETTINGS.map((setting, index) => pad(settingLabel(setting, codecs[index]), COLUMN_WIDTH)).join(""));
+  rows.forEach((row) => console.log(row));
+};
+
+main().catch((err) => {
+  console.error(`channel-sweep: ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark every registered compression codec on representative payloads: size, speed and which codec compressData picks.
+ * Command payloads have the shape CommandManager builds; every result is decompressed and checked against its input.
+ * Run from the project root: npm run compression-bench -- [--iterations 20] [--seed 1] (see --help for all options)
+ */
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const root = process.cwd();
+
+const usage = `Usage: node ./scripts/compression-bench.js [options]
+
+  --iterations <n>  Runs per codec and payload for the timings (default 20)
+  --seed <n>        Seed for identifiers and random payloads (default 1)`;
+
+const parseArgs = (argv) => {
+  const options = { iterations: 20, seed: 1 };
+  const flags = {
+    "--iterations": "iterations",
+    "--seed": "seed",
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (flags[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value)) throw new Error(`${arg} expects a number`);
+      options[flags[arg]] = value;
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return options;
+};
+
+// Command object as CommandManager.sendCommand builds it, wrapped as the transmitter sends it
+const signedCommand = (random, type, payload) => {
+  const id = (prefix) => `${prefix}_${Math.floor(random.next() * 1e13)}_${Math.floor(random.next() * 36 ** 9).toString(36)}`;
+  const hex = (bytes) => Array.from({ length: bytes }, () => Math.floor(random.next() * 256).toString(16).padStart(2, "0")).join("");
+  const now = Date.UTC(2025, 5, 1, 12, 0, Math.floor(random.next() * 60));
+  return {
+    mode: "command",
+    signedCommand: {
+      type,
+      senderId: id("device"),
+      receiverId: id("device"),
+      payload: typeof payload === "function" ? payload(id) : payload,
+      timestamp: new Date(now).toISOString(),
+      nonce: hex(16),
+      expiresAt: new Date(now + 5 * 60 * 1000).toISOString(),
+      signature: hex(32),
+    },
+    timestamp: now,
+  };
+};
+
+// [name, data type, data] of each payload
+const buildPayloads = (random, DATA_TYPES) => {
+  const sentence = "The quick brown fox jumps over the lazy dog while the light keeps flashing. ";
+  return [
+    ["short text", DATA_TYPES.TEXT, "See you at the north entrance at 6, bring the badge."],
+    ["long text", DATA_TYPES.TEXT, sentence.repeat(12) + "Signal strength looked good from across the room."],
+    ["UTF-8 text", DATA_TYPES.TEXT, "Привет! Встретимся у входа в 18:00 👋 会议室见 ".repeat(4)],
+    ["send_message", DATA_TYPES.JSON, signedCommand(random, "send_message", (id) => ({ text: "Running late, 10 minutes", replyTo: null, messageId: id("msg") }))],
+    ["asset_checkout", DATA_TYPES.JSON, signedCommand(random, "asset_checkout", (id) => ({
+      assetId: "LAPTOP-0042", assigneeId: id("device"), action: "checkout", timestamp: "2025-06-01T12:00:00.000Z", checkoutId: id("checkout"),
+    }))],
+    ["attendance_check", DATA_TYPES.JSON, signedCommand(random, "attendance_check", (id) => ({
+      eventId: "devcon-2025", attendeeInfo: { name: "Sam Lee", company: "Acme" }, checkInTime: "2025-06-01T12:00:00.000Z",
+      location: { latitude: 52.52, longitude: 13.405 }, attendanceId: id("attendance"), method: "vlc",
+    }))],
+    ["game_invite", DATA_TYPES.JSON, signedCommand(random, "game_invite", (id) => ({ gameType: "chess", gameSettings: { timeControl: "5+3" }, inviteId: id("game") }))],
+    ["ARQ ack", DATA_TYPES.JSON, { mode: "arq_ack", session: 4242, ackId: 17, total: 24, received: 19, through: 15, missing: [16, 18, 21, 22, 23], complete: false }],
+    ["sensor readings", DATA_TYPES.SENSOR_DATA, {
+      readings: Array.from({ length: 24 }, (_, i) => ({ sensor: "temperature", value: Math.round((20 + random.next() * 5) * 10) / 10, unit: "C", timestamp: 1748779200000 + i * 60000 })),
+    }],
+    ["random binary", DATA_TYPES.FILE, Uint8Array.from({ length: 1024 }, () => Math.floor(random.next() * 256))],
+    ["gradient image", DATA_TYPES.IMAGE, Uint8Array.from({ length: 4096 }, (_, i) => ((i % 64) * 3 + (i >> 8)) & 0xFF)],
+  ];
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(usage);
+    return;
+  }
+
+  const load = (file) => import(pathToFileURL(path.join(root, "src", file)).href);
+  const { getCodecs, getCodecName } = await load("utils/compression.js");
+  const { serializePayload } = await load("encoder/encoder.js");
+  const { DATA_TYPES, compressData } = await load("utils/packet.js");
+  const { createRandom } = await load("utils/channelSimulator.js");
+
+  const codecs = getCodecs().filter((codec) => codec.name !== "NONE");
+  const payloads = buildPayloads(createRandom(options.seed), DATA_TYPES);
+  const time = (fn) => {
+    const started = process.hrtime.bigint();
+    for (let i = 0; i < options.iterations; i++) fn();
+    return Number(process.hrtime.bigint() - started) / 1e6 / options.iterations;
+  };
+
+  let failures = 0;
+  const totals = new Map(codecs.map((codec) => [codec.name, 0]));
+  let rawTotal = 0;
+  let pickedTotal = 0;
+
+  console.log(`Codecs: ${codecs.map((codec) => codec.name).join(", ")}; ${options.iterations} iterations per timing`);
+  payloads.forEach(([name, dataType, data]) => {
+    const bytes = serializePayload(data, dataType);
+    const picked = compressData(bytes);
+    rawTotal += bytes.length;
+    pickedTotal += picked.data.length;
+
+    console.log("");
+    console.log(`${name}: ${bytes.length} bytes, compressData picks ${getCodecName(picked.codec)} (${picked.data.length} bytes)`);
+    codecs.forEach((codec) => {
+      const compressed = codec.compress(bytes);
+      const restored = codec.decompress(compressed);
+      const intact = restored.length === bytes.length && restored.every((byte, i) => byte === bytes[i]);
+      if (!intact) failures++;
+      totals.set(codec.name, totals.get(codec.name) + Math.min(compressed.length, bytes.length));
+
+      const compressMs = time(() => codec.compress(bytes));
+      const decompressMs = time(() => codec.decompress(compressed));
+      console.log(
+        `  ${codec.name.padEnd(16)} ${String(compressed.length).padStart(6)} bytes ${(compressed.length / bytes.length * 100).toFixed(0).padStart(4)}%  ` +
+          `compress ${compressMs.toFixed(3)}ms, decompress ${decompressMs.toFixed(3)}ms${intact ? "" : "  ROUND TRIP FAILED"}`
+      );
+    });
+  });
+
+  console.log("");
+  console.log(`Total ${rawTotal} bytes; compressData ${pickedTotal} bytes (${(pickedTotal / rawTotal * 100).toFixed(0)}%)`);
+  totals.forEach((size, name) => {
+    console.log(`  ${name} alone (uncompressed when larger): ${size} bytes (${(size / rawTotal * 100).toFixed(0)}%)`);
+  });
+  if (failures > 0) {
+    console.error(`${failures} round trips failed`);
+    process.exit(1);
+  }
+};
+
+main().catch((err) => {
+  console.error(`compression-bench: ${err.message}`);
+  process.exit(1);
+});
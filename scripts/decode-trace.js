@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+/**
+ * Decode a recorded reception offline, without a phone.
+ * Input is a JSON or CSV trace of { timestamp, brightness } samples, or a directory of PNG/JPEG/PPM/PGM video frames.
+ * Run from the project root: npm run decode-trace -- <trace.json|trace.csv|frames-dir> [--fps 30] [--threshold N] [--json] (see --help for all options)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { Buffer } = require("buffer");
+const { pathToFileURL } = require("url");
+
+const root = process.cwd();
+const FRAME_EXTENSIONS = [".png", ".jpg", ".jpeg", ".ppm", ".pgm"];
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const usage = `Usage: node ./scripts/decode-trace.js <trace.json|trace.csv|frames-dir> [options]
+
+  --fps <n>              Frame rate of an image directory (default 30)
+  --roi <x,y,w,h>        Region of the frames to average, normalized 0..1 (default: locate the blinking region)
+  --grid <n>             Grid cells per side when locating the region (default 8)
+  --threshold <n>        Fixed slicing threshold, skips calibration
+  --margin <n>           Calibration margin above ambient (default 50)
+  --calibration-ms <n>   Leading ambient window used for calibration (default 1000)
+  --symbol-period <ms>   Nominal chip duration (default 100)
+  --json                 Print the full report as JSON
+  --verbose              Show decoder log output`;
+
+const parseArgs = (argv) => {
+  const options = { input: null, fps: 30, grid: 8, roi: null, json: false, verbose: false };
+  const numeric = {
+    "--fps": "fps",
+    "--grid": "grid",
+    "--threshold": "threshold",
+    "--margin": "margin",
+    "--calibration-ms": "calibrationMs",
+    "--symbol-period": "symbolPeriod",
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (numeric[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value)) {
+        throw new Error(`${arg} expects a number`);
+      }
+      options[numeric[arg]] = value;
+    } else if (arg === "--roi") {
+      const [x, y, width, height] = String(argv[++i]).split(",").map(Number);
+      if (![x, y, width, height].every(Number.isFinite)) {
+        throw new Error("--roi expects x,y,width,height");
+      }
+      options.roi = { x, y, width, height };
+    } else if (arg === "--json") {
+      options.json = true;
+    } else if (arg === "--verbose") {
+      options.verbose = true;
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (!options.input) {
+      options.input = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return options;
+};
+
+// JSON: [{ timestamp, brightness, color? }], [[timestamp, brightness]] or { samples: [...] }
+const readJsonTrace = (text) => {
+  const parsed = JSON.parse(text);
+  const samples = Array.isArray(parsed) ? parsed : parsed.samples;
+  if (!Array.isArray(samples)) {
+    throw new Error("JSON trace must be an array of samples or { samples: [...] }");
+  }
+  return samples.map((s) =>
+    Array.isArray(s)
+      ? { timestamp: Number(s[0]), brightness: Number(s[1]) }
+      : { timestamp: Number(s.timestamp), brightness: Number(s.brightness), color: s.color || null }
+  );
+};
+
+// CSV: timestamp,brightness per line, an optional header row names the columns (r, g, b add the color)
+const readCsvTrace = (text) => {
+  const rows = text.split(/\r?\n/).filter((line) => line.trim() !== "").map((line) => line.split(",").map((f) => f.trim()));
+  let timestampCol = 0;
+  let brightnessCol = 1;
+  let colorCols = null;
+
+  if (rows.length > 0 && !Number.isFinite(Number(rows[0][0]))) {
+    const header = rows.shift().map((f) => f.toLowerCase());
+    timestampCol = header.indexOf("timestamp");
+    brightnessCol = header.indexOf("brightness");
+    if (timestampCol === -1 || brightnessCol === -1) {
+      throw new Error("CSV header must contain timestamp and brightness columns");
+    }
+    const rgb = ["r", "g", "b"].map((name) => header.indexOf(name));
+    if (rgb.every((col) => col !== -1)) colorCols = rgb;
+  }
+
+  return rows.map((row) => ({
+    timestamp: Number(row[timestampCol]),
+    brightness: Number(row[brightnessCol]),
+    color: colorCols ? { r: Number(row[colorCols[0]]), g: Number(row[colorCols[1]]), b: Number(row[colorCols[2]]) } : null,
+  }));
+};
+
+// Paeth predictor from the PNG specification
+const paeth = (a, b, c) => {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+};
+
+// Decode an 8-bit, non-interlaced PNG into { width, height, channels, data }
+const decodePng = (buffer) => {
+  const channelsByColorType = { 0: 1, 2: 3, 4: 2, 6: 4 };
+  let offset = PNG_SIGNATURE.length;
+  let header = null;
+  const idat = [];
+
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(chunk);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  if (!header) throw new Error("PNG has no IHDR chunk");
+  const channels = channelsByColorType[header.colorType];
+  if (header.bitDepth !== 8 || !channels || header.interlace !== 0) {
+    throw new Error("Only 8-bit, non-interlaced grayscale/RGB(A) PNG frames are supported");
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = header.width * channels;
+  const data = new Uint8Array(stride * header.height);
+
+  for (let y = 0; y < header.height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? data[out + x - channels] : 0;
+      const up = y > 0 ? data[out + x - stride] : 0;
+      const upLeft = y > 0 && x >= channels ? data[out + x - stride - channels] : 0;
+      let value = line[x];
+      switch (filter) {
+        case 1: value += left; break;
+        case 2: value += up; break;
+        case 3: value += (left + up) >> 1; break;
+        case 4: value += paeth(left, up, upLeft); break;
+        default: break;
+      }
+      data[out + x] = value & 0xff;
+    }
+  }
+
+  return { width: header.width, height: header.height, channels, data };
+};
+
+// Decode a binary PPM (P6) or PGM (P5) with maxval 255
+const decodeNetpbm = (buffer) => {
+  const fields = [];
+  let offset = 0;
+  while (fields.length < 4) {
+    while (/\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+    if (buffer[offset] === 0x23) {
+      while (buffer[offset] !== 0x0a) offset++; // Comment line
+      continue;
+    }
+    const start = offset;
+    while (!/\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+    fields.push(buffer.toString("ascii", start, offset));
+  }
+  offset++; // Single whitespace before the raster
+
+  const [magic, width, height, maxval] = fields;
+  if ((magic !== "P6" && magic !== "P5") || Number(maxval) !== 255) {
+    throw new Error("Only binary P6/P5 frames with maxval 255 are supported");
+  }
+  const channels = magic === "P6" ? 3 : 1;
+  const size = Number(width) * Number(height) * channels;
+  return { width: Number(width), height: Number(height), channels, data: buffer.subarray(offset, offset + size) };
+};
+
+const readFrame = (file, analysis) => {
+  const buffer = fs.readFileSync(file);
+  if (buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+    return decodePng(buffer);
+  }
+  if (buffer[0] === 0x50 && (buffer[1] === 0x36 || buffer[1] === 0x35)) {
+    return decodeNetpbm(buffer);
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return analysis.decodeJpeg(buffer);
+  }
+  throw new Error(`${path.basename(file)}: unsupported format, export frames as PNG, JPEG or PPM (e.g. ffmpeg -i video.mp4 frames/%05d.png)`);
+};
+
+// Frames are ordered by name (numbers compared numerically) and spaced 1/fps apart.
+// Brightness is the mean luma over --roi, or over the blinking region located
+// across the whole clip (the full frame if nothing blinks).
+const readFrameTrace = (dir, options, analysis) => {
+  const files = fs
+    .readdirSync(dir)
+    .filter((name) => FRAME_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  if (files.length === 0) {
+    throw new Error(`No ${FRAME_EXTENSIONS.join("/")} frames found in ${dir}`);
+  }
+
+  const timestamp = (index) => (index * 1000) / options.fps;
+
+  // Color is kept so PAM/CSK frame bodies can be demodulated
+  const sampleRegion = (region) =>
+    files.map((name, index) => ({
+      timestamp: timestamp(index),
+      ...analysis.sampleRegion(readFrame(path.join(dir, name), analysis), region),
+    }));
+
+  if (options.roi) {
+    return { samples: sampleRegion(options.roi), region: options.roi };
+  }
+
+  const grids = files.map((name) => analysis.gridLuma(readFrame(path.join(dir, name), analysis), options.grid));
+  const region = analysis.locateBlinkingRegion(grids, options.grid) || analysis.FULL_FRAME;
+  return { samples: sampleRegion(region), region };
+};
+
+const printReport = (report, getDataTypeName) => {
+  const { metrics } = report;
+  console.log(`Samples: ${report.sampleCount} over ${(report.durationMs / 1000).toFixed(2)}s (${report.calibrationSamples} used for calibration)`);
+  if (report.region) {
+    const { x, y, width, height } = report.region;
+    console.log(`Region: x=${x.toFixed(3)} y=${y.toFixed(3)} w=${width.toFixed(3)} h=${height.toFixed(3)}`);
+  }
+  console.log(`Threshold: ${report.threshold.toFixed(1)}, bits sliced: ${report.bitsSliced}, timing: ${report.timing.state}`);
+  console.log("");
+
+  console.log(`Frames: ${report.frames.length} (${metrics.validFrames} valid, ${metrics.failedFrames} failed)`);
+  report.frames.forEach((frame, index) => {
+    const position = frame.total > 1 ? ` ${frame.sequence + 1}/${frame.total}` : "";
+    const crc = frame.valid ? "CRC ok" : `CRC FAIL (${frame.error})`;
+    const codec = frame.codec !== "NONE" ? ` ${frame.codec}` : "";
+    console.log(
+      `  #${index + 1} t=${Math.round(frame.timestamp)}ms ${frame.type}${position} id=${frame.transferId} ${frame.lineCoding} ${frame.modulation}${codec} ` +
+        `${crc}, FEC corrected ${frame.errorsCorrected}, coding errors ${frame.codingErrors}`
+    );
+  });
+  console.log("");
+
+  console.log(`Payloads: ${report.payloads.length}`);
+  report.payloads.forEach((payload, index) => {
+    const data =
+      typeof payload.data === "string"
+        ? payload.data
+        : payload.data instanceof Uint8Array
+          ? `<binary> ${Buffer.from(payload.data.subarray(0, 32)).toString("hex")}${payload.data.length > 32 ? "..." : ""}`
+          : JSON.stringify(payload.data);
+    console.log(`  #${index + 1} ${payload.type} (${payload.size} bytes): ${data}`);
+  });
+  report.pendingChunks.forEach((pending) => {
+    console.log(`  Incomplete ${getDataTypeName(pending.type)} transfer ${pending.transferId}: chunks ${pending.received.map((s) => s + 1).join(",")} of ${pending.total}`);
+  });
+  console.log("");
+
+  console.log(`SNR: ${metrics.snr.toFixed(2)}`);
+  console.log(`BER (FEC lower bound): ${metrics.ber.toFixed(4)}%`);
+  console.log(`Frame success: ${metrics.confidence.toFixed(1)}%`);
+  console.log(`FEC symbols corrected: ${metrics.fecErrorsCorrected}, line coding errors: ${metrics.lineCodingErrors}`);
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help || !options.input) {
+    console.log(usage);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  const load = (file) => import(pathToFileURL(path.join(root, "src", file)).href);
+  const { decodeTrace } = await load("decoder/offlineDecoder.js");
+  const analysis = await load("utils/frameAnalysis.js");
+  const { getDataTypeName } = await load("utils/packet.js");
+
+  const input = path.resolve(options.input);
+  let samples;
+  let region = null;
+  if (fs.statSync(input).isDirectory()) {
+    ({ samples, region } = readFrameTrace(input, options, analysis));
+  } else if (path.extname(input).toLowerCase() === ".csv") {
+    samples = readCsvTrace(fs.readFileSync(input, "utf8"));
+  } else {
+    samples = readJsonTrace(fs.readFileSync(input, "utf8"));
+  }
+
+  // The decoder logs every event; keep the report readable unless asked
+  const { log, warn } = console;
+  if (!options.verbose) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+  let report;
+  try {
+    report = decodeTrace(samples, {
+      threshold: options.threshold,
+      margin: options.margin,
+      calibrationMs: options.calibrationMs,
+      timing: options.symbolPeriod ? { symbolPeriod: options.symbolPeriod } : undefined,
+    });
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+
+  if (region) {
+    report.region = region;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report, getDataTypeName);
+  }
+};
+
+main().catch((error) => {
+  console.error(`decode-trace: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+/**
+ * Generate the app's typed backend client from the OpenAPI document in backend/openapi.js.
+ * Writes the request and response types to src/types/api.ts, the client to src/utils/apiClient.js and its declarations to src/utils/apiClient.d.ts.
+ * Run from the project root: npm run generate-api-client [-- --check] (see --help)
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const root = process.cwd();
+
+const usage = `Usage: node ./scripts/generate-api-client.js [options]
+
+  --check  Only compare with the files on disk; exit 1 if they are out of date`;
+
+const HEADER = "// Generated by scripts/generate-api-client.js from backend/openapi.js; do not edit.";
+
+const OUTPUTS = {
+  types: path.join("src", "types", "api.ts"),
+  client: path.join("src", "utils", "apiClient.js"),
+  declarations: path.join("src", "utils", "apiClient.d.ts"),
+};
+
+const parseArgs = (argv) => {
+  const options = { check: false };
+  for (const arg of argv) {
+    if (arg === "--check") {
+      options.check = true;
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return options;
+};
+
+const pascalCase = (name) => name[0].toUpperCase() + name.slice(1);
+
+// Literal type of a const or enum value, strings in the app's single quotes
+const literal = (value) => (typeof value === "string" ? `'${value.replace(/['\\]/g, "\\$&")}'` : JSON.stringify(value));
+
+// TypeScript type of a JSON Schema (the subset backend/schemas.js uses)
+const tsType = (schema, indent = "") => {
+  if (schema.const !== undefined) return literal(schema.const);
+  if (schema.enum) return schema.enum.map(literal).join(" | ");
+  if (schema.type === undefined) return schema.properties ? objectType(schema, indent) : "unknown";
+
+  return [].concat(schema.type).map((type) => {
+    switch (type) {
+      case "string":
+        return "string";
+      case "integer":
+      case "number":
+        return "number";
+      case "boolean":
+        return "boolean";
+      case "null":
+        return "null";
+      case "array": {
+        const item = schema.items ? tsType(schema.items, indent) : "unknown";
+        return !item.startsWith("{") && item.includes(" | ") ? `(${item})[]` : `${item}[]`; // Parenthesize unions, not object types
+      }
+      case "object":
+        return schema.properties ? objectType(schema, indent) : "Record<string, unknown>";
+      default:
+        throw new Error(`Unsupported schema type: ${type}`);
+    }
+  }).join(" | ");
+};
+
+const objectType = (schema, indent) => {
+  const inner = `${indent}  `;
+  const required = new Set(schema.required || []);
+  const lines = Object.entries(schema.properties).map(
+    ([name, property]) => `${inner}${name}${required.has(name) ? "" : "?"}: ${tsType(property, inner)};`
+  );
+  return `{\n${lines.join("\n")}\n${indent}}`;
+};
+
+const declareType = (name, schema) =>
+  schema.properties ? `export interface ${name} ${objectType(schema, "")}` : `export type ${name} = ${tsType(schema)};`;
+
+// Whether every way to call an operation takes a device token
+const needsDeviceToken = (operation) =>
+  (operation.security || []).length > 0 && operation.security.every((requirement) => "deviceToken" in requirement);
+
+// Operations of the document in path order, with what the generator needs
+const listOperations = (spec) => {
+  const operations = [];
+  Object.entries(spec.paths).forEach(([route, pathItem]) => {
+    Object.entries(pathItem).forEach(([method, operation]) => {
+      const pathParameters = (operation.parameters || []).filter((parameter) => parameter.in === "path");
+      const typeName = pascalCase(operation.operationId);
+      operations.push({
+        id: operation.operationId,
+        method: method.toUpperCase(),
+        route,
+        summary: operation.summary,
+        typeName,
+        authenticated: needsDeviceToken(operation),
+        params: pathParameters.length > 0 ? {
+          type: "object",
+          required: pathParameters.map((parameter) => parameter.name),
+          properties: Object.fromEntries(pathParameters.map((parameter) => [parameter.name, parameter.schema])),
+        } : null,
+        body: operation.requestBody ? operation.requestBody.content["application/json"].schema : null,
+        response: operation.responses[200].content["application/json"].schema,
+        error: operation.responses.default.content["application/json"].schema,
+      });
+    });
+  });
+  return operations;
+};
+
+const renderTypes = (operations) => {
+  const sections = [
+    HEADER,
+    declareType("ApiError", operations[0].error),
+    `export interface ApiRequestOptions {\n  headers?: Record<string, string>;\n}`,
+    [
+      "export interface ApiClientOptions {",
+      "  fetchImpl?: typeof fetch | null;",
+      "  // Headers that log in as a device, for operations that need a device token",
+      "  authenticate?: (() => Promise<Record<string, string>>) | null;",
+      "}",
+    ].join("\n"),
+  ];
+  operations.forEach((op) => {
+    const types = [`// ${op.method} ${op.route}: ${describe(op)}`];
+    if (op.params) types.push(declareType(`${op.typeName}Params`, op.params));
+    if (op.body) types.push(declareType(`${op.typeName}Request`, op.body));
+    types.push(declareType(`${op.typeName}Response`, op.response));
+    sections.push(types.join("\n"));
+  });
+  return `${sections.join("\n\n")}\n`;
+};
+
+const describe = (op) => (op.authenticated ? `${op.summary} (device token)` : op.summary);
+
+const methodArguments = (op) => [op.params ? "params" : null, op.body ? "body" : null, "options = {}"].filter(Boolean);
+
+const renderClient = (operations) => {
+  const methods = operations.map((op) => {
+    const url = op.params
+      ? `\`${op.route.replace(/\{(\w+)\}/g, (_, name) => `\${encodeURIComponent(params.${name})}`)}\``
+      : `'${op.route}'`;
+    return [
+      `  // ${op.method} ${op.route}: ${describe(op)}`,
+      `  ${op.id}(${methodArguments(op).join(", ")}) {`,
+      `    return this.request('${op.method}', ${url}, ${op.body ? "body" : "undefined"}, options${op.authenticated ? ", true" : ""});`,
+      "  }",
+    ].join("\n");
+  });
+
+  return `${HEADER}
+// Types are in apiClient.d.ts and ../types/api.ts; regenerate with npm run generate-api-client.
+
+// Client for the VLC backend. Methods resolve to the JSON body, a success or
+// an error ({ success: false, code, message }); network failures reject.
+// Operations that need a device token get their headers from authenticate().
+export class ApiClient {
+  constructor(baseUrl, { fetchImpl = null, authenticate = null } = {}) {
+    this.baseUrl = baseUrl;
+    this.fetchImpl = fetchImpl;
+    this.authenticate = authenticate;
+  }
+
+  async request(method, path, body = undefined, options = {}, authenticated = false) {
+    const authHeaders = authenticated && this.authenticate ? await this.authenticate() : {};
+    const response = await (this.fetchImpl || fetch)(\`\${this.baseUrl}\${path}\`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...authHeaders,
+        ...(options.headers || {})
+      },
+      ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+    });
+    return response.json();
+  }
+
+${methods.join("\n\n")}
+}
+`;
+};
+
+const renderDeclarations = (operations) => {
+  const typeNames = ["ApiError", "ApiRequestOptions", "ApiClientOptions"];
+  const methods = operations.map((op) => {
+    const args = [];
+    if (op.params) {
+      typeNames.push(`${op.typeName}Params`);
+      args.push(`params: ${op.typeName}Params`);
+    }
+    if (op.body) {
+      typeNames.push(`${op.typeName}Request`);
+      args.push(`body: ${op.typeName}Request`);
+    }
+    typeNames.push(`${op.typeName}Response`);
+    args.push("options?: ApiRequestOptions");
+    return `  ${op.id}(${args.join(", ")}): Promise<${op.typeName}Response | ApiError>;`;
+  });
+
+  return `${HEADER}
+
+import type {
+${typeNames.map((name) => `  ${name},`).join("\n")}
+} from '../types/api';
+
+export declare class ApiClient {
+  constructor(baseUrl: string, options?: ApiClientOptions);
+  baseUrl: string;
+  authenticate: ApiClientOptions['authenticate'];
+  request(method: string, path: string, body?: unknown, options?: ApiRequestOptions, authenticated?: boolean): Promise<unknown>;
+
+${methods.join("\n")}
+}
+`;
+};
+
+// Generated file contents by output name, from the OpenAPI document
+const renderApiClient = (spec) => {
+  const operations = listOperations(spec);
+  return {
+    types: renderTypes(operations),
+    client: renderClient(operations),
+    declarations: renderDeclarations(operations),
+  };
+};
+
+// Outputs whose file on disk differs from what the document generates
+const findStaleOutputs = (spec) => {
+  const rendered = renderApiClient(spec);
+  return Object.keys(OUTPUTS).filter((name) => {
+    const file = path.join(root, OUTPUTS[name]);
+    return !fs.existsSync(file) || fs.readFileSync(file, "utf8") !== rendered[name];
+  }).map((name) => OUTPUTS[name]);
+};
+
+const loadSpec = () => require(path.join(root, "backend", "openapi.js")).openapi;
+
+const main = () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(usage);
+    return;
+  }
+
+  const spec = loadSpec();
+  if (options.check) {
+    const stale = findStaleOutputs(spec);
+    if (stale.length > 0) {
+      console.error(`Out of date with backend/openapi.js: ${stale.join(", ")} (run npm run generate-api-client)`);
+      process.exit(1);
+    }
+    console.log("API client is up to date");
+    return;
+  }
+
+  const rendered = renderApiClient(spec);
+  Object.entries(OUTPUTS).forEach(([name, file]) => {
+    fs.writeFileSync(path.join(root, file), rendered[name]);
+    console.log(`Wrote ${file}`);
+  });
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (err) {
+    console.error(`generate-api-client: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { renderApiClient, findStaleOutputs, loadSpec, OUTPUTS };
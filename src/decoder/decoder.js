@@ -1,118 +1,22 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { validateParity } from '../utils/parity.js';
-import { calculateLuma, getBitFromBrightness } from '../utils/luma.js';
-import { calculateThreshold } from '../utils/calibration.js';
-import { parsePacket, PACKET_CONSTANTS, DATA_TYPES, getDataTypeName, reassembleChunks, decompressData, PACKET_FLAGS, fecEncoder } from '../utils/packet.js';
-import { calculateBitErrorRate, calculateSNR, calculatePacketConfidence, aggregateMetrics } from '../utils/metrics.js';
-
-// VLC Protocol Constants (legacy support)
-const START_FRAME = '11111111';
-const END_FRAME = '00000000';
-const BIT_DURATION = 100; // 100ms per bit
-
-// Receiver State Machine
-export const RECEIVER_STATES = {
-  IDLE: 'IDLE',
-  CALIBRATING: 'CALIBRATING',
-  WAITING_FOR_START: 'WAITING_FOR_START',
-  RECEIVING: 'RECEIVING',
-  END_DETECTED: 'END_DETECTED',
-  PARITY_CHECK: 'PARITY_CHECK',
-  SUCCESS: 'SUCCESS',
-  ERROR: 'ERROR'
-};
-
-// Decoder class
-export class VLCDecoder {
-  constructor() {
-    this.state = RECEIVER_STATES.IDLE;
-    this.threshold = 128;
-    this.receivedBits = [];
-    this.receivedBytes = [];
-    this.bitBuffer = '';
-    this.lastBitTime = 0;
-    this.startTime = 0;
-    // New packet format support
-    this.receivedPackets = [];
-    this.pendingChunks = new Map(); // For chunked data reassembly
-    this.packetMode = false; // Toggle between legacy and packet modes
-    // Quality metrics tracking
-    this.brightnessSamples = []; // Store brightness samples during transmission
-    this.metricsHistory = []; // Store computed metrics
-  }
+import { DATA_TYPES, utf8Decode, bytesToBase64 } from '../utils/packet.js';
+import { VLCDecoderCore, RECEIVER_STATES } from './decoderCore.js';
+import { decodeQuantumKeyMessage, QUANTUM_KEY_CONSTANTS } from '../utils/quantumKey.js';
 
-  // Process brightness sample
-  processBrightness(brightness) {
-    const bit = getBitFromBrightness(brightness, this.threshold);
+export { RECEIVER_STATES };
 
-    // Collect brightness samples during transmission for metrics
-    if (this.state === RECEIVER_STATES.RECEIVING) {
-      this.brightnessSamples.push(brightness);
-    }
-
-    switch (this.state) {
-      case RECEIVER_STATES.CALIBRATING:
-      case RECEIVER_STATES.WAITING_FOR_START:
-        this.bitBuffer += bit;
-        if (this.bitBuffer.length >= 8) {
-          if (this.bitBuffer === START_FRAME) {
-            this.state = RECEIVER_STATES.RECEIVING;
-            this.receivedBits = [];
-            this.brightnessSamples = []; // Start collecting samples
-            this.startTime = Date.now();
-            console.log('Start frame detected');
-          }
-          this.bitBuffer = this.bitBuffer.slice(1);
-        }
-        break;
-
-      case RECEIVER_STATES.RECEIVING:
-        this.receivedBits.push(bit);
-        if (this.receivedBits.length >= 8) {
-          const byteStr = this.receivedBits.slice(-8).join('');
-          if (byteStr === END_FRAME) {
-            this.state = RECEIVER_STATES.END_DETECTED;
-            this.receivedBytes = this.groupBitsToBytes(this.receivedBits.slice(0, -8));
-            console.log('End frame detected');
-          }
-        }
-        break;
-    }
-  }
-
-  // Group bits into 9-bit bytes (8 data + 1 parity)
-  groupBitsToBytes(bits) {
-    const bytes = [];
-    for (let i = 0; i < bits.length; i += 9) {
-      if (i + 9 <= bits.length) {
-        bytes.push(bits.slice(i, i + 9).join(''));
-      }
-    }
-    return bytes;
-  }
+// History records are JSON; binary payloads are stored as Base64
+function toStoredRecord(record) {
+  if (!(record.data instanceof Uint8Array)) return record;
+  return { ...record, data: bytesToBase64(record.data), encoding: 'base64' };
+}
 
+// Decoder class: the receiver core plus AsyncStorage history and backend payload handling
+export class VLCDecoder extends VLCDecoderCore {
   // Validate parity and decode message
   async decodeMessage() {
-    if (this.state !== RECEIVER_STATES.END_DETECTED) return null;
-
-    this.state = RECEIVER_STATES.PARITY_CHECK;
-
-    const validBytes = [];
-    for (const byteStr of this.receivedBytes) {
-      if (validateParity(byteStr)) {
-        // Remove parity bit and convert to ASCII
-        const dataBits = byteStr.slice(0, 8);
-        const charCode = parseInt(dataBits, 2);
-        validBytes.push(String.fromCharCode(charCode));
-      } else {
-        console.log('Parity error in byte:', byteStr);
-        this.state = RECEIVER_STATES.ERROR;
-        return null;
-      }
-    }
-
-    const message = validBytes.join('');
-    this.state = RECEIVER_STATES.SUCCESS;
+    const message = this.checkParity();
+    if (message === null) return null;
 
     // Compute and save quality metrics
     await this.computeAndSaveMetrics();
@@ -134,161 +38,19 @@ export class VLCDecoder {
     return message;
   }
 
-  // Reset decoder
-  reset() {
-    this.state = RECEIVER_STATES.IDLE;
-    this.receivedBits = [];
-    this.receivedBytes = [];
-    this.bitBuffer = '';
-    this.brightnessSamples = [];
-  }
-
-  // Start calibration
-  startCalibration() {
-    this.state = RECEIVER_STATES.CALIBRATING;
-    this.calibrationSamples = [];
-  }
-
-  // Add calibration sample
-  addCalibrationSample(brightness) {
-    if (this.state === RECEIVER_STATES.CALIBRATING) {
-      this.calibrationSamples.push(brightness);
-    }
-  }
-
-  // Finish calibration
-  finishCalibration() {
-    if (this.state === RECEIVER_STATES.CALIBRATING && this.calibrationSamples.length > 0) {
-      this.threshold = calculateThreshold(this.calibrationSamples);
-      this.state = RECEIVER_STATES.WAITING_FOR_START;
-      console.log('Calibration complete, threshold:', this.threshold);
-    }
-  }
-
-  // Enable packet mode (new format)
-  enablePacketMode() {
-    this.packetMode = true;
-  }
-
-  // Disable packet mode (legacy format)
-  disablePacketMode() {
-    this.packetMode = false;
-  }
-
-  // Process brightness sample for packet mode
-  processBrightnessPacket(brightness) {
-    const bit = getBitFromBrightness(brightness, this.threshold);
-    this.receivedBits.push(bit);
-    this.brightnessSamples.push(brightness); // Collect samples for metrics
-
-    // Try to parse packet when we have enough bits
-    if (this.receivedBits.length >= 64) { // Minimum packet size
-      const packet = parsePacket(this.receivedBits);
-      if (packet.valid) {
-        this.handleReceivedPacket(packet);
-        this.receivedBits = []; // Clear buffer after successful parse
-        this.brightnessSamples = []; // Clear samples after processing
-      } else if (this.receivedBits.length > 1024) { // Prevent buffer overflow
-        this.receivedBits = this.receivedBits.slice(-512); // Keep last 512 bits
-        this.brightnessSamples = this.brightnessSamples.slice(-512); // Keep corresponding samples
-      }
-    }
-  }
-
-  // Handle received packet
-  handleReceivedPacket(packet) {
-    const dataType = getDataTypeName(packet.type);
-
-    try {
-      let data = packet.payload;
-      let isChunked = false;
-      let chunkInfo = null;
-      let compressionInfo = null;
-      let fecInfo = null;
-
-      // Check flags
-      const isCompressed = (packet.flags & PACKET_FLAGS.COMPRESSED) !== 0;
-      const isFECEnabled = (packet.flags & PACKET_FLAGS.FEC_ENABLED) !== 0;
-
-      // Check if this is chunked data
-      try {
-        const parsed = JSON.parse(packet.payload);
-        if (parsed.sequence !== undefined && parsed.total !== undefined && parsed.data !== undefined) {
-          isChunked = true;
-          chunkInfo = parsed;
-          data = parsed.data;
-          compressionInfo = parsed.compressionInfo;
-          fecInfo = parsed.fecInfo;
-        } else if (parsed.data && parsed.fec) {
-          // Single packet with FEC
-          data = parsed.data;
-          fecInfo = parsed.fec;
-        }
-      } catch (e) {
-        // Not chunked, use payload as-is
-      }
-
-      // Apply FEC error correction if enabled
-      if (isFECEnabled && fecInfo) {
-        const fecResult = fecEncoder.decode(fecInfo);
-        if (fecResult.success) {
-          data = fecResult.data;
-          console.log(`FEC corrected ${fecResult.errorsCorrected} errors`);
-        } else {
-          console.warn('FEC decoding failed');
-        }
-      }
-
-      // Decompress data if compressed
-      if (isCompressed && !isChunked) {
-        data = decompressData(data, { compressed: true });
-      }
-
-      if (isChunked) {
-        this.handleChunkedPacket(packet.type, chunkInfo, data, compressionInfo);
-      } else {
-        this.handleCompletePacket(packet.type, data);
-      }
-    } catch (error) {
-      console.error('Error processing packet:', error);
-      this.state = RECEIVER_STATES.ERROR;
-    }
-  }
-
-  // Handle chunked packet
-  handleChunkedPacket(type, chunkInfo, data, compressionInfo) {
-    const key = `${type}_${Date.now()}`; // Unique key for this transmission
-
-    if (!this.pendingChunks.has(key)) {
-      this.pendingChunks.set(key, []);
-    }
-
-    const chunks = this.pendingChunks.get(key);
-    chunks.push(chunkInfo);
-
-    // Try to reassemble if we have all chunks
-    const reassembled = reassembleChunks(chunks);
-    if (reassembled !== null) {
-      // Decompress if needed
-      let finalData = reassembled;
-      if (compressionInfo) {
-        finalData = decompressData(reassembled, { compressed: true });
-      }
-      this.handleCompletePacket(type, finalData);
-      this.pendingChunks.delete(key);
-    }
-  }
-
   // Handle complete packet
   async handleCompletePacket(type, data) {
-    let processedData;
-    const dataType = getDataTypeName(type);
+    // Key exchange messages go to the pairing handshake, never to vlc_data
+    if (type === DATA_TYPES.QUANTUM_KEY) {
+      await this.handleQuantumKeyPacket(data);
+      return;
+    }
 
     // Check if this is a backend payload (auth, config, or command)
     if (type === DATA_TYPES.JSON) {
       try {
-        const jsonData = JSON.parse(data);
-        if (jsonData.mode === 'auth' || jsonData.mode === 'config' || jsonData.mode === 'command') {
+        const jsonData = JSON.parse(utf8Decode(data));
+        if (['auth', 'key_agreement', 'config', 'command'].includes(jsonData.mode)) {
           await this.handleBackendPayload(jsonData);
           return; // Don't save as regular data
         }
@@ -297,34 +59,9 @@ export class VLCDecoder {
       }
     }
 
-    // Process data based on type
-    switch (type) {
-      case DATA_TYPES.TEXT:
-        processedData = data;
-        break;
-      case DATA_TYPES.JSON:
-        try {
-          processedData = JSON.parse(data);
-        } catch (e) {
-          processedData = data; // Fallback to string
-        }
-        break;
-      case DATA_TYPES.FILE:
-      case DATA_TYPES.IMAGE:
-        processedData = data; // Base64 data
-        break;
-      case DATA_TYPES.SENSOR_DATA:
-        try {
-          processedData = JSON.parse(data);
-        } catch (e) {
-          processedData = data;
-        }
-        break;
-      default:
-        processedData = data;
-    }
-
+    const record = this.createDataRecord(type, data);
     this.state = RECEIVER_STATES.SUCCESS;
+    this.recordData(record);
 
     // Compute and save quality metrics
     await this.computeAndSaveMetrics();
@@ -333,13 +70,7 @@ export class VLCDecoder {
     try {
       const existing = await AsyncStorage.getItem('vlc_data');
       const dataHistory = existing ? JSON.parse(existing) : [];
-      dataHistory.push({
-        type: dataType,
-        data: processedData,
-        timestamp: Date.now(),
-        duration: Date.now() - this.startTime,
-        size: JSON.stringify(processedData).length
-      });
+      dataHistory.push(toStoredRecord(record));
       await AsyncStorage.setItem('vlc_data', JSON.stringify(dataHistory));
     } catch (error) {
       console.error('Failed to save data:', error);
@@ -351,9 +82,9 @@ export class VLCDecoder {
         const existing = await AsyncStorage.getItem('vlc_messages');
         const messages = existing ? JSON.parse(existing) : [];
         messages.push({
-          message: processedData,
-          timestamp: Date.now(),
-          duration: Date.now() - this.startTime
+          message: record.data,
+          timestamp: record.timestamp,
+          duration: record.duration
         });
         await AsyncStorage.setItem('vlc_messages', JSON.stringify(messages));
       } catch (error) {
@@ -362,25 +93,41 @@ export class VLCDecoder {
     }
   }
 
-  // Compute and save transmission quality metrics
-  async computeAndSaveMetrics() {
-    if (this.brightnessSamples.length === 0) return;
+  // Handle chunked packet, keeping partial transfers across app restarts
+  handleChunkedPacket(type, chunkInfo, data, compression) {
+    super.handleChunkedPacket(type, chunkInfo, data, compression);
+    this.savePartialTransfers();
+  }
 
-    const totalBits = this.receivedBits.length;
-    const ber = calculateBitErrorRate(this.receivedBytes, totalBits);
-    const snr = calculateSNR(this.brightnessSamples);
-    const confidence = calculatePacketConfidence(1, 1); // Single transmission success
+  // Save the reassembly buffer
+  async savePartialTransfers() {
+    try {
+      await AsyncStorage.setItem('vlc_partial_transfers', JSON.stringify(this.reassembly.snapshot()));
+    } catch (error) {
+      console.error('Failed to save partial transfers:', error);
+    }
+  }
 
-    const metrics = {
-      ber: ber * 100, // Convert to percentage
-      snr: snr,
-      confidence: confidence,
-      timestamp: Date.now(),
-      totalBits: totalBits,
-      sampleCount: this.brightnessSamples.length
-    };
+  // Resume partial transfers saved before the app was restarted
+  async restorePartialTransfers() {
+    try {
+      const saved = await AsyncStorage.getItem('vlc_partial_transfers');
+      if (!saved) return 0;
+      const restored = this.reassembly.restore(JSON.parse(saved));
+      if (restored > 0) {
+        console.log(`Resumed ${restored} partial transfers`);
+      }
+      return restored;
+    } catch (error) {
+      console.error('Failed to restore partial transfers:', error);
+      return 0;
+    }
+  }
 
-    this.metricsHistory.push(metrics);
+  // Compute and save transmission quality metrics
+  async computeAndSaveMetrics() {
+    const metrics = this.computeMetrics();
+    if (!metrics) return;
 
     // Save to AsyncStorage
     try {
@@ -397,6 +144,69 @@ export class VLCDecoder {
     }
   }
 
+  // Load keys for ENCRYPTED frames from every device a pairing secret is stored for
+  async loadPacketKeys() {
+    try {
+      // Import PairingManager dynamically to avoid circular dependency
+      const { PairingManager } = await import('../utils/pairing.js');
+      const ciphers = await PairingManager.getPacketCiphers();
+      ciphers.forEach(cipher => this.addPacketCipher(cipher));
+      return ciphers.length;
+    } catch (error) {
+      console.error('Failed to load packet keys:', error);
+      return 0;
+    }
+  }
+
+  // Answer a QUANTUM_KEY offer, finish our own exchange with its response or
+  // one we answered with the initiator's reveal; the secret is kept once the
+  // user confirms the SAS
+  async handleQuantumKeyPacket(data) {
+    let result;
+    try {
+      // Import PairingManager dynamically to avoid circular dependency
+      const { PairingManager } = await import('../utils/pairing.js');
+      const message = decodeQuantumKeyMessage(data);
+      if (message.kind === QUANTUM_KEY_CONSTANTS.OFFER) {
+        result = { ...await PairingManager.respondToQuantumKeyExchange(data), role: 'responder' };
+      } else if (message.kind === QUANTUM_KEY_CONSTANTS.RESPONSE) {
+        result = { ...await PairingManager.completeQuantumKeyExchange(message.senderId, data), role: 'initiator' };
+      } else {
+        result = { ...await PairingManager.openQuantumKeyReveal(message.senderId, data), role: 'responder' };
+      }
+      result.peerDeviceId = message.senderId;
+      result.parameterSet = message.params.name;
+      result.hybrid = message.hybrid;
+      this.state = result.success ? RECEIVER_STATES.SUCCESS : RECEIVER_STATES.ERROR;
+    } catch (error) {
+      console.error('Error handling quantum key packet:', error);
+      this.state = RECEIVER_STATES.ERROR;
+      result = { success: false, message: error.message };
+    }
+
+    // Emit event for UI update
+    if (this.onBackendPayload) {
+      this.onBackendPayload({
+        type: 'QUANTUM_KEY_EXCHANGE',
+        data: {
+          peerDeviceId: result.peerDeviceId || null,
+          role: result.role || null,
+          parameterSet: result.parameterSet || null,
+          hybrid: Boolean(result.hybrid),
+          success: result.success,
+          sas: result.sas || null,
+          message: result.message,
+          timestamp: Date.now()
+        },
+        timestamp: Date.now(),
+        duration: Date.now() - this.startTime,
+        size: data.length
+      });
+    }
+
+    await this.computeAndSaveMetrics();
+  }
+
   // Handle backend payload (auth, config, or command)
   async handleBackendPayload(payloadData) {
     try {
@@ -411,6 +221,14 @@ export class VLCDecoder {
         // Verify the auth token with backend
         const result = await payloadBuilder.processAuthPayload(payloadData);
 
+        // Answer the key agreement that came with a valid token; the secret
+        // is kept once the user confirms the SAS matches the sender's screen
+        let keyAgreement = null;
+        if (result.success && payloadData.keyCommitment) {
+          const { PairingManager } = await import('../utils/pairing.js');
+          keyAgreement = await PairingManager.respondToKeyAgreement(payloadData, payloadBuilder.backendUrl);
+        }
+
         // Save auth result to AsyncStorage
         const authResult = {
           type: 'AUTH_VERIFICATION',
@@ -419,6 +237,8 @@ export class VLCDecoder {
             receiverDeviceId: payloadData.receiverDeviceId,
             success: result.success,
             message: result.message,
+            keyAgreement: Boolean(keyAgreement && keyAgreement.success),
+            relayed: keyAgreement ? keyAgreement.relayed : false,
             timestamp: Date.now()
           },
           timestamp: Date.now(),
@@ -440,6 +260,37 @@ export class VLCDecoder {
           this.onBackendPayload(authResult);
         }
 
+      } else if (payloadData.mode === 'key_agreement') {
+        console.log('Received key agreement key...');
+
+        // Import PairingManager dynamically to avoid circular dependency
+        const { PairingManager } = await import('../utils/pairing.js');
+
+        // The responder's answer or the initiator's reveal: derive the
+        // secret, which is kept once the user confirms the SAS
+        const result = await PairingManager.completeKeyAgreement(payloadData.senderDeviceId, payloadData.publicKey, payloadBuilder.backendUrl);
+
+        const keyAgreementResult = {
+          type: 'KEY_AGREEMENT',
+          data: {
+            peerDeviceId: payloadData.senderDeviceId,
+            role: result.role || null,
+            success: result.success,
+            relayed: Boolean(result.relayed),
+            sas: result.sas || null,
+            message: result.message,
+            timestamp: Date.now()
+          },
+          timestamp: Date.now(),
+          duration: Date.now() - this.startTime,
+          size: JSON.stringify(payloadData).length
+        };
+
+        // Emit event for UI update
+        if (this.onBackendPayload) {
+          this.onBackendPayload(keyAgreementResult);
+        }
+
       } else if (payloadData.mode === 'config') {
         console.log('Received config payload, fetching config...');
 
@@ -482,8 +333,8 @@ export class VLCDecoder {
         // Import PairingManager dynamically to avoid circular dependency
         const { PairingManager } = await import('../utils/pairing.js');
 
-        // Verify and execute the command
-        const result = await PairingManager.verifyAndExecuteCommand(payloadData.signedCommand);
+        // Verify (with the backend when reachable) and execute the command
+        const result = await PairingManager.verifyAndExecuteCommand(payloadData.signedCommand, payloadBuilder.backendUrl);
 
         // Save command result to AsyncStorage
         const commandResult = {
@@ -495,6 +346,7 @@ export class VLCDecoder {
             success: result.success,
             result: result.result,
             error: result.error,
+            code: result.code,
             timestamp: Date.now()
           },
           timestamp: Date.now(),
@@ -552,14 +404,4 @@ export class VLCDecoder {
   setBackendPayloadCallback(callback) {
     this.onBackendPayload = callback;
   }
-
-  // Get transmission statistics
-  getStats() {
-    return {
-      packetMode: this.packetMode,
-      threshold: this.threshold,
-      pendingChunks: this.pendingChunks.size,
-      state: this.state
-    };
-  }
-}
\ No newline at end of file
+}
@@ -0,0 +1,612 @@
+import { validateParity } from '../utils/parity.js';
+import { calculateLuma, getBitFromBrightness } from '../utils/luma.js';
+import { calculateThreshold } from '../utils/calibration.js';
+import { parsePacket, PACKET_CONSTANTS, FRAME_CONSTANTS, DATA_TYPES, getDataTypeName, getMaxFrameBits, decompressData, utf8Decode, PACKET_FLAGS } from '../utils/packet.js';
+import { getLineCodingName, decodeLineCodeField, LINE_CODING_CONSTANTS } from '../utils/lineCoding.js';
+import { MODULATIONS, MODULATION_CONSTANTS, getModulationName, decodeModulationField, getCalibrationSequence, learnConstellation, nominalConstellation, sliceSymbol, symbolToChips } from '../utils/modulation.js';
+import { getCodecName } from '../utils/compression.js';
+import { DecryptionError, getKeyId } from '../utils/aead.js';
+import { FountainDecoder } from '../utils/fountain.js';
+import { ReassemblyBuffer } from '../utils/reassembly.js';
+import { SymbolTimingRecovery } from './symbolTiming.js';
+import { calculateBitErrorRate, estimateBitErrorRate, calculateSNR, calculatePacketConfidence } from '../utils/metrics.js';
+
+// Storage-free receiver core
+//
+// Everything between brightness samples and decoded payloads: calibration,
+// bit slicing, frame parsing, chunk reassembly and quality metrics. Results
+// are kept in memory (receivedData, packetLog, metricsHistory) so the same
+// pipeline runs in the app, where VLCDecoder persists them, and headless in
+// Node for offline decoding of recorded traces.
+
+// VLC Protocol Constants (legacy support)
+const START_FRAME = '11111111';
+const END_FRAME = '00000000';
+
+// Binary frame buffering limits (START + header is the least we can inspect)
+const MIN_FRAME_BITS = 8 + FRAME_CONSTANTS.HEADER_SIZE * 8;
+const MAX_FRAME_BITS = getMaxFrameBits();
+
+// START plus the LINE_CODE and MODULATION fields, all on-off keyed
+const FRAME_HEAD_BITS = PACKET_CONSTANTS.START_FRAME.length + LINE_CODING_CONSTANTS.LINE_CODE_BITS + MODULATION_CONSTANTS.FIELD_BITS;
+
+// Receiver State Machine
+export const RECEIVER_STATES = {
+  IDLE: 'IDLE',
+  CALIBRATING: 'CALIBRATING',
+  WAITING_FOR_START: 'WAITING_FOR_START',
+  RECEIVING: 'RECEIVING',
+  END_DETECTED: 'END_DETECTED',
+  PARITY_CHECK: 'PARITY_CHECK',
+  SUCCESS: 'SUCCESS',
+  ERROR: 'ERROR',
+  DECRYPTION_FAILED: 'DECRYPTION_FAILED'
+};
+
+export class VLCDecoderCore {
+  constructor(options = {}) {
+    this.state = RECEIVER_STATES.IDLE;
+    this.threshold = 128;
+    this.receivedBits = [];
+    this.nextParseBits = MIN_FRAME_BITS; // Buffer length at which parsing can next find a frame
+    this.receivedBytes = [];
+    this.bitBuffer = '';
+    this.lastBitTime = 0;
+    this.startTime = 0;
+    // New packet format support
+    this.receivedPackets = [];
+    this.reassembly = new ReassemblyBuffer({ ttlMs: options.transferTtlMs }); // Partial chunked transfers
+    this.onChunkReceived = null; // Called for every chunk, e.g. by an ARQ receiver
+    this.fountainTransfers = new Map(); // Broadcasts being decoded (and finished ones, whose symbols keep coming)
+    this.packetMode = false; // Toggle between legacy and packet modes
+    // Quality metrics tracking
+    this.brightnessSamples = []; // Store brightness samples during transmission
+    this.metricsHistory = []; // Store computed metrics
+    this.fecStats = { errorsCorrected: 0, failures: 0 };
+    // Keys for ENCRYPTED frames, by key ID (see aead.js)
+    this.packetCiphers = new Map();
+    this.decryptionStats = { decrypted: 0, failures: 0, lastError: null };
+    this.pendingFrameStats = { bits: 0, errorsCorrected: 0 }; // Frames not yet counted in metrics
+    // Line coding is advertised per frame, remember what the transmitter used last
+    this.lineCoding = null;
+    this.lineCodingErrors = 0;
+    // Multi-level modulation: constellations learned from calibration frames,
+    // and the modulation of the frame body currently being received
+    this.modulation = null;
+    this.constellations = {};
+    this.activeModulation = null;
+    this.recentSymbols = [];
+    // Clock recovery for timestamped samples taken at any rate
+    this.symbolTiming = new SymbolTimingRecovery(options.timing);
+    // Decoded payloads and per-frame CRC/FEC results, oldest dropped first
+    this.maxLogSize = options.maxLogSize || 100;
+    this.receivedData = [];
+    this.packetLog = [];
+  }
+
+  // Process a timestamped brightness sample. Samples may arrive at any rate;
+  // bits are emitted once the symbol timing loop has locked to a preamble.
+  // Color ({ r, g, b }) is optional and only needed for color-shift keying.
+  processSample(brightness, timestamp = Date.now(), color = null) {
+    // Multi-level bodies are timed on the crossings halfway between off and on
+    // and the loop freewheels through runs of one level (Manchester chip pairs map to the middle levels)
+    const threshold = this.activeModulation ? this.activeModulation.threshold : this.threshold;
+    this.symbolTiming.holdLock = this.activeModulation !== null;
+    const symbols = this.symbolTiming.addSample(brightness, timestamp, threshold, color);
+    for (const symbol of symbols) {
+      if (this.packetMode) {
+        this.processPacketSymbol(symbol);
+      } else {
+        this.processBit(symbol.bit, symbol.brightness);
+      }
+    }
+    return symbols.length;
+  }
+
+  // Process brightness sample (exactly one sample per bit)
+  processBrightness(brightness) {
+    this.processBit(getBitFromBrightness(brightness, this.threshold), brightness);
+  }
+
+  // Run the legacy receiver state machine on one sliced bit
+  processBit(bit, brightness) {
+    // Collect brightness samples during transmission for metrics
+    if (this.state === RECEIVER_STATES.RECEIVING) {
+      this.brightnessSamples.push(brightness);
+    }
+
+    switch (this.state) {
+      case RECEIVER_STATES.CALIBRATING:
+      case RECEIVER_STATES.WAITING_FOR_START:
+        this.bitBuffer += bit;
+        if (this.bitBuffer.length >= 8) {
+          if (this.bitBuffer === START_FRAME) {
+            this.state = RECEIVER_STATES.RECEIVING;
+            this.receivedBits = [];
+            this.brightnessSamples = []; // Start collecting samples
+            this.startTime = Date.now();
+            console.log('Start frame detected');
+          }
+          this.bitBuffer = this.bitBuffer.slice(1);
+        }
+        break;
+
+      case RECEIVER_STATES.RECEIVING:
+        this.receivedBits.push(bit);
+        if (this.receivedBits.length >= 8) {
+          const byteStr = this.receivedBits.slice(-8).join('');
+          if (byteStr === END_FRAME) {
+            this.state = RECEIVER_STATES.END_DETECTED;
+            this.receivedBytes = this.groupBitsToBytes(this.receivedBits.slice(0, -8));
+            console.log('End frame detected');
+          }
+        }
+        break;
+    }
+  }
+
+  // Group bits into 9-bit bytes (8 data + 1 parity)
+  groupBitsToBytes(bits) {
+    const bytes = [];
+    for (let i = 0; i < bits.length; i += 9) {
+      if (i + 9 <= bits.length) {
+        bytes.push(bits.slice(i, i + 9).join(''));
+      }
+    }
+    return bytes;
+  }
+
+  // Validate parity of a legacy message, returns the text or null on a parity error
+  checkParity() {
+    if (this.state !== RECEIVER_STATES.END_DETECTED) return null;
+
+    this.state = RECEIVER_STATES.PARITY_CHECK;
+
+    const validBytes = [];
+    for (const byteStr of this.receivedBytes) {
+      if (validateParity(byteStr)) {
+        // Remove parity bit, the bytes are UTF-8
+        validBytes.push(parseInt(byteStr.slice(0, 8), 2));
+      } else {
+        console.log('Parity error in byte:', byteStr);
+        this.state = RECEIVER_STATES.ERROR;
+        return null;
+      }
+    }
+
+    this.state = RECEIVER_STATES.SUCCESS;
+    return utf8Decode(validBytes);
+  }
+
+  // Validate parity and decode message
+  decodeMessage() {
+    const message = this.checkParity();
+    if (message === null) return null;
+
+    this.computeMetrics();
+    this.recordData({
+      type: getDataTypeName(DATA_TYPES.TEXT),
+      data: message,
+      timestamp: Date.now(),
+      duration: Date.now() - this.startTime,
+      size: this.receivedBytes.length
+    });
+    return message;
+  }
+
+  // Reset decoder
+  reset() {
+    this.state = RECEIVER_STATES.IDLE;
+    this.receivedBits = [];
+    this.nextParseBits = MIN_FRAME_BITS;
+    this.receivedBytes = [];
+    this.bitBuffer = '';
+    this.brightnessSamples = [];
+    this.pendingFrameStats = { bits: 0, errorsCorrected: 0 };
+    this.activeModulation = null;
+    this.recentSymbols = [];
+    this.symbolTiming.reset();
+  }
+
+  // Start calibration, forgetting learned constellations until new calibration frames arrive
+  startCalibration() {
+    this.state = RECEIVER_STATES.CALIBRATING;
+    this.calibrationSamples = [];
+    this.constellations = {};
+  }
+
+  // Add calibration sample
+  addCalibrationSample(brightness) {
+    if (this.state === RECEIVER_STATES.CALIBRATING) {
+      this.calibrationSamples.push(brightness);
+    }
+  }
+
+  // Finish calibration
+  finishCalibration(margin) {
+    if (this.state === RECEIVER_STATES.CALIBRATING && this.calibrationSamples.length > 0) {
+      this.threshold = calculateThreshold(this.calibrationSamples, margin);
+      this.state = RECEIVER_STATES.WAITING_FOR_START;
+      console.log('Calibration complete, threshold:', this.threshold);
+    }
+  }
+
+  // Enable packet mode (new format)
+  enablePacketMode() {
+    this.packetMode = true;
+  }
+
+  // Disable packet mode (legacy format)
+  disablePacketMode() {
+    this.packetMode = false;
+  }
+
+  // Process brightness sample for packet mode (exactly one sample per bit)
+  processBrightnessPacket(brightness) {
+    this.processPacketBit(getBitFromBrightness(brightness, this.threshold), brightness);
+  }
+
+  // Demodulate one symbol in packet mode. Frames start on-off keyed; once
+  // START and the MODULATION field have arrived the body is sliced against the
+  // constellation for the advertised order and fed on as chips.
+  processPacketSymbol(symbol) {
+    const color = symbol.color || { r: symbol.brightness, g: symbol.brightness, b: symbol.brightness };
+    const active = this.activeModulation;
+
+    if (!active) {
+      this.recentSymbols.push({ bit: symbol.bit, color });
+      if (this.recentSymbols.length > FRAME_HEAD_BITS) {
+        this.recentSymbols.shift();
+      }
+      this.processPacketBit(symbol.bit, symbol.brightness, symbol.timestamp);
+      this.detectModulation();
+      return;
+    }
+
+    if (active.calibration) {
+      active.colors.push(color);
+      if (active.colors.length === active.length) {
+        const constellation = learnConstellation(active.modulation, active.colors);
+        if (constellation) {
+          this.constellations[active.modulation] = constellation;
+          console.log(`Learned ${getModulationName(active.modulation)} constellation`);
+        }
+        this.activeModulation = null;
+      }
+      return;
+    }
+
+    const chips = symbolToChips(sliceSymbol(color, active.constellation), active.modulation);
+    for (const chip of chips) {
+      this.processPacketBit(Number(chip), symbol.brightness, symbol.timestamp);
+      if (this.activeModulation !== active) return; // Frame complete, the rest is END
+    }
+    active.chips += chips.length;
+    if (active.chips > MAX_FRAME_BITS) {
+      this.activeModulation = null; // Lost the frame, go back to looking for START
+    }
+  }
+
+  // Switch to the advertised modulation once START, LINE_CODE and MODULATION have arrived
+  detectModulation() {
+    const head = this.receivedBits.slice(-FRAME_HEAD_BITS);
+    if (head.length < FRAME_HEAD_BITS) return;
+    if (!head.slice(0, 8).every(bit => Number(bit) === 1)) return;
+    if (decodeLineCodeField(head.slice(8)) === null) return;
+
+    const field = decodeModulationField(head.slice(8 + LINE_CODING_CONSTANTS.LINE_CODE_BITS));
+    if (!field || field.modulation === MODULATIONS.OOK) return;
+
+    // Off and on levels of the head give the nominal constellation when none was learned
+    const average = (symbols) => ({
+      r: symbols.reduce((sum, s) => sum + s.color.r, 0) / symbols.length,
+      g: symbols.reduce((sum, s) => sum + s.color.g, 0) / symbols.length,
+      b: symbols.reduce((sum, s) => sum + s.color.b, 0) / symbols.length
+    });
+    const black = average(this.recentSymbols.filter(s => s.bit === 0));
+    const white = average(this.recentSymbols.filter(s => s.bit === 1));
+
+    this.activeModulation = {
+      modulation: field.modulation,
+      calibration: field.calibration,
+      constellation: this.constellations[field.modulation] || nominalConstellation(field.modulation, black, white),
+      threshold: (calculateLuma(black.r, black.g, black.b) + calculateLuma(white.r, white.g, white.b)) / 2,
+      colors: [],
+      length: getCalibrationSequence(field.modulation).length,
+      chips: 0
+    };
+  }
+
+  // Buffer one sliced bit in packet mode and try to parse a frame. The buffer is
+  // only parsed again once enough bits have arrived for the next step (the
+  // header, then the frame length it advertises), not on every bit.
+  processPacketBit(bit, brightness, timestamp = Date.now()) {
+    this.receivedBits.push(bit);
+    this.brightnessSamples.push(brightness); // Collect samples for metrics
+
+    if (this.receivedBits.length < this.nextParseBits) return;
+
+    const packet = parsePacket(this.receivedBits);
+    if (packet.valid) {
+      this.activeModulation = null;
+      this.logPacket(packet, timestamp);
+      this.pendingFrameStats.bits += packet.bitsConsumed;
+      this.pendingFrameStats.errorsCorrected += packet.errorsCorrected;
+      this.handleReceivedPacket(packet);
+      this.discardBits(packet.bitsConsumed);
+    } else if (packet.bitsConsumed) {
+      // Complete frame that failed FEC/CRC, skip past it
+      this.activeModulation = null;
+      this.logPacket(packet, timestamp);
+      this.fecStats.failures++;
+      console.warn('Dropping corrupted packet:', packet.error);
+      this.discardBits(packet.bitsConsumed);
+    } else if (!packet.incomplete) {
+      // No frame starts in the buffer, keep only a tail that may begin one (detectModulation reads it too)
+      this.discardBits(this.receivedBits.length - FRAME_HEAD_BITS);
+    } else if (this.receivedBits.length > MAX_FRAME_BITS * 2) { // Prevent buffer overflow
+      this.discardBits(this.receivedBits.length - MAX_FRAME_BITS); // Keep room for one full frame
+    } else {
+      this.nextParseBits = Math.max(MIN_FRAME_BITS, packet.bitsNeeded);
+    }
+  }
+
+  // Drop bits (and their brightness samples) from the front of the packet buffer
+  discardBits(count) {
+    if (count > 0) {
+      this.receivedBits = this.receivedBits.slice(count);
+      this.brightnessSamples = this.brightnessSamples.slice(count);
+    }
+    this.nextParseBits = MIN_FRAME_BITS;
+  }
+
+  // Record the CRC/FEC outcome of a complete frame
+  logPacket(packet, timestamp) {
+    this.packetLog.push({
+      timestamp,
+      valid: packet.valid,
+      type: getDataTypeName(packet.type),
+      flags: packet.flags,
+      sequence: packet.sequence,
+      total: packet.total,
+      transferId: packet.transferId,
+      lineCoding: getLineCodingName(packet.lineCoding),
+      modulation: getModulationName(packet.modulation),
+      codec: getCodecName(packet.codec),
+      codingErrors: packet.codingErrors || 0,
+      errorsCorrected: packet.errorsCorrected || 0,
+      bits: packet.bitsConsumed,
+      error: packet.error || null
+    });
+    if (this.packetLog.length > this.maxLogSize) {
+      this.packetLog.splice(0, this.packetLog.length - this.maxLogSize);
+    }
+  }
+
+  // Handle received packet
+  handleReceivedPacket(packet) {
+    try {
+      let data = packet.payload;
+
+      // Check flags
+      const compression = { compressed: (packet.flags & PACKET_FLAGS.COMPRESSED) !== 0, codec: packet.codec };
+      const isChunked = (packet.flags & PACKET_FLAGS.CHUNKED) !== 0;
+      const isFountain = (packet.flags & PACKET_FLAGS.FOUNTAIN) !== 0;
+
+      this.lineCoding = packet.lineCoding;
+      this.lineCodingErrors += packet.codingErrors || 0;
+      this.modulation = packet.modulation;
+
+      if (packet.errorsCorrected > 0) {
+        this.fecStats.errorsCorrected += packet.errorsCorrected;
+        console.log(`FEC corrected ${packet.errorsCorrected} errors`);
+      }
+
+      if ((packet.flags & PACKET_FLAGS.ENCRYPTED) !== 0) {
+        data = this.decryptPayload(packet);
+        if (data === null) return;
+        packet = { ...packet, payload: data };
+      }
+
+      if (isFountain) {
+        this.handleFountainPacket(packet, compression);
+        return;
+      }
+
+      if (isChunked) {
+        const chunkInfo = {
+          sequence: packet.sequence,
+          total: packet.total,
+          transferId: packet.transferId
+        };
+        this.handleChunkedPacket(packet.type, chunkInfo, data, compression);
+        return;
+      }
+
+      // Decompress data with the codec named in the header
+      data = decompressData(data, compression);
+      this.handleCompletePacket(packet.type, data);
+    } catch (error) {
+      console.error('Error processing packet:', error);
+      this.state = RECEIVER_STATES.ERROR;
+    }
+  }
+
+  // Add a key for ENCRYPTED frames (a PacketCipher), replacing any with the same key ID
+  addPacketCipher(cipher) {
+    this.packetCiphers.set(cipher.keyId, cipher);
+  }
+
+  // Open an encrypted payload with the key its nonce names, null when there is
+  // no such key or the frame was altered (tag mismatch)
+  decryptPayload(packet) {
+    try {
+      const cipher = this.packetCiphers.get(getKeyId(packet.payload));
+      if (!cipher) {
+        throw new DecryptionError('No key for this sender, pair the devices first');
+      }
+      const payload = cipher.open(packet.payload, packet.associatedData);
+      this.decryptionStats.decrypted++;
+      return payload;
+    } catch (error) {
+      if (!(error instanceof DecryptionError)) throw error;
+      this.decryptionStats.failures++;
+      this.decryptionStats.lastError = error.message;
+      this.state = RECEIVER_STATES.DECRYPTION_FAILED;
+      console.warn('Dropping packet that failed decryption:', error.message);
+      return null;
+    }
+  }
+
+  // Handle chunked packet
+  handleChunkedPacket(type, chunkInfo, data, compression) {
+    // Frames of one transfer share its ID, whatever else arrives in between
+    const { duplicate, data: reassembled } = this.reassembly.add(type, chunkInfo, data, compression);
+    if (this.onChunkReceived) {
+      this.onChunkReceived({ ...chunkInfo, type, duplicate });
+    }
+
+    if (reassembled !== null) {
+      // Compression is applied to the whole payload before chunking
+      const finalData = decompressData(reassembled, compression);
+      this.handleCompletePacket(type, finalData);
+    }
+  }
+
+  // Handle one fountain-coded symbol of a broadcast
+  handleFountainPacket(packet, compression) {
+    const key = `${packet.type}_${packet.transferId}`;
+    let fountain = this.fountainTransfers.get(key);
+    if (!fountain) {
+      fountain = new FountainDecoder(packet.total, packet.payload.length, packet.transferId);
+      this.fountainTransfers.set(key, fountain);
+      // Finished broadcasts are kept so the looping transmitter is not decoded twice
+      if (this.fountainTransfers.size > this.maxLogSize) {
+        this.fountainTransfers.delete(this.fountainTransfers.keys().next().value);
+      }
+    }
+    if (fountain.complete) return;
+
+    if (fountain.addSymbol(packet.sequence, packet.payload)) {
+      const payload = fountain.getPayload();
+      fountain.blocks = []; // Only the progress is needed from here on
+      const finalData = decompressData(payload, compression);
+      this.handleCompletePacket(packet.type, finalData);
+    }
+  }
+
+  // Symbols needed vs received for every broadcast seen, newest last
+  getFountainProgress() {
+    return Array.from(this.fountainTransfers.entries()).map(([key, fountain]) => ({
+      type: getDataTypeName(key.split('_')[0]),
+      ...fountain.getProgress()
+    }));
+  }
+
+  // Set callback for every received chunk
+  setChunkCallback(callback) {
+    this.onChunkReceived = callback;
+  }
+
+  // Parse complete payload bytes according to the data type: text, parsed JSON or raw bytes
+  parsePayload(type, data) {
+    switch (type) {
+      case DATA_TYPES.TEXT:
+        return utf8Decode(data);
+      case DATA_TYPES.JSON:
+      case DATA_TYPES.SENSOR_DATA:
+        try {
+          return JSON.parse(utf8Decode(data));
+        } catch (e) {
+          return utf8Decode(data); // Fallback to string
+        }
+      case DATA_TYPES.FILE:
+      case DATA_TYPES.IMAGE:
+        return data; // Uint8Array
+      default:
+        return utf8Decode(data);
+    }
+  }
+
+  // Build the history record for a complete payload
+  createDataRecord(type, data) {
+    const processedData = this.parsePayload(type, data);
+    return {
+      type: getDataTypeName(type),
+      data: processedData,
+      timestamp: Date.now(),
+      duration: Date.now() - this.startTime,
+      size: data.length // Payload bytes
+    };
+  }
+
+  // Keep a decoded payload in memory
+  recordData(record) {
+    this.receivedData.push(record);
+    if (this.receivedData.length > this.maxLogSize) {
+      this.receivedData.splice(0, this.receivedData.length - this.maxLogSize);
+    }
+  }
+
+  // Handle complete packet
+  handleCompletePacket(type, data) {
+    const record = this.createDataRecord(type, data);
+    this.state = RECEIVER_STATES.SUCCESS;
+    this.computeMetrics();
+    this.recordData(record);
+    return record;
+  }
+
+  // Compute transmission quality metrics for what has been received so far
+  computeMetrics() {
+    if (this.brightnessSamples.length === 0) return null;
+
+    let totalBits;
+    let ber;
+    if (this.packetMode) {
+      // Binary frames carry no per-byte parity; FEC corrections give a lower bound
+      totalBits = this.pendingFrameStats.bits;
+      ber = estimateBitErrorRate(this.pendingFrameStats.errorsCorrected, totalBits);
+      this.pendingFrameStats = { bits: 0, errorsCorrected: 0 };
+    } else {
+      totalBits = this.receivedBits.length;
+      ber = calculateBitErrorRate(this.receivedBytes, totalBits);
+    }
+    const snr = calculateSNR(this.brightnessSamples);
+    const confidence = calculatePacketConfidence(1, 1); // Single transmission success
+
+    const metrics = {
+      ber: ber * 100, // Convert to percentage
+      snr: snr,
+      confidence: confidence,
+      timestamp: Date.now(),
+      totalBits: totalBits,
+      sampleCount: this.brightnessSamples.length,
+      decryptionFailures: this.decryptionStats.failures
+    };
+
+    this.metricsHistory.push(metrics);
+    return metrics;
+  }
+
+  // Get transmission statistics
+  getStats() {
+    return {
+      packetMode: this.packetMode,
+      threshold: this.threshold,
+      pendingChunks: this.reassembly.size,
+      fountainTransfers: this.getFountainProgress(),
+      fecErrorsCorrected: this.fecStats.errorsCorrected,
+      fecFailures: this.fecStats.failures,
+      decrypted: this.decryptionStats.decrypted,
+      decryptionFailures: this.decryptionStats.failures,
+      lastDecryptionError: this.decryptionStats.lastError,
+      lineCoding: this.lineCoding === null ? null : getLineCodingName(this.lineCoding),
+      lineCodingErrors: this.lineCodingErrors,
+      modulation: this.modulation === null ? null : getModulationName(this.modulation),
+      learnedConstellations: Object.keys(this.constellations).map(id => getModulationName(Number(id))),
+      timing: this.symbolTiming.getStatus(),
+      state: this.state
+    };
+  }
+}
@@ -0,0 +1,123 @@
+import { VLCDecoderCore, RECEIVER_STATES } from './decoderCore.js';
+import { TIMING_STATES } from './symbolTiming.js';
+import { GRID_DEFAULTS } from '../utils/gridLayout.js';
+
+// Grid mode receiver
+//
+// Every data cell is an independent link with its own threshold, symbol timing
+// and frame parser. The frames the cells recover are all handed to one sink
+// decoder, which reassembles chunks no matter which cell carried them and
+// keeps the decoded payloads (a VLCDecoder sink also saves them to history).
+// Cell thresholds are set from the alternating lead-in every cell shows
+// before its first frame.
+
+export const GRID_DECODER_DEFAULTS = {
+  CALIBRATION_FRAMES: 8, // Lead-in frames used to threshold each cell
+  MIN_CONTRAST: 30,      // Swing a cell needs during calibration
+};
+
+// Receiver for one cell, frames go to the shared sink
+class GridCellDecoder extends VLCDecoderCore {
+  constructor(sink, options = {}) {
+    super(options);
+    this.sink = sink;
+  }
+
+  // Reassembly happens across cells, in the sink
+  handleReceivedPacket(packet) {
+    this.sink.handleReceivedPacket(packet);
+  }
+}
+
+export class GridDecoder {
+  constructor(options = {}) {
+    this.rows = options.rows || GRID_DEFAULTS.ROWS;
+    this.cols = options.cols || GRID_DEFAULTS.COLS;
+    this.calibrationFrames = options.calibrationFrames || GRID_DECODER_DEFAULTS.CALIBRATION_FRAMES;
+    this.minContrast = options.minContrast || GRID_DECODER_DEFAULTS.MIN_CONTRAST;
+    this.sink = options.sink || new VLCDecoderCore({ maxLogSize: options.maxLogSize });
+    this.cells = Array.from({ length: this.rows * this.cols }, () => new GridCellDecoder(this.sink, {
+      timing: options.timing,
+      maxLogSize: options.maxLogSize
+    }));
+    this.reset();
+  }
+
+  // Drop cell state and thresholds, e.g. when the grid has to be located again
+  reset() {
+    this.cells.forEach(cell => {
+      cell.reset();
+      cell.enablePacketMode();
+    });
+    this.levels = this.cells.map(() => ({ min: Infinity, max: -Infinity }));
+    this.framesCalibrated = 0;
+    this.calibrated = false;
+  }
+
+  // Feed one frame's cell lumas (row by row), returns the bits sliced across all cells
+  processFrame(lumas, timestamp = Date.now()) {
+    if (lumas.length !== this.cells.length) {
+      console.warn(`Expected ${this.cells.length} cell samples, got ${lumas.length}`);
+      return 0;
+    }
+
+    if (!this.calibrated) {
+      this.calibrate(lumas);
+      return 0;
+    }
+
+    let bits = 0;
+    this.cells.forEach((cell, i) => {
+      bits += cell.processSample(lumas[i], timestamp);
+    });
+    return bits;
+  }
+
+  // Threshold every cell halfway between its darkest and brightest lead-in samples
+  calibrate(lumas) {
+    lumas.forEach((luma, i) => {
+      this.levels[i].min = Math.min(this.levels[i].min, luma);
+      this.levels[i].max = Math.max(this.levels[i].max, luma);
+    });
+    this.framesCalibrated++;
+    if (this.framesCalibrated < this.calibrationFrames) return;
+
+    const weak = this.levels.filter(level => level.max - level.min < this.minContrast).length;
+    if (weak > 0) {
+      // Not in the lead-in (or some cells are out of view), try again
+      console.warn(`${weak} grid cells without contrast, recalibrating`);
+      this.levels = this.cells.map(() => ({ min: Infinity, max: -Infinity }));
+      this.framesCalibrated = 0;
+      return;
+    }
+
+    this.cells.forEach((cell, i) => {
+      cell.threshold = (this.levels[i].min + this.levels[i].max) / 2;
+      cell.state = RECEIVER_STATES.WAITING_FOR_START;
+    });
+    this.calibrated = true;
+    console.log('Grid calibrated, thresholds:', this.cells.map(cell => Math.round(cell.threshold)));
+  }
+
+  // Per-frame CRC/FEC results of every cell, oldest first
+  getPacketLog() {
+    return this.cells
+      .flatMap((cell, i) => cell.packetLog.map(entry => ({ ...entry, cell: i })))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  // Grid and per-cell status
+  getStats() {
+    const frames = this.getPacketLog();
+    return {
+      rows: this.rows,
+      cols: this.cols,
+      calibrated: this.calibrated,
+      validFrames: frames.filter(f => f.valid).length,
+      failedFrames: frames.filter(f => !f.valid).length,
+      pendingChunks: this.sink.reassembly.size,
+      lockedCells: this.cells.filter(cell => cell.symbolTiming.getStatus().state === TIMING_STATES.LOCKED).length,
+      thresholds: this.cells.map(cell => cell.threshold)
+    };
+  }
+}
@@ -0,0 +1,82 @@
+import { VLCDecoderCore, RECEIVER_STATES } from './decoderCore.js';
+import { calculateSNR, estimateBitErrorRate, calculatePacketConfidence } from '../utils/metrics.js';
+
+// Headless decoding of recorded brightness traces
+//
+// Runs a trace of { timestamp, brightness } samples (with an optional { r, g, b }
+// color for color-shift keyed transmissions) through the same pipeline
+// as the receiver screen: calibration on the leading ambient-light samples,
+// symbol timing recovery and bit slicing, then frame parsing and reassembly.
+// Like the app, the trace should start with some light-off time before the
+// first transmission so the threshold is not biased by the signal itself.
+
+export const OFFLINE_DEFAULTS = {
+  CALIBRATION_MS: 1000, // Same window the receiver screen calibrates over
+  MARGIN: 50,
+};
+
+// Sort a trace and drop samples without a numeric timestamp or brightness
+export function normalizeTrace(samples) {
+  return samples
+    .filter(s => Number.isFinite(s.timestamp) && Number.isFinite(s.brightness))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Decode a trace, returns the decoded payloads, the per-frame CRC/FEC log and metrics
+export function decodeTrace(samples, options = {}) {
+  const trace = normalizeTrace(samples);
+  if (trace.length === 0) {
+    throw new Error('Trace contains no valid samples');
+  }
+
+  const decoder = new VLCDecoderCore({
+    timing: options.timing,
+    maxLogSize: Infinity // Keep every frame, traces are finite
+  });
+
+  // Calibrate on the leading samples unless a threshold was given
+  const start = trace[0].timestamp;
+  const calibrationMs = options.calibrationMs || OFFLINE_DEFAULTS.CALIBRATION_MS;
+  const calibrationSamples = trace.filter(s => s.timestamp - start < calibrationMs);
+  if (options.threshold !== undefined) {
+    decoder.threshold = options.threshold;
+    decoder.state = RECEIVER_STATES.WAITING_FOR_START;
+  } else {
+    decoder.startCalibration();
+    calibrationSamples.forEach(s => decoder.addCalibrationSample(s.brightness));
+    decoder.finishCalibration(options.margin !== undefined ? options.margin : OFFLINE_DEFAULTS.MARGIN);
+  }
+
+  decoder.enablePacketMode();
+  let bitsSliced = 0;
+  for (const sample of trace) {
+    bitsSliced += decoder.processSample(sample.brightness, sample.timestamp, sample.color || null);
+  }
+
+  const frames = decoder.packetLog;
+  const validFrames = frames.filter(f => f.valid);
+  const frameBits = validFrames.reduce((sum, f) => sum + f.bits, 0);
+  const symbolsCorrected = validFrames.reduce((sum, f) => sum + f.errorsCorrected, 0);
+  const signal = trace.slice(calibrationSamples.length).map(s => s.brightness);
+
+  return {
+    threshold: decoder.threshold,
+    sampleCount: trace.length,
+    calibrationSamples: calibrationSamples.length,
+    durationMs: trace[trace.length - 1].timestamp - start,
+    bitsSliced,
+    payloads: decoder.receivedData,
+    frames,
+    pendingChunks: decoder.reassembly.getProgress(),
+    metrics: {
+      snr: calculateSNR(signal),
+      ber: estimateBitErrorRate(symbolsCorrected, frameBits) * 100, // Percentage, like the app
+      confidence: frames.length > 0 ? calculatePacketConfidence(validFrames.length, frames.length) : 0,
+      validFrames: validFrames.length,
+      failedFrames: frames.length - validFrames.length,
+      fecErrorsCorrected: decoder.fecStats.errorsCorrected,
+      lineCodingErrors: decoder.lineCodingErrors
+    },
+    timing: decoder.symbolTiming.getStatus()
+  };
+}
@@ -0,0 +1,157 @@
+import { PACKET_CONSTANTS } from '../utils/packet.js';
+
+// Symbol timing recovery for the optical receiver
+//
+// The camera delivers brightness samples at its own, jittery rate while the
+// transmitter flashes one chip every BIT_DURATION ms. This stage takes
+// timestamped samples at any rate (ideally several per chip), locks onto the
+// alternating training preamble that precedes every frame, and then tracks
+// the transmitter's clock with a second-order loop driven by the timing error
+// of each level transition. Bits are only emitted while locked, sampled at the
+// estimated centre of each chip. Samples may carry an { r, g, b } color, which
+// is interpolated alongside the brightness for multi-level demodulation.
+
+export const TIMING_STATES = {
+  SEARCHING: 'SEARCHING',
+  LOCKED: 'LOCKED'
+};
+
+export class SymbolTimingRecovery {
+  constructor(options = {}) {
+    this.nominalPeriod = options.symbolPeriod || PACKET_CONSTANTS.BIT_DURATION;
+    this.tolerance = options.tolerance || 0.3; // Accepted period deviation during acquisition
+    this.lockTransitions = options.lockTransitions || 6; // Evenly spaced transitions needed to lock
+    this.phaseGain = options.phaseGain || 0.3;
+    this.frequencyGain = options.frequencyGain || 0.05;
+    this.maxSymbolsWithoutTransition = options.maxSymbolsWithoutTransition || 24;
+    this.holdLock = false; // Set while a multi-level body may legitimately repeat one level
+    this.reset();
+  }
+
+  // Drop lock and all history
+  reset() {
+    this.state = TIMING_STATES.SEARCHING;
+    this.period = this.nominalPeriod;
+    this.lastSample = null;
+    this.transitions = [];
+    this.nextSampleTime = null;
+    this.symbolsSinceTransition = 0;
+    this.lastTimingError = 0;
+  }
+
+  // Add a brightness sample, returns the bits whose centre has now been passed
+  addSample(brightness, timestamp, threshold, color = null) {
+    const level = brightness > threshold ? 1 : 0;
+    const prev = this.lastSample;
+    const bits = [];
+
+    if (prev && timestamp <= prev.timestamp) {
+      return bits; // Duplicate or out-of-order sample
+    }
+    this.lastSample = { brightness, timestamp, level, color };
+    if (!prev) return bits;
+
+    const current = this.lastSample;
+
+    if (level !== prev.level) {
+      // Interpolate where the signal crossed the threshold
+      const fraction = (threshold - prev.brightness) / (brightness - prev.brightness);
+      const crossing = prev.timestamp + fraction * (timestamp - prev.timestamp);
+
+      // Emit chips centred before the crossing with the old timing, then correct it
+      this.emitUntil(prev, current, crossing, threshold, bits);
+      this.handleTransition(crossing);
+    }
+
+    this.emitUntil(prev, current, timestamp, threshold, bits);
+
+    if (this.state === TIMING_STATES.LOCKED && !this.holdLock && this.symbolsSinceTransition > this.maxSymbolsWithoutTransition) {
+      // Transmitter went idle (or we lost it); wait for the next preamble
+      const sample = this.lastSample;
+      this.reset();
+      this.lastSample = sample;
+    }
+
+    return bits;
+  }
+
+  // Emit chips whose centre lies at or before `until`, interpolating between two samples
+  emitUntil(prev, current, until, threshold, bits) {
+    if (this.state !== TIMING_STATES.LOCKED) return;
+
+    while (this.nextSampleTime <= until) {
+      const span = current.timestamp - prev.timestamp;
+      const fraction = Math.min(1, Math.max(0, (this.nextSampleTime - prev.timestamp) / span));
+      const value = prev.brightness + fraction * (current.brightness - prev.brightness);
+      const color = prev.color && current.color ? {
+        r: prev.color.r + fraction * (current.color.r - prev.color.r),
+        g: prev.color.g + fraction * (current.color.g - prev.color.g),
+        b: prev.color.b + fraction * (current.color.b - prev.color.b)
+      } : null;
+
+      bits.push({
+        bit: value > threshold ? 1 : 0,
+        brightness: value,
+        color,
+        timestamp: this.nextSampleTime
+      });
+
+      this.nextSampleTime += this.period;
+      this.symbolsSinceTransition++;
+    }
+  }
+
+  // Use a level transition for acquisition or tracking
+  handleTransition(time) {
+    if (this.state === TIMING_STATES.SEARCHING) {
+      this.acquire(time);
+      return;
+    }
+
+    // Timing error relative to the nearest expected chip boundary
+    const boundary = this.nextSampleTime - this.period / 2;
+    const k = Math.round((time - boundary) / this.period);
+    const error = time - (boundary + k * this.period);
+
+    this.nextSampleTime += this.phaseGain * error;
+    this.period += this.frequencyGain * error;
+    this.period = Math.min(
+      this.nominalPeriod * (1 + this.tolerance),
+      Math.max(this.nominalPeriod * (1 - this.tolerance), this.period)
+    );
+    this.lastTimingError = error;
+    this.symbolsSinceTransition = 0;
+  }
+
+  // Look for lockTransitions evenly spaced transitions (the alternating preamble)
+  acquire(time) {
+    const last = this.transitions[this.transitions.length - 1];
+    if (last !== undefined) {
+      const interval = time - last;
+      const min = this.nominalPeriod * (1 - this.tolerance);
+      const max = this.nominalPeriod * (1 + this.tolerance);
+      if (interval < min || interval > max) {
+        this.transitions = []; // Not a preamble chip, start over from here
+      }
+    }
+
+    this.transitions.push(time);
+    if (this.transitions.length < this.lockTransitions + 1) return;
+
+    const first = this.transitions[0];
+    this.period = (time - first) / (this.transitions.length - 1);
+    this.nextSampleTime = time + this.period / 2;
+    this.state = TIMING_STATES.LOCKED;
+    this.symbolsSinceTransition = 0;
+    this.transitions = [];
+  }
+
+  // Current loop status for UI and metrics
+  getStatus() {
+    return {
+      state: this.state,
+      period: this.period,
+      timingError: this.lastTimingError
+    };
+  }
+}
@@ -1,12 +1,14 @@
 import { calculateParityBit } from '../utils/parity.js';
-import { createPacket, PACKET_CONSTANTS, DATA_TYPES, chunkData, compressData, PACKET_FLAGS, fecEncoder } from '../utils/packet.js';
+import { createPacket, frameToBits, frameToSymbols, calibrationFrameToSymbols, PACKET_CONSTANTS, FRAME_CONSTANTS, DATA_TYPES, chunkData, compressData, toBytes, utf8Encode, base64ToBytes, PACKET_FLAGS } from '../utils/packet.js';
+import { MODULATIONS } from '../utils/modulation.js';
+import { GRID_DEFAULTS } from '../utils/gridLayout.js';
+import { FountainEncoder } from '../utils/fountain.js';
 
-// Legacy support for old message format (backward compatibility)
+// Legacy support for old message format (backward compatibility), one parity-protected byte per UTF-8 byte
 export function encodeMessage(message) {
   const bytes = [];
-  for (let i = 0; i < message.length; i++) {
-    const charCode = message.charCodeAt(i);
-    const binary = charCode.toString(2).padStart(8, '0');
+  for (const byte of utf8Encode(message)) {
+    const binary = byte.toString(2).padStart(8, '0');
     const parity = calculateParityBit(binary);
     bytes.push(binary + parity);
   }
@@ -20,40 +22,49 @@ export function addFraming(encodedBytes) {
 
 // New universal data encoding functions
 
-// Encode data of any type
-export function encodeData(data, dataType = DATA_TYPES.TEXT) {
-  // Handle different data types
-  let payload;
+// Random 16-bit identifier shared by every frame of one transfer
+export function generateTransferId() {
+  return Math.floor(Math.random() * (FRAME_CONSTANTS.MAX_TRANSFER_ID + 1));
+}
+
+// Payload bytes for data of any type: text and JSON as UTF-8, binary data as is
+export function serializePayload(data, dataType = DATA_TYPES.TEXT) {
+  const isBinary = data instanceof ArrayBuffer || ArrayBuffer.isView(data);
   switch (dataType) {
     case DATA_TYPES.TEXT:
-      payload = typeof data === 'string' ? data : String(data);
-      break;
+      return utf8Encode(typeof data === 'string' ? data : String(data));
     case DATA_TYPES.JSON:
-      payload = JSON.stringify(data);
-      break;
+    case DATA_TYPES.SENSOR_DATA:
+      return utf8Encode(JSON.stringify(data));
     case DATA_TYPES.FILE:
     case DATA_TYPES.IMAGE:
-      // Assume data is already Base64 encoded
-      payload = data;
-      break;
-    case DATA_TYPES.SENSOR_DATA:
-      // Convert sensor object to JSON
-      payload = JSON.stringify(data);
-      break;
+      // Raw bytes go on air; Base64 (what the pickers return) is decoded first
+      return typeof data === 'string' ? base64ToBytes(data) : toBytes(data);
     default:
-      payload = String(data);
+      return isBinary ? toBytes(data) : utf8Encode(String(data));
   }
+}
+
+// Largest payload per frame; a cipher's nonce and tag count against MAX_CHUNK_SIZE
+function getMaxPayloadSize(cipher) {
+  return PACKET_CONSTANTS.MAX_CHUNK_SIZE - (cipher ? cipher.overhead : 0);
+}
+
+// Encode data of any type into an array of binary frames (Uint8Array).
+// With a cipher (a PacketCipher, see aead.js) every frame is encrypted.
+export function encodeData(data, dataType = DATA_TYPES.TEXT, enableCompression = true, enableFEC = true, cipher = null) {
+  const payload = serializePayload(data, dataType);
 
   // Check if chunking is needed
-  if (payload.length > PACKET_CONSTANTS.MAX_CHUNK_SIZE) {
-    return encodeChunkedData(payload, dataType);
+  if (payload.length > getMaxPayloadSize(cipher)) {
+    return encodeChunkedData(payload, dataType, enableCompression, enableFEC, 1, cipher);
   } else {
-    return encodeSinglePacket(payload, dataType);
+    return encodeSinglePacket(payload, dataType, enableCompression, enableFEC, cipher);
   }
 }
 
-// Encode single packet
-export function encodeSinglePacket(payload, dataType, enableCompression = true, enableFEC = true) {
+// Encode single packet (payload bytes)
+export function encodeSinglePacket(payload, dataType, enableCompression = true, enableFEC = true, cipher = null) {
   // Try to compress the payload
   const compressionResult = compressData(payload, enableCompression);
   let flags = 0;
@@ -64,22 +75,15 @@ export function encodeSinglePacket(payload, dataType, enableCompression = true,
   }
 
   // Add FEC if enabled and payload is substantial
-  let fecData = null;
   if (enableFEC && payload.length > 10) {
     flags |= PACKET_FLAGS.FEC_ENABLED;
-    fecData = fecEncoder.encode(payload);
-    payload = JSON.stringify({
-      data: payload,
-      fec: fecData
-    });
   }
 
-  const packet = createPacket(dataType, payload, flags);
-  return packet;
+  return [createPacket(dataType, payload, flags, { transferId: generateTransferId(), codec: compressionResult.codec, cipher })];
 }
 
-// Encode chunked data
-export function encodeChunkedData(payload, dataType, enableCompression = true, enableFEC = true) {
+// Encode chunked data (payload bytes). minChunks splits small payloads further, e.g. to give every grid cell a frame.
+export function encodeChunkedData(payload, dataType, enableCompression = true, enableFEC = true, minChunks = 1, cipher = null) {
   // Compress the entire payload before chunking if beneficial
   const compressionResult = compressData(payload, enableCompression);
   let flags = PACKET_FLAGS.CHUNKED;
@@ -89,37 +93,85 @@ export function encodeChunkedData(payload, dataType, enableCompression = true, e
     payload = compressionResult.data;
   }
 
-  // Add FEC for the entire payload if enabled
-  let fecData = null;
+  // Parity is computed per frame so each chunk can be corrected on its own
+  if (enableFEC && payload.length > 10) {
+    flags |= PACKET_FLAGS.FEC_ENABLED;
+  }
+
+  const transferId = generateTransferId();
+  const chunkSize = Math.max(1, Math.min(getMaxPayloadSize(cipher), Math.ceil(payload.length / minChunks)));
+  const chunks = chunkData(payload, dataType, chunkSize);
+
+  return chunks.map(chunk => createPacket(dataType, chunk.data, flags, {
+    sequence: chunk.sequence,
+    total: chunk.total,
+    transferId,
+    codec: compressionResult.codec,
+    cipher
+  }));
+}
+
+// Fountain encoder for a broadcast: call nextFrames() for as long as the
+// transmitter loops. Compression, FEC and encryption apply as for chunked transfers.
+export function encodeFountainData(data, dataType = DATA_TYPES.TEXT, enableCompression = true, enableFEC = true, minBlocks = 1, cipher = null) {
+  let payload = serializePayload(data, dataType);
+  const compressionResult = compressData(payload, enableCompression);
+  let flags = PACKET_FLAGS.FOUNTAIN;
+
+  if (compressionResult.compressed) {
+    flags |= PACKET_FLAGS.COMPRESSED;
+    payload = compressionResult.data;
+  }
+
   if (enableFEC && payload.length > 10) {
     flags |= PACKET_FLAGS.FEC_ENABLED;
-    fecData = fecEncoder.encode(payload);
   }
 
-  const chunks = chunkData(payload, dataType);
-  const packets = [];
-
-  chunks.forEach(chunk => {
-    // Add chunk metadata to payload
-    const chunkPayload = JSON.stringify({
-      sequence: chunk.sequence,
-      total: chunk.total,
-      data: chunk.data,
-      compressionInfo: compressionResult.compressed ? {
-        originalSize: compressionResult.originalSize,
-        compressedSize: compressionResult.compressedSize
-      } : null,
-      fecInfo: fecData ? {
-        data: fecData.data,
-        parity: fecData.parity,
-        originalSize: fecData.originalSize
-      } : null
-    });
-    const packet = createPacket(dataType, chunkPayload, flags);
-    packets.push(...packet);
+  return new FountainEncoder(payload, {
+    dataType,
+    flags,
+    codec: compressionResult.codec,
+    cipher,
+    blockSize: getMaxPayloadSize(cipher),
+    transferId: generateTransferId(),
+    minBlocks
   });
+}
+
+// Serialize frames into the bit sequence flashed by the transmitter
+export function framesToBits(frames, lineCoding = PACKET_CONSTANTS.DEFAULT_LINE_CODING) {
+  return frames.flatMap(frame => frameToBits(frame, lineCoding));
+}
+
+// Serialize frames into the screen colors flashed by the transmitter, one per symbol.
+// Multi-level transmissions start with a calibration frame so receivers can learn the constellation.
+export function framesToSymbols(frames, lineCoding = PACKET_CONSTANTS.DEFAULT_LINE_CODING, modulation = PACKET_CONSTANTS.DEFAULT_MODULATION) {
+  const calibration = modulation === MODULATIONS.OOK ? [] : calibrationFrameToSymbols(modulation, lineCoding);
+  return [...calibration, ...frames.flatMap(frame => frameToSymbols(frame, lineCoding, modulation))];
+}
+
+// Encode data for grid mode: always chunked, with at least one frame per cell
+export function encodeGridData(data, dataType = DATA_TYPES.TEXT, cellCount = GRID_DEFAULTS.ROWS * GRID_DEFAULTS.COLS, enableCompression = true, enableFEC = true) {
+  return encodeChunkedData(serializePayload(data, dataType), dataType, enableCompression, enableFEC, cellCount);
+}
+
+// Deal frames out to the grid cells (frame i goes to cell i % cellCount) and
+// serialize each cell's bit stream. Every stream starts with the lead-in and is
+// padded with dark chips to the longest one, so all cells flash in lockstep.
+export function framesToGridStreams(frames, cellCount, lineCoding = PACKET_CONSTANTS.DEFAULT_LINE_CODING) {
+  const leadIn = Array.from({ length: GRID_DEFAULTS.LEAD_IN_CHIPS }, (_, i) => (i % 2 === 0 ? '1' : '0'));
+  const streams = Array.from({ length: cellCount }, (_, cell) => [
+    ...leadIn,
+    ...framesToBits(frames.filter((_, i) => i % cellCount === cell), lineCoding)
+  ]);
+  const length = Math.max(...streams.map(stream => stream.length));
+  return streams.map(stream => stream.concat(new Array(length - stream.length).fill('0')));
+}
 
-  return packets;
+// Get transmission duration for grid mode
+export function getGridTransmissionDuration(data, dataType = DATA_TYPES.TEXT, rows = GRID_DEFAULTS.ROWS, cols = GRID_DEFAULTS.COLS, lineCoding = PACKET_CONSTANTS.DEFAULT_LINE_CODING) {
+  const frames = encodeGridData(data, dataType, rows * cols);
+  return framesToGridStreams(frames, rows * cols, lineCoding)[0].length * PACKET_CONSTANTS.BIT_DURATION;
 }
 
 // VLC Protocol Constants (legacy support)
@@ -143,8 +195,7 @@ export function getTransmissionDuration(message) {
 }
 
 // Get transmission duration for data packets
-export function getDataTransmissionDuration(data, dataType = DATA_TYPES.TEXT) {
-  const encoded = encodeData(data, dataType);
-  const totalBits = encoded.reduce((sum, bitString) => sum + bitString.length, 0);
-  return totalBits * PACKET_CONSTANTS.BIT_DURATION;
+export function getDataTransmissionDuration(data, dataType = DATA_TYPES.TEXT, lineCoding = PACKET_CONSTANTS.DEFAULT_LINE_CODING, modulation = PACKET_CONSTANTS.DEFAULT_MODULATION) {
+  const frames = encodeData(data, dataType);
+  return framesToSymbols(frames, lineCoding, modulation).length * PACKET_CONSTANTS.BIT_DURATION;
 }
\ No newline at end of file
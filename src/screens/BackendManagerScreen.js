@@ -1,9 +1,10 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { View, Text, TextInput, TouchableOpacity, StyleSheet, ScrollView, Alert, Dimensions } from 'react-native';
 import { payloadBuilder } from '../utils/payloadBuilder.js';
-import { encodeData } from '../encoder/encoder.js';
+import { encodeData, framesToBits } from '../encoder/encoder.js';
 import { DATA_TYPES } from '../utils/packet.js';
 import DeviceManager from '../utils/device.js';
+import { formatFingerprint } from '../utils/signing.js';
 import PairingManager from '../utils/pairing.js';
 import VLCAlert from '../components/VLCAlert';
 import TransmissionProgressBar from '../components/TransmissionProgressBar';
@@ -25,7 +26,12 @@ export default function BackendManagerScreen() {
   const [flashColor, setFlashColor] = useState(0);
   const [alert, setAlert] = useState({ visible: false, type: 'info', title: '', message: '' });
   const [pairedDevices, setPairedDevices] = useState([]);
-  const [pairingStatus, setPairingStatus] = useState('idle'); // 'idle', 'requesting', 'transmitting', 'waiting'
+  const [pairingStatus, setPairingStatus] = useState('idle'); // 'idle', 'requesting', 'transmitting', 'waiting', 'confirming'
+  const [pendingKeyAgreements, setPendingKeyAgreements] = useState([]); // Handshakes waiting for SAS confirmation
+  const [fingerprint, setFingerprint] = useState(null); // This device's identity key
+  const [revokedKeys, setRevokedKeys] = useState([]);
+  const [peerFingerprints, setPeerFingerprints] = useState({}); // Paired device ID -> fingerprint
+  const [quantumHybrid, setQuantumHybrid] = useState(true); // ML-KEM together with X25519
   const [tokenExpiry, setTokenExpiry] = useState(null);
   const [command, setCommand] = useState('ping');
   const [selectedReceiver, setSelectedReceiver] = useState('');
@@ -38,6 +44,7 @@ export default function BackendManagerScreen() {
   const isTransmittingRef = useRef(false);
   const intervalRef = useRef(null);
   const expiryIntervalRef = useRef(null);
+  const pairingPeerRef = useRef(null); // Device the handshake in progress is with
 
   // Initialize device and load paired devices
   useEffect(() => {
@@ -47,6 +54,7 @@ export default function BackendManagerScreen() {
         const id = await DeviceManager.getDeviceId();
         setDeviceId(id);
 
+        await loadIdentityKey();
         await loadPairedDevices();
       } catch (error) {
         console.error('Failed to initialize:', error);
@@ -66,15 +74,83 @@ export default function BackendManagerScreen() {
     };
   }, [backendUrl]);
 
+  // Poll for the receiver's key agreement answer (backend reverse channel or
+  // flashed back to the receiver screen), for the keys revealed by the
+  // initiators we answered, and for handshakes to confirm
+  useEffect(() => {
+    const poll = async () => {
+      if (pairingStatus === 'waiting' && pairingPeerRef.current) {
+        const result = await PairingManager.pollKeyAgreement(pairingPeerRef.current, backendUrl);
+        if (result.success) {
+          setPairingStatus('confirming');
+          showAlert('info', 'Compare Pairing Code', result.relayed
+            ? `Check that ${pairingPeerRef.current} shows ${result.sas}`
+            : `No backend: reveal our key via light, then check that ${pairingPeerRef.current} shows ${result.sas}`);
+        }
+      }
+      const waiting = PairingManager.getPendingKeyAgreements().filter(pending => pending.kind === 'x25519' && !pending.sas);
+      for (const pending of waiting) {
+        await PairingManager.pollKeyAgreement(pending.peerDeviceId, backendUrl);
+      }
+      setPendingKeyAgreements(PairingManager.getPendingKeyAgreements());
+    };
+
+    const interval = setInterval(poll, 2000);
+    return () => clearInterval(interval);
+  }, [pairingStatus, backendUrl]);
+
   const loadPairedDevices = async () => {
     try {
       const devices = await PairingManager.getPairedDevices();
       setPairedDevices(devices);
+
+      // Fingerprints to compare with the ones shown on the paired devices
+      const fingerprints = {};
+      for (const device of devices) {
+        fingerprints[device] = await DeviceManager.getIdentityFingerprint(device);
+      }
+      setPeerFingerprints(fingerprints);
     } catch (error) {
       console.error('Failed to load paired devices:', error);
     }
   };
 
+  const loadIdentityKey = async () => {
+    try {
+      setFingerprint(await DeviceManager.getIdentityFingerprint());
+      setRevokedKeys(await DeviceManager.getRevokedKeys());
+    } catch (error) {
+      console.error('Failed to load identity key:', error);
+    }
+  };
+
+  // New identity key; commands signed with the old one are refused afterwards
+  const handleRotateIdentityKey = () => {
+    const rotate = async (reason) => {
+      try {
+        const result = await DeviceManager.rotateIdentityKey(reason);
+        await loadIdentityKey();
+        if (result.success) {
+          showAlert('success', 'Key Rotated', `New fingerprint: ${result.fingerprint}`);
+        } else {
+          showAlert('warning', 'Key Rotated Locally', 'Could not publish the new key, paired devices will refuse commands until it is');
+        }
+      } catch (error) {
+        showAlert('error', 'Rotation Error', error.message);
+      }
+    };
+
+    Alert.alert(
+      'Rotate Identity Key',
+      'Paired devices will only accept commands signed with the new key.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Rotate', onPress: () => rotate('rotated') },
+        { text: 'Key Compromised', style: 'destructive', onPress: () => rotate('compromised') }
+      ]
+    );
+  };
+
   const transmit = React.useCallback(() => {
     if (!isTransmittingRef.current) return;
 
@@ -83,7 +159,7 @@ export default function BackendManagerScreen() {
       stopTransmission();
       if (pairingStatus === 'transmitting') {
         setPairingStatus('waiting');
-        showAlert('success', 'Pairing Token Sent', 'Waiting for receiver to complete pairing...');
+        showAlert('success', 'Pairing Token Sent', 'Waiting for the receiver to answer the key agreement...');
       } else {
         showAlert('success', 'Transmission Complete', 'Data sent successfully!');
       }
@@ -103,12 +179,11 @@ export default function BackendManagerScreen() {
     setAlert({ visible: false, type: 'info', title: '', message: '' });
   };
 
-  const startTransmission = (encodedData) => {
+  const startTransmission = (frames) => {
     if (isTransmittingRef.current) return;
 
     isTransmittingRef.current = true;
-    const bitString = encodedData.join(''); // Convert array of bit strings to single string
-    framedBitsRef.current = bitString.split(''); // Convert to array of individual bits
+    framedBitsRef.current = framesToBits(frames); // Individual bits, including frame delimiters
     bitIndexRef.current = 0;
     totalBitsRef.current = framedBitsRef.current.length;
     startTimeRef.current = Date.now();
@@ -150,6 +225,10 @@ export default function BackendManagerScreen() {
       const result = await PairingManager.requestPairingToken(selectedReceiver, backendUrl);
 
       if (result.success) {
+        // Commitment to an ephemeral key for the handshake, flashed along with the token
+        const keyCommitment = await PairingManager.startKeyAgreement(selectedReceiver);
+        pairingPeerRef.current = selectedReceiver;
+
         setTokenExpiry(result.expiresAt);
         setPairingStatus('transmitting');
         showAlert('success', 'Token Received', 'Starting VLC transmission...');
@@ -158,7 +237,7 @@ export default function BackendManagerScreen() {
         startExpiryCountdown(result.expiresAt);
 
         // Build and transmit pairing payload
-        const payload = await payloadBuilder.buildAuthPayload(deviceId, selectedReceiver);
+        const payload = await payloadBuilder.buildAuthPayload(deviceId, selectedReceiver, keyCommitment);
         startTransmission(payload.encoded);
       } else {
         setPairingStatus('idle');
@@ -187,6 +266,69 @@ export default function BackendManagerScreen() {
     }, 1000);
   };
 
+  // Both screens show the same code: keep the shared secret
+  const handleConfirmKeyAgreement = async (peerDeviceId) => {
+    const result = await PairingManager.confirmKeyAgreement(peerDeviceId);
+    finishKeyAgreement(peerDeviceId);
+    if (result.success) {
+      await loadPairedDevices();
+      showAlert('success', 'Secure Pairing Complete', `Shared secret stored for ${peerDeviceId}`);
+    } else {
+      showAlert('error', 'Pairing Failed', result.message);
+    }
+  };
+
+  // The codes differ, someone may have swapped the keys in transit
+  const handleRejectKeyAgreement = async (peerDeviceId) => {
+    await PairingManager.rejectKeyAgreement(peerDeviceId);
+    finishKeyAgreement(peerDeviceId);
+    showAlert('error', 'Pairing Rejected', 'Codes did not match, no secret was kept');
+  };
+
+  const finishKeyAgreement = (peerDeviceId) => {
+    setPendingKeyAgreements(PairingManager.getPendingKeyAgreements());
+    if (pairingPeerRef.current === peerDeviceId) {
+      pairingPeerRef.current = null;
+      setPairingStatus('idle');
+      setTokenExpiry(null);
+      if (expiryIntervalRef.current) {
+        clearInterval(expiryIntervalRef.current);
+      }
+    }
+  };
+
+  // Flash the key agreement answer back (or the initiator's key reveal) when
+  // the backend cannot relay it
+  const handleReplyViaLight = async (pending) => {
+    try {
+      const payload = pending.reply
+        ? payloadBuilder.buildQuantumKeyPayload(pending.reply)
+        : await payloadBuilder.buildKeyAgreementPayload(deviceId, pending.peerDeviceId, pending.publicKey);
+      startTransmission(payload.encoded);
+    } catch (error) {
+      showAlert('error', 'Reply Error', error.message);
+    }
+  };
+
+  // Flash an ML-KEM offer; the receiver answers by light, we reveal our nonce
+  // by light and both screens show a code
+  const handleQuantumKeyExchange = async () => {
+    if (!selectedReceiver.trim() || selectedReceiver.trim() === deviceId) {
+      showAlert('error', 'Receiver Required', 'Please enter the device ID of another device');
+      return;
+    }
+
+    try {
+      const message = await PairingManager.startQuantumKeyExchange(selectedReceiver.trim(), { hybrid: quantumHybrid });
+      const payload = payloadBuilder.buildQuantumKeyPayload(message);
+      showAlert('info', 'Quantum Key Exchange', `Sending a ${message.length}-byte ML-KEM offer in ${payload.encoded.length} frames...`);
+      startTransmission(payload.encoded);
+    } catch (error) {
+      showAlert('error', 'Quantum Key Exchange Error', error.message);
+      console.error('Quantum key exchange error:', error);
+    }
+  };
+
   const handleSendSecureCommand = async () => {
     if (!selectedReceiver || !pairedDevices.includes(selectedReceiver)) {
       showAlert('error', 'Invalid Receiver', 'Please select a paired device');
@@ -200,8 +342,9 @@ export default function BackendManagerScreen() {
 
       showAlert('success', 'Command Created', 'Starting VLC transmission...');
 
-      // Build and transmit command payload
-      const payload = await payloadBuilder.buildCommandPayload(signedCommand);
+      // Build and transmit command payload, encrypted for the receiver when a pairing secret is shared
+      const cipher = await PairingManager.getPacketCipher(selectedReceiver);
+      const payload = await payloadBuilder.buildCommandPayload(signedCommand, cipher);
       startTransmission(payload.encoded);
 
       setCommandResult({ status: 'sent', command, receiver: selectedReceiver });
@@ -245,7 +388,8 @@ export default function BackendManagerScreen() {
     switch (pairingStatus) {
       case 'requesting': return 'Requesting token...';
       case 'transmitting': return 'Transmitting pairing token...';
-      case 'waiting': return 'Waiting for pairing completion...';
+      case 'waiting': return 'Waiting for key agreement answer...';
+      case 'confirming': return 'Compare the pairing code on both screens';
       default: return 'Ready to pair';
     }
   };
@@ -272,7 +416,28 @@ export default function BackendManagerScreen() {
               <Text style={[styles.deviceId, { color: textColor }]} selectable={true}>
                 {deviceId || 'Loading...'}
               </Text>
+              <Text style={[styles.deviceIdLabel, { color: textColor }]}>Key Fingerprint:</Text>
+              <Text style={[styles.fingerprint, { color: textColor }]} selectable={true}>
+                {fingerprint || 'Loading...'}
+              </Text>
             </View>
+            <TouchableOpacity
+              style={[styles.secondaryButton, styles.stackedButton, { borderColor: textColor }]}
+              onPress={handleRotateIdentityKey}
+              disabled={isTransmitting}
+            >
+              <Text style={[styles.secondaryButtonText, { color: textColor }]}>Rotate Key</Text>
+            </TouchableOpacity>
+            {revokedKeys.length > 0 && (
+              <View>
+                <Text style={[styles.label, { color: textColor }]}>Revoked Keys ({revokedKeys.length})</Text>
+                {revokedKeys.map((entry) => (
+                  <Text key={entry.keyId} style={[styles.revokedKey, { color: textColor }]}>
+                    {formatFingerprint(entry.keyId)} ({entry.reason}, {new Date(entry.revokedAt).toLocaleDateString()})
+                  </Text>
+                ))}
+              </View>
+            )}
           </View>
 
           {/* Backend Configuration */}
@@ -300,13 +465,62 @@ export default function BackendManagerScreen() {
             )}
           </View>
 
+          {/* Key Agreements to Confirm */}
+          {pendingKeyAgreements.length > 0 && !isTransmitting && (
+            <View style={styles.section}>
+              <Text style={[styles.sectionTitle, { color: textColor }]}>Confirm Pairing Code</Text>
+              {pendingKeyAgreements.map((pending) => (
+                <View key={pending.peerDeviceId} style={[styles.keyAgreement, { borderColor: textColor }]}>
+                  <Text style={[styles.pairedDeviceId, { color: textColor }]}>{pending.peerDeviceId}</Text>
+                  <Text style={[styles.sasCode, { color: textColor }]}>{pending.sas || '--- ---'}</Text>
+                  <Text style={[styles.label, { color: textColor }]}>
+                    {pending.sas
+                      ? 'Only confirm if the other screen shows the same code'
+                      : 'Waiting for the other device to reveal its key'}
+                  </Text>
+                  <View style={styles.keyAgreementActions}>
+                    {pending.sas && (
+                      <TouchableOpacity
+                        style={[styles.revokeButton, { borderColor: '#00ff64' }]}
+                        onPress={() => handleConfirmKeyAgreement(pending.peerDeviceId)}
+                      >
+                        <Text style={[styles.revokeButtonText, { color: '#00ff64' }]}>Codes Match</Text>
+                      </TouchableOpacity>
+                    )}
+                    <TouchableOpacity
+                      style={[styles.revokeButton, { borderColor: '#ff4444' }]}
+                      onPress={() => handleRejectKeyAgreement(pending.peerDeviceId)}
+                    >
+                      <Text style={[styles.revokeButtonText, { color: '#ff4444' }]}>Reject</Text>
+                    </TouchableOpacity>
+                    {(pending.reply || pending.kind === 'x25519') && (
+                      <TouchableOpacity
+                        style={[styles.revokeButton, { borderColor: textColor }]}
+                        onPress={() => handleReplyViaLight(pending)}
+                      >
+                        <Text style={[styles.revokeButtonText, { color: textColor }]}>
+                          {pending.role === 'initiator' ? 'Reveal via Light' : 'Reply via Light'}
+                        </Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                </View>
+              ))}
+            </View>
+          )}
+
           {/* Paired Devices List */}
           <View style={styles.section}>
             <Text style={[styles.sectionTitle, { color: textColor }]}>Paired Devices ({pairedDevices.length})</Text>
             {pairedDevices.length > 0 ? (
               pairedDevices.map((device, index) => (
                 <View key={index} style={[styles.pairedDevice, { borderColor: textColor }]}>
-                  <Text style={[styles.pairedDeviceId, { color: textColor }]}>{device}</Text>
+                  <View style={styles.pairedDeviceInfo}>
+                    <Text style={[styles.pairedDeviceId, { color: textColor }]}>{device}</Text>
+                    <Text style={[styles.revokedKey, { color: textColor }]}>
+                      {peerFingerprints[device] || 'No published key'}
+                    </Text>
+                  </View>
                   <TouchableOpacity
                     style={[styles.revokeButton, { borderColor: '#ff4444' }]}
                     onPress={() => handleRevokePairing(device)}
@@ -340,6 +554,17 @@ export default function BackendManagerScreen() {
                   {pairingStatus === 'idle' ? 'Pair via Light' : getPairingStatusText()}
                 </Text>
               </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.secondaryButton, styles.stackedButton, { borderColor: textColor }]}
+                onPress={handleQuantumKeyExchange}
+              >
+                <Text style={[styles.secondaryButtonText, { color: textColor }]}>Quantum Key Exchange (ML-KEM)</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => setQuantumHybrid(!quantumHybrid)}>
+                <Text style={[styles.label, { color: textColor }]}>
+                  {quantumHybrid ? '[x]' : '[ ]'} Hybrid with X25519
+                </Text>
+              </TouchableOpacity>
             </View>
           ) : null}
 
@@ -536,6 +761,39 @@ const styles = StyleSheet.create({
     fontFamily: 'monospace',
     flex: 1,
   },
+  pairedDeviceInfo: {
+    flex: 1,
+  },
+  fingerprint: {
+    fontSize: 16,
+    fontFamily: 'monospace',
+    fontWeight: 'bold',
+    letterSpacing: 1,
+  },
+  revokedKey: {
+    fontSize: 12,
+    fontFamily: 'monospace',
+    opacity: 0.8,
+  },
+  keyAgreement: {
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 8,
+    backgroundColor: 'rgba(0, 150, 255, 0.1)',
+  },
+  sasCode: {
+    fontSize: 32,
+    fontFamily: 'monospace',
+    fontWeight: 'bold',
+    textAlign: 'center',
+    letterSpacing: 4,
+    marginVertical: 10,
+  },
+  keyAgreementActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
   revokeButton: {
     borderWidth: 1,
     borderRadius: 6,
@@ -573,6 +831,9 @@ const styles = StyleSheet.create({
     backgroundColor: 'rgba(0, 100, 255, 0.1)',
     alignItems: 'center',
   },
+  stackedButton: {
+    marginTop: 10,
+  },
   secondaryButtonText: {
     fontSize: 16,
     fontWeight: 'bold',
@@ -3,7 +3,12 @@ import { View, Text, TouchableOpacity, StyleSheet, Dimensions, ScrollView, Alert
 import { CameraView, useCameraPermissions } from 'expo-camera';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { VLCDecoder, RECEIVER_STATES } from '../decoder/decoder.js';
+import { TIMING_STATES } from '../decoder/symbolTiming.js';
+import { FrameAnalyzer, decodeJpegBase64 } from '../utils/frameAnalysis.js';
+import { GridFrameSampler, GRID_DEFAULTS } from '../utils/gridLayout.js';
+import { GridDecoder } from '../decoder/gridDecoder.js';
 import VLCAlert from '../components/VLCAlert';
+import { PairingManager } from '../utils/pairing.js';
 import SignalIndicator from '../components/SignalIndicator';
 import PredictiveSignalInterferenceCompensation from '../components/PredictiveSignalInterferenceCompensation';
 import MultiScaleTemporalErrorCorrection from '../components/MultiScaleTemporalErrorCorrection';
@@ -12,15 +17,36 @@ import BehavioralPatternDrivenTransmissionScheduling from '../components/Behavio
 
 const { width, height } = Dimensions.get('window');
 
+// Sample several times per transmitted bit so the decoder can recover the
+// transmitter's clock (see SymbolTimingRecovery)
+const SAMPLE_INTERVAL_MS = 25;
+
 export default function ReceiverScreen() {
   const [permission, requestPermission] = useCameraPermissions();
   const [cameraRef, setCameraRef] = useState(null);
   const [decoder] = useState(() => {
     const d = new VLCDecoder();
     d.enablePacketMode(); // Enable new packet format
+    d.restorePartialTransfers(); // Chunks received before the last restart
+    d.loadPacketKeys(); // Keys of paired devices for encrypted frames
     return d;
   });
+  const [frameAnalyzer] = useState(() => new FrameAnalyzer({
+    // Once the transmitter is found, slice halfway between its off and on levels
+    onRegionLocated: (region) => {
+      decoder.threshold = (region.low + region.high) / 2;
+      decoder.symbolTiming.reset();
+    }
+  }));
+  // Grid mode: every screen cell is its own link, frames are reassembled by the main decoder
+  const [gridDecoder] = useState(() => new GridDecoder({ sink: decoder }));
+  const [gridSampler] = useState(() => new GridFrameSampler({
+    onGridLocated: () => gridDecoder.reset()
+  }));
+  const [gridMode, setGridMode] = useState(false);
+  const gridModeRef = useRef(false);
   const [receivedMessage, setReceivedMessage] = useState('');
+  const [broadcastProgress, setBroadcastProgress] = useState([]);
   const [savedMessages, setSavedMessages] = useState([]);
   const [dataHistory, setDataHistory] = useState([]);
   const [calibrationProgress, setCalibrationProgress] = useState(0);
@@ -38,35 +64,71 @@ export default function ReceiverScreen() {
   const signalIntervalRef = useRef(null);
   const calibrationSamplesRef = useRef([]);
   const isCalibrating = useRef(false);
+  const isSampling = useRef(false);
+  const isCapturing = useRef(false);
   const hasErrorOccurred = useRef(false);
   const [errorLog, setErrorLog] = useState('');
   const [backendDataHistory, setBackendDataHistory] = useState([]);
   const [lastBackendResult, setLastBackendResult] = useState(null);
 
-  // Simplified brightness analysis to avoid errors
-  const analyzeImageBrightness = async (imageUri) => {
-    // Return a random brightness value for simulation
-    return Math.floor(Math.random() * 255);
+  // Mean luma and color over the transmitter's region (the whole frame until it has been located)
+  const analyzeImage = (base64) => {
+    return frameAnalyzer.sampleBase64(base64);
   };
 
   const captureAndAnalyzeBrightness = async () => {
-    if (!cameraRef) return 128;
+    const sample = await captureAndAnalyzeSample();
+    return sample.brightness;
+  };
+
+  const captureAndAnalyzeSample = async () => {
+    if (!cameraRef) return { brightness: 128, color: null };
 
     try {
       const photo = await cameraRef.takePictureAsync({
         quality: 0.1, // Low quality for speed
-        base64: false,
+        base64: true, // Pixels are decoded in JS
         exif: false,
       });
 
-      // Analyze brightness from the captured image
-      const brightness = await analyzeImageBrightness(photo.uri);
+      // Analyze brightness and color from the captured image
       // Removed setCurrentBrightness to prevent excessive re-renders
-      return brightness;
+      return analyzeImage(photo.base64);
     } catch (error) {
       // Suppress camera capture errors to avoid console spam
-      return 128; // Fallback brightness
+      return { brightness: 128, color: null }; // Fallback brightness
+    }
+  };
+
+  // Grid mode: luma of every cell, or null until the grid's fiducials have been found
+  const captureGridCells = async () => {
+    if (!cameraRef) return null;
+
+    const photo = await cameraRef.takePictureAsync({
+      quality: 0.3, // Cells need more detail than a single region
+      base64: true,
+      exif: false,
+    });
+    return gridSampler.sample(decodeJpegBase64(photo.base64));
+  };
+
+  // Show the newest payload the grid decoder completed
+  const showGridRecord = (record) => {
+    if (record.type === 'TEXT') {
+      setReceivedMessage(record.data);
+    } else if (record.data instanceof Uint8Array) {
+      setReceivedMessage(`[${record.type}] ${record.size} bytes`);
+    } else {
+      setReceivedMessage(`[${record.type}] ${JSON.stringify(record.data).substring(0, 50)}...`);
     }
+    showAlert('success', 'Data Received', `Received ${record.type} data over ${GRID_DEFAULTS.ROWS * GRID_DEFAULTS.COLS} cells (${record.size} bytes)`);
+  };
+
+  const toggleGridMode = () => {
+    gridModeRef.current = !gridModeRef.current;
+    setGridMode(gridModeRef.current);
+    gridSampler.reset();
+    gridDecoder.reset();
   };
 
   const startCalibration = async () => {
@@ -78,6 +140,7 @@ export default function ReceiverScreen() {
     isCalibrating.current = true;
     hasErrorOccurred.current = false;
     decoder.startCalibration();
+    frameAnalyzer.reset();
     calibrationSamplesRef.current = [];
     let progress = 0;
 
@@ -138,19 +201,30 @@ export default function ReceiverScreen() {
     }));
 
     isCalibrating.current = false; // Stop capturing after calibration
+    startSampling();
   };
 
   const startSampling = () => {
+    isSampling.current = true;
     samplingIntervalRef.current = setInterval(async () => {
-      if (!isCalibrating.current) return;
+      if (!isSampling.current || isCapturing.current) return;
+
+      if (gridModeRef.current) {
+        await sampleGrid();
+        return;
+      }
 
       try {
-        const brightness = await captureAndAnalyzeBrightness();
-        if (decoder.packetMode) {
-          decoder.processBrightnessPacket(brightness);
-        } else {
-          decoder.processBrightness(brightness);
-        }
+        // Timestamp the middle of the capture; the decoder recovers bit timing from these
+        isCapturing.current = true;
+        const captureStart = Date.now();
+        const { brightness, color } = await captureAndAnalyzeSample();
+        const timestamp = (captureStart + Date.now()) / 2;
+        isCapturing.current = false;
+
+        // Color is needed to demodulate PAM/CSK frame bodies
+        decoder.processSample(brightness, timestamp, color);
+        setBroadcastProgress(decoder.getFountainProgress());
 
         // Update signal status
         const isActive = decoder.state === RECEIVER_STATES.RECEIVING ||
@@ -159,9 +233,10 @@ export default function ReceiverScreen() {
         const bitValue = brightness > decoder.threshold ? 1 : 0;
 
         let syncStatus = 'waiting';
-        if (decoder.state === RECEIVER_STATES.WAITING_FOR_START) syncStatus = 'syncing';
+        if (decoder.state === RECEIVER_STATES.ERROR) syncStatus = 'error';
         else if (decoder.state === RECEIVER_STATES.RECEIVING) syncStatus = 'synced';
-        else if (decoder.state === RECEIVER_STATES.ERROR) syncStatus = 'error';
+        else if (decoder.symbolTiming.state === TIMING_STATES.LOCKED) syncStatus = 'synced';
+        else if (decoder.state === RECEIVER_STATES.WAITING_FOR_START) syncStatus = 'syncing';
 
         setSignalStatus(prev => ({
           ...prev,
@@ -174,12 +249,43 @@ export default function ReceiverScreen() {
           await processReceivedMessage();
         }
       } catch (error) {
+        isCapturing.current = false;
         if (!hasErrorOccurred.current) {
           hasErrorOccurred.current = true;
           setErrorLog(`Sampling error: ${error.message}`);
         }
       }
-    }, 100); // 100ms sampling rate for VLC
+    }, SAMPLE_INTERVAL_MS);
+  };
+
+  const sampleGrid = async () => {
+    try {
+      isCapturing.current = true;
+      const captureStart = Date.now();
+      const lumas = await captureGridCells();
+      const timestamp = (captureStart + Date.now()) / 2;
+      isCapturing.current = false;
+      if (!lumas) return;
+
+      const received = decoder.receivedData.length;
+      gridDecoder.processFrame(lumas, timestamp);
+      if (decoder.receivedData.length > received) {
+        showGridRecord(decoder.receivedData[decoder.receivedData.length - 1]);
+      }
+
+      const stats = gridDecoder.getStats();
+      setSignalStatus(prev => ({
+        ...prev,
+        isActive: stats.lockedCells > 0,
+        syncStatus: stats.lockedCells > 0 ? 'synced' : stats.calibrated ? 'syncing' : 'waiting'
+      }));
+    } catch (error) {
+      isCapturing.current = false;
+      if (!hasErrorOccurred.current) {
+        hasErrorOccurred.current = true;
+        setErrorLog(`Grid sampling error: ${error.message}`);
+      }
+    }
   };
 
   const showAlert = (type, title, message) => {
@@ -209,6 +315,7 @@ export default function ReceiverScreen() {
 
   const stopSampling = () => {
     isCalibrating.current = false;
+    isSampling.current = false;
     if (samplingIntervalRef.current) {
       clearInterval(samplingIntervalRef.current);
       samplingIntervalRef.current = null;
@@ -222,6 +329,9 @@ export default function ReceiverScreen() {
       signalIntervalRef.current = null;
     }
     decoder.reset();
+    frameAnalyzer.reset();
+    gridSampler.reset();
+    gridDecoder.reset();
   };
 
   const loadSavedMessages = async () => {
@@ -274,6 +384,37 @@ export default function ReceiverScreen() {
 
   // Set up backend payload callback
   useEffect(() => {
+    // Ask the user to compare the pairing code with the other screen; the
+    // shared secret is only kept (and its packet key loaded) when they match
+    const confirmSas = (peerDeviceId, sas) => {
+      Alert.alert(
+        'Compare Pairing Code',
+        `Does ${peerDeviceId} show ${sas}?`,
+        [
+          {
+            text: 'No',
+            style: 'destructive',
+            onPress: async () => {
+              await PairingManager.rejectKeyAgreement(peerDeviceId);
+              showAlert('error', 'Pairing Rejected', 'Codes did not match, no secret was kept');
+            }
+          },
+          {
+            text: 'Yes',
+            onPress: async () => {
+              const result = await PairingManager.confirmKeyAgreement(peerDeviceId);
+              if (result.success) {
+                await decoder.loadPacketKeys();
+                showAlert('success', 'Secure Pairing', `Shared secret stored for ${peerDeviceId}`);
+              } else {
+                showAlert('error', 'Pairing Failed', result.message);
+              }
+            }
+          }
+        ]
+      );
+    };
+
     decoder.setBackendPayloadCallback((result) => {
       setLastBackendResult(result);
       setBackendDataHistory(prev => [result, ...prev.slice(0, 9)]); // Keep last 10
@@ -284,7 +425,39 @@ export default function ReceiverScreen() {
         const message = result.data.success
           ? `Authenticated with ${result.data.senderDeviceId}`
           : result.data.message;
-        showAlert(status, title, message);
+        // The code only exists once the sender has our answer and reveals
+        // its key, so the comparison happens later on the Secure Pairing screen
+        if (result.data.success && result.data.keyAgreement) {
+          showAlert('info', `Authenticated with ${result.data.senderDeviceId}`, result.data.relayed
+            ? `The pairing code shows under Secure Pairing once ${result.data.senderDeviceId} reveals its key`
+            : `No backend: reply via light under Secure Pairing, then wait for ${result.data.senderDeviceId}'s key`);
+        } else {
+          showAlert(status, title, message);
+        }
+      } else if (result.type === 'KEY_AGREEMENT') {
+        if (result.data.success && result.data.role === 'initiator' && !result.data.relayed) {
+          // The responder needs our key before it can show its code
+          showAlert('info', `Pairing Code ${result.data.sas}`,
+            `No backend: reveal our key via light under Secure Pairing, then compare with ${result.data.peerDeviceId}'s screen`);
+        } else if (result.data.success) {
+          confirmSas(result.data.peerDeviceId, result.data.sas);
+        } else {
+          showAlert('error', 'Key Agreement Failed', result.data.message);
+        }
+      } else if (result.type === 'QUANTUM_KEY_EXCHANGE') {
+        if (!result.data.success) {
+          showAlert('error', 'Quantum Key Exchange Failed', result.data.message);
+        } else if (result.data.role === 'initiator') {
+          // The responder needs our reveal before it can show its code
+          showAlert('info', `Pairing Code ${result.data.sas}`,
+            `Reveal our nonce via light under Secure Pairing, then compare with ${result.data.peerDeviceId}'s screen`);
+        } else if (result.data.sas) {
+          confirmSas(result.data.peerDeviceId, result.data.sas);
+        } else {
+          // The initiator needs our reply before either side can show a code
+          showAlert('info', 'Quantum Key Offer',
+            `${result.data.parameterSet}${result.data.hybrid ? ' + X25519' : ''} offer from ${result.data.peerDeviceId}: reply via light under Secure Pairing, then wait for its reveal`);
+        }
       } else if (result.type === 'CONFIG_RECEIVED') {
         const status = result.data.success ? 'success' : 'error';
         const title = result.data.success ? 'Configuration Received' : 'Configuration Error';
@@ -359,6 +532,7 @@ export default function ReceiverScreen() {
       case RECEIVER_STATES.PARITY_CHECK: return 'Validating data...';
       case RECEIVER_STATES.SUCCESS: return 'Message received successfully!';
       case RECEIVER_STATES.ERROR: return 'Transmission error - parity failed';
+      case RECEIVER_STATES.DECRYPTION_FAILED: return `Decryption failed - ${decoder.decryptionStats.lastError}`;
       default: return 'Unknown state';
     }
   };
@@ -390,6 +564,14 @@ export default function ReceiverScreen() {
               </TouchableOpacity>
             )}
 
+            {decoder.state === RECEIVER_STATES.IDLE && (
+              <TouchableOpacity style={[styles.button, { backgroundColor: 'rgba(255, 255, 255, 0.2)' }]} onPress={toggleGridMode}>
+                <Text style={[styles.buttonText, { color: '#fff' }]}>
+                  {gridMode ? `GRID MODE ${GRID_DEFAULTS.ROWS}x${GRID_DEFAULTS.COLS}` : 'SINGLE CELL MODE'}
+                </Text>
+              </TouchableOpacity>
+            )}
+
             {(decoder.state === RECEIVER_STATES.CALIBRATING || decoder.state === RECEIVER_STATES.WAITING_FOR_START) && (
               <TouchableOpacity style={[styles.button, { backgroundColor: 'rgba(255, 0, 50, 0.8)' }]} onPress={stopSampling}>
                 <Text style={[styles.buttonText, { color: '#fff' }]}>
@@ -401,6 +583,22 @@ export default function ReceiverScreen() {
         </View>
 
         <View style={styles.dataSection}>
+          {broadcastProgress.length > 0 && (
+            <View style={styles.card}>
+              <Text style={styles.cardTitle}>Broadcasts</Text>
+              {broadcastProgress.slice(-3).reverse().map((progress) => (
+                <View key={`${progress.type}_${progress.transferId}`} style={styles.dataItem}>
+                  <Text style={styles.dataType}>{progress.type} #{progress.transferId}</Text>
+                  <Text style={styles.dataPreview}>
+                    {progress.complete
+                      ? `Complete after ${progress.received} symbols (${progress.needed} needed)`
+                      : `Symbols ${progress.received}/${progress.needed} received/needed, ${progress.recovered} blocks recovered`}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          )}
+
           {receivedMessage ? (
             <View style={styles.card}>
               <Text style={styles.cardTitle}>Last Received Data</Text>
@@ -1,22 +1,44 @@
 import React, { useState, useRef, useCallback, useEffect } from 'react';
 import { View, Text, TextInput, TouchableOpacity, StyleSheet, Dimensions, ScrollView, Alert, Platform } from 'react-native';
-import { encodeData, getDataTransmissionDuration } from '../encoder/encoder.js';
-import { DATA_TYPES } from '../utils/packet.js';
+import { encodeData, framesToSymbols, getDataTransmissionDuration, encodeGridData, framesToGridStreams, getGridTransmissionDuration, encodeFountainData } from '../encoder/encoder.js';
+import { DATA_TYPES, PACKET_CONSTANTS } from '../utils/packet.js';
+import { LINE_CODINGS } from '../utils/lineCoding.js';
+import { MODULATIONS, colorToHex, symbolToColor } from '../utils/modulation.js';
+import { calculateLuma } from '../utils/luma.js';
+import { GRID_DEFAULTS, getGridLayout } from '../utils/gridLayout.js';
 import * as ImagePicker from 'expo-image-picker';
 import * as DocumentPicker from 'expo-document-picker';
 import VLCAlert from '../components/VLCAlert';
 import TransmissionProgressBar from '../components/TransmissionProgressBar';
 
 const { width, height } = Dimensions.get('window');
+const OFF_COLOR = symbolToColor(0, MODULATIONS.OOK);
+const GRID_LAYOUT = getGridLayout(GRID_DEFAULTS.ROWS, GRID_DEFAULTS.COLS);
+const GRID_CELLS = GRID_DEFAULTS.ROWS * GRID_DEFAULTS.COLS;
+
+// Absolute position of a normalized grid rectangle
+const gridUnitStyle = (rect) => ({
+  left: `${rect.x * 100}%`,
+  top: `${rect.y * 100}%`,
+  width: `${rect.width * 100}%`,
+  height: `${rect.height * 100}%`,
+});
 
 export default function TransmitterScreen() {
   const [data, setData] = useState('');
   const [dataType, setDataType] = useState(DATA_TYPES.TEXT);
+  const [lineCoding, setLineCoding] = useState(PACKET_CONSTANTS.DEFAULT_LINE_CODING);
+  const [modulation, setModulation] = useState(PACKET_CONSTANTS.DEFAULT_MODULATION);
   const [isTransmitting, setIsTransmitting] = useState(false);
   const [transmissionProgress, setTransmissionProgress] = useState(0);
-  const [flashColor, setFlashColor] = useState(0);
+  const [flashColor, setFlashColor] = useState(OFF_COLOR);
+  const [gridMode, setGridMode] = useState(false);
+  const [gridBits, setGridBits] = useState([]);
+  const [broadcast, setBroadcast] = useState(false);
   const [alert, setAlert] = useState({ visible: false, type: 'info', title: '', message: '' });
   const framedBitsRef = useRef([]);
+  const gridStreamsRef = useRef(null); // One bit stream per grid cell in grid mode
+  const broadcastRef = useRef(null); // Fountain encoder and settings while broadcasting
   const bitIndexRef = useRef(0);
   const startTimeRef = useRef(0);
   const totalBitsRef = useRef(0);
@@ -34,14 +56,26 @@ export default function TransmitterScreen() {
   const transmit = useCallback(() => {
     if (!isTransmittingRef.current) return;
 
-    const bit = framedBitsRef.current[bitIndexRef.current];
-    if (bit === undefined) {
+    if (bitIndexRef.current >= totalBitsRef.current && broadcastRef.current) {
+      // Broadcasts loop until stopped, every round is K fresh symbols
+      const { encoder, lineCoding: coding, modulation: order } = broadcastRef.current;
+      framedBitsRef.current = framesToSymbols(encoder.nextFrames(), coding, order);
+      totalBitsRef.current = framedBitsRef.current.length;
+      bitIndexRef.current = 0;
+      broadcastRef.current.rounds++;
+    }
+
+    if (bitIndexRef.current >= totalBitsRef.current) {
       stopTransmission();
       showAlert('success', 'Transmission Complete', 'Data sent successfully!');
       return;
     }
 
-    setFlashColor(bit === '1' ? 1 : 0);
+    if (gridStreamsRef.current) {
+      setGridBits(gridStreamsRef.current.map(stream => stream[bitIndexRef.current]));
+    } else {
+      setFlashColor(framedBitsRef.current[bitIndexRef.current]);
+    }
     setTransmissionProgress((bitIndexRef.current + 1) / totalBitsRef.current);
 
     bitIndexRef.current++;
@@ -104,18 +138,31 @@ export default function TransmitterScreen() {
 
     isTransmittingRef.current = true;
     const transmissionData = prepareDataForTransmission();
-    const encoded = encodeData(transmissionData, dataType);
-    // Convert array of bit strings to single concatenated bit string
-    const bitString = encoded.join('');
-    framedBitsRef.current = bitString.split(''); // Convert to array of individual bits
+    if (gridMode) {
+      // Every cell flashes its own share of the chunks
+      const frames = encodeGridData(transmissionData, dataType, GRID_CELLS);
+      gridStreamsRef.current = framesToGridStreams(frames, GRID_CELLS, lineCoding);
+      totalBitsRef.current = gridStreamsRef.current[0].length;
+    } else if (broadcast) {
+      // Rateless: cameras can join at any time and finish from any K or so symbols
+      const encoder = encodeFountainData(transmissionData, dataType);
+      broadcastRef.current = { encoder, lineCoding, modulation, rounds: 1 };
+      gridStreamsRef.current = null;
+      framedBitsRef.current = framesToSymbols(encoder.nextFrames(), lineCoding, modulation);
+      totalBitsRef.current = framedBitsRef.current.length;
+    } else {
+      const frames = encodeData(transmissionData, dataType);
+      gridStreamsRef.current = null;
+      framedBitsRef.current = framesToSymbols(frames, lineCoding, modulation); // Screen colors, including frame delimiters
+      totalBitsRef.current = framedBitsRef.current.length;
+    }
     bitIndexRef.current = 0;
-    totalBitsRef.current = framedBitsRef.current.length;
     startTimeRef.current = Date.now();
 
     setIsTransmitting(true);
     setTransmissionProgress(0);
 
-    showAlert('info', 'Transmission Started', 'Sending data via VLC...');
+    showAlert('info', 'Transmission Started', broadcast && !gridMode ? 'Broadcasting until stopped...' : 'Sending data via VLC...');
 
     // Transmit at 10 Hz (100ms intervals)
     intervalRef.current = setInterval(transmit, 100);
@@ -123,12 +170,14 @@ export default function TransmitterScreen() {
 
   const stopTransmission = () => {
     isTransmittingRef.current = false;
+    broadcastRef.current = null;
     setIsTransmitting(false);
     if (intervalRef.current) {
       clearInterval(intervalRef.current);
       intervalRef.current = null;
     }
-    setFlashColor(0);
+    setFlashColor(OFF_COLOR);
+    setGridBits([]);
     setTransmissionProgress(0);
   };
 
@@ -199,20 +248,39 @@ export default function TransmitterScreen() {
     if (!data.trim()) return 0;
     try {
       const transmissionData = prepareDataForTransmission();
-      return getDataTransmissionDuration(transmissionData, dataType);
+      if (gridMode) {
+        return getGridTransmissionDuration(transmissionData, dataType, GRID_DEFAULTS.ROWS, GRID_DEFAULTS.COLS, lineCoding);
+      }
+      return getDataTransmissionDuration(transmissionData, dataType, lineCoding, modulation);
     } catch (e) {
       // If parsing fails (e.g., invalid JSON), estimate based on string length
-      return getDataTransmissionDuration(data.trim(), DATA_TYPES.TEXT);
+      return getDataTransmissionDuration(data.trim(), DATA_TYPES.TEXT, lineCoding, modulation);
     }
   };
 
-  const backgroundColor = flashColor === 1 ? '#FFFFFF' : '#000000';
-  const textColor = flashColor === 1 ? '#000000' : '#FFFFFF';
+  const backgroundColor = colorToHex(flashColor);
+  const textColor = calculateLuma(flashColor.r, flashColor.g, flashColor.b) > 127 ? '#000000' : '#FFFFFF';
+
+  const showGrid = isTransmitting && gridMode;
 
   return (
     <ScrollView style={styles.scrollContainer}>
       <View style={[styles.container, { backgroundColor }]}>
-        <View style={styles.overlay}>
+        {showGrid && (
+          // Corner fiducials stay white, each data cell flashes its own stream
+          <View style={styles.gridArea}>
+            {GRID_LAYOUT.fiducials.map((rect, i) => (
+              <View key={`fiducial-${i}`} style={[styles.gridUnit, gridUnitStyle(rect), { backgroundColor: '#FFFFFF' }]} />
+            ))}
+            {GRID_LAYOUT.cells.map((rect, i) => (
+              <View
+                key={`cell-${i}`}
+                style={[styles.gridUnit, gridUnitStyle(rect), { backgroundColor: gridBits[i] === '1' ? '#FFFFFF' : '#000000' }]}
+              />
+            ))}
+          </View>
+        )}
+        <View style={[styles.overlay, showGrid && styles.gridStatusOverlay]}>
           <Text style={[styles.title, { color: textColor }]}>Universal VLC Transmitter</Text>
 
           {!isTransmitting ? (
@@ -240,6 +308,103 @@ export default function TransmitterScreen() {
                 ))}
               </View>
 
+              <Text style={[styles.label, { color: textColor }]}>Line Coding:</Text>
+              <View style={styles.typeSelector}>
+                {Object.entries(LINE_CODINGS).map(([key, value]) => (
+                  <TouchableOpacity
+                    key={key}
+                    style={[
+                      styles.typeButton,
+                      lineCoding === value && styles.activeTypeButton,
+                      { borderColor: textColor }
+                    ]}
+                    onPress={() => setLineCoding(value)}
+                  >
+                    <Text style={[
+                      styles.typeButtonText,
+                      { color: textColor },
+                      lineCoding === value && styles.activeTypeButtonText
+                    ]}>
+                      {key.replace(/_/g, ' ')}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={[styles.label, { color: textColor }]}>Grid Mode:</Text>
+              <View style={styles.typeSelector}>
+                {[['OFF', false], [`${GRID_DEFAULTS.ROWS}x${GRID_DEFAULTS.COLS} CELLS`, true]].map(([label, value]) => (
+                  <TouchableOpacity
+                    key={label}
+                    style={[
+                      styles.typeButton,
+                      gridMode === value && styles.activeTypeButton,
+                      { borderColor: textColor }
+                    ]}
+                    onPress={() => setGridMode(value)}
+                  >
+                    <Text style={[
+                      styles.typeButtonText,
+                      { color: textColor },
+                      gridMode === value && styles.activeTypeButtonText
+                    ]}>
+                      {label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {/* Grid cells are on-off keyed, and broadcasts use the single cell */}
+              {!gridMode && (
+                <>
+                  <Text style={[styles.label, { color: textColor }]}>Modulation:</Text>
+                  <View style={styles.typeSelector}>
+                    {Object.entries(MODULATIONS).map(([key, value]) => (
+                      <TouchableOpacity
+                        key={key}
+                        style={[
+                          styles.typeButton,
+                          modulation === value && styles.activeTypeButton,
+                          { borderColor: textColor }
+                        ]}
+                        onPress={() => setModulation(value)}
+                      >
+                        <Text style={[
+                          styles.typeButtonText,
+                          { color: textColor },
+                          modulation === value && styles.activeTypeButtonText
+                        ]}>
+                          {key}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+
+                  <Text style={[styles.label, { color: textColor }]}>Broadcast:</Text>
+                  <View style={styles.typeSelector}>
+                    {[['OFF', false], ['FOUNTAIN LOOP', true]].map(([label, value]) => (
+                      <TouchableOpacity
+                        key={label}
+                        style={[
+                          styles.typeButton,
+                          broadcast === value && styles.activeTypeButton,
+                          { borderColor: textColor }
+                        ]}
+                        onPress={() => setBroadcast(value)}
+                      >
+                        <Text style={[
+                          styles.typeButtonText,
+                          { color: textColor },
+                          broadcast === value && styles.activeTypeButtonText
+                        ]}>
+                          {label}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </>
+              )}
+
               {/* File/Image Picker Buttons */}
               <View style={styles.pickerContainer}>
                 <TouchableOpacity
@@ -295,8 +460,13 @@ export default function TransmitterScreen() {
             <View style={styles.transmittingContainer}>
               <Text style={[styles.statusText, { color: textColor }]}>Transmitting Data...</Text>
               <Text style={[styles.bitText, { color: textColor }]}>
-                Bit: {flashColor} ({bitIndexRef.current}/{totalBitsRef.current})
+                {showGrid ? `Cells: ${GRID_CELLS}` : `Symbol: ${backgroundColor}`} ({bitIndexRef.current}/{totalBitsRef.current})
               </Text>
+              {broadcastRef.current && (
+                <Text style={[styles.bitText, { color: textColor }]}>
+                  Broadcast round {broadcastRef.current.rounds}, K = {broadcastRef.current.encoder.k} source blocks
+                </Text>
+              )}
 
               <TransmissionProgressBar
                 progress={transmissionProgress}
@@ -345,6 +515,21 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     padding: 20,
   },
+  gridArea: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    height: height * 0.75, // The status below must not cover any cell
+    backgroundColor: '#000000',
+  },
+  gridUnit: {
+    position: 'absolute',
+  },
+  gridStatusOverlay: {
+    top: height * 0.75,
+    justifyContent: 'flex-start',
+  },
   title: {
     fontSize: 24,
     fontWeight: 'bold',
@@ -0,0 +1,284 @@
+// Generated by scripts/generate-api-client.js from backend/openapi.js; do not edit.
+
+export interface ApiError {
+  success: false;
+  code?: string;
+  message: string;
+  errors?: string[];
+  retryAfter?: number;
+}
+
+export interface ApiRequestOptions {
+  headers?: Record<string, string>;
+}
+
+export interface ApiClientOptions {
+  fetchImpl?: typeof fetch | null;
+  // Headers that log in as a device, for operations that need a device token
+  authenticate?: (() => Promise<Record<string, string>>) | null;
+}
+
+// POST /devices/register: Register a device's identity key and profile
+export interface RegisterDeviceRequest {
+  type: 'DEVICE_REGISTRATION';
+  deviceId: string;
+  publicKey: string;
+  profile?: {
+    platform?: string;
+    name?: string;
+  };
+  revokedKeys?: {
+    keyId: string;
+    revokedAt: number;
+    reason?: string;
+  }[];
+  issuedAt: number;
+  keyId: string;
+  signature: string;
+}
+export interface RegisterDeviceResponse {
+  success: true;
+  message: string;
+  deviceId: string;
+  keyId: string;
+}
+
+// POST /devices/challenge: Issue a login challenge for a registered device
+export interface CreateDeviceChallengeRequest {
+  deviceId: string;
+}
+export interface CreateDeviceChallengeResponse {
+  success: true;
+  challenge: string;
+  expiresAt: number;
+}
+
+// POST /devices/login: Exchange a signed challenge for a device token
+export interface LoginDeviceRequest {
+  type: 'DEVICE_LOGIN';
+  deviceId: string;
+  challenge: string;
+  keyId: string;
+  signature: string;
+}
+export interface LoginDeviceResponse {
+  success: true;
+  token: string;
+  expiresAt: number;
+  firebaseToken?: string | null;
+}
+
+// POST /auth/challenge: Issue a JWT token for a sender/receiver pair (device token)
+export interface CreateAuthChallengeRequest {
+  senderDeviceId: string;
+  receiverDeviceId: string;
+}
+export interface CreateAuthChallengeResponse {
+  success: true;
+  token: string;
+  expiresAt: number;
+}
+
+// POST /auth/verify: Verify a JWT token for the receiver it was issued to, once (device token)
+export interface VerifyAuthTokenRequest {
+  token: string;
+  receiverDeviceId: string;
+}
+export interface VerifyAuthTokenResponse {
+  success: true;
+  message: string;
+  senderDeviceId: string;
+  receiverDeviceId: string;
+}
+
+// POST /admin/jwt/rotate: Start signing tokens with a new key
+export interface RotateJwtKeysRequest {
+  retireImmediately?: boolean;
+}
+export interface RotateJwtKeysResponse {
+  success: true;
+  message: string;
+  keys: {
+    kid: string;
+    createdAt: number;
+    retiresAt: number | null;
+    active: boolean;
+  }[];
+}
+
+// GET /config/{deviceId}: Device configuration
+export interface GetConfigParams {
+  deviceId: string;
+}
+export interface GetConfigResponse {
+  success: true;
+  config: Record<string, unknown>;
+}
+
+// POST /pairing/verify-command: Verify a signed command and reserve its nonce (device token)
+export interface VerifyCommandRequest {
+  signedCommand: {
+    type: 'COMMAND';
+    senderId: string;
+    receiverId: string;
+    command: string;
+    nonce: string;
+    expiresAt: number | string;
+    keyId: string;
+    signature: string;
+  };
+}
+export interface VerifyCommandResponse {
+  success: true;
+  message: string;
+  command: {
+    type: 'COMMAND';
+    senderId: string;
+    receiverId: string;
+    command: string;
+    nonce: string;
+    expiresAt: number | string;
+    keyId: string;
+    signature: string;
+  };
+}
+
+// GET /pairing/status/{deviceId}: Devices paired with a device
+export interface GetPairingStatusParams {
+  deviceId: string;
+}
+export interface GetPairingStatusResponse {
+  success: true;
+  deviceId: string;
+  pairedDevices: {
+    deviceId: string;
+    pairedAt?: unknown;
+    lastActivity?: unknown;
+  }[];
+  pairingCount: number;
+}
+
+// POST /pairing/confirm: Confirm pairing with a device; active once both have confirmed (device token)
+export interface ConfirmPairingRequest {
+  peerDeviceId: string;
+}
+export interface ConfirmPairingResponse {
+  success: true;
+  status: 'pending' | 'active';
+  message: string;
+}
+
+// POST /pairing/revoke: Revoke the pairing between two devices (device token)
+export interface RevokePairingRequest {
+  deviceId1: string;
+  deviceId2: string;
+}
+export interface RevokePairingResponse {
+  success: true;
+  message: string;
+}
+
+// POST /command/log: Log a command execution (device token)
+export interface LogCommandRequest {
+  senderId: string;
+  receiverId: string;
+  command: string;
+  nonce: string;
+  result?: unknown;
+}
+export interface LogCommandResponse {
+  success: true;
+  message: string;
+}
+
+// POST /pairing/handshake: Relay the receiver's key agreement public key to the sender (device token)
+export interface AnswerPairingHandshakeRequest {
+  token: string;
+  publicKey: string;
+}
+export interface AnswerPairingHandshakeResponse {
+  success: true;
+  message: string;
+}
+
+// POST /pairing/handshake/reveal: Relay the sender's key agreement public key, committed to in its pairing payload, to the receiver (device token)
+export interface RevealPairingHandshakeRequest {
+  receiverDeviceId: string;
+  publicKey: string;
+}
+export interface RevealPairingHandshakeResponse {
+  success: true;
+  message: string;
+}
+
+// GET /pairing/handshake/{senderDeviceId}/{receiverDeviceId}: Receiver's key agreement public key, polled by the sender, and the sender's once revealed, polled by the receiver
+export interface GetPairingHandshakeParams {
+  senderDeviceId: string;
+  receiverDeviceId: string;
+}
+export interface GetPairingHandshakeResponse {
+  success: true;
+  publicKey: string;
+  initiatorPublicKey?: string;
+}
+
+// POST /arq/{sessionId}: Open an ARQ session between the calling sender and a receiver (device token)
+export interface OpenArqSessionParams {
+  sessionId: string;
+}
+export interface OpenArqSessionRequest {
+  receiverDeviceId: string;
+}
+export interface OpenArqSessionResponse {
+  success: true;
+  message: string;
+}
+
+// POST /arq/{sessionId}/ack: Store the latest ARQ acknowledgment of a session, sent by its receiver (device token)
+export interface PostArqAckParams {
+  sessionId: string;
+}
+export interface PostArqAckRequest {
+  mode: 'arq_ack';
+  session: number;
+  ackId: number;
+  total?: number;
+  received?: number;
+  last?: number;
+  through?: number;
+  missing: number[];
+  complete?: boolean;
+}
+export interface PostArqAckResponse {
+  success: true;
+  message: string;
+}
+
+// GET /arq/{sessionId}/ack: Latest ARQ acknowledgment of a session, polled by its sender (device token)
+export interface GetArqAckParams {
+  sessionId: string;
+}
+export interface GetArqAckResponse {
+  success: true;
+  ack: {
+    mode: 'arq_ack';
+    session: number;
+    ackId: number;
+    total?: number;
+    received?: number;
+    last?: number;
+    through?: number;
+    missing: number[];
+    complete?: boolean;
+  };
+}
+
+// GET /health: Health check
+export interface GetHealthResponse {
+  success: true;
+  message: string;
+  timestamp: string;
+}
+
+// GET /openapi.json: This document
+export type GetOpenApiResponse = Record<string, unknown>;
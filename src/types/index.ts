@@ -1,5 +1,8 @@
 // Core Types for Ultimate VLC Proximity Platform
 
+// Backend API requests and responses (generated from backend/openapi.js)
+export * from './api';
+
 export interface DeviceProfile {
   id: string;
   nickname?: string;
@@ -9,10 +12,25 @@ export interface DeviceProfile {
   lastSeen: Date;
   capabilities: string[];
   metadata: Record<string, any>;
+  identityKey?: IdentityKey | null;
+  revokedKeys?: RevokedKey[];
   createdAt: Date;
   updatedAt: Date;
 }
 
+// Published Ed25519 identity key (see utils/signing.js)
+export interface IdentityKey {
+  publicKey: string; // Base64
+  keyId: string;     // Hex, start of the SHA-256 of the public key
+  createdAt: number;
+}
+
+export interface RevokedKey {
+  keyId: string;
+  revokedAt: number;
+  reason: string; // 'rotated' or 'compromised'
+}
+
 export interface PairingSession {
   id: string;
   devices: string[];
@@ -108,6 +126,7 @@ export type GameState = Record<string, any>;
 
 export interface Asset {
   id: string;
+  orgId: string;
   name: string;
   type: string;
   location: string;
@@ -119,6 +138,7 @@ export interface Asset {
 
 export interface AttendanceRecord {
   id: string;
+  orgId: string;
   eventId: string;
   attendeeId: string;
   checkInTime: Date;
@@ -129,6 +149,7 @@ export interface AttendanceRecord {
 
 export interface VitalSigns {
   id: string;
+  orgId: string;
   patientId: string;
   timestamp: Date;
   heartRate?: number;
@@ -140,6 +161,7 @@ export interface VitalSigns {
 
 export interface MedicationRecord {
   id: string;
+  orgId: string;
   patientId: string;
   medicationId: string;
   dosage: string;
@@ -324,7 +346,8 @@ export interface Command {
   timestamp: Date;
   nonce: string;
   expiresAt: Date;
-  signature: string;
+  keyId: string;     // Sender's identity key
+  signature: string; // Ed25519, base64
 }
 
 // Command Types
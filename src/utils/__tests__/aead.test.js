@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { aeadSeal, aeadOpen, hkdf, PacketCipher, DecryptionError, AEAD_CONSTANTS, getKeyId } from '../aead.js';
+import { utf8Encode } from '../packet.js';
+
+const hex = string => Uint8Array.from(string.replace(/\s/g, '').match(/../g).map(byte => parseInt(byte, 16)));
+const range = (start, length) => Uint8Array.from({ length }, (_, i) => start + i);
+
+// RFC 8439 section 2.8.2
+const RFC8439 = {
+  key: range(0x80, 32),
+  nonce: hex('07000000 4041424344454647'),
+  aad: hex('50515253c0c1c2c3c4c5c6c7'),
+  plaintext: utf8Encode("Ladies and Gentlemen of the class of '99: If I could offer you only one tip for the future, sunscreen would be it."),
+  ciphertext: hex(`
+    d31a8d34648e60db7b86afbc53ef7ec2 a4aded51296e08fea9e2b5a736ee62d6
+    3dbea45e8ca9671282fafb69da92728b 1a71de0a9e060b2905d6a5b67ecd3b36
+    92ddbd7f2d778b8c9803aee328091b58 fab324e4fad675945585808b4831d7bc
+    3ff4def08e4b7a9de576d26586cec64b 6116`),
+  tag: hex('1ae10b594f09e26a7e902ecbd0600691')
+};
+
+describe('ChaCha20-Poly1305', () => {
+  const { key, nonce, aad, plaintext, ciphertext, tag } = RFC8439;
+  const sealed = new Uint8Array([...ciphertext, ...tag]);
+
+  it('matches the RFC 8439 AEAD test vector', () => {
+    assert.deepEqual(aeadSeal(key, nonce, plaintext, aad), sealed);
+    assert.deepEqual(aeadOpen(key, nonce, sealed, aad), plaintext);
+  });
+
+  it('rejects a flipped bit in the ciphertext, the tag or the associated data', () => {
+    for (const index of [0, ciphertext.length - 1, sealed.length - 1]) {
+      const tampered = Uint8Array.from(sealed);
+      tampered[index] ^= 0x01;
+      assert.throws(() => aeadOpen(key, nonce, tampered, aad), DecryptionError);
+    }
+    const otherAad = Uint8Array.from(aad);
+    otherAad[0] ^= 0x80;
+    assert.throws(() => aeadOpen(key, nonce, sealed, otherAad), /tag mismatch/);
+  });
+
+  it('rejects the wrong key or nonce and truncated input', () => {
+    const otherKey = Uint8Array.from(key);
+    otherKey[31] ^= 1;
+    assert.throws(() => aeadOpen(otherKey, nonce, sealed, aad), DecryptionError);
+    const otherNonce = Uint8Array.from(nonce);
+    otherNonce[11] ^= 1;
+    assert.throws(() => aeadOpen(key, otherNonce, sealed, aad), DecryptionError);
+    assert.throws(() => aeadOpen(key, nonce, sealed.subarray(0, 15), aad), /shorter than its tag/);
+  });
+
+  it('seals empty plaintext to a bare tag', () => {
+    const empty = aeadSeal(key, nonce, new Uint8Array(0), aad);
+    assert.equal(empty.length, AEAD_CONSTANTS.TAG_SIZE);
+    assert.deepEqual(aeadOpen(key, nonce, empty, aad), new Uint8Array(0));
+  });
+});
+
+describe('HKDF-SHA256', () => {
+  it('matches RFC 5869 test case 1', () => {
+    const okm = hkdf(new Uint8Array(22).fill(0x0b), range(0x00, 13), range(0xf0, 10), 42);
+    assert.deepEqual(okm, hex(`
+      3cb25f25faacd57a90434f64d0362f2a 2d2d0a90cf1a5a4c5db02d56ecc4c5bf
+      34007208d5b887185865`));
+  });
+
+  it('gives a prefix of longer output for shorter lengths and takes strings', () => {
+    const secret = range(1, 32);
+    assert.deepEqual(hkdf(secret, 'salt', 'info', 16), hkdf(secret, 'salt', 'info', 80).subarray(0, 16));
+    assert.deepEqual(hkdf(secret, 'salt', 'info', 32), hkdf(secret, utf8Encode('salt'), utf8Encode('info'), 32));
+  });
+});
+
+describe('PacketCipher', () => {
+  const secret = range(7, 32);
+  const aad = range(0, 13);
+  const payload = utf8Encode('frame payload');
+
+  it('seals for the paired device, which opens with the cipher for the same direction', () => {
+    const sender = PacketCipher.fromPairingSecret(secret, 'device_a', 'device_b', new Uint8Array(8));
+    const receiver = PacketCipher.fromPairingSecret(secret, 'device_a', 'device_b');
+    const sealed = sender.seal(payload, aad);
+
+    assert.equal(sealed.length, payload.length + sender.overhead);
+    assert.equal(getKeyId(sealed), receiver.keyId);
+    assert.deepEqual(receiver.open(sealed, aad), payload);
+  });
+
+  it('derives a separate key and key ID for each direction', () => {
+    const aToB = PacketCipher.fromPairingSecret(secret, 'device_a', 'device_b');
+    const bToA = PacketCipher.fromPairingSecret(secret, 'device_b', 'device_a');
+    assert.notDeepEqual(aToB.key, bToA.key);
+    assert.notEqual(aToB.keyId, bToA.keyId);
+    assert.throws(() => bToA.open(aToB.seal(payload, aad), aad), /another key/);
+  });
+
+  it('rejects frames sealed from another secret, altered or too short', () => {
+    const sender = PacketCipher.fromPairingSecret(secret, 'device_a', 'device_b');
+    const sealed = sender.seal(payload, aad);
+
+    const stranger = PacketCipher.fromPairingSecret(range(8, 32), 'device_a', 'device_b');
+    assert.throws(() => stranger.open(sealed, aad), DecryptionError);
+
+    const tampered = Uint8Array.from(sealed);
+    tampered[AEAD_CONSTANTS.NONCE_SIZE] ^= 1;
+    assert.throws(() => sender.open(tampered, aad), /tag mismatch/);
+    assert.throws(() => sender.open(sealed, range(1, 13)), /tag mismatch/);
+    assert.throws(() => sender.open(sealed.subarray(0, 20), aad), /too short/);
+  });
+
+  it('numbers nonces from the counter seed, carrying into the high word', () => {
+    const cipher = new PacketCipher(range(0, 32), 0xA1B2C3D4, hex('00000001ffffffff'));
+    assert.deepEqual(cipher.nextNonce(), hex('a1b2c3d4 00000001 ffffffff'));
+    assert.deepEqual(cipher.nextNonce(), hex('a1b2c3d4 00000002 00000000'));
+    assert.throws(() => new PacketCipher(range(0, 16), 1), /32 bytes/);
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { findStaleOutputs, loadSpec, OUTPUTS } from '../../../scripts/generate-api-client.js';
+
+// Run from the project root, as npm test does
+const SOURCE_DIR = 'src';
+
+// Lines of app code calling the backend with fetch instead of the client
+function directBackendCalls(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const file = join(dir, entry.name);
+    if (entry.isDirectory()) return directBackendCalls(file);
+    if (!/\.(js|ts|tsx)$/.test(entry.name) || relative('.', file) === OUTPUTS.client) return [];
+    return readFileSync(file, 'utf8').split('\n')
+      .map((line, index) => (/fetch\(\s*`\$\{[\w.]*backendUrl\}/i.test(line) ? `${file}:${index + 1}` : null))
+      .filter(Boolean);
+  });
+}
+
+describe('API client', () => {
+  it('is up to date with backend/openapi.js (run npm run generate-api-client)', () => {
+    assert.deepEqual(findStaleOutputs(loadSpec()), []);
+  });
+
+  it('is the only way app code calls the backend', () => {
+    assert.deepEqual(directBackendCalls(SOURCE_DIR), []);
+  });
+});
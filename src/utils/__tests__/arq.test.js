@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ARQSender, ARQReceiver, createLoopbackChannel, createAck } from '../arq.js';
+import { encodeChunkedData, framesToBits } from '../../encoder/encoder.js';
+import { DATA_TYPES, PACKET_FLAGS, decodeFrameHeader } from '../packet.js';
+import { VLCDecoderCore } from '../../decoder/decoderCore.js';
+
+// Incompressible payload, so the chunk count is the one asked for
+function randomPayload(size, seed) {
+  let state = seed;
+  return Uint8Array.from({ length: size }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state >> 16;
+  });
+}
+
+// Forward channel that also records every frame handed to it, dropped or not
+function recordingChannel(channel) {
+  const frames = [];
+  return {
+    frames,
+    send(frame) {
+      frames.push(frame);
+      return channel.send(frame);
+    },
+    onMessage: handler => channel.onMessage(handler)
+  };
+}
+
+// Run one transfer over lossy loopback channels into a real decoder (whose frame log is muted)
+async function runTransfer({ loss, ackLoss, seed, chunks = 16, maxRetries = 20 }) {
+  const payload = randomPayload(1200, seed);
+  const frames = encodeChunkedData(payload, DATA_TYPES.FILE, false, true, chunks);
+  const forward = recordingChannel(createLoopbackChannel({ lossRate: loss, delayMs: 1, seed }));
+  const reverse = createLoopbackChannel({ lossRate: ackLoss, delayMs: 1, seed: seed + 1000 });
+
+  const { log, warn } = console;
+  console.log = console.warn = () => {};
+  const decoder = new VLCDecoderCore();
+  decoder.enablePacketMode();
+  const receiver = new ARQReceiver({ reverse, windowSize: 4, ackDelayMs: 10 });
+  receiver.attach(decoder);
+  forward.onMessage(frame => framesToBits([frame]).forEach(bit => decoder.processPacketBit(Number(bit), 0)));
+
+  const sender = new ARQSender(frames, { forward, reverse, windowSize: 4, timeoutMs: 40, maxRetries });
+  try {
+    const result = await sender.start();
+    return { result, payload, frames, forward, receiver, decoder };
+  } finally {
+    receiver.close();
+    Object.assign(console, { log, warn });
+  }
+}
+
+describe('ARQ over a lossy loopback', () => {
+  [1, 2, 3].forEach(seed => {
+    it(`delivers every frame despite forward and return loss (seed ${seed})`, async () => {
+      const { result, frames, forward, receiver } = await runTransfer({ loss: 0.3, ackLoss: 0.2, seed });
+      assert.equal(result.success, true, result.message);
+      assert.ok(forward.frames.length > frames.length, 'nothing was lost, so nothing was retransmitted');
+      assert.deepEqual(receiver.getMissing(result.session), []);
+      assert.equal(receiver.sessions.get(result.session).received.size, frames.length);
+    });
+  });
+
+  it('reassembles the exact payload', async () => {
+    const { result, payload, decoder } = await runTransfer({ loss: 0.3, ackLoss: 0.2, seed: 4 });
+    assert.equal(result.success, true, result.message);
+    const record = decoder.receivedData.find(entry => entry.data instanceof Uint8Array);
+    assert.deepEqual(record && Array.from(record.data), Array.from(payload));
+  });
+
+  it('flags retransmissions and only retransmissions', async () => {
+    const { result, frames, forward } = await runTransfer({ loss: 0.3, ackLoss: 0.2, seed: 5 });
+    const headers = forward.frames.map(decodeFrameHeader);
+    const firstSends = new Set();
+    let flagged = 0;
+    headers.forEach(header => {
+      const retransmission = (header.flags & PACKET_FLAGS.RETRANSMISSION) !== 0;
+      assert.equal(retransmission, firstSends.has(header.sequence), `sequence ${header.sequence}`);
+      firstSends.add(header.sequence);
+      if (retransmission) flagged++;
+    });
+    assert.equal(firstSends.size, frames.length);
+    assert.equal(flagged, result.stats.retransmitted);
+    assert.ok(flagged > 0);
+  });
+});
+
+describe('ARQSender', () => {
+  it('gives up after maxRetries timeouts without an acknowledgment', async () => {
+    const frames = encodeChunkedData(randomPayload(300, 9), DATA_TYPES.FILE, false, true, 3);
+    const forward = createLoopbackChannel();
+    const reverse = createLoopbackChannel({ lossRate: 1 });
+    const sender = new ARQSender(frames, { forward, reverse, timeoutMs: 5, maxRetries: 3 });
+
+    const result = await sender.start();
+    assert.equal(result.success, false);
+    assert.equal(result.message, 'No acknowledgment after 3 retries');
+    assert.equal(result.stats.timeouts, 4);
+    assert.equal(result.stats.sent, frames.length);
+    assert.equal(result.stats.retransmitted, 3 * frames.length);
+  });
+
+  it('ignores stale acknowledgments and acknowledgments of other sessions', async () => {
+    const frames = encodeChunkedData(randomPayload(300, 10), DATA_TYPES.FILE, false, true, 3);
+    const reverse = createLoopbackChannel();
+    const sender = new ARQSender(frames, { forward: createLoopbackChannel(), reverse, timeoutMs: 5, maxRetries: 1 });
+    const done = sender.start();
+
+    const partial = createAck(sender.session, { ackId: 2, total: 3, received: new Set([0]), highest: 0, last: 0 });
+    const complete = createAck(sender.session, { ackId: 1, total: 3, received: new Set([0, 1, 2]), highest: 2, last: 2 });
+    sender.handleAck(partial);
+    sender.handleAck(complete); // Older than the partial one
+    sender.handleAck({ ...complete, ackId: 3, session: (sender.session + 1) & 0xffff });
+    assert.equal(sender.done, false);
+
+    sender.handleAck({ ...complete, ackId: 3 });
+    const result = await done;
+    assert.equal(result.success, true);
+    assert.equal(result.stats.acks, 2);
+  });
+});
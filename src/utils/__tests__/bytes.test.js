@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import {
+  utf8Encode,
+  utf8Decode,
+  bytesToBase64,
+  base64ToBytes,
+  bytesToString,
+  toBytes,
+  bytesToBits,
+  bitsToBytes,
+  calculateCRC16,
+  DATA_TYPES
+} from '../packet.js';
+import { serializePayload } from '../../encoder/encoder.js';
+
+const TEXTS = ['', 'plain ASCII', 'café naïve', 'Ωμέγα ж 中文', 'emoji 😀🎉 and 𝄞', 'a'.repeat(10000) + '€'];
+
+describe('UTF-8', () => {
+  it('encodes and decodes like TextEncoder / TextDecoder', () => {
+    for (const text of TEXTS) {
+      const bytes = utf8Encode(text);
+      assert.deepEqual(bytes, new TextEncoder().encode(text));
+      assert.equal(utf8Decode(bytes), text);
+    }
+  });
+
+  it('replaces lone surrogates with U+FFFD', () => {
+    assert.deepEqual(utf8Encode('a\uD800b'), Uint8Array.of(0x61, 0xEF, 0xBF, 0xBD, 0x62));
+  });
+
+  it('replaces malformed input one byte at a time', () => {
+    const cases = [
+      [[0xC3], '\uFFFD'], // Truncated
+      [[0xC3, 0x41], '\uFFFDA'], // Bad continuation
+      [[0xC0, 0xAF], '\uFFFD\uFFFD'], // Overlong '/'
+      [[0xED, 0xA0, 0x80], '\uFFFD\uFFFD\uFFFD'], // Encoded surrogate
+      [[0xF4, 0x90, 0x80, 0x80], '\uFFFD\uFFFD\uFFFD\uFFFD'], // Beyond U+10FFFF
+      [[0xFF, 0x41], '\uFFFDA'], // Invalid lead byte
+      [[0x80], '\uFFFD'] // Stray continuation
+    ];
+    for (const [bytes, expected] of cases) {
+      assert.equal(utf8Decode(Uint8Array.from(bytes)), expected, bytes.join(' '));
+    }
+  });
+
+  it('decodes payloads too large to spread into one call', () => {
+    const text = '😀'.repeat(100000);
+    assert.equal(utf8Decode(utf8Encode(text)), text);
+  });
+});
+
+describe('Base64', () => {
+  it('matches Node for every padding length', () => {
+    for (let length = 0; length < 8; length++) {
+      const bytes = Uint8Array.from({ length }, (_, i) => 250 - i * 31);
+      const base64 = bytesToBase64(bytes);
+      assert.equal(base64, Buffer.from(bytes).toString('base64'));
+      assert.deepEqual(base64ToBytes(base64), bytes);
+    }
+  });
+
+  it('ignores whitespace and rejects anything else', () => {
+    assert.deepEqual(base64ToBytes('aGVs\nbG8g d29y\tbGQ='), utf8Encode('hello world'));
+    for (const bad of ['a', 'ab$c', 'abc=d', 'ab===', 'abcde']) {
+      assert.throws(() => base64ToBytes(bad), /Invalid Base64/, bad);
+    }
+  });
+});
+
+describe('byte helpers', () => {
+  it('views buffers, typed arrays and strings as bytes', () => {
+    const backing = Uint16Array.of(0x0102, 0x0304);
+    assert.deepEqual(toBytes(new DataView(backing.buffer, 1, 2)), new Uint8Array(backing.buffer, 1, 2));
+    assert.deepEqual(toBytes(backing.buffer), new Uint8Array(backing.buffer));
+    assert.deepEqual(toBytes([1, 2, 300]), Uint8Array.of(1, 2, 44));
+    assert.deepEqual(toBytes('é'), Uint8Array.of(0xC3, 0xA9));
+  });
+
+  it('maps each byte to one Latin-1 character', () => {
+    assert.equal(bytesToString(Uint8Array.of(0x41, 0xE9, 0xFF)), 'Aéÿ');
+  });
+
+  it('expands bytes to bits and packs them back, dropping a partial byte', () => {
+    const bits = bytesToBits(Uint8Array.of(0xA5, 0x01));
+    assert.equal(bits.join(''), '1010010100000001');
+    assert.deepEqual(bitsToBytes([...bits, '1', '1']), Uint8Array.of(0xA5, 0x01));
+  });
+
+  it('checksums strings as UTF-8 with CRC-16-CCITT', () => {
+    assert.equal(calculateCRC16('123456789'), 0x29B1); // CCITT-FALSE check value
+    assert.equal(calculateCRC16('é'), calculateCRC16(Uint8Array.of(0xC3, 0xA9)));
+  });
+});
+
+describe('serializePayload', () => {
+  it('sends text and JSON as UTF-8 and binary payloads as raw bytes', () => {
+    assert.deepEqual(serializePayload('naïve', DATA_TYPES.TEXT), utf8Encode('naïve'));
+    assert.deepEqual(serializePayload({ t: '°C' }, DATA_TYPES.JSON), utf8Encode('{"t":"°C"}'));
+    assert.deepEqual(serializePayload('AAEC/w==', DATA_TYPES.FILE), Uint8Array.of(0, 1, 2, 255));
+    assert.deepEqual(serializePayload(Uint8Array.of(9, 8), DATA_TYPES.IMAGE), Uint8Array.of(9, 8));
+  });
+});
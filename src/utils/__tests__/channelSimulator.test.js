@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateTransfer, simulateChannel, noiseForSNR } from '../channelSimulator.js';
+import { DATA_TYPES } from '../packet.js';
+
+const MESSAGE = 'temp=21.5C humidity=40% lux=320 battery=87% status=OK; temp=21.6C humidity=40% lux=318';
+const SEEDS = [1, 2, 3, 4, 5];
+
+// Share of the seeded transfers at an SNR that came back intact (the decoder's frame log is muted)
+function successRate(snr, options) {
+  const { log, warn, error } = console;
+  console.log = console.warn = console.error = () => {};
+  try {
+    const results = SEEDS.map(seed => simulateTransfer(MESSAGE, DATA_TYPES.TEXT, {
+      ...options,
+      channel: { noiseStdDev: noiseForSNR(snr), seed }
+    }));
+    return { rate: results.filter(result => result.success).length / SEEDS.length, codec: results[0].codec };
+  } finally {
+    Object.assign(console, { log, warn, error });
+  }
+}
+
+describe('channel simulator', () => {
+  it('renders the same trace for the same seed', () => {
+    const bits = '0110100111010010'.split('');
+    const options = { noiseStdDev: 20, jitterMs: 3, dropoutRate: 2, seed: 7 };
+    assert.deepEqual(simulateChannel(bits, options), simulateChannel(bits, options));
+    assert.notDeepEqual(simulateChannel(bits, options), simulateChannel(bits, { ...options, seed: 8 }));
+  });
+
+  it('converts SNR to the noise level of the on/off swing', () => {
+    assert.equal(noiseForSNR(0), 160);
+    assert.equal(noiseForSNR(20), 16);
+  });
+});
+
+// Minimum packet success per FEC/compression setting; lower rates mean FEC or framing regressed
+describe('SNR sweep', () => {
+  const minimums = [
+    // [snr, compression, fec, minimum success rate]
+    [18, true, true, 1],
+    [18, false, true, 1],
+    [22, true, false, 0.8],
+    [22, false, false, 0.8],
+    [26, true, true, 1],
+    [26, true, false, 1],
+    [26, false, false, 1]
+  ];
+
+  minimums.forEach(([snr, compression, fec, minimum]) => {
+    it(`delivers at least ${minimum * 100}% at ${snr} dB (compression ${compression}, FEC ${fec})`, () => {
+      const { rate } = successRate(snr, { compression, fec });
+      assert.ok(rate >= minimum, `success rate ${rate * 100}% is below ${minimum * 100}%`);
+    });
+  });
+
+  it('does at least as well with FEC as without it at 14 dB', () => {
+    assert.ok(successRate(14, { compression: false, fec: true }).rate >= successRate(14, { compression: false, fec: false }).rate);
+  });
+
+  it('names the codec the encoder picked', () => {
+    assert.notEqual(successRate(26, { compression: true, fec: true }).codec, 'NONE');
+    assert.equal(successRate(26, { compression: false, fec: true }).codec, 'NONE');
+  });
+});
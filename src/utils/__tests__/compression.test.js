@@ -0,0 +1,146 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CODEC_IDS,
+  COMPRESSION_CONSTANTS,
+  lzCompress,
+  lzDecompress,
+  huffmanCompress,
+  huffmanDecompress,
+  registerCodec,
+  getCodec,
+  getCodecName,
+  compress,
+  decompress
+} from '../compression.js';
+import { compressData, decompressData, utf8Encode } from '../packet.js';
+import { createRandom } from '../channelSimulator.js';
+
+const random = createRandom(11);
+const RANDOM = Uint8Array.from({ length: 2000 }, () => Math.floor(random.next() * 256));
+const TEXT = utf8Encode('The quick brown fox jumps over the lazy dog. '.repeat(40) + 'Ünïcödé tail');
+// Skewed byte counts (Fibonacci) force code lengths past the 15-bit limit before flattening
+const SKEWED = Uint8Array.from([1, 1, 2, 3, 5, 8, 13, 21, 34, 55, 89, 144, 233, 377, 610, 987, 1597, 2584]
+  .flatMap((count, symbol) => new Array(count).fill(symbol)));
+// The same bytes in random order, where LZ77 finds few matches
+const SHUFFLED = SKEWED.slice();
+for (let i = SHUFFLED.length - 1; i > 0; i--) {
+  const j = Math.floor(random.next() * (i + 1));
+  [SHUFFLED[i], SHUFFLED[j]] = [SHUFFLED[j], SHUFFLED[i]];
+}
+const COMMAND = utf8Encode(JSON.stringify({
+  mode: 'command',
+  signedCommand: {
+    type: 'send_message',
+    senderId: 'device_42',
+    receiverId: 'device_7',
+    payload: { text: 'hi', replyTo: null, messageId: 'msg_1' },
+    timestamp: '2025-03-01T10:00:00.000Z',
+    nonce: 'abc',
+    expiresAt: '2025-03-01T10:05:00.000Z',
+    signature: 'sig'
+  }
+}));
+
+const INPUTS = {
+  empty: new Uint8Array(0),
+  'one byte': Uint8Array.of(7),
+  'one symbol': new Uint8Array(500).fill(0x41),
+  random: RANDOM,
+  text: TEXT,
+  skewed: SKEWED,
+  shuffled: SHUFFLED,
+  'repeat beyond the window': Uint8Array.from({ length: COMPRESSION_CONSTANTS.LZ_WINDOW * 3 }, (_, i) => RANDOM[i % 1500] ^ (i >> 12))
+};
+
+describe('codec round trips', () => {
+  for (const [codec, id] of Object.entries(CODEC_IDS)) {
+    for (const [name, input] of Object.entries(INPUTS)) {
+      it(`${codec}: ${name}`, () => {
+        assert.deepEqual(decompress(getCodec(id).compress(input), id), input);
+      });
+    }
+  }
+});
+
+describe('codec choice', () => {
+  it('keeps the smallest result and sends incompressible data as NONE', () => {
+    assert.equal(compress(RANDOM).codec, CODEC_IDS.NONE);
+    assert.equal(compress(SHUFFLED).codec, CODEC_IDS.HUFFMAN);
+    assert.ok(compress(TEXT).data.length < TEXT.length / 4);
+  });
+
+  it('compresses command JSON better with the dictionary than with plain LZ77', () => {
+    const result = compress(COMMAND);
+    assert.equal(result.codec, CODEC_IDS.JSON_DICTIONARY);
+    assert.ok(result.data.length < lzCompress(COMMAND).length);
+  });
+
+  it('leaves payloads under MIN_SIZE alone', () => {
+    const short = utf8Encode('aaaaaaaaaaaaaaa');
+    assert.equal(short.length, COMPRESSION_CONSTANTS.MIN_SIZE - 1);
+    assert.deepEqual(compressData(short), { compressed: false, codec: CODEC_IDS.NONE, data: short });
+    assert.equal(compressData(short, true).compressed, false);
+    assert.equal(compressData(TEXT, false).compressed, false);
+  });
+
+  it('round-trips through compressData / decompressData', () => {
+    const result = compressData(TEXT);
+    assert.equal(result.compressed, true);
+    assert.equal(result.originalSize, TEXT.length);
+    assert.deepEqual(decompressData(result.data, result), TEXT);
+  });
+});
+
+describe('corrupt streams', () => {
+  it('rejects truncated LZ77 and Huffman streams', () => {
+    const lz = lzCompress(TEXT);
+    assert.throws(() => lzDecompress(lz.subarray(0, lz.length - 3)), /Truncated|exceeds/);
+    const huffman = huffmanCompress(TEXT);
+    assert.throws(() => huffmanDecompress(huffman.subarray(0, 20)), /Truncated/);
+    assert.throws(() => huffmanDecompress(huffman.subarray(0, huffman.length - 10)), /exceeds|Invalid/);
+  });
+
+  it('rejects LZ77 matches reaching before the start of the data', () => {
+    // Length 5, flags: first token is a match at distance 1
+    assert.throws(() => lzDecompress(Uint8Array.of(5, 0x01, 0x00, 0x02)), /before start/);
+  });
+
+  it('rejects length prefixes the stream cannot hold and bad varints', () => {
+    assert.throws(() => lzDecompress(Uint8Array.of(0xFF, 0xFF, 0x7F, 0x00, 0x41)), /exceeds/);
+    assert.throws(() => huffmanDecompress(Uint8Array.of(0x80, 0x80)), /Invalid length prefix/);
+  });
+
+  it('returns the received bytes when decompression fails', () => {
+    const { error } = console;
+    console.error = () => {};
+    try {
+      const garbage = Uint8Array.of(0x40, 0x00, 0x01);
+      assert.deepEqual(decompressData(garbage, { compressed: true, codec: CODEC_IDS.LZ77 }), garbage);
+    } finally {
+      console.error = error;
+    }
+  });
+});
+
+describe('codec registry', () => {
+  it('rejects invalid IDs and unknown codecs', () => {
+    assert.throws(() => registerCodec({ id: 256, name: 'BIG' }), /Invalid codec ID/);
+    assert.throws(() => registerCodec({ id: 1.5, name: 'HALF' }), /Invalid codec ID/);
+    assert.throws(() => decompress(TEXT, 200), /Unknown compression codec/);
+    assert.equal(getCodecName(200), 'UNKNOWN');
+  });
+
+  it('uses registered codecs and survives one that throws', () => {
+    const { warn } = console;
+    console.warn = () => {};
+    try {
+      registerCodec({ id: 250, name: 'BROKEN', compress: () => { throw new Error('boom'); }, decompress: bytes => bytes });
+      registerCodec({ id: 251, name: 'TINY', compress: () => Uint8Array.of(1), decompress: () => TEXT });
+      assert.deepEqual(compress(TEXT, [250, 251]), { codec: 251, data: Uint8Array.of(1) });
+      assert.deepEqual(decompress(Uint8Array.of(1), 251), TEXT);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
@@ -0,0 +1,38 @@
+// Synthetic camera frames for the frame analysis tests
+//
+// Frames are small gray RGBA (or single channel) pixel buffers, so the
+// expected luma of any region can be worked out by hand.
+
+export const DARK = 20;
+export const LIT = 230;
+
+// Frame of one gray level
+export function solidFrame(width, height, level, channels = 4) {
+  const data = new Uint8Array(width * height * channels);
+  for (let i = 0; i < width * height; i++) {
+    data.fill(level, i * channels, i * channels + Math.min(channels, 3));
+    if (channels === 4) data[i * channels + 3] = 255;
+  }
+  return { width, height, data, channels };
+}
+
+// Fill a rectangle given in pixels ({ x, y, width, height }) with a gray level
+export function fillRect(frame, rect, level) {
+  const channels = frame.channels;
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      const i = (y * frame.width + x) * channels;
+      frame.data.fill(level, i, i + Math.min(channels, 3));
+    }
+  }
+  return frame;
+}
+
+// Dark frames with a light at `light` switching on and off with `pattern`
+// (1 = on), plus an optional steady lamp that never blinks
+export function blinkingFrames(width, height, light, pattern, steadyLamp = null) {
+  return pattern.map(on => {
+    const frame = fillRect(solidFrame(width, height, DARK), light, on ? LIT : DARK);
+    return steadyLamp ? fillRect(frame, steadyLamp, 255) : frame;
+  });
+}
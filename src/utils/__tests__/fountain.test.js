@@ -0,0 +1,99 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { robustSoliton, getSymbolNeighbors, FountainEncoder, FountainDecoder } from '../fountain.js';
+import { createRandom } from '../channelSimulator.js';
+import { DATA_TYPES, PACKET_FLAGS, decodeFrame } from '../packet.js';
+
+// Incompressible payload
+function randomPayload(size, seed) {
+  const random = createRandom(seed);
+  return Uint8Array.from({ length: size }, () => Math.floor(random.next() * 256));
+}
+
+// Feed symbols from `firstId` on, dropping each with probability `loss`, until the decoder finishes
+function receive(encoder, { loss = 0, firstId = 0, seed = 1, limit = 10 * encoder.k } = {}) {
+  const decoder = new FountainDecoder(encoder.k, encoder.blockSize, encoder.transferId);
+  const random = createRandom(seed);
+  for (let id = firstId; id < firstId + limit && !decoder.complete; id++) {
+    if (random.next() >= loss) decoder.addSymbol(id, encoder.encodeSymbol(id));
+  }
+  return decoder;
+}
+
+describe('degree distribution', () => {
+  it('is a cumulative distribution ending at 1', () => {
+    const cdf = robustSoliton(40);
+    assert.equal(cdf.length, 40);
+    cdf.slice(1).forEach((p, i) => assert.ok(p >= cdf[i]));
+    assert.ok(Math.abs(cdf[39] - 1) < 1e-9);
+  });
+
+  it('rebuilds the same neighbours from the symbol and transfer IDs', () => {
+    assert.deepEqual(getSymbolNeighbors(3, 10, 7), [3]);
+    assert.deepEqual(getSymbolNeighbors(500, 10, 7), getSymbolNeighbors(500, 10, 7));
+    const ids = Array.from({ length: 50 }, (_, i) => 100 + i);
+    assert.notDeepEqual(ids.map(id => getSymbolNeighbors(id, 10, 7)), ids.map(id => getSymbolNeighbors(id, 10, 8)));
+    ids.forEach(id => getSymbolNeighbors(id, 10, 7).forEach(n => assert.ok(n >= 0 && n < 10)));
+  });
+});
+
+describe('FountainEncoder / FountainDecoder', () => {
+  const payload = randomPayload(3000, 1);
+
+  it('recovers from the systematic symbols alone', () => {
+    const encoder = new FountainEncoder(payload, { blockSize: 100, transferId: 3 });
+    const decoder = receive(encoder);
+    assert.equal(decoder.received, encoder.k);
+    assert.deepEqual(decoder.getPayload(), payload);
+  });
+
+  it('recovers with lost symbols, from any K or a few more', () => {
+    const overheads = [1, 2, 3, 4, 5].map(seed => {
+      const encoder = new FountainEncoder(payload, { blockSize: 100, transferId: seed });
+      const decoder = receive(encoder, { loss: 0.3, seed });
+      assert.deepEqual(decoder.getPayload(), payload, `seed ${seed}`);
+      return decoder.received / encoder.k;
+    });
+    const average = overheads.reduce((sum, o) => sum + o, 0) / overheads.length;
+    assert.ok(average < 1.5, `average reception overhead ${average}`);
+  });
+
+  it('recovers for a receiver that joined late, with no source blocks at all', () => {
+    const encoder = new FountainEncoder(payload, { blockSize: 100, transferId: 9 });
+    const decoder = receive(encoder, { firstId: 1000, loss: 0.2 });
+    assert.deepEqual(decoder.getPayload(), payload);
+    assert.equal(decoder.getProgress().complete, true);
+  });
+
+  it('ignores duplicates and wrongly sized symbols, and has no payload until complete', () => {
+    const encoder = new FountainEncoder(payload, { blockSize: 100 });
+    const decoder = new FountainDecoder(encoder.k, encoder.blockSize, encoder.transferId);
+    assert.equal(decoder.addSymbol(0, encoder.encodeSymbol(0)), false);
+    assert.equal(decoder.addSymbol(0, encoder.encodeSymbol(0)), false);
+    assert.equal(decoder.addSymbol(1, new Uint8Array(10)), false);
+    assert.deepEqual(decoder.getProgress(), { transferId: 0, needed: encoder.k, received: 1, recovered: 1, complete: false });
+    assert.equal(decoder.getPayload(), null);
+  });
+
+  it('handles empty payloads and splits into at least minBlocks blocks', () => {
+    const empty = new FountainEncoder(new Uint8Array(0));
+    assert.deepEqual(receive(empty).getPayload(), new Uint8Array(0));
+    assert.equal(new FountainEncoder(randomPayload(60, 2), { minBlocks: 8 }).k, 8);
+  });
+
+  it('frames symbols with the symbol ID as SEQUENCE and K as TOTAL, wrapping IDs', () => {
+    const encoder = new FountainEncoder(payload, {
+      blockSize: 100,
+      dataType: DATA_TYPES.FILE,
+      flags: PACKET_FLAGS.FOUNTAIN,
+      transferId: 5
+    });
+    encoder.nextSymbolId = 0xFFFF;
+    const [last, first] = encoder.nextFrames(2).map(frame => decodeFrame(frame));
+    assert.equal(last.header.sequence, 0xFFFF);
+    assert.equal(first.header.sequence, 0);
+    assert.equal(first.header.total, encoder.k);
+    assert.equal(first.header.transferId, 5);
+    assert.deepEqual(first.payload, encoder.encodeSymbol(0));
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import jpeg from 'jpeg-js';
+import {
+  meanLuma,
+  meanColor,
+  regionToPixels,
+  gridLuma,
+  locateBlinkingRegion,
+  decodeJpeg,
+  FrameAnalyzer,
+  FULL_FRAME
+} from '../frameAnalysis.js';
+import { solidFrame, fillRect, blinkingFrames, DARK, LIT } from './fixtures/frames.js';
+
+// The light covers grid cells (row 2, columns 4-5) of an 8x8 grid over a 32x32 frame
+const LIGHT = { x: 16, y: 8, width: 8, height: 4 };
+const LIGHT_REGION = { x: 0.5, y: 0.25, width: 0.25, height: 0.125 };
+const STEADY_LAMP = { x: 0, y: 24, width: 8, height: 8 };
+const PATTERN = [1, 0, 1, 1, 0, 0, 1, 0];
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+const assertRegion = (actual, expected) => {
+  ['x', 'y', 'width', 'height'].forEach(key => assertClose(actual[key], expected[key]));
+};
+
+describe('meanLuma', () => {
+  const frame = fillRect(solidFrame(16, 16, DARK), { x: 8, y: 4, width: 4, height: 4 }, LIT);
+
+  it('averages the configured region of interest', () => {
+    assertClose(meanLuma(frame, { x: 0.5, y: 0.25, width: 0.25, height: 0.25 }), LIT);
+    assertClose(meanLuma(frame, { x: 0, y: 0, width: 0.5, height: 1 }), DARK);
+  });
+
+  it('mixes the levels of a region partly covering the light', () => {
+    // Columns 6-9 of rows 4-7: half lit, half dark
+    assertClose(meanLuma(frame, { x: 0.375, y: 0.25, width: 0.25, height: 0.25 }), (LIT + DARK) / 2);
+  });
+
+  it('uses the full frame by default', () => {
+    assertClose(meanLuma(frame), (16 * LIT + 240 * DARK) / 256);
+    assertClose(meanLuma(frame, FULL_FRAME), meanLuma(frame));
+  });
+
+  it('reads grayscale and RGBA frames alike', () => {
+    const gray = fillRect(solidFrame(16, 16, DARK, 1), { x: 8, y: 4, width: 4, height: 4 }, LIT);
+    const roi = { x: 0.5, y: 0, width: 0.5, height: 0.5 };
+    assertClose(meanLuma(gray, roi), meanLuma(frame, roi));
+    assert.deepEqual(meanColor(gray, roi), meanColor(frame, roi));
+  });
+
+  it('keeps tiny regions at least one pixel large', () => {
+    assert.deepEqual(regionToPixels(frame, { x: 0.99, y: 0.99, width: 0, height: 0 }), { x0: 15, y0: 15, x1: 16, y1: 16 });
+  });
+});
+
+describe('locateBlinkingRegion', () => {
+  const history = blinkingFrames(32, 32, LIGHT, PATTERN, STEADY_LAMP).map(frame => gridLuma(frame, 8));
+
+  it('finds the blinking light and its off/on levels', () => {
+    const located = locateBlinkingRegion(history, 8);
+    assertRegion(located, LIGHT_REGION);
+    assertClose(located.contrast, LIT - DARK);
+    assertClose(located.low, DARK);
+    assertClose(located.high, LIT);
+  });
+
+  it('ignores a brighter lamp that does not blink', () => {
+    const steady = blinkingFrames(32, 32, LIGHT, PATTERN.map(() => 0), STEADY_LAMP).map(frame => gridLuma(frame, 8));
+    assert.equal(locateBlinkingRegion(steady, 8), null);
+  });
+
+  it('needs a swing of at least minContrast', () => {
+    assert.equal(locateBlinkingRegion(history, 8, LIT - DARK + 1), null);
+    assert.equal(locateBlinkingRegion(history.slice(0, 1), 8), null);
+  });
+});
+
+describe('FrameAnalyzer', () => {
+  it('locates the light after locateFrames frames and then samples only it', () => {
+    const located = [];
+    const analyzer = new FrameAnalyzer({ gridSize: 8, step: 1, locateFrames: 4, onRegionLocated: region => located.push(region) });
+    const frames = blinkingFrames(32, 32, LIGHT, PATTERN, STEADY_LAMP);
+
+    const { log } = console;
+    console.log = () => {};
+    let levels;
+    try {
+      levels = frames.map(frame => analyzer.analyze(frame));
+    } finally {
+      console.log = log;
+    }
+
+    assert.equal(located.length, 1);
+    assertRegion(analyzer.region, LIGHT_REGION);
+    // Whole-frame averages until then, the light itself afterwards
+    assert.ok(levels.slice(0, 4).every(level => level > DARK && level < LIT));
+    levels.slice(4).forEach((level, i) => assertClose(level, PATTERN[i + 4] ? LIT : DARK));
+  });
+
+  it('keeps a fixed region without locating', () => {
+    const analyzer = new FrameAnalyzer({ roi: LIGHT_REGION, step: 1 });
+    const [on, off] = blinkingFrames(32, 32, LIGHT, [1, 0]);
+    assertClose(analyzer.analyze(on), LIT);
+    assertClose(analyzer.analyze(off), DARK);
+    assert.equal(analyzer.history.length, 0);
+  });
+});
+
+describe('decodeJpeg', () => {
+  it('decodes a JPEG fixture into an RGBA frame', () => {
+    const fixture = fillRect(solidFrame(32, 32, DARK), LIGHT, LIT);
+    const frame = decodeJpeg(jpeg.encode(fixture, 95).data);
+    assert.equal(frame.width, 32);
+    assert.equal(frame.channels, 4);
+    // JPEG is lossy; levels stay within a few steps
+    assertClose(meanLuma(frame, LIGHT_REGION), LIT, 4);
+    assertClose(meanLuma(frame, { x: 0, y: 0, width: 0.25, height: 0.25 }), DARK, 4);
+  });
+});
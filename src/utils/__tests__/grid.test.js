@@ -0,0 +1,157 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  getGridLayout,
+  rectCentre,
+  computeHomography,
+  applyHomography,
+  sampleGridCells,
+  GridFrameSampler
+} from '../gridLayout.js';
+import { GridDecoder } from '../../decoder/gridDecoder.js';
+import { encodeGridData, framesToGridStreams } from '../../encoder/encoder.js';
+import { DATA_TYPES } from '../packet.js';
+import { LINE_CODINGS } from '../lineCoding.js';
+import { solidFrame, DARK, LIT } from './fixtures/frames.js';
+
+const SIZE = 96;
+const BACKGROUND = 60;
+// Where the screen's corners (top-left, top-right, bottom-left, bottom-right) land in the image: a tilted view
+const SCREEN_CORNERS = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: 1, y: 1 }];
+const IMAGE_CORNERS = [{ x: 14, y: 10 }, { x: 84, y: 16 }, { x: 10, y: 88 }, { x: 88, y: 80 }];
+
+const assertPoint = (actual, expected, tolerance) => {
+  assert.ok(Math.abs(actual.x - expected.x) <= tolerance && Math.abs(actual.y - expected.y) <= tolerance,
+    `(${actual.x}, ${actual.y}) is not within ${tolerance} of (${expected.x}, ${expected.y})`);
+};
+
+// Camera view of the grid screen showing one chip per cell, single channel
+function renderGrid(layout, chips) {
+  const imageToScreen = computeHomography(IMAGE_CORNERS, SCREEN_CORNERS);
+  const frame = solidFrame(SIZE, SIZE, BACKGROUND, 1);
+  const inside = (rect, p) => p.x >= rect.x && p.x < rect.x + rect.width && p.y >= rect.y && p.y < rect.y + rect.height;
+
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const p = applyHomography(imageToScreen, { x, y });
+      if (p.x < 0 || p.x >= 1 || p.y < 0 || p.y >= 1) continue;
+      const cell = layout.cells.findIndex(rect => inside(rect, p));
+      const lit = cell >= 0 ? chips[cell] === '1' : layout.fiducials.some(rect => inside(rect, p));
+      frame.data[y * SIZE + x] = lit ? LIT : DARK;
+    }
+  }
+  return frame;
+}
+
+describe('homography', () => {
+  it('maps the four source points onto the destination points', () => {
+    const h = computeHomography(SCREEN_CORNERS, IMAGE_CORNERS);
+    SCREEN_CORNERS.forEach((p, i) => assertPoint(applyHomography(h, p), IMAGE_CORNERS[i], 1e-9));
+  });
+
+  it('is undone by the homography in the other direction', () => {
+    const forward = computeHomography(SCREEN_CORNERS, IMAGE_CORNERS);
+    const back = computeHomography(IMAGE_CORNERS, SCREEN_CORNERS);
+    const point = { x: 0.3, y: 0.7 };
+    assertPoint(applyHomography(back, applyHomography(forward, point)), point, 1e-9);
+  });
+
+  it('returns null for degenerate points', () => {
+    const collinear = [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }, { x: 3, y: 3 }];
+    assert.equal(computeHomography(collinear, IMAGE_CORNERS), null);
+  });
+});
+
+describe('grid layout', () => {
+  it('surrounds rows x cols cells with a one-unit border and corner fiducials', () => {
+    const layout = getGridLayout(3, 5);
+    assert.equal(layout.cells.length, 15);
+    assert.deepEqual(rectCentre(layout.fiducials[0]), { x: 1 / 14, y: 1 / 10 });
+    assert.deepEqual(layout.cells[0], { row: 0, col: 0, x: 1 / 7, y: 1 / 5, width: 1 / 7, height: 1 / 5 });
+    assert.ok(Math.abs(layout.cells[14].x + layout.cells[14].width - 6 / 7) < 1e-12);
+  });
+});
+
+describe('GridFrameSampler', () => {
+  const layout = getGridLayout(2, 2);
+  // Every cell blinks with its own pattern while the fiducials stay lit
+  const patterns = ['1010101010', '1100110011', '0110011001', '1001100110'];
+  const frames = patterns[0].split('').map((_, t) => renderGrid(layout, patterns.map(p => p[t])));
+
+  it('locates the fiducials and then samples every cell through the perspective', () => {
+    let located = null;
+    const sampler = new GridFrameSampler({ rows: 2, cols: 2, locateFrames: frames.length, step: 1, onGridLocated: corners => { located = corners; } });
+    const { log } = console;
+    console.log = () => {};
+    try {
+      frames.slice(0, -1).forEach(frame => assert.equal(sampler.sample(frame), null));
+      assert.ok(sampler.sample(frames[frames.length - 1]));
+    } finally {
+      console.log = log;
+    }
+
+    // Fiducial centres in the image, measured against the rendering
+    const expected = layout.fiducials.map(rect => applyHomography(computeHomography(SCREEN_CORNERS, IMAGE_CORNERS), rectCentre(rect)));
+    located.forEach((corner, i) => assertPoint(corner, expected[i], 3));
+
+    const lumas = sampler.sample(renderGrid(layout, ['1', '0', '0', '1']));
+    assert.deepEqual(lumas.map(luma => (luma > (LIT + DARK) / 2 ? 1 : 0)), [1, 0, 0, 1]);
+  });
+
+  it('keeps looking while nothing blinks', () => {
+    const sampler = new GridFrameSampler({ rows: 2, cols: 2, locateFrames: 3 });
+    const still = renderGrid(layout, ['1', '1', '1', '1']);
+    for (let i = 0; i < 6; i++) assert.equal(sampler.sample(still), null);
+    assert.equal(sampler.homography, null);
+  });
+
+  it('samples a known homography directly', () => {
+    const h = computeHomography(SCREEN_CORNERS, IMAGE_CORNERS);
+    const lumas = sampleGridCells(renderGrid(layout, ['0', '1', '1', '0']), h, layout);
+    assert.deepEqual(lumas.map(luma => (luma > (LIT + DARK) / 2 ? 1 : 0)), [0, 1, 1, 0]);
+  });
+});
+
+describe('GridDecoder', () => {
+  const MESSAGE = 'grid mode sends a chunk per cell and reassembles them in one sink';
+  const muted = {};
+  before(() => {
+    Object.assign(muted, { log: console.log, warn: console.warn });
+    console.log = console.warn = () => {};
+  });
+  after(() => Object.assign(console, muted));
+
+  // Cell lumas for every sample of the streams, oversampled four times per chip
+  function cellSamples(streams, dead = -1) {
+    const samples = [];
+    for (let t = 0; t < streams[0].length * 4; t++) {
+      const chip = Math.floor(t / 4);
+      samples.push(streams.map((stream, cell) => (cell !== dead && stream[chip] === '1' ? LIT : DARK)));
+    }
+    return samples;
+  }
+
+  it('decodes a transfer dealt out across all cells', () => {
+    const frames = encodeGridData(MESSAGE, DATA_TYPES.TEXT, 4, false, true);
+    const streams = framesToGridStreams(frames, 4, LINE_CODINGS.MANCHESTER);
+    const decoder = new GridDecoder({ rows: 2, cols: 2 });
+    cellSamples(streams).forEach((lumas, t) => decoder.processFrame(lumas, t * 25));
+
+    assert.deepEqual(decoder.sink.receivedData.map(d => d.data), [MESSAGE]);
+    const stats = decoder.getStats();
+    assert.equal(stats.validFrames, frames.length);
+    assert.equal(stats.failedFrames, 0);
+    assert.equal(new Set(decoder.getPacketLog().map(entry => entry.cell)).size, 4);
+  });
+
+  it('recalibrates while a cell shows no contrast and ignores frames of the wrong size', () => {
+    const frames = encodeGridData(MESSAGE, DATA_TYPES.TEXT, 4, false, true);
+    const streams = framesToGridStreams(frames, 4);
+    const decoder = new GridDecoder({ rows: 2, cols: 2 });
+
+    assert.equal(decoder.processFrame([1, 2, 3]), 0);
+    cellSamples(streams, 2).forEach((lumas, t) => decoder.processFrame(lumas, t * 25));
+    assert.equal(decoder.calibrated, false);
+    assert.deepEqual(decoder.sink.receivedData, []);
+  });
+});
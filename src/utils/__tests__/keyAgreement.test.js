@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { x25519, generateKeyPair, deriveSharedKeys, keyCommitment, matchesKeyCommitment, formatSas, KEY_AGREEMENT_CONSTANTS } from '../keyAgreement.js';
+
+const hex = string => Uint8Array.from(string.match(/../g).map(byte => parseInt(byte, 16)));
+const keyPair = seed => generateKeyPair(Uint8Array.from({ length: KEY_AGREEMENT_CONSTANTS.KEY_SIZE }, (_, i) => (seed * 31 + i * 7) & 0xFF));
+
+const BASE_POINT = hex('09'.padEnd(64, '0'));
+
+// RFC 7748 section 6.1
+const ALICE = {
+  privateKey: hex('77076d0a7318a57d3c16c17251b26645df4c2f87ebc0992ab177fba51db92c2a'),
+  publicKey: hex('8520f0098930a754748b7ddcb43ef75a0dbf3a0d26381af4eba4a98eaa9b4e6a')
+};
+const BOB = {
+  privateKey: hex('5dab087e624a8a4b79e17f8b83800ee66f3bb1292618b6fd1c2f8b27ff88e0eb'),
+  publicKey: hex('de9edb7d7b7dc1b4d35b61c2ece435373f8343c85b78674dadfc7e146f882b4f')
+};
+const SHARED = hex('4a5d9d5ba4ce2de1728e3bf480350f25e07e21c947d19e3376f09b3c1e161742');
+
+describe('X25519', () => {
+  it('matches the RFC 7748 section 5.2 test vectors', () => {
+    assert.deepEqual(
+      x25519(hex('a546e36bf0527c9d3b16154b82465edd62144c0ac1fc5a18506a2244ba449ac4'), hex('e6db6867583030db3594c1a424b15f7c726624ec26b3353b10a903a6d0ab1c4c')),
+      hex('c3da55379de9c6908e94ea4df28d084f32eccf03491c71f754b4075577a28552')
+    );
+    // The u-coordinate has its top bit set, which is ignored
+    assert.deepEqual(
+      x25519(hex('4b66e9d4d1b4673c5ad22691957d6af5c11b6421e0ea01d42ca4169e7918ba0d'), hex('e5210f12786811d3f4b7959d0538ae2c31dbe7106fc03c3efc4cd549c715a493')),
+      hex('95cbde9476e8907d7aade45cb4b873f88b595a68799fa152e6f8f7647aac7957')
+    );
+  });
+
+  it('matches the RFC 7748 section 5.2 iterated results after 1 and 1000 rounds', () => {
+    let k = BASE_POINT;
+    let u = BASE_POINT;
+    for (let round = 1; round <= 1000; round++) {
+      [k, u] = [x25519(k, u), k];
+      if (round === 1) assert.deepEqual(k, hex('422c8e7a6227d7bca1350b3e2bb7279f7897b87bb6854b783c60e80311ae3079'));
+    }
+    assert.deepEqual(k, hex('684cf59ba83309552800ef566f2f4d3c1c3887c49360e3875f2eb94d99532c51'));
+  });
+
+  it('matches the RFC 7748 section 6.1 Diffie-Hellman exchange', () => {
+    assert.deepEqual(generateKeyPair(ALICE.privateKey).publicKey, ALICE.publicKey);
+    assert.deepEqual(generateKeyPair(BOB.privateKey).publicKey, BOB.publicKey);
+    assert.deepEqual(x25519(ALICE.privateKey, BOB.publicKey), SHARED);
+    assert.deepEqual(x25519(BOB.privateKey, ALICE.publicKey), SHARED);
+  });
+
+  it('gives another shared secret for a tampered public key or another private key', () => {
+    const tampered = Uint8Array.from(BOB.publicKey);
+    tampered[0] ^= 0x01;
+    assert.notDeepEqual(x25519(ALICE.privateKey, tampered), SHARED);
+    assert.notDeepEqual(x25519(keyPair(9).privateKey, BOB.publicKey), SHARED);
+  });
+
+  it('rejects private keys of the wrong length', () => {
+    assert.throws(() => generateKeyPair(new Uint8Array(31)), /32 bytes, got 31/);
+  });
+});
+
+// Both sides of a handshake between initiator and responder key pairs
+function handshake(initiator, responder, ids = { initiatorId: 'phone', responderId: 'lamp' }) {
+  const transcript = { ...ids, initiatorKey: initiator.publicKey, responderKey: responder.publicKey };
+  return {
+    initiator: deriveSharedKeys(initiator.privateKey, responder.publicKey, transcript),
+    responder: deriveSharedKeys(responder.privateKey, initiator.publicKey, transcript)
+  };
+}
+
+describe('Pairing handshake', () => {
+  it('gives both sides the same secret and SAS', () => {
+    const { initiator, responder } = handshake(keyPair(1), keyPair(2));
+    assert.deepEqual(initiator.secret, responder.secret);
+    assert.equal(initiator.sas, responder.sas);
+    assert.match(initiator.sas, /^\d{3} \d{3}$/);
+  });
+
+  it('gives a different SAS on each side when a key is substituted', () => {
+    const initiator = keyPair(1);
+    const responder = keyPair(2);
+    const attacker = keyPair(3);
+    const towardInitiator = handshake(initiator, attacker).initiator;
+    const towardResponder = handshake(attacker, responder).responder;
+    assert.notEqual(towardInitiator.sas, towardResponder.sas);
+  });
+
+  it('binds the device IDs into the secret and SAS', () => {
+    const initiator = keyPair(1);
+    const responder = keyPair(2);
+    const original = handshake(initiator, responder).initiator;
+    const renamed = handshake(initiator, responder, { initiatorId: 'phone', responderId: 'lamp2' }).initiator;
+    assert.notDeepEqual(original.secret, renamed.secret);
+  });
+
+  it('rejects a public key that yields no shared secret', () => {
+    const transcript = { initiatorId: 'phone', responderId: 'lamp', initiatorKey: new Uint8Array(32), responderKey: keyPair(2).publicKey };
+    assert.throws(() => deriveSharedKeys(keyPair(2).privateKey, new Uint8Array(32), transcript), /Invalid peer public key/);
+  });
+
+  it('pads the SAS to six digits', () => {
+    assert.equal(formatSas(42), '000 042');
+    assert.equal(formatSas(987654), '987 654');
+  });
+});
+
+describe('Key commitment', () => {
+  it('is SHA-256 of the public key', () => {
+    // SHA-256 of 32 zero bytes
+    const zeros = new Uint8Array(32);
+    assert.deepEqual(keyCommitment(zeros), hex('66687aadf862bd776c8fc18b8e9f8e20089714856ee233b3902a591d0d5f2925'));
+    assert.equal(keyCommitment(keyPair(1).publicKey).length, KEY_AGREEMENT_CONSTANTS.COMMITMENT_SIZE);
+  });
+
+  it('matches only the committed key', () => {
+    const committed = keyPair(1).publicKey;
+    const commitment = keyCommitment(committed);
+    assert.ok(matchesKeyCommitment(commitment, committed));
+    assert.ok(!matchesKeyCommitment(commitment, keyPair(3).publicKey));
+
+    const tampered = Uint8Array.from(commitment);
+    tampered[31] ^= 0x01;
+    assert.ok(!matchesKeyCommitment(tampered, committed));
+    assert.ok(!matchesKeyCommitment(commitment.subarray(0, 16), committed));
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LINE_CODINGS,
+  LINE_CODING_CONSTANTS,
+  getChipCount,
+  encodeLine,
+  decodeLine,
+  stuffBits,
+  destuffBits,
+  encodeLineCodeField,
+  decodeLineCodeField
+} from '../lineCoding.js';
+
+const bits = pattern => pattern.split('');
+
+// Longest run of identical chips
+function longestRun(chips) {
+  let longest = 0;
+  let run = 0;
+  chips.forEach((chip, i) => {
+    run = i > 0 && chip === chips[i - 1] ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  return longest;
+}
+
+const SAMPLE = bits('0000000011111111010010110000111100000001');
+
+describe('encodeLine / decodeLine', () => {
+  for (const [name, coding] of Object.entries(LINE_CODINGS)) {
+    it(`round-trips ${name}`, () => {
+      const chips = encodeLine(SAMPLE, coding);
+      assert.equal(chips.length, getChipCount(SAMPLE.length, coding));
+      assert.deepEqual(decodeLine(chips, coding), { bits: SAMPLE, codingErrors: 0 });
+    });
+  }
+
+  it('uses IEEE 802.3 Manchester symbols', () => {
+    assert.deepEqual(encodeLine(bits('10'), LINE_CODINGS.MANCHESTER), bits('0110'));
+  });
+
+  it('counts Manchester pairs without a transition and slices them on the second chip', () => {
+    assert.deepEqual(decodeLine(bits('011100'), LINE_CODINGS.MANCHESTER), { bits: bits('110'), codingErrors: 2 });
+  });
+
+  it('keeps 4B5B to at most three zeros in a row', () => {
+    const chips = encodeLine(bits('0000000000000001'), LINE_CODINGS.FOUR_B_FIVE_B);
+    assert.ok(!chips.join('').includes('0000'));
+  });
+
+  it('counts invalid 4B5B symbols and decodes them as zero', () => {
+    const chips = [...bits('00000'), ...encodeLine(bits('1010'), LINE_CODINGS.FOUR_B_FIVE_B)];
+    assert.deepEqual(decodeLine(chips, LINE_CODINGS.FOUR_B_FIVE_B), { bits: bits('00001010'), codingErrors: 1 });
+  });
+
+  it('rejects 4B5B input that is not a whole number of nibbles and unknown codings', () => {
+    assert.throws(() => encodeLine(bits('101'), LINE_CODINGS.FOUR_B_FIVE_B), /multiple of 4/);
+    assert.throws(() => encodeLine(SAMPLE, 9), /Unknown line coding/);
+    assert.throws(() => decodeLine(SAMPLE, 9), /Unknown line coding/);
+  });
+});
+
+describe('stuffBits / destuffBits', () => {
+  const max = LINE_CODING_CONSTANTS.MAX_RUN_LENGTH;
+
+  it('leaves runs one short of the limit alone', () => {
+    const chips = bits('0' + '1'.repeat(max - 1) + '0');
+    assert.deepEqual(stuffBits(chips), chips);
+  });
+
+  it('stuffs the opposite chip right after a full run, including at the end', () => {
+    assert.deepEqual(stuffBits(bits('1'.repeat(max))), bits('1'.repeat(max) + '0'));
+    assert.deepEqual(stuffBits(bits('0'.repeat(max) + '1')), bits('0'.repeat(max) + '11'));
+  });
+
+  it('counts the stuffed chip towards the next run', () => {
+    // 7 ones, stuffed 0, then 6 more zeros make a run of 7 zeros that is stuffed again
+    const stuffed = stuffBits(bits('1'.repeat(max) + '0'.repeat(max - 1)));
+    assert.deepEqual(stuffed, bits('1'.repeat(max) + '0' + '0'.repeat(max - 1) + '1'));
+  });
+
+  it('round-trips long runs and never emits a delimiter-length run', () => {
+    for (const length of [max - 1, max, max + 1, 2 * max, 2 * max + 1, 40]) {
+      const chips = bits('1'.repeat(length) + '0'.repeat(length) + '10');
+      const stuffed = stuffBits(chips);
+      assert.ok(longestRun(stuffed) <= max, `run of ${longestRun(stuffed)} for length ${length}`);
+      assert.deepEqual(destuffBits(stuffed).bits, chips);
+    }
+  });
+
+  it('maps each destuffed chip to its input position', () => {
+    const stuffed = stuffBits(bits('1'.repeat(max) + '01'));
+    const { bits: out, positions } = destuffBits(stuffed);
+    assert.deepEqual(out, bits('1'.repeat(max) + '01'));
+    assert.deepEqual(positions, [0, 1, 2, 3, 4, 5, 6, 8, 9]);
+  });
+});
+
+describe('LINE_CODE field', () => {
+  for (const [name, coding] of Object.entries(LINE_CODINGS)) {
+    it(`round-trips ${name} and starts with a 0 chip`, () => {
+      const field = encodeLineCodeField(coding);
+      assert.equal(field.length, LINE_CODING_CONSTANTS.LINE_CODE_BITS);
+      assert.equal(field[0], '0');
+      assert.equal(decodeLineCodeField(field), coding);
+    });
+  }
+
+  it('rejects mismatched nibbles, unknown IDs and short input', () => {
+    const field = encodeLineCodeField(LINE_CODINGS.MANCHESTER);
+    field[7] = field[7] === '1' ? '0' : '1';
+    assert.equal(decodeLineCodeField(field), null);
+    assert.equal(decodeLineCodeField(bits('01111000')), null);
+    assert.equal(decodeLineCodeField(bits('0001')), null);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import {
+  mlKemKeyGen, mlKemEncapsulate, mlKemDecapsulate, getMlKemSizes,
+  sha3_256, sha3_512, shake128, shake256, ML_KEM_PARAMETERS, ML_KEM_CONSTANTS
+} from '../mlKem.js';
+import { utf8Encode } from '../packet.js';
+
+const hex = string => Uint8Array.from(string.match(/../g), byte => parseInt(byte, 16));
+const bytes = (length, seed) => Uint8Array.from({ length }, (_, i) => (seed * 131 + i * 17) & 0xFF);
+
+// C2SP CCTV accumulated ML-KEM vectors (100 rounds): every round reads a
+// 64-byte key generation seed, a 32-byte encapsulation message and a random
+// ciphertext from one SHAKE128 stream, and the encapsulation key, ciphertext,
+// shared secret and the implicit rejection secret of the random ciphertext go
+// into another SHAKE128, whose first 32 bytes are compared. The ML-KEM-512
+// digest was cross-checked with an independent implementation.
+const ACCUMULATED = {
+  ML_KEM_512: '86b1b4703b8ffef6f7f3290c6dbce4ad954498a0673ded401a94828e8c519a59',
+  ML_KEM_768: '1114b1b6699ed191734fa339376afa7e285c9e6acf6ff0177d346696ce564415'
+};
+
+function accumulate(params, rounds) {
+  const { ciphertext: ciphertextSize } = getMlKemSizes(params);
+  const input = createHash('shake128', { outputLength: rounds * (ML_KEM_CONSTANTS.SEED_SIZE + ML_KEM_CONSTANTS.MESSAGE_SIZE + ciphertextSize) }).digest();
+  let offset = 0;
+  const read = length => new Uint8Array(input.subarray(offset, offset += length));
+  const output = createHash('shake128', { outputLength: 32 });
+
+  for (let round = 0; round < rounds; round++) {
+    const { encapsulationKey, decapsulationKey } = mlKemKeyGen(read(ML_KEM_CONSTANTS.SEED_SIZE), params);
+    output.update(encapsulationKey);
+    const { ciphertext, sharedSecret } = mlKemEncapsulate(encapsulationKey, read(ML_KEM_CONSTANTS.MESSAGE_SIZE), params);
+    output.update(ciphertext);
+    output.update(sharedSecret);
+    assert.deepEqual(mlKemDecapsulate(decapsulationKey, ciphertext, params), sharedSecret);
+    output.update(mlKemDecapsulate(decapsulationKey, read(ciphertextSize), params));
+  }
+  return output.digest('hex');
+}
+
+describe('SHA-3', () => {
+  it('matches the FIPS 202 digests of short inputs', () => {
+    assert.deepEqual(sha3_256(new Uint8Array(0)), hex('a7ffc6f8bf1ed76651c14756a061d662f580ff4de43b49fa82d80a4b80f8434a'));
+    assert.deepEqual(sha3_512(utf8Encode('abc')), hex('b751850b1a57168a5693cd924b6b096e08f621827444f70d884f5d0240d2712e10e116e9192af3c91a7ec57647e3934057340b4cf408d5a56592f8274eec53f0'));
+    assert.deepEqual(shake128(new Uint8Array(0), 32), hex('7f9c2ba4e88f827d616045507605853ed73b8093f6efbc88eb1a6eacfa66ef26'));
+    assert.deepEqual(shake256(new Uint8Array(0), 32), hex('46b9dd2b0ba88d13233b3feb743eeb243fcd52ea62b81b82b50c27646ed5762f'));
+  });
+
+  it('matches node:crypto across the rate boundaries', () => {
+    for (const length of [135, 136, 137, 167, 168, 169, 500]) {
+      const input = bytes(length, length);
+      assert.deepEqual(sha3_256(input), new Uint8Array(createHash('sha3-256').update(input).digest()));
+      assert.deepEqual(shake128(input, 400), new Uint8Array(createHash('shake128', { outputLength: 400 }).update(input).digest()));
+    }
+  });
+
+  it('hashes several parts as their concatenation', () => {
+    const input = bytes(200, 3);
+    assert.deepEqual(sha3_512(input.subarray(0, 50), input.subarray(50)), sha3_512(input));
+  });
+});
+
+describe('ML-KEM', () => {
+  for (const [name, digest] of Object.entries(ACCUMULATED)) {
+    it(`matches the accumulated ${name} vectors`, () => {
+      assert.equal(accumulate(ML_KEM_PARAMETERS[name], 100), digest);
+    });
+  }
+
+  it('has the FIPS 203 key and ciphertext sizes', () => {
+    assert.deepEqual(getMlKemSizes(ML_KEM_PARAMETERS.ML_KEM_512), { encapsulationKey: 800, decapsulationKey: 1632, ciphertext: 768 });
+    assert.deepEqual(getMlKemSizes(ML_KEM_PARAMETERS.ML_KEM_768), { encapsulationKey: 1184, decapsulationKey: 2400, ciphertext: 1088 });
+  });
+
+  it('gives the implicit rejection secret for a tampered ciphertext', () => {
+    const params = ML_KEM_PARAMETERS.ML_KEM_768;
+    const { encapsulationKey, decapsulationKey } = mlKemKeyGen(bytes(64, 1), params);
+    const { ciphertext, sharedSecret } = mlKemEncapsulate(encapsulationKey, bytes(32, 2), params);
+
+    for (const index of [0, 500, ciphertext.length - 1]) {
+      const tampered = Uint8Array.from(ciphertext);
+      tampered[index] ^= 0x01;
+      const secret = mlKemDecapsulate(decapsulationKey, tampered, params);
+      assert.notDeepEqual(secret, sharedSecret);
+      // J(z || c) with z the last 32 bytes of the decapsulation key
+      const z = decapsulationKey.subarray(decapsulationKey.length - 32);
+      assert.deepEqual(secret, shake256(new Uint8Array([...z, ...tampered]), 32));
+    }
+  });
+
+  it('gives another secret under the wrong decapsulation key', () => {
+    const params = ML_KEM_PARAMETERS.ML_KEM_512;
+    const { encapsulationKey } = mlKemKeyGen(bytes(64, 1), params);
+    const other = mlKemKeyGen(bytes(64, 4), params);
+    const { ciphertext, sharedSecret } = mlKemEncapsulate(encapsulationKey, bytes(32, 2), params);
+    assert.notDeepEqual(mlKemDecapsulate(other.decapsulationKey, ciphertext, params), sharedSecret);
+  });
+
+  it('rejects malformed keys, ciphertexts and random inputs', () => {
+    const params = ML_KEM_PARAMETERS.ML_KEM_768;
+    const { encapsulationKey, decapsulationKey } = mlKemKeyGen(bytes(64, 1), params);
+    const { ciphertext } = mlKemEncapsulate(encapsulationKey, bytes(32, 2), params);
+
+    // First coefficient 0xFFF is not below q = 3329
+    const outOfRange = Uint8Array.from(encapsulationKey);
+    outOfRange[0] = 0xFF;
+    outOfRange[1] |= 0x0F;
+    assert.throws(() => mlKemEncapsulate(outOfRange, bytes(32, 2), params), /out of range/);
+    assert.throws(() => mlKemEncapsulate(encapsulationKey.subarray(1), bytes(32, 2), params), /1184 bytes/);
+    assert.throws(() => mlKemEncapsulate(encapsulationKey, bytes(31, 2), params), /32 random bytes/);
+    assert.throws(() => mlKemKeyGen(bytes(32, 1), params), /64 random bytes/);
+
+    const corrupted = Uint8Array.from(decapsulationKey);
+    corrupted[1152 * 2] ^= 0x01; // Inside the copy of the encapsulation key
+    assert.throws(() => mlKemDecapsulate(corrupted, ciphertext, params), /Corrupted decapsulation key/);
+    assert.throws(() => mlKemDecapsulate(decapsulationKey, ciphertext.subarray(1), params), /1088 bytes/);
+  });
+});
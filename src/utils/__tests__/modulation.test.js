@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MODULATIONS,
+  getBitsPerSymbol,
+  getSymbolCount,
+  getConstellation,
+  modulateChips,
+  symbolToChips,
+  symbolToColor,
+  colorToHex,
+  encodeModulationField,
+  decodeModulationField,
+  getCalibrationSequence,
+  nominalConstellation,
+  learnConstellation,
+  sliceSymbol
+} from '../modulation.js';
+import { simulateTransfer } from '../channelSimulator.js';
+import { DATA_TYPES } from '../packet.js';
+
+const CHIPS = '110100111000101101110001'.split('');
+const BLACK = { r: 0, g: 0, b: 0 };
+const WHITE = { r: 255, g: 255, b: 255 };
+
+// Camera view of a screen color: dimmed, with a warm cast and a raised black level
+const camera = color => ({ r: 30 + color.r * 0.7, g: 20 + color.g * 0.55, b: 15 + color.b * 0.4 });
+
+describe('symbol mapping', () => {
+  for (const [name, modulation] of Object.entries(MODULATIONS)) {
+    it(`round-trips chips through ${name} symbols and colors`, () => {
+      const symbols = modulateChips(CHIPS, modulation);
+      assert.equal(symbols.length, getSymbolCount(CHIPS.length, modulation));
+
+      const constellation = nominalConstellation(modulation, BLACK, WHITE);
+      const chips = symbols.flatMap(value => symbolToChips(sliceSymbol(symbolToColor(value, modulation), constellation), modulation));
+      assert.deepEqual(chips, CHIPS);
+    });
+  }
+
+  it('pads the last symbol with zero chips', () => {
+    assert.deepEqual(modulateChips(['1', '1', '1', '1'], MODULATIONS.CSK8), [7, 4]);
+    assert.deepEqual(symbolToChips(4, MODULATIONS.CSK8), ['1', '0', '0']);
+  });
+
+  it('knows the chips per symbol and rejects unknown modulations', () => {
+    assert.deepEqual(Object.values(MODULATIONS).map(getBitsPerSymbol), [1, 2, 2, 3]);
+    assert.throws(() => getConstellation(7), /Unknown modulation/);
+  });
+
+  it('formats colors as CSS hex', () => {
+    assert.equal(colorToHex({ r: 255, g: 127.6, b: 0 }), '#ff8000');
+  });
+});
+
+describe('MODULATION field', () => {
+  for (const [name, modulation] of Object.entries(MODULATIONS)) {
+    it(`round-trips ${name} with and without the calibration flag`, () => {
+      assert.deepEqual(decodeModulationField(encodeModulationField(modulation)), { modulation, calibration: false });
+      assert.deepEqual(decodeModulationField(encodeModulationField(modulation, true)), { modulation, calibration: true });
+    });
+  }
+
+  it('rejects mismatched nibbles, reserved bits and short input', () => {
+    const field = encodeModulationField(MODULATIONS.PAM4);
+    field[6] = field[6] === '1' ? '0' : '1';
+    assert.equal(decodeModulationField(field), null);
+    assert.equal(decodeModulationField('01001011'.split('')), null); // ID 0100 sets a reserved bit
+    assert.equal(decodeModulationField(['0', '1']), null);
+  });
+});
+
+describe('constellation learning', () => {
+  it('learns a color-cast constellation that nominal slicing gets wrong', () => {
+    const modulation = MODULATIONS.CSK8;
+    const received = getCalibrationSequence(modulation).map(value => camera(symbolToColor(value, modulation)));
+    const learned = learnConstellation(modulation, received);
+
+    const values = [0, 1, 2, 3, 4, 5, 6, 7];
+    const sliced = constellation => values.map(value => sliceSymbol(camera(symbolToColor(value, modulation)), constellation));
+    assert.deepEqual(sliced(learned), values);
+    assert.notDeepEqual(sliced(nominalConstellation(modulation, BLACK, WHITE)), values);
+  });
+
+  it('needs every point at least once', () => {
+    const modulation = MODULATIONS.PAM4;
+    const partial = [0, 1, 2].map(value => symbolToColor(value, modulation));
+    assert.equal(learnConstellation(modulation, partial), null);
+  });
+});
+
+describe('multi-level transfers', () => {
+  const MESSAGE = 'multi-level modulation end to end';
+
+  for (const modulation of [MODULATIONS.PAM4, MODULATIONS.CSK4, MODULATIONS.CSK8]) {
+    it(`delivers a message over a clean channel with ${Object.keys(MODULATIONS)[modulation]}`, () => {
+      const { log, warn } = console;
+      console.log = console.warn = () => {};
+      try {
+        const result = simulateTransfer(MESSAGE, DATA_TYPES.TEXT, { modulation, channel: { seed: 1 } });
+        assert.equal(result.success, true);
+        assert.equal(result.report.frames[0].modulation, Object.keys(MODULATIONS)[modulation]);
+      } finally {
+        Object.assign(console, { log, warn });
+      }
+    });
+  }
+});
@@ -0,0 +1,104 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeTrace, normalizeTrace } from '../../decoder/offlineDecoder.js';
+import { VLCDecoderCore } from '../../decoder/decoderCore.js';
+import { simulateChannel } from '../channelSimulator.js';
+import { encodeChunkedData, encodeData, framesToBits } from '../../encoder/encoder.js';
+import { DATA_TYPES, frameToBits } from '../packet.js';
+import { LINE_CODINGS } from '../lineCoding.js';
+
+const MESSAGE = 'offline trace decoding: the quick brown fox jumps over the lazy dog';
+
+// The decoder logs every frame, mute it for the suite
+const muted = {};
+before(() => {
+  Object.assign(muted, { log: console.log, warn: console.warn });
+  console.log = console.warn = () => {};
+});
+after(() => Object.assign(console, muted));
+
+describe('decodeTrace', () => {
+  it('decodes a chunked transfer from a noisy, jittery trace', () => {
+    const frames = encodeChunkedData(new TextEncoder().encode(MESSAGE), DATA_TYPES.TEXT, false, true, 3);
+    const samples = simulateChannel(framesToBits(frames, LINE_CODINGS.MANCHESTER), { noiseStdDev: 10, jitterMs: 3, seed: 4 });
+    const report = decodeTrace(samples);
+
+    assert.deepEqual(report.payloads.map(p => p.data), [MESSAGE]);
+    assert.equal(report.metrics.validFrames, 3);
+    assert.equal(report.metrics.failedFrames, 0);
+    assert.equal(report.pendingChunks.length, 0);
+    assert.equal(report.sampleCount, samples.length);
+    assert.ok(Number.isFinite(report.metrics.snr));
+  });
+
+  it('sorts samples and drops ones without a timestamp or brightness', () => {
+    const samples = simulateChannel(framesToBits(encodeData(MESSAGE, DATA_TYPES.TEXT, false, true)), { seed: 2 });
+    const scrambled = [...samples].reverse();
+    scrambled.push({ timestamp: NaN, brightness: 100 }, { timestamp: 5, brightness: undefined });
+
+    assert.equal(normalizeTrace(scrambled).length, samples.length);
+    assert.deepEqual(decodeTrace(scrambled).payloads.map(p => p.data), [MESSAGE]);
+  });
+
+  it('uses a given threshold instead of calibrating', () => {
+    const samples = simulateChannel(framesToBits(encodeData(MESSAGE, DATA_TYPES.TEXT, false, true)), { seed: 3 });
+    const report = decodeTrace(samples, { threshold: 120 });
+    assert.equal(report.threshold, 120);
+    assert.equal(report.payloads[0].data, MESSAGE);
+  });
+
+  it('logs a frame ruined by an occlusion as failed and keeps its chunk pending', () => {
+    const frames = encodeChunkedData(new TextEncoder().encode(MESSAGE), DATA_TYPES.TEXT, false, false, 2);
+    const bits = framesToBits(frames, LINE_CODINGS.MANCHESTER);
+    // Flip a stretch of Manchester chip pairs inside the first frame's payload
+    const damaged = bits.map((bit, i) => (i >= 300 && i < 340 ? (bit === '1' ? '0' : '1') : bit));
+    const report = decodeTrace(simulateChannel(damaged, { seed: 5 }));
+
+    assert.deepEqual(report.payloads, []);
+    assert.equal(report.metrics.failedFrames, 1);
+    assert.equal(report.metrics.validFrames, 1);
+    assert.equal(report.pendingChunks.length, 1);
+  });
+
+  it('rejects a trace without valid samples', () => {
+    assert.throws(() => decodeTrace([{ timestamp: 'x', brightness: 1 }]), /no valid samples/);
+  });
+});
+
+describe('VLCDecoderCore packet buffering', () => {
+  const frame = encodeData(MESSAGE, DATA_TYPES.TEXT, false, true)[0];
+
+  it('waits for the advertised frame length instead of parsing every bit', () => {
+    const bits = frameToBits(frame, LINE_CODINGS.NRZ);
+    const decoder = new VLCDecoderCore();
+    decoder.enablePacketMode();
+
+    // Once the header has been parsed the next parse is deferred to about the end of the frame
+    const half = Math.floor(bits.length / 2);
+    bits.slice(0, half).forEach(bit => decoder.processPacketBit(Number(bit), 0, 0));
+    assert.ok(decoder.nextParseBits > half + 1, `next parse at ${decoder.nextParseBits}`);
+    assert.ok(decoder.nextParseBits <= bits.length);
+
+    bits.slice(half).forEach(bit => decoder.processPacketBit(Number(bit), 0, 0));
+    assert.deepEqual(decoder.receivedData.map(d => d.data), [MESSAGE]);
+    assert.equal(decoder.receivedBits.length, 0);
+  });
+
+  it('keeps only a short tail of bits that hold no frame start', () => {
+    const decoder = new VLCDecoderCore();
+    decoder.enablePacketMode();
+    for (let i = 0; i < 5000; i++) {
+      decoder.processPacketBit((i * 7919 % 13) < 6 ? 1 : 0, 0, 0);
+    }
+    assert.ok(decoder.receivedBits.length < 200, `buffer holds ${decoder.receivedBits.length} bits`);
+  });
+
+  it('decodes back-to-back frames fed one bit at a time', () => {
+    const decoder = new VLCDecoderCore();
+    decoder.enablePacketMode();
+    const frames = encodeChunkedData(new TextEncoder().encode(MESSAGE), DATA_TYPES.TEXT, false, true, 4);
+    framesToBits(frames, LINE_CODINGS.FOUR_B_FIVE_B).forEach(bit => decoder.processPacketBit(Number(bit), 0, 0));
+    assert.deepEqual(decoder.receivedData.map(d => d.data), [MESSAGE]);
+    assert.equal(decoder.packetLog.length, 4);
+  });
+});
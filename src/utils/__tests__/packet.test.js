@@ -0,0 +1,155 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DATA_TYPES,
+  FRAME_CONSTANTS,
+  PACKET_FLAGS,
+  encodeFrame,
+  decodeFrame,
+  decodeFrameHeader,
+  getFrameLength,
+  getAssociatedData,
+  markRetransmission,
+  createPacket,
+  frameToBits,
+  parsePacket,
+  getMissingChunkBitmap,
+  reassembleChunks,
+  chunkData,
+  fromBinaryString
+} from '../packet.js';
+import { LINE_CODINGS } from '../lineCoding.js';
+
+const HEADER = {
+  type: fromBinaryString(DATA_TYPES.TEXT),
+  flags: PACKET_FLAGS.CHUNKED,
+  sequence: 3,
+  total: 7,
+  transferId: 0xBEEF,
+  paritySymbols: 16
+};
+
+const payload = Uint8Array.from({ length: 300 }, (_, i) => (i * 37) & 0xFF);
+
+describe('encodeFrame / decodeFrame', () => {
+  it('round-trips header fields and payload', () => {
+    const frame = encodeFrame(HEADER, payload);
+    assert.equal(frame.length, getFrameLength({ length: payload.length, paritySymbols: 16 }));
+
+    const result = decodeFrame(frame);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.payload, payload);
+    assert.equal(result.errorsCorrected, 0);
+    assert.equal(result.header.sequence, 3);
+    assert.equal(result.header.total, 7);
+    assert.equal(result.header.transferId, 0xBEEF);
+    assert.equal(result.header.length, payload.length);
+    assert.equal(result.header.flags & PACKET_FLAGS.FEC_ENABLED, PACKET_FLAGS.FEC_ENABLED);
+  });
+
+  it('round-trips an empty payload without parity', () => {
+    const result = decodeFrame(encodeFrame({ ...HEADER, paritySymbols: 0 }, new Uint8Array(0)));
+    assert.equal(result.valid, true);
+    assert.equal(result.payload.length, 0);
+    assert.equal(result.header.flags & PACKET_FLAGS.FEC_ENABLED, 0);
+  });
+
+  it('corrects payload errors with FEC', () => {
+    const frame = encodeFrame(HEADER, payload);
+    for (const offset of [0, 50, 100, 290]) frame[FRAME_CONSTANTS.HEADER_SIZE + offset] ^= 0xFF;
+
+    const result = decodeFrame(frame);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.payload, payload);
+    assert.equal(result.errorsCorrected, 4);
+  });
+
+  it('reports a checksum mismatch without FEC', () => {
+    const frame = encodeFrame({ ...HEADER, paritySymbols: 0 }, payload);
+    frame[FRAME_CONSTANTS.HEADER_SIZE + 10] ^= 1;
+    const result = decodeFrame(frame);
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Checksum mismatch');
+  });
+
+  it('rejects a corrupt header, a wrong version and a truncated frame', () => {
+    const frame = encodeFrame(HEADER, payload);
+
+    const corrupt = Uint8Array.from(frame);
+    corrupt[4] ^= 1;
+    assert.equal(decodeFrameHeader(corrupt), null);
+    assert.equal(decodeFrame(corrupt).error, 'Invalid frame header');
+
+    const version = Uint8Array.from(frame);
+    version[0] = FRAME_CONSTANTS.VERSION + 1;
+    assert.equal(decodeFrameHeader(version), null);
+
+    assert.equal(decodeFrame(frame.subarray(0, frame.length - 1)).error, 'Truncated frame');
+    assert.equal(decodeFrameHeader(frame.subarray(0, FRAME_CONSTANTS.HEADER_SIZE - 1)), null);
+  });
+
+  it('rejects out-of-range sequence numbers and oversized payloads', () => {
+    assert.throws(() => encodeFrame({ ...HEADER, sequence: FRAME_CONSTANTS.MAX_SEQUENCE + 1 }, payload), /Sequence/);
+    assert.throws(() => encodeFrame(HEADER, new Uint8Array(0x10000)), /too large/);
+  });
+
+  it('keeps the associated data stable across retransmission', () => {
+    const frame = encodeFrame(HEADER, payload);
+    const resent = markRetransmission(frame);
+    const result = decodeFrame(resent);
+
+    assert.equal(result.valid, true);
+    assert.equal(result.header.flags & PACKET_FLAGS.RETRANSMISSION, PACKET_FLAGS.RETRANSMISSION);
+    assert.deepEqual(getAssociatedData(resent), getAssociatedData(frame));
+    assert.equal(frame[2] & PACKET_FLAGS.RETRANSMISSION, 0);
+  });
+});
+
+describe('parsePacket', () => {
+  const frame = createPacket(DATA_TYPES.TEXT, payload.subarray(0, 40), PACKET_FLAGS.FEC_ENABLED, { sequence: 1, total: 2 });
+
+  for (const [name, coding] of Object.entries(LINE_CODINGS)) {
+    it(`parses a ${name} frame after leading noise`, () => {
+      const noise = ['0', '1', '1', '0', '1'];
+      const bits = [...noise, ...frameToBits(frame, coding)];
+      const result = parsePacket(bits);
+
+      assert.equal(result.valid, true);
+      assert.equal(result.lineCoding, coding);
+      assert.equal(result.sequence, 1);
+      assert.deepEqual(result.payload, payload.subarray(0, 40));
+      assert.equal(result.bitsConsumed, bits.length);
+    });
+  }
+
+  it('waits for the rest of a frame', () => {
+    const bits = frameToBits(frame);
+    const result = parsePacket(bits.slice(0, bits.length - 20));
+    assert.equal(result.valid, false);
+    assert.equal(result.incomplete, true);
+  });
+
+  it('reports a missing START delimiter', () => {
+    const result = parsePacket('1010101010101010'.split(''));
+    assert.equal(result.incomplete, false);
+    assert.equal(result.error, 'Start frame not found');
+  });
+});
+
+describe('chunk bookkeeping', () => {
+  const chunks = chunkData(payload, DATA_TYPES.FILE, 64);
+
+  it('splits, and reassembles out of order with duplicates', () => {
+    assert.equal(chunks.length, 5);
+    const shuffled = [chunks[3], chunks[0], chunks[4], chunks[0], chunks[2], chunks[1]];
+    assert.deepEqual(reassembleChunks(shuffled), payload);
+  });
+
+  it('reports missing chunks, and returns null until they arrive', () => {
+    const partial = [chunks[0], chunks[2], chunks[4]];
+    assert.equal(reassembleChunks([...partial]), null);
+    // Chunks 1 and 3 missing, the three padding bits are clear
+    assert.deepEqual(getMissingChunkBitmap(partial), Uint8Array.of(0b01010000));
+    assert.deepEqual(getMissingChunkBitmap(chunks), Uint8Array.of(0));
+  });
+});
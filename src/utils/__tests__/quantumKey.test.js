@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createQuantumKeyOffer, respondToQuantumKeyOffer, completeQuantumKeyExchange, openQuantumKeyReveal,
+  encodeQuantumKeyMessage, decodeQuantumKeyMessage, QuantumKeyError, QUANTUM_KEY_CONSTANTS
+} from '../quantumKey.js';
+import { ML_KEM_PARAMETERS } from '../mlKem.js';
+
+const randomBytes = seed => Uint8Array.from({ length: QUANTUM_KEY_CONSTANTS.RANDOM_BYTES }, (_, i) => (seed * 97 + i * 13) & 0xFF);
+
+// Offer, response and reveal between two devices, with what each side derived
+function exchange(options = {}, seeds = [1, 2]) {
+  const offer = createQuantumKeyOffer('phone', 'lamp', randomBytes(seeds[0]), options);
+  const response = respondToQuantumKeyOffer(offer.message, randomBytes(seeds[1]));
+  const initiator = completeQuantumKeyExchange(offer.state, response.message);
+  const responder = openQuantumKeyReveal(response.state, initiator.reveal);
+  return { offer, response, initiator, responder };
+}
+
+describe('Quantum key exchange', () => {
+  for (const [name, options] of [
+    ['hybrid ML-KEM-768', {}],
+    ['ML-KEM-512 alone', { hybrid: false, params: ML_KEM_PARAMETERS.ML_KEM_512 }]
+  ]) {
+    it(`gives both sides the same secret and SAS (${name})`, () => {
+      const { initiator, responder } = exchange(options);
+      assert.deepEqual(initiator.secret, responder.secret);
+      assert.equal(initiator.sas, responder.sas);
+      assert.match(initiator.sas, /^\d{3} \d{3}$/);
+    });
+  }
+
+  it('commits to the nonce in the offer and reveals it afterwards', () => {
+    const { offer, initiator } = exchange();
+    const decodedOffer = decodeQuantumKeyMessage(offer.message);
+    const reveal = decodeQuantumKeyMessage(initiator.reveal);
+    assert.equal(reveal.kind, QUANTUM_KEY_CONSTANTS.REVEAL);
+    assert.equal(reveal.senderId, 'phone');
+    assert.equal(reveal.receiverId, 'lamp');
+    assert.deepEqual(reveal.nonce, offer.state.nonce);
+    assert.equal(decodedOffer.commitment.length, QUANTUM_KEY_CONSTANTS.NONCE_SIZE);
+    assert.notDeepEqual(decodedOffer.commitment, reveal.nonce);
+  });
+
+  it('rejects a reveal of another nonce', () => {
+    const { response, initiator } = exchange();
+    const tampered = Uint8Array.from(initiator.reveal);
+    tampered[tampered.length - 1] ^= 0x01;
+    assert.throws(() => openQuantumKeyReveal(response.state, tampered), /does not match its commitment/);
+
+    // The reveal of another exchange between the same devices
+    const other = exchange({}, [3, 4]);
+    assert.throws(() => openQuantumKeyReveal(response.state, other.initiator.reveal), /does not match its commitment/);
+  });
+
+  it('rejects a reveal for other devices and messages that are not reveals', () => {
+    const { offer, response, initiator } = exchange();
+    const nonce = decodeQuantumKeyMessage(initiator.reveal).nonce;
+    const forOthers = encodeQuantumKeyMessage({
+      kind: QUANTUM_KEY_CONSTANTS.REVEAL, senderId: 'phone', receiverId: 'fridge', params: ML_KEM_PARAMETERS.ML_KEM_768, nonce, hybrid: true
+    });
+    assert.throws(() => openQuantumKeyReveal(response.state, forOthers), /does not answer this response/);
+    assert.throws(() => openQuantumKeyReveal(response.state, offer.message), /does not answer this response/);
+  });
+
+  it('gives a different SAS on each side when a man in the middle answers both', () => {
+    // The attacker relays its own offer to the responder and its own response
+    // to the initiator; the nonces it cannot predict keep the codes apart
+    const offer = createQuantumKeyOffer('phone', 'lamp', randomBytes(1));
+    const toInitiator = respondToQuantumKeyOffer(offer.message, randomBytes(5));
+    const initiator = completeQuantumKeyExchange(offer.state, toInitiator.message);
+
+    const attackerOffer = createQuantumKeyOffer('phone', 'lamp', randomBytes(6));
+    const response = respondToQuantumKeyOffer(attackerOffer.message, randomBytes(2));
+    const attacker = completeQuantumKeyExchange(attackerOffer.state, response.message);
+    const responder = openQuantumKeyReveal(response.state, attacker.reveal);
+
+    assert.notEqual(initiator.sas, responder.sas);
+    assert.notDeepEqual(initiator.secret, responder.secret);
+  });
+
+  it('binds the nonce into the SAS', () => {
+    const { offer, response, initiator } = exchange();
+    const replaced = { ...offer.state, nonce: randomBytes(9).subarray(0, QUANTUM_KEY_CONSTANTS.NONCE_SIZE) };
+    assert.notEqual(completeQuantumKeyExchange(replaced, response.message).sas, initiator.sas);
+  });
+
+  it('rejects responses to another parameter set or that drop the classical key', () => {
+    const offer = createQuantumKeyOffer('phone', 'lamp', randomBytes(1));
+    const other = createQuantumKeyOffer('phone', 'lamp', randomBytes(1), { hybrid: false });
+    const response = respondToQuantumKeyOffer(other.message, randomBytes(2));
+    assert.throws(() => completeQuantumKeyExchange(offer.state, response.message), /dropped or added/);
+
+    const small = createQuantumKeyOffer('phone', 'lamp', randomBytes(1), { params: ML_KEM_PARAMETERS.ML_KEM_512 });
+    const smallResponse = respondToQuantumKeyOffer(small.message, randomBytes(2));
+    assert.throws(() => completeQuantumKeyExchange(offer.state, smallResponse.message), /does not answer this offer/);
+  });
+
+  it('rejects truncated, unknown and misdirected messages', () => {
+    const { offer, response } = exchange();
+    assert.throws(() => decodeQuantumKeyMessage(offer.message.subarray(0, offer.message.length - 1)), QuantumKeyError);
+    assert.throws(() => decodeQuantumKeyMessage(new Uint8Array([1, ...offer.message.subarray(1)])), /Unsupported/);
+    const unknownKind = Uint8Array.from(offer.message);
+    unknownKind[1] = 9;
+    assert.throws(() => decodeQuantumKeyMessage(unknownKind), /Unknown quantum key message kind/);
+    assert.throws(() => respondToQuantumKeyOffer(response.message, randomBytes(3)), /Not a quantum key offer/);
+  });
+});
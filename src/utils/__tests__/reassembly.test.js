@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { ReassemblyBuffer, REASSEMBLY_CONSTANTS } from '../reassembly.js';
+import { chunkData, DATA_TYPES } from '../packet.js';
+
+const TTL = REASSEMBLY_CONSTANTS.TTL_MS;
+const payload = Uint8Array.from({ length: 700 }, (_, i) => (i * 13) & 0xFF);
+const other = Uint8Array.from({ length: 300 }, (_, i) => 255 - (i & 0xFF));
+
+// Chunks of a payload tagged with a transfer ID
+const chunksOf = (data, transferId, size = 256) => chunkData(data, DATA_TYPES.FILE, size).map(chunk => ({ ...chunk, transferId }));
+
+// Add a chunk at a given time
+const add = (buffer, chunk, now = 0) => buffer.add(chunk.type, chunk, chunk.data, { compressed: false }, now);
+
+describe('ReassemblyBuffer', () => {
+  // Restarts, expiry and eviction are logged
+  const { warn } = console;
+  before(() => { console.warn = () => {}; });
+  after(() => { console.warn = warn; });
+
+  it('reassembles interleaved transfers arriving out of order', () => {
+    const buffer = new ReassemblyBuffer();
+    const a = chunksOf(payload, 1);
+    const b = chunksOf(other, 2);
+
+    assert.deepEqual(add(buffer, a[2]), { duplicate: false, data: null });
+    assert.deepEqual(add(buffer, b[1]), { duplicate: false, data: null });
+    add(buffer, a[0]);
+    assert.equal(buffer.size, 2);
+    assert.deepEqual(add(buffer, b[0]).data, other);
+    assert.deepEqual(add(buffer, a[1]).data, payload);
+    assert.equal(buffer.size, 0);
+  });
+
+  it('flags repeated chunks, also of a transfer that already completed', () => {
+    const buffer = new ReassemblyBuffer();
+    const [first, second] = chunksOf(other, 4);
+    add(buffer, first);
+    assert.deepEqual(add(buffer, first), { duplicate: true, data: null });
+    assert.deepEqual(add(buffer, second).data, other);
+    assert.deepEqual(add(buffer, first, 1000), { duplicate: true, data: null });
+    assert.equal(buffer.size, 0);
+  });
+
+  it('starts over when a transfer ID comes back with a different chunk count', () => {
+    const buffer = new ReassemblyBuffer();
+    add(buffer, chunksOf(payload, 5)[0]);
+    const reused = chunksOf(other, 5);
+    add(buffer, reused[1]);
+    assert.deepEqual(buffer.getProgress()[0].received, [1]);
+    assert.deepEqual(add(buffer, reused[0]).data, other);
+  });
+
+  it('abandons transfers idle for longer than the TTL', () => {
+    const buffer = new ReassemblyBuffer();
+    const chunks = chunksOf(payload, 6);
+    add(buffer, chunks[0], 0);
+    add(buffer, chunks[1], TTL);
+    assert.deepEqual(buffer.expire(TTL + 1), []);
+    assert.deepEqual(buffer.expire(2 * TTL + 1), [`${DATA_TYPES.FILE}_6`]);
+    assert.equal(add(buffer, chunks[2], 2 * TTL + 2).data, null);
+  });
+
+  it('evicts the least recently active transfer beyond maxTransfers', () => {
+    const buffer = new ReassemblyBuffer({ maxTransfers: 2 });
+    add(buffer, chunksOf(payload, 1)[0], 0);
+    add(buffer, chunksOf(payload, 2)[0], 10);
+    add(buffer, chunksOf(payload, 1)[1], 20);
+    add(buffer, chunksOf(payload, 3)[0], 30);
+    assert.deepEqual(buffer.getProgress().map(p => p.transferId).sort(), [1, 3]);
+  });
+
+  it('reports received and missing chunks and the expected size', () => {
+    const buffer = new ReassemblyBuffer();
+    const chunks = chunksOf(payload, 7, 100);
+    [0, 3, 6].forEach(i => add(buffer, chunks[i], 50));
+
+    const [progress] = buffer.getProgress();
+    assert.deepEqual(progress.received, [0, 3, 6]);
+    assert.deepEqual(progress.missing, Uint8Array.of(0b01101100));
+    assert.equal(progress.size, 300);
+    assert.equal(progress.expectedSize, 700);
+    assert.equal(progress.lastSeen, 50);
+  });
+
+  it('resumes a partial transfer from a JSON snapshot after a restart', () => {
+    const original = new ReassemblyBuffer();
+    const chunks = chunksOf(payload, 8);
+    add(original, chunks[0], 100);
+    add(original, chunks[2], 200);
+    const saved = JSON.parse(JSON.stringify(original.snapshot()));
+
+    const resumed = new ReassemblyBuffer();
+    assert.equal(resumed.restore(saved, 300), 1);
+    assert.deepEqual(add(resumed, chunks[2], 400), { duplicate: true, data: null });
+    assert.deepEqual(add(resumed, chunks[1], 400).data, payload);
+  });
+
+  it('skips stale, superseded and unknown-version snapshots', () => {
+    const original = new ReassemblyBuffer();
+    const chunks = chunksOf(payload, 9);
+    add(original, chunks[0], 0);
+    const saved = original.snapshot();
+
+    assert.equal(new ReassemblyBuffer().restore(saved, TTL + 1), 0);
+    assert.equal(new ReassemblyBuffer().restore({ ...saved, version: 1 }, 0), 0);
+    assert.equal(new ReassemblyBuffer().restore(null), 0);
+
+    const busy = new ReassemblyBuffer();
+    add(busy, chunks[1], 10);
+    assert.equal(busy.restore(saved, 20), 0);
+    assert.deepEqual(busy.getProgress()[0].received, [1]);
+  });
+});
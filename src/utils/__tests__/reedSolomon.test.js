@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { rsEncode, rsDecode, ReedSolomonError } from '../reedSolomon.js';
+import { ReedSolomonFEC } from '../packet.js';
+
+// Deterministic pseudo-random bytes
+function randomBytes(size, seed) {
+  let state = seed;
+  return Array.from({ length: size }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state >> 16 & 0xFF;
+  });
+}
+
+// Flip the byte at each position of a copy
+function corrupt(bytes, positions) {
+  const copy = [...bytes];
+  for (const pos of positions) copy[pos] ^= 0x5A;
+  return copy;
+}
+
+describe('rsDecode', () => {
+  const message = randomBytes(100, 1);
+  const codeword = rsEncode(message, 16);
+
+  it('passes a clean codeword through', () => {
+    const result = rsDecode(codeword, 16);
+    assert.deepEqual(Array.from(result.data), message);
+    assert.equal(result.errorsCorrected, 0);
+  });
+
+  it('corrects up to nsym / 2 unknown errors', () => {
+    const result = rsDecode(corrupt(codeword, [0, 13, 27, 50, 77, 99, 105, 115]), 16);
+    assert.deepEqual(Array.from(result.data), message);
+    assert.equal(result.errorsCorrected, 8);
+  });
+
+  it('corrects up to nsym erasures', () => {
+    const positions = Array.from({ length: 16 }, (_, i) => i * 7);
+    const result = rsDecode(corrupt(codeword, positions), 16, positions);
+    assert.deepEqual(Array.from(result.data), message);
+  });
+
+  it('corrects errors and erasures together within 2e + f <= nsym', () => {
+    const erasures = [3, 30, 60, 90, 101, 110];
+    const result = rsDecode(corrupt(codeword, [...erasures, 10, 40, 70, 80, 112]), 16, erasures);
+    assert.deepEqual(Array.from(result.data), message);
+  });
+
+  it('throws beyond capacity', () => {
+    assert.throws(() => rsDecode(corrupt(codeword, randomBytes(12, 2).map(b => b % 116)), 16), ReedSolomonError);
+    assert.throws(() => rsDecode(codeword, 16, Array.from({ length: 17 }, (_, i) => i)), ReedSolomonError);
+  });
+});
+
+describe('ReedSolomonFEC', () => {
+  const fec = new ReedSolomonFEC(16);
+
+  it('round-trips a multi-block payload with errors in every block', () => {
+    const payload = Uint8Array.from(randomBytes(3 * fec.blockDataSize + 17, 3));
+    const encoded = fec.encode(payload);
+    assert.equal(encoded.parity.length, 4 * 16);
+
+    const damaged = corrupt(encoded.data, [5, 200, fec.blockDataSize + 1, 2 * fec.blockDataSize + 100, 3 * fec.blockDataSize + 16]);
+    const result = fec.decode({ ...encoded, data: damaged });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.bytes, Array.from(payload));
+    assert.equal(result.errorsCorrected, 5);
+  });
+
+  it('maps erasure offsets into their blocks', () => {
+    const payload = randomBytes(2 * fec.blockDataSize, 4);
+    const encoded = fec.encode(payload);
+    const erasures = Array.from({ length: 16 }, (_, i) => fec.blockDataSize + i * 3);
+    const result = fec.decode({ ...encoded, data: corrupt(encoded.data, erasures) }, erasures);
+    assert.equal(result.success, true);
+    assert.deepEqual(result.bytes, payload);
+  });
+
+  it('reports failure beyond capacity and leaves the input untouched', () => {
+    const encoded = fec.encode(randomBytes(200, 5));
+    const damaged = corrupt(encoded.data, Array.from({ length: 20 }, (_, i) => i * 9));
+    const snapshot = [...damaged];
+    const result = fec.decode({ ...encoded, data: damaged });
+    assert.equal(result.success, false);
+    assert.equal(result.data, null);
+    assert.equal(result.errorsCorrected, 0);
+    assert.deepEqual(damaged, snapshot);
+  });
+
+  it('rejects parity that does not match the block count', () => {
+    const encoded = fec.encode(randomBytes(300, 6));
+    const result = fec.decode({ ...encoded, parity: encoded.parity.slice(16) });
+    assert.equal(result.success, false);
+  });
+
+  it('decodes large payloads into a string without overflowing the stack', () => {
+    const payload = randomBytes(200000, 7);
+    const result = fec.decode(fec.encode(payload));
+    assert.equal(result.success, true);
+    assert.equal(result.data.length, payload.length);
+    assert.equal(result.data.charCodeAt(12345), payload[12345]);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  generateSigningKeyPair, sign, verify, getSigningKeyId, formatFingerprint,
+  canonicalJson, signEnvelope, verifyEnvelope, SIGNING_CONSTANTS
+} from '../signing.js';
+
+const hex = string => Uint8Array.from(string.replace(/\s/g, '').match(/../g) || [], byte => parseInt(byte, 16));
+
+// RFC 8032 section 7.1, tests 1 to 3
+const RFC8032 = [
+  {
+    secretKey: hex('9d61b19deffd5a60ba844af492ec2cc44449c5697b326919703bac031cae7f60'),
+    publicKey: hex('d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a'),
+    message: hex(''),
+    signature: hex(`
+      e5564300c360ac729086e2cc806e828a84877f1eb8e5d974d873e06522490155
+      5fb8821590a33bacc61e39701cf9b46bd25bf5f0595bbe24655141438e7a100b`)
+  },
+  {
+    secretKey: hex('4ccd089b28ff96da9db6c346ec114e0f5b8a319f35aba624da8cf6ed4fb8a6fb'),
+    publicKey: hex('3d4017c3e843895a92b70aa74d1b7ebc9c982ccf2ec4968cc0cd55f12af4660c'),
+    message: hex('72'),
+    signature: hex(`
+      92a009a9f0d4cab8720e820b5f642540a2b27b5416503f8fb3762223ebdb69da
+      085ac1e43e15996e458f3613d0f11d8c387b2eaeb4302aeeb00d291612bb0c00`)
+  },
+  {
+    secretKey: hex('c5aa8df43f9f837bedb7442f31dcb7b166d38535076f094b85ce3a2e0b4458f7'),
+    publicKey: hex('fc51cd8e6218a1a38da47ed00230f0580816ed13ba3303ac5deb911548908025'),
+    message: hex('af82'),
+    signature: hex(`
+      6291d657deec24024827e69c3abe01a30ce548a284743a445e3680d7db5ac3ac
+      18ff9b538d16f290ae67f760984dc6594a7c15e9716ed28dc027beceea1ec40a`)
+  }
+];
+
+const L = (1n << 252n) + 27742317777372353535851937790883648493n;
+
+describe('Ed25519', () => {
+  RFC8032.forEach(({ secretKey, publicKey, message, signature }, index) => {
+    it(`matches RFC 8032 test ${index + 1}`, () => {
+      const keyPair = generateSigningKeyPair(secretKey);
+      assert.deepEqual(keyPair.publicKey, publicKey);
+      assert.deepEqual(sign(message, secretKey), signature);
+      assert.ok(verify(signature, message, publicKey));
+    });
+  });
+
+  it('rejects a flipped bit in the signature or the message', () => {
+    const { publicKey, message, signature } = RFC8032[2];
+    for (const index of [0, 31, 32, SIGNING_CONSTANTS.SIGNATURE_SIZE - 1]) {
+      const tampered = Uint8Array.from(signature);
+      tampered[index] ^= 0x01;
+      assert.ok(!verify(tampered, message, publicKey), `bit flipped in byte ${index}`);
+    }
+    const otherMessage = Uint8Array.from(message);
+    otherMessage[1] ^= 0x80;
+    assert.ok(!verify(signature, otherMessage, publicKey));
+    assert.ok(!verify(signature, new Uint8Array(0), publicKey));
+  });
+
+  it('rejects a signature checked against another key', () => {
+    const { message, signature } = RFC8032[1];
+    assert.ok(!verify(signature, message, RFC8032[0].publicKey));
+    assert.ok(!verify(signature, message, RFC8032[2].publicKey));
+  });
+
+  it('rejects truncated signatures, S at or above the group order and malformed keys', () => {
+    const { publicKey, message, signature } = RFC8032[0];
+    assert.ok(!verify(signature.subarray(0, 63), message, publicKey));
+
+    // S + L verifies the same equation but is not the canonical encoding
+    let s = 0n;
+    for (let i = 31; i >= 0; i--) s = (s << 8n) | BigInt(signature[32 + i]);
+    s += L;
+    const malleable = Uint8Array.from(signature);
+    for (let i = 0; i < 32; i++, s >>= 8n) malleable[32 + i] = Number(s & 0xFFn);
+    assert.ok(!verify(malleable, message, publicKey));
+
+    // y = 2^255 - 1 is not below the field prime
+    const malformed = new Uint8Array(32).fill(0xFF);
+    malformed[31] = 0x7F;
+    assert.ok(!verify(signature, message, malformed));
+  });
+
+  it('signs strings as their UTF-8 bytes', () => {
+    const { secretKey, publicKey } = RFC8032[0];
+    const signature = sign('héllo', secretKey);
+    assert.deepEqual(signature, sign(new Uint8Array([0x68, 0xC3, 0xA9, 0x6C, 0x6C, 0x6F]), secretKey));
+    assert.ok(verify(signature, 'héllo', publicKey));
+  });
+});
+
+describe('Key IDs', () => {
+  it('are the start of the SHA-256 of the public key, grouped as a fingerprint', () => {
+    // SHA-256 of RFC 8032 test 1's public key starts 21fe31dfa154a261
+    const keyId = getSigningKeyId(RFC8032[0].publicKey);
+    assert.equal(keyId, '21fe31dfa154a261');
+    assert.equal(keyId.length, SIGNING_CONSTANTS.KEY_ID_SIZE * 2);
+    assert.equal(formatFingerprint(keyId), '21FE 31DF A154 A261');
+  });
+});
+
+describe('Signed envelopes', () => {
+  const { secretKey, publicKey } = RFC8032[0];
+  const fields = { type: 'COMMAND', senderId: 'phone', receiverId: 'lamp', command: 'TOGGLE', nonce: 'ab12', expiresAt: 1700000000000 };
+
+  it('sorts keys at every level and serializes Dates as their ISO strings', () => {
+    assert.equal(canonicalJson({ b: 1, a: { d: [3, { f: 1, e: 2 }], c: null } }), '{"a":{"c":null,"d":[3,{"e":2,"f":1}]},"b":1}');
+    const date = new Date(Date.UTC(2024, 0, 2));
+    assert.equal(canonicalJson({ at: date }), canonicalJson({ at: date.toISOString() }));
+    assert.equal(canonicalJson(undefined), 'null');
+  });
+
+  it('verifies whatever the field order and replaces an old signature', () => {
+    const envelope = signEnvelope({ ...fields, signature: 'stale' }, secretKey, publicKey);
+    assert.equal(envelope.keyId, getSigningKeyId(publicKey));
+    assert.notEqual(envelope.signature, 'stale');
+    const reordered = Object.fromEntries(Object.entries(envelope).reverse());
+    assert.ok(verifyEnvelope(reordered, publicKey));
+  });
+
+  it('rejects altered fields, other keys and malformed signatures', () => {
+    const envelope = signEnvelope(fields, secretKey, publicKey);
+    assert.ok(!verifyEnvelope({ ...envelope, command: 'UNLOCK' }, publicKey));
+    assert.ok(!verifyEnvelope({ ...envelope, extra: true }, publicKey));
+    assert.ok(!verifyEnvelope(envelope, RFC8032[1].publicKey));
+    // Right key ID but a signature from another key
+    const forged = { ...signEnvelope(fields, RFC8032[1].secretKey, RFC8032[1].publicKey), keyId: envelope.keyId };
+    assert.ok(!verifyEnvelope(forged, publicKey));
+    assert.ok(!verifyEnvelope({ ...envelope, signature: '%%%' }, publicKey));
+    assert.ok(!verifyEnvelope({ ...envelope, signature: undefined }, publicKey));
+    assert.ok(!verifyEnvelope(null, publicKey));
+  });
+});
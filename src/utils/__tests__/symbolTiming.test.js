@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SymbolTimingRecovery, TIMING_STATES } from '../../decoder/symbolTiming.js';
+import { PACKET_CONSTANTS } from '../packet.js';
+
+const THRESHOLD = 0.5;
+const PREAMBLE = PACKET_CONSTANTS.PREAMBLE;
+const DATA = '11111111' + '0110100111010001101100101110010001111010' + '00000000';
+
+// Seeded uniform noise in [-1, 1)
+function noise(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 1073741824 - 1;
+  };
+}
+
+// Sample a chip sequence flashed every `period` ms with a camera running every
+// `interval` ms, each frame captured up to `jitter` ms away from its timestamp
+function sampleChips(chips, { period = 100, interval = 20, jitter = 0, seed = 1 } = {}) {
+  const random = noise(seed);
+  const samples = [];
+  const end = chips.length * period;
+  for (let t = interval / 2; t < end; t += interval) {
+    const captured = Math.max(0, Math.min(end - 1, t + random() * jitter));
+    const level = Number(chips[Math.floor(captured / period)]);
+    samples.push({ brightness: level ? 0.8 : 0.2, timestamp: t });
+  }
+  return samples;
+}
+
+// Feed samples and join the emitted bits into a string
+function recover(samples, options) {
+  const timing = new SymbolTimingRecovery(options);
+  const bits = samples.flatMap(s => timing.addSample(s.brightness, s.timestamp, THRESHOLD)).map(b => b.bit).join('');
+  return { timing, bits };
+}
+
+describe('SymbolTimingRecovery', () => {
+  it('locks on the preamble and recovers the frame at the nominal rate', () => {
+    const { bits } = recover(sampleChips(PREAMBLE + DATA));
+    assert.ok(bits.includes(DATA), bits);
+  });
+
+  it('tracks a transmitter clock running 5% slow', () => {
+    const { timing, bits } = recover(sampleChips(PREAMBLE + DATA, { period: 105 }));
+    assert.ok(bits.includes(DATA), bits);
+    assert.ok(Math.abs(timing.getStatus().period - 105) < 3, `period ${timing.getStatus().period}`);
+  });
+
+  it('tolerates sample timing jitter', () => {
+    for (const seed of [1, 2, 3, 4, 5]) {
+      const { bits } = recover(sampleChips(PREAMBLE + DATA, { interval: 25, jitter: 8, seed }));
+      assert.ok(bits.includes(DATA), `seed ${seed}: ${bits}`);
+    }
+  });
+
+  it('stays searching without a preamble', () => {
+    const { timing, bits } = recover(sampleChips('1100011100001111000110'));
+    assert.equal(bits, '');
+    assert.equal(timing.getStatus().state, TIMING_STATES.SEARCHING);
+  });
+
+  it('ignores duplicate and out-of-order samples', () => {
+    const timing = new SymbolTimingRecovery();
+    assert.deepEqual(timing.addSample(0.8, 100, THRESHOLD), []);
+    assert.deepEqual(timing.addSample(0.2, 100, THRESHOLD), []);
+    assert.deepEqual(timing.addSample(0.2, 50, THRESHOLD), []);
+    assert.equal(timing.lastSample.timestamp, 100);
+  });
+
+  it('drops lock when the transmitter goes idle, unless told to hold it', () => {
+    const idle = PREAMBLE + '0'.repeat(40);
+    assert.equal(recover(sampleChips(idle)).timing.getStatus().state, TIMING_STATES.SEARCHING);
+
+    const timing = new SymbolTimingRecovery();
+    timing.holdLock = true;
+    sampleChips(idle).forEach(s => timing.addSample(s.brightness, s.timestamp, THRESHOLD));
+    assert.equal(timing.getStatus().state, TIMING_STATES.LOCKED);
+  });
+});
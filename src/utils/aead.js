@@ -0,0 +1,273 @@
+import CryptoJS from 'crypto-js';
+import { utf8Encode } from './packet.js';
+
+// Authenticated encryption of frame payloads (ChaCha20-Poly1305, RFC 8439)
+//
+// Frames with the ENCRYPTED flag carry NONCE (12) | CIPHERTEXT | TAG (16) as
+// their payload, sealed after compression and chunking, so every frame can be
+// checked and opened on its own. The frame header up to HEADER_CRC is the
+// associated data (with the RETRANSMISSION flag masked, which the sender
+// sets without re-sealing), so it cannot be altered either. FEC and the
+// payload CRC cover the sealed bytes.
+//
+// Keys are derived with HKDF-SHA256 from the secret two devices share after
+// pairing, one per direction, so the two devices never seal under the same
+// key and nonce even when their counters meet. The nonce is a 4-byte key ID, which tells receivers holding several
+// keys which one to try, followed by a 64-bit counter that starts at a random
+// value for every PacketCipher and goes up by one per frame. Looping
+// transmitters repeat frames with their nonces, so receivers do not reject
+// repeated nonces; replay protection belongs to the payload (command nonces).
+
+export const AEAD_CONSTANTS = {
+  KEY_SIZE: 32,
+  NONCE_SIZE: 12,
+  TAG_SIZE: 16,
+  KEY_ID_SIZE: 4,
+  OVERHEAD: 28, // NONCE_SIZE + TAG_SIZE bytes added to every payload
+  HKDF_SALT: 'vlc-pairing-v1',
+};
+
+export class DecryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DecryptionError';
+  }
+}
+
+const SIGMA = [0x61707865, 0x3320646e, 0x79622d32, 0x6b206574]; // "expand 32-byte k"
+
+function rotl(value, bits) {
+  return (value << bits) | (value >>> (32 - bits));
+}
+
+function quarterRound(s, a, b, c, d) {
+  s[a] = (s[a] + s[b]) | 0; s[d] = rotl(s[d] ^ s[a], 16);
+  s[c] = (s[c] + s[d]) | 0; s[b] = rotl(s[b] ^ s[c], 12);
+  s[a] = (s[a] + s[b]) | 0; s[d] = rotl(s[d] ^ s[a], 8);
+  s[c] = (s[c] + s[d]) | 0; s[b] = rotl(s[b] ^ s[c], 7);
+}
+
+// One 64-byte ChaCha20 keystream block
+function chacha20Block(key, counter, nonce) {
+  const keyView = new DataView(key.buffer, key.byteOffset, key.length);
+  const nonceView = new DataView(nonce.buffer, nonce.byteOffset, nonce.length);
+  const state = new Uint32Array(16);
+  state.set(SIGMA);
+  for (let i = 0; i < 8; i++) state[4 + i] = keyView.getUint32(i * 4, true);
+  state[12] = counter;
+  for (let i = 0; i < 3; i++) state[13 + i] = nonceView.getUint32(i * 4, true);
+
+  const working = Int32Array.from(state);
+  for (let round = 0; round < 10; round++) {
+    quarterRound(working, 0, 4, 8, 12);
+    quarterRound(working, 1, 5, 9, 13);
+    quarterRound(working, 2, 6, 10, 14);
+    quarterRound(working, 3, 7, 11, 15);
+    quarterRound(working, 0, 5, 10, 15);
+    quarterRound(working, 1, 6, 11, 12);
+    quarterRound(working, 2, 7, 8, 13);
+    quarterRound(working, 3, 4, 9, 14);
+  }
+
+  const block = new Uint8Array(64);
+  const blockView = new DataView(block.buffer);
+  for (let i = 0; i < 16; i++) blockView.setUint32(i * 4, (working[i] + state[i]) >>> 0, true);
+  return block;
+}
+
+// XOR data with the keystream starting at a block counter
+function chacha20(key, counter, nonce, data) {
+  const out = new Uint8Array(data.length);
+  for (let offset = 0; offset < data.length; offset += 64) {
+    const block = chacha20Block(key, counter++, nonce);
+    for (let i = 0; i < 64 && offset + i < data.length; i++) {
+      out[offset + i] = data[offset + i] ^ block[i];
+    }
+  }
+  return out;
+}
+
+// Little-endian bytes as a BigInt
+function leToBigInt(bytes) {
+  let value = 0n;
+  for (let i = bytes.length - 1; i >= 0; i--) value = (value << 8n) | BigInt(bytes[i]);
+  return value;
+}
+
+const POLY1305_P = (1n << 130n) - 5n;
+const POLY1305_CLAMP = 0x0ffffffc0ffffffc0ffffffc0fffffffn;
+
+// Poly1305 one-time authenticator
+function poly1305(message, oneTimeKey) {
+  const r = leToBigInt(oneTimeKey.subarray(0, 16)) & POLY1305_CLAMP;
+  const s = leToBigInt(oneTimeKey.subarray(16, 32));
+  let accumulator = 0n;
+  for (let offset = 0; offset < message.length; offset += 16) {
+    const block = message.subarray(offset, offset + 16);
+    const n = leToBigInt(block) | (1n << BigInt(block.length * 8));
+    accumulator = ((accumulator + n) * r) % POLY1305_P;
+  }
+
+  let tagValue = (accumulator + s) & ((1n << 128n) - 1n);
+  const tag = new Uint8Array(AEAD_CONSTANTS.TAG_SIZE);
+  for (let i = 0; i < tag.length; i++) {
+    tag[i] = Number(tagValue & 0xFFn);
+    tagValue >>= 8n;
+  }
+  return tag;
+}
+
+// Poly1305 input for the AEAD: padded AAD and ciphertext, then both lengths
+function macData(aad, ciphertext) {
+  const pad = (length) => Math.ceil(length / 16) * 16;
+  const data = new Uint8Array(pad(aad.length) + pad(ciphertext.length) + 16);
+  const view = new DataView(data.buffer);
+  data.set(aad, 0);
+  data.set(ciphertext, pad(aad.length));
+  view.setUint32(data.length - 16, aad.length, true);
+  view.setUint32(data.length - 8, ciphertext.length, true);
+  return data;
+}
+
+// Tag comparison that does not stop at the first difference
+function equalBytes(a, b) {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) difference |= a[i] ^ b[i];
+  return difference === 0;
+}
+
+// ChaCha20-Poly1305 encryption, returns ciphertext followed by the tag
+export function aeadSeal(key, nonce, plaintext, aad = new Uint8Array(0)) {
+  const oneTimeKey = chacha20Block(key, 0, nonce).subarray(0, 32);
+  const ciphertext = chacha20(key, 1, nonce, plaintext);
+  const sealed = new Uint8Array(ciphertext.length + AEAD_CONSTANTS.TAG_SIZE);
+  sealed.set(ciphertext);
+  sealed.set(poly1305(macData(aad, ciphertext), oneTimeKey), ciphertext.length);
+  return sealed;
+}
+
+// ChaCha20-Poly1305 decryption, throws DecryptionError when the tag does not match
+export function aeadOpen(key, nonce, sealed, aad = new Uint8Array(0)) {
+  if (sealed.length < AEAD_CONSTANTS.TAG_SIZE) {
+    throw new DecryptionError('Sealed payload shorter than its tag');
+  }
+  const ciphertext = sealed.subarray(0, sealed.length - AEAD_CONSTANTS.TAG_SIZE);
+  const tag = sealed.subarray(sealed.length - AEAD_CONSTANTS.TAG_SIZE);
+  const oneTimeKey = chacha20Block(key, 0, nonce).subarray(0, 32);
+  if (!equalBytes(poly1305(macData(aad, ciphertext), oneTimeKey), tag)) {
+    throw new DecryptionError('Authentication tag mismatch');
+  }
+  return chacha20(key, 1, nonce, ciphertext);
+}
+
+// Bytes to and from crypto-js word arrays
+export function toWordArray(bytes) {
+  return CryptoJS.lib.WordArray.create(bytes);
+}
+
+export function fromWordArray(wordArray) {
+  const bytes = new Uint8Array(wordArray.sigBytes);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = (wordArray.words[i >>> 2] >>> (24 - (i % 4) * 8)) & 0xFF;
+  }
+  return bytes;
+}
+
+function hmacSha256(key, data) {
+  return fromWordArray(CryptoJS.HmacSHA256(toWordArray(data), toWordArray(key)));
+}
+
+// HKDF-SHA256 (RFC 5869); salt and info may be strings
+export function hkdf(secret, salt, info, length) {
+  const saltBytes = typeof salt === 'string' ? utf8Encode(salt) : salt;
+  const infoBytes = typeof info === 'string' ? utf8Encode(info) : info;
+  const pseudoRandomKey = hmacSha256(saltBytes, secret);
+
+  const output = new Uint8Array(length);
+  let previous = new Uint8Array(0);
+  for (let i = 0, offset = 0; offset < length; i++) {
+    const input = new Uint8Array(previous.length + infoBytes.length + 1);
+    input.set(previous);
+    input.set(infoBytes, previous.length);
+    input[input.length - 1] = i + 1;
+    previous = hmacSha256(pseudoRandomKey, input);
+    output.set(previous.subarray(0, length - offset), offset);
+    offset += previous.length;
+  }
+  return output;
+}
+
+// Key ID of a sealed payload, read from the start of its nonce
+export function getKeyId(sealed) {
+  if (sealed.length < AEAD_CONSTANTS.KEY_ID_SIZE) return null;
+  return new DataView(sealed.buffer, sealed.byteOffset, AEAD_CONSTANTS.KEY_ID_SIZE).getUint32(0);
+}
+
+function randomBytes(length) {
+  const bytes = new Uint8Array(length);
+  globalThis.crypto.getRandomValues(bytes);
+  return bytes;
+}
+
+// Seals and opens frame payloads with one key, numbering nonces as it goes
+export class PacketCipher {
+  constructor(key, keyId, counterSeed = randomBytes(8)) {
+    if (key.length !== AEAD_CONSTANTS.KEY_SIZE) {
+      throw new Error(`Packet keys are ${AEAD_CONSTANTS.KEY_SIZE} bytes, got ${key.length}`);
+    }
+    this.key = key;
+    this.keyId = keyId >>> 0;
+    const seed = new DataView(Uint8Array.from(counterSeed).buffer);
+    this.counterHigh = seed.getUint32(0);
+    this.counterLow = seed.getUint32(4);
+  }
+
+  // Cipher for frames one paired device sends the other; the sender seals and
+  // the receiver opens with the same key, the reverse direction has its own
+  static fromPairingSecret(secret, senderDeviceId, receiverDeviceId, counterSeed) {
+    const direction = `${senderDeviceId}>${receiverDeviceId}`;
+    const key = hkdf(secret, AEAD_CONSTANTS.HKDF_SALT, `packet-key:${direction}`, AEAD_CONSTANTS.KEY_SIZE);
+    const keyId = hkdf(secret, AEAD_CONSTANTS.HKDF_SALT, `packet-key-id:${direction}`, AEAD_CONSTANTS.KEY_ID_SIZE);
+    return new PacketCipher(key, new DataView(keyId.buffer).getUint32(0), counterSeed);
+  }
+
+  // Bytes seal() adds to a payload
+  get overhead() {
+    return AEAD_CONSTANTS.OVERHEAD;
+  }
+
+  // Key ID and the next counter value, advancing the counter
+  nextNonce() {
+    const nonce = new Uint8Array(AEAD_CONSTANTS.NONCE_SIZE);
+    const view = new DataView(nonce.buffer);
+    view.setUint32(0, this.keyId);
+    view.setUint32(4, this.counterHigh);
+    view.setUint32(8, this.counterLow);
+    this.counterLow = (this.counterLow + 1) >>> 0;
+    if (this.counterLow === 0) this.counterHigh = (this.counterHigh + 1) >>> 0;
+    return nonce;
+  }
+
+  // NONCE | CIPHERTEXT | TAG for a payload and its associated data
+  seal(plaintext, aad) {
+    const nonce = this.nextNonce();
+    const sealed = aeadSeal(this.key, nonce, plaintext, aad);
+    const out = new Uint8Array(nonce.length + sealed.length);
+    out.set(nonce);
+    out.set(sealed, nonce.length);
+    return out;
+  }
+
+  // Payload of a sealed NONCE | CIPHERTEXT | TAG, throws DecryptionError when it was altered or sealed with another key
+  open(sealed, aad) {
+    if (sealed.length < AEAD_CONSTANTS.OVERHEAD) {
+      throw new DecryptionError('Encrypted payload too short');
+    }
+    if (getKeyId(sealed) !== this.keyId) {
+      throw new DecryptionError('Payload sealed with another key');
+    }
+    const nonce = sealed.subarray(0, AEAD_CONSTANTS.NONCE_SIZE);
+    return aeadOpen(this.key, nonce, sealed.subarray(AEAD_CONSTANTS.NONCE_SIZE), aad);
+  }
+}
@@ -266,7 +266,7 @@ export class AnalyticsManager {
       const metricsRef = collection(db, 'vlc_quality_metrics');
       const q = query(
         metricsRef,
-        where('sessionId', '>=', deviceId + '_'),
+        where('deviceId', '==', deviceId),
         where('timestamp', '>=', startDate)
       );
 
@@ -437,6 +437,7 @@ export class AnalyticsManager {
         title: `Security Alert: ${auditLog.action}`,
         message: `Suspicious activity detected: ${auditLog.action}`,
         details: auditLog,
+        triggeredBy: await DeviceManager.getDeviceId(),
         triggeredAt: new Date(),
         status: 'active',
         recipients: await this.getAlertRecipients()
@@ -456,9 +457,9 @@ export class AnalyticsManager {
 
   static async getAlertRecipients() {
     try {
-      // Get admin users and security team
+      // Admin devices; firestore.rules only let admins set trustLevel
       const db = getFirestore(getFirebaseApp());
-      const profilesRef = collection(db, 'social_profiles');
+      const profilesRef = collection(db, 'device_profiles');
       const q = query(profilesRef, where('trustLevel', '==', 'admin'));
 
       const querySnapshot = await getDocs(q);
@@ -485,6 +486,7 @@ export class AnalyticsManager {
       for (const recipient of alert.recipients) {
         await setDoc(doc(collection(db, 'notification_logs')), {
           alertId: alert.id,
+          sentBy: alert.triggeredBy,
           recipient,
           type: 'security_alert',
           sentAt: new Date(),
@@ -650,13 +652,13 @@ export class AnalyticsManager {
     }
   }
 
-  // Real-time monitoring
-  static subscribeToSecurityAlerts(callback) {
+  // Real-time monitoring of the alerts sent to a device
+  static subscribeToSecurityAlerts(deviceId, callback) {
     try {
       const db = getFirestore(getFirebaseApp());
       const alertsRef = collection(db, 'security_alerts');
 
-      return onSnapshot(alertsRef, (snapshot) => {
+      return onSnapshot(query(alertsRef, where('recipients', 'array-contains', deviceId)), (snapshot) => {
         const alerts = [];
         snapshot.docChanges().forEach((change) => {
           if (change.type === 'added') {
@@ -0,0 +1,75 @@
+// Generated by scripts/generate-api-client.js from backend/openapi.js; do not edit.
+
+import type {
+  ApiError,
+  ApiRequestOptions,
+  ApiClientOptions,
+  RegisterDeviceRequest,
+  RegisterDeviceResponse,
+  CreateDeviceChallengeRequest,
+  CreateDeviceChallengeResponse,
+  LoginDeviceRequest,
+  LoginDeviceResponse,
+  CreateAuthChallengeRequest,
+  CreateAuthChallengeResponse,
+  VerifyAuthTokenRequest,
+  VerifyAuthTokenResponse,
+  RotateJwtKeysRequest,
+  RotateJwtKeysResponse,
+  GetConfigParams,
+  GetConfigResponse,
+  VerifyCommandRequest,
+  VerifyCommandResponse,
+  GetPairingStatusParams,
+  GetPairingStatusResponse,
+  ConfirmPairingRequest,
+  ConfirmPairingResponse,
+  RevokePairingRequest,
+  RevokePairingResponse,
+  LogCommandRequest,
+  LogCommandResponse,
+  AnswerPairingHandshakeRequest,
+  AnswerPairingHandshakeResponse,
+  RevealPairingHandshakeRequest,
+  RevealPairingHandshakeResponse,
+  GetPairingHandshakeParams,
+  GetPairingHandshakeResponse,
+  OpenArqSessionParams,
+  OpenArqSessionRequest,
+  OpenArqSessionResponse,
+  PostArqAckParams,
+  PostArqAckRequest,
+  PostArqAckResponse,
+  GetArqAckParams,
+  GetArqAckResponse,
+  GetHealthResponse,
+  GetOpenApiResponse,
+} from '../types/api';
+
+export declare class ApiClient {
+  constructor(baseUrl: string, options?: ApiClientOptions);
+  baseUrl: string;
+  authenticate: ApiClientOptions['authenticate'];
+  request(method: string, path: string, body?: unknown, options?: ApiRequestOptions, authenticated?: boolean): Promise<unknown>;
+
+  registerDevice(body: RegisterDeviceRequest, options?: ApiRequestOptions): Promise<RegisterDeviceResponse | ApiError>;
+  createDeviceChallenge(body: CreateDeviceChallengeRequest, options?: ApiRequestOptions): Promise<CreateDeviceChallengeResponse | ApiError>;
+  loginDevice(body: LoginDeviceRequest, options?: ApiRequestOptions): Promise<LoginDeviceResponse | ApiError>;
+  createAuthChallenge(body: CreateAuthChallengeRequest, options?: ApiRequestOptions): Promise<CreateAuthChallengeResponse | ApiError>;
+  verifyAuthToken(body: VerifyAuthTokenRequest, options?: ApiRequestOptions): Promise<VerifyAuthTokenResponse | ApiError>;
+  rotateJwtKeys(body: RotateJwtKeysRequest, options?: ApiRequestOptions): Promise<RotateJwtKeysResponse | ApiError>;
+  getConfig(params: GetConfigParams, options?: ApiRequestOptions): Promise<GetConfigResponse | ApiError>;
+  verifyCommand(body: VerifyCommandRequest, options?: ApiRequestOptions): Promise<VerifyCommandResponse | ApiError>;
+  getPairingStatus(params: GetPairingStatusParams, options?: ApiRequestOptions): Promise<GetPairingStatusResponse | ApiError>;
+  confirmPairing(body: ConfirmPairingRequest, options?: ApiRequestOptions): Promise<ConfirmPairingResponse | ApiError>;
+  revokePairing(body: RevokePairingRequest, options?: ApiRequestOptions): Promise<RevokePairingResponse | ApiError>;
+  logCommand(body: LogCommandRequest, options?: ApiRequestOptions): Promise<LogCommandResponse | ApiError>;
+  answerPairingHandshake(body: AnswerPairingHandshakeRequest, options?: ApiRequestOptions): Promise<AnswerPairingHandshakeResponse | ApiError>;
+  revealPairingHandshake(body: RevealPairingHandshakeRequest, options?: ApiRequestOptions): Promise<RevealPairingHandshakeResponse | ApiError>;
+  getPairingHandshake(params: GetPairingHandshakeParams, options?: ApiRequestOptions): Promise<GetPairingHandshakeResponse | ApiError>;
+  openArqSession(params: OpenArqSessionParams, body: OpenArqSessionRequest, options?: ApiRequestOptions): Promise<OpenArqSessionResponse | ApiError>;
+  postArqAck(params: PostArqAckParams, body: PostArqAckRequest, options?: ApiRequestOptions): Promise<PostArqAckResponse | ApiError>;
+  getArqAck(params: GetArqAckParams, options?: ApiRequestOptions): Promise<GetArqAckResponse | ApiError>;
+  getHealth(options?: ApiRequestOptions): Promise<GetHealthResponse | ApiError>;
+  getOpenApi(options?: ApiRequestOptions): Promise<GetOpenApiResponse | ApiError>;
+}
@@ -0,0 +1,127 @@
+// Generated by scripts/generate-api-client.js from backend/openapi.js; do not edit.
+// Types are in apiClient.d.ts and ../types/api.ts; regenerate with npm run generate-api-client.
+
+// Client for the VLC backend. Methods resolve to the JSON body, a success or
+// an error ({ success: false, code, message }); network failures reject.
+// Operations that need a device token get their headers from authenticate().
+export class ApiClient {
+  constructor(baseUrl, { fetchImpl = null, authenticate = null } = {}) {
+    this.baseUrl = baseUrl;
+    this.fetchImpl = fetchImpl;
+    this.authenticate = authenticate;
+  }
+
+  async request(method, path, body = undefined, options = {}, authenticated = false) {
+    const authHeaders = authenticated && this.authenticate ? await this.authenticate() : {};
+    const response = await (this.fetchImpl || fetch)(`${this.baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...authHeaders,
+        ...(options.headers || {})
+      },
+      ...(body !== undefined ? { body: JSON.stringify(body) } : {})
+    });
+    return response.json();
+  }
+
+  // POST /devices/register: Register a device's identity key and profile
+  registerDevice(body, options = {}) {
+    return this.request('POST', '/devices/register', body, options);
+  }
+
+  // POST /devices/challenge: Issue a login challenge for a registered device
+  createDeviceChallenge(body, options = {}) {
+    return this.request('POST', '/devices/challenge', body, options);
+  }
+
+  // POST /devices/login: Exchange a signed challenge for a device token
+  loginDevice(body, options = {}) {
+    return this.request('POST', '/devices/login', body, options);
+  }
+
+  // POST /auth/challenge: Issue a JWT token for a sender/receiver pair (device token)
+  createAuthChallenge(body, options = {}) {
+    return this.request('POST', '/auth/challenge', body, options, true);
+  }
+
+  // POST /auth/verify: Verify a JWT token for the receiver it was issued to, once (device token)
+  verifyAuthToken(body, options = {}) {
+    return this.request('POST', '/auth/verify', body, options, true);
+  }
+
+  // POST /admin/jwt/rotate: Start signing tokens with a new key
+  rotateJwtKeys(body, options = {}) {
+    return this.request('POST', '/admin/jwt/rotate', body, options);
+  }
+
+  // GET /config/{deviceId}: Device configuration
+  getConfig(params, options = {}) {
+    return this.request('GET', `/config/${encodeURIComponent(params.deviceId)}`, undefined, options);
+  }
+
+  // POST /pairing/verify-command: Verify a signed command and reserve its nonce (device token)
+  verifyCommand(body, options = {}) {
+    return this.request('POST', '/pairing/verify-command', body, options, true);
+  }
+
+  // GET /pairing/status/{deviceId}: Devices paired with a device
+  getPairingStatus(params, options = {}) {
+    return this.request('GET', `/pairing/status/${encodeURIComponent(params.deviceId)}`, undefined, options);
+  }
+
+  // POST /pairing/confirm: Confirm pairing with a device; active once both have confirmed (device token)
+  confirmPairing(body, options = {}) {
+    return this.request('POST', '/pairing/confirm', body, options, true);
+  }
+
+  // POST /pairing/revoke: Revoke the pairing between two devices (device token)
+  revokePairing(body, options = {}) {
+    return this.request('POST', '/pairing/revoke', body, options, true);
+  }
+
+  // POST /command/log: Log a command execution (device token)
+  logCommand(body, options = {}) {
+    return this.request('POST', '/command/log', body, options, true);
+  }
+
+  // POST /pairing/handshake: Relay the receiver's key agreement public key to the sender (device token)
+  answerPairingHandshake(body, options = {}) {
+    return this.request('POST', '/pairing/handshake', body, options, true);
+  }
+
+  // POST /pairing/handshake/reveal: Relay the sender's key agreement public key, committed to in its pairing payload, to the receiver (device token)
+  revealPairingHandshake(body, options = {}) {
+    return this.request('POST', '/pairing/handshake/reveal', body, options, true);
+  }
+
+  // GET /pairing/handshake/{senderDeviceId}/{receiverDeviceId}: Receiver's key agreement public key, polled by the sender, and the sender's once revealed, polled by the receiver
+  getPairingHandshake(params, options = {}) {
+    return this.request('GET', `/pairing/handshake/${encodeURIComponent(params.senderDeviceId)}/${encodeURIComponent(params.receiverDeviceId)}`, undefined, options);
+  }
+
+  // POST /arq/{sessionId}: Open an ARQ session between the calling sender and a receiver (device token)
+  openArqSession(params, body, options = {}) {
+    return this.request('POST', `/arq/${encodeURIComponent(params.sessionId)}`, body, options, true);
+  }
+
+  // POST /arq/{sessionId}/ack: Store the latest ARQ acknowledgment of a session, sent by its receiver (device token)
+  postArqAck(params, body, options = {}) {
+    return this.request('POST', `/arq/${encodeURIComponent(params.sessionId)}/ack`, body, options, true);
+  }
+
+  // GET /arq/{sessionId}/ack: Latest ARQ acknowledgment of a session, polled by its sender (device token)
+  getArqAck(params, options = {}) {
+    return this.request('GET', `/arq/${encodeURIComponent(params.sessionId)}/ack`, undefined, options, true);
+  }
+
+  // GET /health: Health check
+  getHealth(options = {}) {
+    return this.request('GET', '/health', undefined, options);
+  }
+
+  // GET /openapi.json: This document
+  getOpenApi(options = {}) {
+    return this.request('GET', '/openapi.json', undefined, options);
+  }
+}
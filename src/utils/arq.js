@@ -0,0 +1,390 @@
+import { encodeData } from '../encoder/encoder.js';
+import { DATA_TYPES, decodeFrameHeader, markRetransmission } from './packet.js';
+import { createRandom } from './channelSimulator.js';
+import { ApiClient } from './apiClient.js';
+
+// Selective-repeat ARQ for chunked transfers
+//
+// The sender flashes a chunked transfer a window of frames at a time; the
+// receiver reports back over a return channel which sequence numbers it is
+// missing, and the sender retransmits only those frames, with the
+// RETRANSMISSION flag set. The transfer ID doubles as the ARQ session ID.
+//
+// Channels are anything with send(message) and onMessage(handler), where
+// onMessage returns an unsubscribe function. Frames travel forward as
+// Uint8Array; acknowledgments travel back as plain objects:
+//
+//   { mode: 'arq_ack', session, ackId, total, received, last, through, missing, complete }
+//
+// `missing` lists every sequence up to `through` that has not arrived, and
+// `last` is the sequence of the most recent frame received. Senders only
+// retransmit frames that went out before `last` and were not received, so a
+// frame still in flight is never sent twice.
+//
+// Forward sends may return a promise that resolves once the frame is on air;
+// the sender waits for it before sending the next one and only starts its
+// acknowledgment timer once the window is out.
+
+export const ARQ_CONSTANTS = {
+  ACK_MODE: 'arq_ack',
+  WINDOW_SIZE: 8,         // Frames in flight before the sender waits for an acknowledgment
+  ACK_TIMEOUT_MS: 15000,  // Sender resends its window after this long without an acknowledgment
+  ACK_DELAY_MS: 5000,     // Receiver acknowledges after this long without a new frame
+  MAX_RETRIES: 5,         // Consecutive timeouts before the sender gives up
+  MAX_MISSING: 64,        // Sequence numbers reported per acknowledgment
+  POLL_INTERVAL_MS: 2000, // Backend return channel polling period
+  BACKEND_URL: 'http://localhost:3000',
+};
+
+// Build an acknowledgment for a receiver session
+export function createAck(session, state) {
+  // Nothing beyond the highest frame seen can be called lost yet
+  const missing = [];
+  let through = state.highest;
+  for (let seq = 0; seq <= state.highest; seq++) {
+    if (state.received.has(seq)) continue;
+    if (missing.length === ARQ_CONSTANTS.MAX_MISSING) {
+      through = seq - 1; // Report truncated here
+      break;
+    }
+    missing.push(seq);
+  }
+  return {
+    mode: ARQ_CONSTANTS.ACK_MODE,
+    session,
+    ackId: state.ackId,
+    total: state.total,
+    received: state.received.size,
+    last: state.last,
+    through,
+    missing,
+    complete: state.received.size === state.total
+  };
+}
+
+// Check that a message is an ARQ acknowledgment
+export function isAck(message) {
+  return !!message && message.mode === ARQ_CONSTANTS.ACK_MODE && Number.isInteger(message.session) && Array.isArray(message.missing);
+}
+
+// Frames carrying an acknowledgment, for a screen-flash return channel
+export function encodeAckFrames(ack) {
+  return encodeData(ack, DATA_TYPES.JSON, false, true);
+}
+
+// Sends the frames of one chunked transfer and retransmits what the receiver reports missing
+export class ARQSender {
+  constructor(frames, options = {}) {
+    const header = frames.length > 0 ? decodeFrameHeader(frames[0]) : null;
+    if (!header) {
+      throw new Error('ARQ needs at least one valid frame');
+    }
+
+    this.frames = frames;
+    this.session = header.transferId;
+    this.forward = options.forward;
+    this.reverse = options.reverse;
+    this.windowSize = options.windowSize || ARQ_CONSTANTS.WINDOW_SIZE;
+    this.timeoutMs = options.timeoutMs || ARQ_CONSTANTS.ACK_TIMEOUT_MS;
+    this.maxRetries = options.maxRetries || ARQ_CONSTANTS.MAX_RETRIES;
+
+    this.acked = new Set();
+    this.sendOrder = new Map(); // Sequence -> position in the order frames went out
+    this.sendCount = 0;
+    this.queue = []; // [sequence, retransmission] waiting to go out
+    this.sending = false;
+    this.lastAckId = -1;
+    this.retries = 0;
+    this.timer = null;
+    this.done = false;
+    this.stats = { sent: 0, retransmitted: 0, timeouts: 0, acks: 0 };
+  }
+
+  // Run the transfer, resolves with { success, message, stats }
+  start() {
+    return new Promise(resolve => {
+      this.resolve = resolve;
+      this.unsubscribe = this.reverse.onMessage(message => this.handleAck(message));
+      this.fillWindow();
+    });
+  }
+
+  // Give up on the transfer
+  cancel() {
+    this.finish(false, 'Cancelled');
+  }
+
+  // Oldest sequence not acknowledged yet
+  get base() {
+    let seq = 0;
+    while (this.acked.has(seq)) seq++;
+    return seq;
+  }
+
+  // Queue every unsent frame that fits in the window
+  fillWindow() {
+    const end = Math.min(this.base + this.windowSize, this.frames.length);
+    for (let seq = this.base; seq < end; seq++) {
+      if (!this.sendOrder.has(seq)) {
+        this.enqueue(seq, false);
+      }
+    }
+    this.pump();
+  }
+
+  // Queue a frame unless it is already waiting
+  enqueue(seq, retransmission) {
+    if (!this.queue.some(([queued]) => queued === seq)) {
+      this.queue.push([seq, retransmission]);
+    }
+  }
+
+  // Send queued frames one at a time, then wait for an acknowledgment
+  async pump() {
+    if (this.sending) return;
+    this.sending = true;
+    this.clearTimer();
+
+    while (this.queue.length > 0 && !this.done) {
+      const [seq, retransmission] = this.queue.shift();
+      const frame = retransmission ? markRetransmission(this.frames[seq]) : this.frames[seq];
+      this.sendOrder.set(seq, this.sendCount++);
+      if (retransmission) {
+        this.stats.retransmitted++;
+      } else {
+        this.stats.sent++;
+      }
+      try {
+        await this.forward.send(frame);
+      } catch (error) {
+        console.error('ARQ forward channel error:', error);
+      }
+    }
+
+    this.sending = false;
+    if (!this.done) {
+      this.armTimer();
+    }
+  }
+
+  // Apply an acknowledgment from the receiver
+  handleAck(message) {
+    if (this.done || !isAck(message) || message.session !== this.session) return;
+    if (message.ackId <= this.lastAckId) return; // Stale or repeated
+    this.lastAckId = message.ackId;
+    this.stats.acks++;
+    this.retries = 0;
+
+    if (message.complete) {
+      this.frames.forEach((_, seq) => this.acked.add(seq));
+      this.finish(true, 'Transfer acknowledged');
+      return;
+    }
+
+    const missing = new Set(message.missing);
+    const lastOrder = this.sendOrder.has(message.last) ? this.sendOrder.get(message.last) : -1;
+    for (const [seq, order] of this.sendOrder) {
+      if (seq <= message.through && !missing.has(seq)) {
+        this.acked.add(seq);
+      } else if (!this.acked.has(seq) && order < lastOrder) {
+        // Selective repeat: went out before the last frame received, so it was lost
+        this.enqueue(seq, true);
+      }
+    }
+    this.fillWindow();
+  }
+
+  // Resend the outstanding window when no acknowledgment arrives
+  handleTimeout() {
+    this.timer = null;
+    if (this.done) return;
+
+    this.stats.timeouts++;
+    this.retries++;
+    if (this.retries > this.maxRetries) {
+      this.finish(false, `No acknowledgment after ${this.maxRetries} retries`);
+      return;
+    }
+
+    for (const seq of this.sendOrder.keys()) {
+      if (!this.acked.has(seq)) this.enqueue(seq, true);
+    }
+    this.pump();
+  }
+
+  // (Re)start the acknowledgment timeout
+  armTimer() {
+    this.clearTimer();
+    this.timer = setTimeout(() => this.handleTimeout(), this.timeoutMs);
+  }
+
+  // Cancel the acknowledgment timeout
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Stop timers and listeners and report the outcome
+  finish(success, message) {
+    if (this.done) return;
+    this.done = true;
+    this.queue = [];
+    this.clearTimer();
+    if (this.unsubscribe) this.unsubscribe();
+    if (this.resolve) this.resolve({ success, message, session: this.session, stats: { ...this.stats } });
+  }
+}
+
+// Tracks received chunks per session and acknowledges them over the return channel
+export class ARQReceiver {
+  constructor(options = {}) {
+    this.reverse = options.reverse;
+    this.windowSize = options.windowSize || ARQ_CONSTANTS.WINDOW_SIZE;
+    this.ackDelayMs = options.ackDelayMs || ARQ_CONSTANTS.ACK_DELAY_MS;
+    this.sessions = new Map();
+  }
+
+  // Receive chunk notifications from a decoder
+  attach(decoder) {
+    decoder.setChunkCallback(chunk => this.handleChunk(chunk));
+  }
+
+  // Record one received chunk ({ sequence, total, transferId }) and acknowledge when due
+  handleChunk(chunk) {
+    let state = this.sessions.get(chunk.transferId);
+    if (!state) {
+      state = { total: chunk.total, received: new Set(), highest: -1, last: -1, ackId: 0, sinceAck: 0, timer: null };
+      this.sessions.set(chunk.transferId, state);
+    }
+
+    state.received.add(chunk.sequence);
+    state.highest = Math.max(state.highest, chunk.sequence);
+    state.last = chunk.sequence;
+    state.sinceAck++;
+
+    if (state.received.size === state.total || state.sinceAck >= this.windowSize) {
+      this.sendAck(chunk.transferId);
+    } else {
+      this.scheduleAck(chunk.transferId);
+    }
+  }
+
+  // Acknowledge after a quiet period, so the tail of a window is reported too
+  scheduleAck(session) {
+    const state = this.sessions.get(session);
+    if (state.timer) clearTimeout(state.timer);
+    state.timer = setTimeout(() => this.sendAck(session), this.ackDelayMs);
+  }
+
+  // Send the current acknowledgment of a session
+  sendAck(session) {
+    const state = this.sessions.get(session);
+    if (!state) return;
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+    state.ackId++;
+    state.sinceAck = 0;
+
+    const ack = createAck(session, state);
+    Promise.resolve(this.reverse.send(ack)).catch(error => {
+      console.error('ARQ return channel error:', error);
+    });
+  }
+
+  // Missing sequence numbers of a session (for UI)
+  getMissing(session) {
+    const state = this.sessions.get(session);
+    if (!state) return [];
+    return Array.from({ length: state.total }, (_, seq) => seq).filter(seq => !state.received.has(seq));
+  }
+
+  // Stop all pending acknowledgment timers
+  close() {
+    for (const state of this.sessions.values()) {
+      if (state.timer) clearTimeout(state.timer);
+      state.timer = null;
+    }
+  }
+}
+
+// In-process stand-in for a channel: delivers after delayMs and drops
+// messages with the seeded lossRate, so ARQ can be exercised without optics
+export function createLoopbackChannel(options = {}) {
+  const random = createRandom(options.seed || 1);
+  const lossRate = options.lossRate || 0;
+  const delayMs = options.delayMs || 0;
+  const handlers = new Set();
+  const stats = { sent: 0, dropped: 0 };
+
+  return {
+    stats,
+    send(message) {
+      stats.sent++;
+      if (random.next() < lossRate) {
+        stats.dropped++;
+        return Promise.resolve();
+      }
+      return new Promise(resolve => {
+        setTimeout(() => {
+          handlers.forEach(handler => handler(message));
+          resolve();
+        }, delayMs);
+      });
+    },
+    onMessage(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    }
+  };
+}
+
+// Return channel through the backend: the sender opens its session for one
+// receiver, which posts acknowledgments the sender polls for. Both sides need
+// a device token; authenticate() resolves to its headers
+// (DeviceManager.getAuthHeaders). Receivers leave session and receiverDeviceId out.
+export function createBackendChannel(backendUrl = ARQ_CONSTANTS.BACKEND_URL, session = null, pollIntervalMs = ARQ_CONSTANTS.POLL_INTERVAL_MS, authenticate = null, receiverDeviceId = null) {
+  const client = new ApiClient(backendUrl, { authenticate });
+  return {
+    async send(ack) {
+      const result = await client.postArqAck({ sessionId: String(ack.session) }, ack);
+      if (!result.success) {
+        throw new Error(`Backend rejected acknowledgment: ${result.message}`);
+      }
+    },
+    onMessage(handler) {
+      if (session === null || receiverDeviceId === null) {
+        throw new Error('A session and its receiver are needed to poll for acknowledgments');
+      }
+      const poll = async () => {
+        try {
+          const result = await client.getArqAck({ sessionId: String(session) });
+          if (result.success && result.ack) { // Otherwise no acknowledgment yet
+            handler(result.ack);
+          }
+        } catch (error) {
+          console.error('ARQ poll error:', error);
+        }
+      };
+
+      // Polling starts once the backend has bound the session to both devices
+      let interval = null;
+      let stopped = false;
+      client.openArqSession({ sessionId: String(session) }, { receiverDeviceId })
+        .then(result => {
+          if (!result.success) {
+            throw new Error(`Backend refused the session: ${result.message}`);
+          }
+          if (!stopped) interval = setInterval(poll, pollIntervalMs);
+        })
+        .catch(error => console.error('ARQ session error:', error));
+      return () => {
+        stopped = true;
+        clearInterval(interval);
+      };
+    }
+  };
+}
@@ -0,0 +1,142 @@
+import { PACKET_CONSTANTS, compressData } from './packet.js';
+import { LINE_CODINGS } from './lineCoding.js';
+import { MODULATIONS } from './modulation.js';
+import { calculateLuma } from './luma.js';
+import { getCodecName } from './compression.js';
+import { encodeData, framesToBits, framesToSymbols, serializePayload } from '../encoder/encoder.js';
+import { decodeTrace } from '../decoder/offlineDecoder.js';
+
+// Deterministic optical channel simulator
+//
+// Renders transmitted chips into the brightness samples a camera would report
+// and applies the impairments seen on real links: ambient light, mains
+// flicker, sensor noise, occlusion bursts, transmitter clock skew and camera
+// frame jitter. Every random draw comes from a seeded generator, so the same
+// options always produce the same trace.
+//
+// The input is either chips ('0'/'1', rendered as off/on brightness) or screen
+// colors ({ r, g, b } per symbol, rendered per channel and reported with the
+// sample's color so multi-level modulation can be simulated too).
+
+export const CHANNEL_DEFAULTS = {
+  LOW_LEVEL: 40,          // Brightness of an "off" chip
+  HIGH_LEVEL: 200,        // Brightness of an "on" chip
+  AMBIENT: 0,             // Constant offset from room light
+  FLICKER_AMPLITUDE: 0,   // Peak brightness of mains flicker
+  FLICKER_FREQUENCY: 100, // Hz (lamps flicker at twice the 50/60Hz mains frequency)
+  NOISE_STD_DEV: 0,       // Gaussian sensor noise
+  DROPOUT_RATE: 0,        // Occlusion bursts per second
+  DROPOUT_MS: 300,        // Length of each burst
+  CLOCK_SKEW: 0,          // Transmitter chip duration error, 0.02 = 2% slow
+  SAMPLE_INTERVAL: 25,    // Camera sampling period (ms)
+  JITTER_MS: 0,           // Standard deviation of the sampling period
+  IDLE_MS: 1500,          // Dark time before (calibration) and after the transmission
+  SEED: 1,
+};
+
+// Seeded PRNG (mulberry32) with a Box-Muller Gaussian
+export function createRandom(seed = CHANNEL_DEFAULTS.SEED) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const gaussian = () => {
+    const u = Math.max(next(), Number.EPSILON);
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * next());
+  };
+  return { next, gaussian };
+}
+
+// Noise standard deviation giving the requested SNR in dB (signal = on/off swing)
+export function noiseForSNR(snrDb, lowLevel = CHANNEL_DEFAULTS.LOW_LEVEL, highLevel = CHANNEL_DEFAULTS.HIGH_LEVEL) {
+  return (highLevel - lowLevel) / Math.pow(10, snrDb / 20);
+}
+
+// Render chips or colors into timestamped brightness samples with the configured impairments
+export function simulateChannel(bits, options = {}) {
+  const config = {
+    lowLevel: options.lowLevel !== undefined ? options.lowLevel : CHANNEL_DEFAULTS.LOW_LEVEL,
+    highLevel: options.highLevel !== undefined ? options.highLevel : CHANNEL_DEFAULTS.HIGH_LEVEL,
+    ambient: options.ambient || CHANNEL_DEFAULTS.AMBIENT,
+    flickerAmplitude: options.flickerAmplitude || CHANNEL_DEFAULTS.FLICKER_AMPLITUDE,
+    flickerFrequency: options.flickerFrequency || CHANNEL_DEFAULTS.FLICKER_FREQUENCY,
+    noiseStdDev: options.noiseStdDev || CHANNEL_DEFAULTS.NOISE_STD_DEV,
+    dropoutRate: options.dropoutRate || CHANNEL_DEFAULTS.DROPOUT_RATE,
+    dropoutMs: options.dropoutMs || CHANNEL_DEFAULTS.DROPOUT_MS,
+    clockSkew: options.clockSkew || CHANNEL_DEFAULTS.CLOCK_SKEW,
+    sampleInterval: options.sampleInterval || CHANNEL_DEFAULTS.SAMPLE_INTERVAL,
+    jitterMs: options.jitterMs || CHANNEL_DEFAULTS.JITTER_MS,
+    idleMs: options.idleMs || CHANNEL_DEFAULTS.IDLE_MS,
+    symbolPeriod: options.symbolPeriod || PACKET_CONSTANTS.BIT_DURATION,
+  };
+  const random = createRandom(options.seed || CHANNEL_DEFAULTS.SEED);
+
+  // The transmitter's clock runs at its own rate
+  const chipDuration = config.symbolPeriod * (1 + config.clockSkew);
+  const transmitEnd = config.idleMs + bits.length * chipDuration;
+  const end = transmitEnd + config.idleMs;
+  const flickerPhase = random.next() * 2 * Math.PI;
+
+  // Occlusion bursts as a Poisson process over the whole trace
+  const dropouts = [];
+  if (config.dropoutRate > 0) {
+    let t = -Math.log(Math.max(random.next(), Number.EPSILON)) / config.dropoutRate * 1000;
+    while (t < end) {
+      dropouts.push([t, t + config.dropoutMs]);
+      t += config.dropoutMs - Math.log(Math.max(random.next(), Number.EPSILON)) / config.dropoutRate * 1000;
+    }
+  }
+
+  const samples = [];
+  let timestamp = 0;
+  while (timestamp < end) {
+    const chipIndex = Math.floor((timestamp - config.idleMs) / chipDuration);
+    const transmitting = timestamp >= config.idleMs && chipIndex < bits.length;
+    const occluded = dropouts.some(([from, to]) => timestamp >= from && timestamp < to);
+    const symbol = transmitting && !occluded ? bits[chipIndex] : '0';
+    const flicker = config.flickerAmplitude * Math.sin(2 * Math.PI * config.flickerFrequency * timestamp / 1000 + flickerPhase);
+    const render = (level) => {
+      const value = config.lowLevel + level * (config.highLevel - config.lowLevel) + config.ambient + flicker;
+      return Math.min(255, Math.max(0, value + config.noiseStdDev * random.gaussian()));
+    };
+
+    if (typeof symbol === 'object') {
+      const color = { r: render(symbol.r / 255), g: render(symbol.g / 255), b: render(symbol.b / 255) };
+      samples.push({ timestamp, brightness: calculateLuma(color.r, color.g, color.b), color });
+    } else {
+      samples.push({ timestamp, brightness: render(Number(symbol) === 1 ? 1 : 0) });
+    }
+
+    // Camera frames never arrive faster than 1ms apart
+    timestamp += Math.max(1, config.sampleInterval + config.jitterMs * random.gaussian());
+  }
+
+  return samples;
+}
+
+// Send data through encoder, channel and decoder; success means the payload came back intact.
+// codec names the compression codec the encoder picked (NONE when nothing was compressed).
+export function simulateTransfer(data, dataType, options = {}) {
+  const frames = encodeData(data, dataType, options.compression !== false, options.fec !== false);
+  const { codec } = compressData(serializePayload(data, dataType), options.compression !== false);
+  const lineCoding = options.lineCoding !== undefined ? options.lineCoding : LINE_CODINGS.MANCHESTER;
+  const modulation = options.modulation || MODULATIONS.OOK;
+  const bits = modulation === MODULATIONS.OOK ? framesToBits(frames, lineCoding) : framesToSymbols(frames, lineCoding, modulation);
+  const samples = simulateChannel(bits, options.channel);
+  const report = decodeTrace(samples, { timing: { symbolPeriod: options.channel && options.channel.symbolPeriod } });
+
+  const received = report.payloads.map(p => (typeof p.data === 'string' ? p.data : JSON.stringify(p.data)));
+  return {
+    success: received.includes(data),
+    framesSent: frames.length,
+    framesValid: report.metrics.validFrames,
+    framesFailed: report.metrics.failedFrames,
+    codec: getCodecName(codec),
+    bits: bits.length,
+    report
+  };
+}
@@ -32,17 +32,16 @@ export class CommandManager {
         }
       }
 
-      // Create the command object
-      const command = {
+      // Create the command object, signed with this device's identity key
+      const command = await DeviceManager.signEnvelope({
         type: commandType,
         senderId: deviceId,
         receiverId: targetDeviceId,
         payload: payload,
         timestamp: new Date(),
         nonce: await this.generateNonce(),
-        expiresAt: new Date(Date.now() + (5 * 60 * 1000)), // 5 minutes
-        signature: await this.signCommand(commandType, payload, deviceId, targetDeviceId)
-      };
+        expiresAt: new Date(Date.now() + (5 * 60 * 1000)) // 5 minutes
+      });
 
       // Store command locally for history
       await this.storeCommandLocally(command);
@@ -314,13 +313,6 @@ export class CommandManager {
     return Array.from(randomBytes, byte => byte.toString(16).padStart(2, '0')).join('');
   }
 
-  static async signCommand(type, payload, senderId, receiverId) {
-    // Simple signature for demo - in production use proper cryptographic signing
-    const message = `${type}:${senderId}:${receiverId}:${JSON.stringify(payload)}`;
-    const hash = await Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, message);
-    return hash;
-  }
-
   static createVCard(contact) {
     let vCard = 'BEGIN:VCARD\nVERSION:3.0\n';
 
@@ -579,14 +571,12 @@ export class CommandManager {
     // Check expiration
     if (new Date(command.expiresAt) < new Date()) return false;
 
-    // Verify signature (simplified for demo)
-    const expectedSignature = await this.signCommand(
-      command.type,
-      command.payload,
-      command.senderId,
-      command.receiverId
-    );
-    return command.signature === expectedSignature;
+    // Verify the signature against the sender's published identity key
+    const verification = await DeviceManager.verifyEnvelope(command);
+    if (!verification.valid) {
+      console.warn('Rejected command:', verification.message);
+    }
+    return verification.valid;
   }
 
   static async handleIncomingMessage(command) {
@@ -0,0 +1,387 @@
+// Compression codecs
+//
+// Codecs turn payload bytes into bytes and are identified on air by the CODEC
+// header byte (see packet.js). compress() runs every registered codec and keeps
+// the smallest result; payloads no codec shrinks go out as CODEC_IDS.NONE.
+// Every compressed stream starts with the original length as a varint.
+//
+//   LZ77:            LZSS tokens (flag byte per 8 tokens, literal byte or
+//                    12-bit distance + 4-bit length), hash-chain match finder
+//   HUFFMAN:         canonical Huffman codes over bytes, table sent in front
+//   JSON_DICTIONARY: LZ77 with a window primed with the keys and values of
+//                    command, backend and ARQ JSON payloads
+//
+// Further codecs can be added with registerCodec(); IDs are one byte.
+
+export const CODEC_IDS = {
+  NONE: 0,
+  LZ77: 1,
+  HUFFMAN: 2,
+  JSON_DICTIONARY: 3,
+};
+
+export const COMPRESSION_CONSTANTS = {
+  MIN_SIZE: 16,       // Payloads shorter than this are never compressed
+  LZ_WINDOW: 4096,    // Farthest match distance (12 bits)
+  LZ_MIN_MATCH: 3,
+  LZ_MAX_MATCH: 18,   // 4-bit length
+  LZ_HASH_BITS: 12,
+  LZ_MAX_CHAIN: 64,   // Candidates tried per position
+  HUFFMAN_MAX_CODE_LENGTH: 15,
+};
+
+// Varint: 7 bits per byte, least significant group first
+function writeVarint(out, value) {
+  while (value >= 0x80) {
+    out.push((value & 0x7F) | 0x80);
+    value = Math.floor(value / 128);
+  }
+  out.push(value);
+}
+
+// Returns [value, position after the varint]
+function readVarint(bytes, pos) {
+  let value = 0;
+  let scale = 1;
+  for (let i = 0; i < 5; i++) {
+    if (pos >= bytes.length) break;
+    const byte = bytes[pos++];
+    value += (byte & 0x7F) * scale;
+    if ((byte & 0x80) === 0) return [value, pos];
+    scale *= 128;
+  }
+  throw new Error('Invalid length prefix');
+}
+
+// Hash of the three bytes at pos
+function hash3(data, pos) {
+  const key = (data[pos] << 16) | (data[pos + 1] << 8) | data[pos + 2];
+  return Math.imul(key, 2654435761) >>> (32 - COMPRESSION_CONSTANTS.LZ_HASH_BITS);
+}
+
+// LZSS compression; a dictionary acts as history in front of the input
+export function lzCompress(input, dictionary = new Uint8Array(0)) {
+  const { LZ_WINDOW, LZ_MIN_MATCH, LZ_MAX_MATCH, LZ_HASH_BITS, LZ_MAX_CHAIN } = COMPRESSION_CONSTANTS;
+  const data = new Uint8Array(dictionary.length + input.length);
+  data.set(dictionary);
+  data.set(input, dictionary.length);
+
+  // Hash chains: head of each bucket and the previous position with the same hash
+  const head = new Int32Array(1 << LZ_HASH_BITS).fill(-1);
+  const prev = new Int32Array(data.length).fill(-1);
+  const insert = (pos) => {
+    if (pos + LZ_MIN_MATCH > data.length) return;
+    const h = hash3(data, pos);
+    prev[pos] = head[h];
+    head[h] = pos;
+  };
+  for (let i = 0; i < dictionary.length; i++) insert(i);
+
+  const out = [];
+  writeVarint(out, input.length);
+  let flagIndex = 0;
+  let flagBit = 8;
+  const startToken = (isMatch) => {
+    if (flagBit === 8) {
+      flagIndex = out.length;
+      out.push(0);
+      flagBit = 0;
+    }
+    if (isMatch) out[flagIndex] |= 1 << flagBit;
+    flagBit++;
+  };
+
+  let pos = dictionary.length;
+  while (pos < data.length) {
+    let bestLength = 0;
+    let bestDistance = 0;
+    if (pos + LZ_MIN_MATCH <= data.length) {
+      const maxLength = Math.min(LZ_MAX_MATCH, data.length - pos);
+      let candidate = head[hash3(data, pos)];
+      for (let chain = 0; candidate >= 0 && pos - candidate <= LZ_WINDOW && chain < LZ_MAX_CHAIN; chain++) {
+        let length = 0;
+        while (length < maxLength && data[candidate + length] === data[pos + length]) length++;
+        if (length > bestLength) {
+          bestLength = length;
+          bestDistance = pos - candidate;
+          if (length === maxLength) break;
+        }
+        candidate = prev[candidate];
+      }
+    }
+
+    if (bestLength >= LZ_MIN_MATCH) {
+      const distance = bestDistance - 1;
+      startToken(true);
+      out.push(distance >> 4, ((distance & 0xF) << 4) | (bestLength - LZ_MIN_MATCH));
+      for (let i = 0; i < bestLength; i++) insert(pos + i);
+      pos += bestLength;
+    } else {
+      startToken(false);
+      out.push(data[pos]);
+      insert(pos);
+      pos++;
+    }
+  }
+
+  return Uint8Array.from(out);
+}
+
+// LZSS decompression with the dictionary used to compress
+export function lzDecompress(bytes, dictionary = new Uint8Array(0)) {
+  const { LZ_MIN_MATCH, LZ_MAX_MATCH } = COMPRESSION_CONSTANTS;
+  let [length, pos] = readVarint(bytes, 0);
+  // A flag byte and eight matches are the best case
+  if (length > (bytes.length - pos) * (LZ_MAX_MATCH * 8 / 17) + LZ_MAX_MATCH * 8) {
+    throw new Error('LZ77 length prefix exceeds what the stream can hold');
+  }
+
+  const out = new Uint8Array(dictionary.length + length);
+  out.set(dictionary);
+  let o = dictionary.length;
+  while (o < out.length) {
+    if (pos >= bytes.length) throw new Error('Truncated LZ77 stream');
+    const flags = bytes[pos++];
+    for (let bit = 0; bit < 8 && o < out.length; bit++) {
+      if (flags & (1 << bit)) {
+        if (pos + 1 >= bytes.length) throw new Error('Truncated LZ77 stream');
+        const distance = ((bytes[pos] << 4) | (bytes[pos + 1] >> 4)) + 1;
+        const matchLength = (bytes[pos + 1] & 0xF) + LZ_MIN_MATCH;
+        pos += 2;
+        if (distance > o) throw new Error('LZ77 match before start of data');
+        for (let i = 0; i < matchLength && o < out.length; i++, o++) {
+          out[o] = out[o - distance];
+        }
+      } else {
+        if (pos >= bytes.length) throw new Error('Truncated LZ77 stream');
+        out[o++] = bytes[pos++];
+      }
+    }
+  }
+
+  return out.slice(dictionary.length);
+}
+
+// Huffman code lengths for byte counts, at most maxLength bits
+function huffmanCodeLengths(counts, maxLength) {
+  let weights = counts.slice();
+  for (;;) {
+    const lengths = new Array(256).fill(0);
+    let nodes = [];
+    weights.forEach((weight, symbol) => {
+      if (weight > 0) nodes.push({ weight, symbols: [symbol] });
+    });
+    if (nodes.length === 1) {
+      lengths[nodes[0].symbols[0]] = 1;
+      return lengths;
+    }
+
+    while (nodes.length > 1) {
+      nodes.sort((a, b) => a.weight - b.weight);
+      const [a, b] = nodes;
+      a.symbols.concat(b.symbols).forEach(symbol => lengths[symbol]++);
+      nodes = [{ weight: a.weight + b.weight, symbols: a.symbols.concat(b.symbols) }, ...nodes.slice(2)];
+    }
+
+    if (Math.max(...lengths) <= maxLength) return lengths;
+    // Flatten the distribution until the longest code fits
+    weights = weights.map(weight => (weight > 0 ? (weight >> 1) | 1 : 0));
+  }
+}
+
+// Canonical codes for code lengths: symbols ordered by length, then value
+function canonicalOrder(lengths) {
+  return lengths
+    .map((length, symbol) => ({ symbol, length }))
+    .filter(entry => entry.length > 0)
+    .sort((a, b) => a.length - b.length || a.symbol - b.symbol);
+}
+
+// Huffman compression: varint length, 32-byte symbol bitmap, a nibble of code
+// length per present symbol, then the codes most significant bit first
+export function huffmanCompress(input) {
+  const out = [];
+  writeVarint(out, input.length);
+  if (input.length === 0) return Uint8Array.from(out);
+
+  const counts = new Array(256).fill(0);
+  input.forEach(byte => counts[byte]++);
+  const lengths = huffmanCodeLengths(counts, COMPRESSION_CONSTANTS.HUFFMAN_MAX_CODE_LENGTH);
+
+  const bitmap = new Array(32).fill(0);
+  const nibbles = [];
+  lengths.forEach((length, symbol) => {
+    if (length > 0) {
+      bitmap[symbol >> 3] |= 0x80 >> (symbol & 7);
+      nibbles.push(length);
+    }
+  });
+  out.push(...bitmap);
+  for (let i = 0; i < nibbles.length; i += 2) {
+    out.push((nibbles[i] << 4) | (nibbles[i + 1] || 0));
+  }
+
+  const codes = new Array(256);
+  let code = 0;
+  let previousLength = 0;
+  canonicalOrder(lengths).forEach(({ symbol, length }) => {
+    code <<= length - previousLength;
+    codes[symbol] = code++;
+    previousLength = length;
+  });
+
+  let buffer = 0;
+  let bits = 0;
+  input.forEach(byte => {
+    buffer = (buffer << lengths[byte]) | codes[byte];
+    bits += lengths[byte];
+    while (bits >= 8) {
+      bits -= 8;
+      out.push((buffer >> bits) & 0xFF);
+    }
+    buffer &= (1 << bits) - 1;
+  });
+  if (bits > 0) out.push((buffer << (8 - bits)) & 0xFF);
+
+  return Uint8Array.from(out);
+}
+
+// Huffman decompression
+export function huffmanDecompress(bytes) {
+  const maxLength = COMPRESSION_CONSTANTS.HUFFMAN_MAX_CODE_LENGTH;
+  let [length, pos] = readVarint(bytes, 0);
+  if (length === 0) return new Uint8Array(0);
+  if (pos + 32 > bytes.length) throw new Error('Truncated Huffman table');
+
+  const present = [];
+  for (let symbol = 0; symbol < 256; symbol++) {
+    if (bytes[pos + (symbol >> 3)] & (0x80 >> (symbol & 7))) present.push(symbol);
+  }
+  pos += 32;
+  const tableBytes = Math.ceil(present.length / 2);
+  if (present.length === 0 || pos + tableBytes > bytes.length) throw new Error('Truncated Huffman table');
+
+  const lengths = new Array(256).fill(0);
+  present.forEach((symbol, i) => {
+    const byte = bytes[pos + (i >> 1)];
+    lengths[symbol] = i % 2 === 0 ? byte >> 4 : byte & 0xF;
+  });
+  pos += tableBytes;
+  if (length > (bytes.length - pos) * 8) throw new Error('Huffman length prefix exceeds what the stream can hold');
+
+  // Canonical decoding tables: first code and first symbol index per length
+  const order = canonicalOrder(lengths);
+  const countPerLength = new Array(maxLength + 1).fill(0);
+  order.forEach(entry => countPerLength[entry.length]++);
+  const firstCode = new Array(maxLength + 1).fill(0);
+  const firstIndex = new Array(maxLength + 1).fill(0);
+  let code = 0;
+  let index = 0;
+  for (let len = 1; len <= maxLength; len++) {
+    code = (code + countPerLength[len - 1]) << 1;
+    firstCode[len] = code;
+    firstIndex[len] = index;
+    index += countPerLength[len];
+  }
+
+  const out = new Uint8Array(length);
+  let bitPos = pos * 8;
+  for (let o = 0; o < length; o++) {
+    let value = 0;
+    let len = 0;
+    for (;;) {
+      if (bitPos >= bytes.length * 8 || len === maxLength) throw new Error('Invalid Huffman code');
+      value = (value << 1) | ((bytes[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+      bitPos++;
+      len++;
+      if (value - firstCode[len] < countPerLength[len]) {
+        out[o] = order[firstIndex[len] + value - firstCode[len]].symbol;
+        break;
+      }
+    }
+  }
+  return out;
+}
+
+// Strings common in JSON command, backend and ARQ payloads. The most frequent
+// ones come last, nearest to the data, where matches are cheapest to find.
+const JSON_DICTIONARY = new Uint8Array(Array.from([
+  '"vital_signs","medication_record","emergency_alert","asset_checkout","inventory_update","attendance_check",',
+  '"request_permission","grant_access","revoke_access","business_card","friend_request","game_invite","challenge",',
+  '"send_contact","send_location","send_file","send_message","send_voice","ping","status",',
+  '"audioUri":"","duration":,"size":,"checksum":"","messageId":"voice_',
+  '"cardId":"card_","format":"vCard","fileName":"","fileType":"","fileSize":,"chunk":',
+  '"assetId":"","assigneeId":"","action":"checkout","checkoutId":"checkout_',
+  '"eventId":"","attendeeInfo":{"name":""},"checkInTime":"","location":{"latitude":,"longitude":},"attendanceId":"attendance_","method":"vlc"',
+  '"gameType":"","gameSettings":{},"inviteId":"game_","requestId":"friend_","message":"',
+  '{"mode":"arq_ack","session":,"ackId":,"total":,"received":,"last":,"through":,"missing":[],"complete":false}',
+  '{"mode":"auth","token":"","deviceId":"","configId":"","mode":"config",',
+  '{"text":"","replyTo":null,"messageId":"msg_',
+  '{"mode":"command","signedCommand":{"type":"send_message","senderId":"device_","receiverId":"device_","payload":{',
+  '},"timestamp":"2025-01-01T00:00:00.000Z","nonce":"","expiresAt":"2025-01-01T00:05:00.000Z","signature":""},"timestamp":',
+  'true,false,null,"id":"","type":"","data":{"value":,"unit":"","readings":[{"sensor":"","value":,"timestamp":'
+].join('')).map(c => c.charCodeAt(0)));
+
+const codecs = new Map();
+
+// Add a codec: { id, name, compress(bytes) -> bytes, decompress(bytes) -> bytes }
+export function registerCodec(codec) {
+  if (!Number.isInteger(codec.id) || codec.id < 0 || codec.id > 0xFF) {
+    throw new Error(`Invalid codec ID: ${codec.id}`);
+  }
+  codecs.set(codec.id, codec);
+}
+
+// Registered codec by ID, or null
+export function getCodec(id) {
+  return codecs.get(id) || null;
+}
+
+// Every registered codec, NONE first
+export function getCodecs() {
+  return Array.from(codecs.values());
+}
+
+// Get codec name from its ID
+export function getCodecName(id) {
+  const codec = codecs.get(id);
+  return codec ? codec.name : 'UNKNOWN';
+}
+
+registerCodec({ id: CODEC_IDS.NONE, name: 'NONE', compress: bytes => bytes, decompress: bytes => bytes });
+registerCodec({ id: CODEC_IDS.LZ77, name: 'LZ77', compress: bytes => lzCompress(bytes), decompress: bytes => lzDecompress(bytes) });
+registerCodec({ id: CODEC_IDS.HUFFMAN, name: 'HUFFMAN', compress: huffmanCompress, decompress: huffmanDecompress });
+registerCodec({
+  id: CODEC_IDS.JSON_DICTIONARY,
+  name: 'JSON_DICTIONARY',
+  compress: bytes => lzCompress(bytes, JSON_DICTIONARY),
+  decompress: bytes => lzDecompress(bytes, JSON_DICTIONARY)
+});
+
+// Compress with every codec (or the given IDs) and keep the smallest result,
+// returns { codec, data }; codec is NONE when nothing beats the input
+export function compress(bytes, codecIds = null) {
+  let best = { codec: CODEC_IDS.NONE, data: bytes };
+  const candidates = codecIds ? codecIds.map(getCodec).filter(Boolean) : getCodecs();
+  candidates.forEach(codec => {
+    if (codec.id === CODEC_IDS.NONE) return;
+    try {
+      const data = codec.compress(bytes);
+      if (data.length < best.data.length) {
+        best = { codec: codec.id, data };
+      }
+    } catch (error) {
+      console.warn(`${codec.name} compression failed:`, error);
+    }
+  });
+  return best;
+}
+
+// Decompress with the codec named in the frame header
+export function decompress(bytes, codecId) {
+  const codec = getCodec(codecId);
+  if (!codec) {
+    throw new Error(`Unknown compression codec: ${codecId}`);
+  }
+  return codec.decompress(bytes);
+}
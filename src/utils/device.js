@@ -4,7 +4,11 @@ import * as Crypto from 'expo-crypto';
 import { getApp } from 'firebase/app';
 import { getFirestore, doc, setDoc, getDoc, updateDoc, collection, query, where, getDocs } from 'firebase/firestore';
 import { initializeApp } from 'firebase/app';
+import { getAuth, signInWithCustomToken } from 'firebase/auth';
 import { DeviceProfile } from '../types';
+import { generateSigningKeyPair, getSigningKeyId, formatFingerprint, signEnvelope, verifyEnvelope } from './signing.js';
+import { bytesToBase64, base64ToBytes } from './packet.js';
+import { ApiClient } from './apiClient.js';
 
 // Firebase configuration - should match backend
 const firebaseConfig = {
@@ -20,7 +24,7 @@ const firebaseConfig = {
 let app;
 let db;
 
-const getFirebaseApp = () => {
+export const getFirebaseApp = () => {
   if (!app) {
     app = initializeApp(firebaseConfig);
   }
@@ -57,9 +61,22 @@ const generateShortDeviceId = async () => {
   }
 };
 
+export class DeviceAuthError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'DeviceAuthError';
+    this.code = code;
+  }
+}
+
 export class DeviceManager {
+  static backendUrl = 'http://localhost:3000';
+  static deviceTokens = new Map();                     // backendUrl -> { token, expiresAt }
+  static DEVICE_TOKEN_RENEW_MS = 60 * 1000;            // Log in again this long before the token expires
   static DEVICE_ID_KEY = 'device_id';
   static DEVICE_REGISTERED_KEY = 'device_registered';
+  static IDENTITY_KEY_KEY = 'identity_signing_key';     // SecureStore, private key included
+  static IDENTITY_KEY_CACHE_KEY = 'identity_key_cache';  // Other devices' published keys, for offline checks
 
   // Generate or retrieve persistent device ID
   static async getDeviceId() {
@@ -90,40 +107,76 @@ export class DeviceManager {
     }
   }
 
-  // Register device in Firestore
-  static async registerDevice() {
-    try {
-      const deviceId = await this.getDeviceId();
-      const db = getFirestoreDB();
+  // Backend used for registration and device logins
+  static setBackendUrl(url) {
+    this.backendUrl = url;
+  }
 
-      // Check if already registered
-      const deviceRef = doc(db, 'devices', deviceId);
-      const deviceDoc = await getDoc(deviceRef);
+  // Register this device and its identity key with the backend
+  static async registerDevice(backendUrl = this.backendUrl) {
+    const identityKey = await this.getIdentityKey();
+    const registered = await this.publishIdentityKey(identityKey, await this.getRevokedKeys(), backendUrl);
+    if (registered) {
+      await AsyncStorage.setItem(this.DEVICE_REGISTERED_KEY, 'true');
+      // Log in right away, which also signs Firestore access in as this device
+      await this.getDeviceToken(backendUrl).catch(error => {
+        console.warn('Device login failed:', error.message);
+      });
+    }
+    return registered;
+  }
 
-      if (deviceDoc.exists()) {
-        console.log('Device already registered:', deviceId);
-        await AsyncStorage.setItem(this.DEVICE_REGISTERED_KEY, 'true');
-        return true;
-      }
+  // Device token for the backend routes that need one; logs in with the
+  // identity key (registering first if the backend does not know this
+  // device) when there is no token or it is about to expire
+  static async getDeviceToken(backendUrl = this.backendUrl) {
+    const cached = this.deviceTokens.get(backendUrl);
+    if (cached && cached.expiresAt - Date.now() > this.DEVICE_TOKEN_RENEW_MS) {
+      return cached.token;
+    }
 
-      // Register new device
-      const deviceData = {
-        deviceId,
-        registeredAt: new Date(),
-        lastSeen: new Date(),
-        status: 'active',
-        platform: 'react-native'
-      };
+    const deviceId = await this.getDeviceId();
+    const client = new ApiClient(backendUrl);
+    let challenge = await client.createDeviceChallenge({ deviceId });
+    if (!challenge.success && challenge.code === 'DEVICE_NOT_REGISTERED' &&
+      await this.publishIdentityKey(await this.getIdentityKey(), await this.getRevokedKeys(), backendUrl)) {
+      challenge = await client.createDeviceChallenge({ deviceId });
+    }
+    if (!challenge.success) {
+      throw new DeviceAuthError(challenge.message, challenge.code);
+    }
 
-      await setDoc(deviceRef, deviceData);
-      await AsyncStorage.setItem(this.DEVICE_REGISTERED_KEY, 'true');
+    const login = await client.loginDevice(await this.signEnvelope({
+      type: 'DEVICE_LOGIN',
+      deviceId,
+      challenge: challenge.challenge
+    }));
+    if (!login.success) {
+      throw new DeviceAuthError(login.message, login.code);
+    }
 
-      console.log('Device registered successfully:', deviceId);
-      return true;
-    } catch (error) {
-      console.error('Error registering device:', error);
-      return false;
+    this.deviceTokens.set(backendUrl, { token: login.token, expiresAt: login.expiresAt });
+
+    // firestore.rules only let a device at its own documents once it is
+    // signed in with the custom token the backend returns
+    if (login.firebaseToken) {
+      try {
+        await signInWithCustomToken(getAuth(getFirebaseApp()), login.firebaseToken);
+      } catch (error) {
+        console.warn('Firebase sign-in failed:', error.message);
+      }
     }
+    return login.token;
+  }
+
+  // Authorization header of this device's token
+  static async getAuthHeaders(backendUrl = this.backendUrl) {
+    return { Authorization: `Bearer ${await this.getDeviceToken(backendUrl)}` };
+  }
+
+  // Backend client that logs in as this device where a route needs it
+  static apiClient(backendUrl = this.backendUrl) {
+    return new ApiClient(backendUrl, { authenticate: () => this.getAuthHeaders(backendUrl) });
   }
 
   // Check if device is registered
@@ -174,6 +227,8 @@ export class DeviceManager {
           lastSeen: data.lastSeen?.toDate() || new Date(),
           capabilities: data.capabilities || [],
           metadata: data.metadata || {},
+          identityKey: data.identityKey || null,
+          revokedKeys: data.revokedKeys || [],
           createdAt: data.createdAt?.toDate() || new Date(),
           updatedAt: data.updatedAt?.toDate() || new Date()
         };
@@ -236,12 +291,188 @@ export class DeviceManager {
     return await this.updateDeviceProfile({ category });
   }
 
-  // Set trust level
-  static async setTrustLevel(trustLevel) {
+  // Set a device's trust level; firestore.rules only let admins do it
+  static async setTrustLevel(deviceId, trustLevel) {
     if (!['basic', 'trusted', 'admin'].includes(trustLevel)) {
       throw new Error('Invalid trust level');
     }
-    return await this.updateDeviceProfile({ trustLevel });
+    try {
+      await updateDoc(doc(getFirestoreDB(), 'device_profiles', deviceId), {
+        trustLevel,
+        updatedAt: new Date()
+      });
+      return true;
+    } catch (error) {
+      console.error('Error setting trust level:', error);
+      return false;
+    }
+  }
+
+  // This device's Ed25519 identity key pair, created and published on first use
+  static async getIdentityKey() {
+    const stored = await SecureStore.getItemAsync(this.IDENTITY_KEY_KEY);
+    if (stored) {
+      const identityKey = JSON.parse(stored);
+      return {
+        ...identityKey,
+        privateKey: base64ToBytes(identityKey.privateKey),
+        publicKey: base64ToBytes(identityKey.publicKey)
+      };
+    }
+
+    const identityKey = await this.createIdentityKey();
+    await this.publishIdentityKey(identityKey, await this.getRevokedKeys());
+    return identityKey;
+  }
+
+  // Generate and store a new identity key pair, replacing the current one
+  static async createIdentityKey() {
+    const keyPair = generateSigningKeyPair(new Uint8Array(await Crypto.getRandomBytesAsync(32)));
+    const identityKey = {
+      ...keyPair,
+      keyId: getSigningKeyId(keyPair.publicKey),
+      createdAt: Date.now()
+    };
+
+    await SecureStore.setItemAsync(this.IDENTITY_KEY_KEY, JSON.stringify({
+      ...identityKey,
+      privateKey: bytesToBase64(keyPair.privateKey),
+      publicKey: bytesToBase64(keyPair.publicKey)
+    }));
+    return identityKey;
+  }
+
+  // Publish the public key and revocation list through the backend's
+  // registration, signed with the key itself. Replacing the registered key
+  // takes headers logging in with the old one.
+  static async publishIdentityKey(identityKey, revokedKeys, backendUrl = this.backendUrl, headers = {}) {
+    try {
+      const deviceId = await this.getDeviceId();
+      const registration = signEnvelope({
+        type: 'DEVICE_REGISTRATION',
+        deviceId,
+        publicKey: bytesToBase64(identityKey.publicKey),
+        profile: { platform: 'react-native' },
+        revokedKeys,
+        issuedAt: Date.now()
+      }, identityKey.privateKey, identityKey.publicKey);
+
+      const result = await new ApiClient(backendUrl).registerDevice(registration, { headers });
+      if (!result.success) {
+        console.error('Identity key not registered:', result.code, result.message);
+      }
+      return result.success;
+    } catch (error) {
+      console.error('Error publishing identity key:', error);
+      return false;
+    }
+  }
+
+  // Replace the identity key; the old one goes on the revocation list, so
+  // commands signed with it are refused from now on. The backend only takes
+  // the new key from a session opened with the old one.
+  static async rotateIdentityKey(reason = 'rotated') {
+    const previous = await this.getIdentityKey();
+    const revokedKeys = [
+      ...(await this.getRevokedKeys()),
+      { keyId: previous.keyId, revokedAt: Date.now(), reason }
+    ];
+    const headers = await this.getAuthHeaders().catch(error => {
+      console.warn('Rotating the identity key without a device session:', error.message);
+      return {};
+    });
+
+    const identityKey = await this.createIdentityKey();
+    this.deviceTokens.clear(); // Tokens of the old key stop working
+    const published = await this.publishIdentityKey(identityKey, revokedKeys, this.backendUrl, headers);
+    return { success: published, keyId: identityKey.keyId, fingerprint: formatFingerprint(identityKey.keyId) };
+  }
+
+  // Put a key ID on this device's revocation list; revoking the current key rotates it
+  static async revokeIdentityKey(keyId, reason = 'compromised') {
+    const identityKey = await this.getIdentityKey();
+    if (keyId === identityKey.keyId) {
+      return await this.rotateIdentityKey(reason);
+    }
+
+    const revokedKeys = await this.getRevokedKeys();
+    if (!revokedKeys.some(entry => entry.keyId === keyId)) {
+      revokedKeys.push({ keyId, revokedAt: Date.now(), reason });
+    }
+    const published = await this.publishIdentityKey(identityKey, revokedKeys);
+    return { success: published, keyId: identityKey.keyId, fingerprint: formatFingerprint(identityKey.keyId) };
+  }
+
+  // Revocation list of a device (this one by default)
+  static async getRevokedKeys(deviceId = null) {
+    try {
+      const targetDeviceId = deviceId || await this.getDeviceId();
+      const profileDoc = await getDoc(doc(getFirestoreDB(), 'device_profiles', targetDeviceId));
+      return profileDoc.exists() ? profileDoc.data().revokedKeys || [] : [];
+    } catch (error) {
+      console.error('Error getting revoked keys:', error);
+      return [];
+    }
+  }
+
+  // Published identity key of a device: { publicKey, keyId, fingerprint,
+  // revokedKeys }, or null. The last one fetched is kept for offline use.
+  static async getPublicIdentityKey(deviceId) {
+    const cached = JSON.parse(await AsyncStorage.getItem(this.IDENTITY_KEY_CACHE_KEY) || '{}');
+    let published = cached[deviceId] || null;
+
+    try {
+      const profileDoc = await getDoc(doc(getFirestoreDB(), 'device_profiles', deviceId));
+      const data = profileDoc.exists() ? profileDoc.data() : null;
+      if (data && data.identityKey) {
+        published = { ...data.identityKey, revokedKeys: data.revokedKeys || [] };
+        cached[deviceId] = published;
+        await AsyncStorage.setItem(this.IDENTITY_KEY_CACHE_KEY, JSON.stringify(cached));
+      }
+    } catch (error) {
+      console.warn('Could not fetch identity key, using cached one:', error.message);
+    }
+
+    if (!published) return null;
+    return {
+      publicKey: base64ToBytes(published.publicKey),
+      keyId: published.keyId,
+      fingerprint: formatFingerprint(published.keyId),
+      revokedKeys: published.revokedKeys
+    };
+  }
+
+  // Fingerprint of a device's identity key (this one by default), null if it has none
+  static async getIdentityFingerprint(deviceId = null) {
+    if (!deviceId) {
+      return formatFingerprint((await this.getIdentityKey()).keyId);
+    }
+    const published = await this.getPublicIdentityKey(deviceId);
+    return published ? published.fingerprint : null;
+  }
+
+  // Sign fields (a command) with this device's identity key
+  static async signEnvelope(fields) {
+    const identityKey = await this.getIdentityKey();
+    return signEnvelope(fields, identityKey.privateKey, identityKey.publicKey);
+  }
+
+  // Check an envelope against its sender's published key, returns { valid, message }
+  static async verifyEnvelope(envelope) {
+    const published = await this.getPublicIdentityKey(envelope.senderId);
+    if (!published) {
+      return { valid: false, message: 'Sender has no published identity key' };
+    }
+    if (published.revokedKeys.some(entry => entry.keyId === envelope.keyId)) {
+      return { valid: false, message: 'Signed with a revoked key' };
+    }
+    if (envelope.keyId !== published.keyId) {
+      return { valid: false, message: 'Signed with an unknown key' };
+    }
+    if (!verifyEnvelope(envelope, published.publicKey)) {
+      return { valid: false, message: 'Invalid signature' };
+    }
+    return { valid: true };
   }
 
   // Detect device capabilities
@@ -294,7 +525,7 @@ export class DeviceManager {
     }
   }
 
-  // Get trusted devices
+  // Get trusted devices; only admins set trustLevel, so devices cannot list themselves
   static async getTrustedDevices() {
     try {
       const db = getFirestoreDB();
@@ -1,5 +1,6 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getFirestore, doc, setDoc, getDoc, updateDoc, collection, query, where, getDocs, orderBy, limit, onSnapshot, writeBatch } from 'firebase/firestore';
+import { getAuth } from 'firebase/auth';
 import { getFirebaseApp } from './device.js';
 import { DeviceManager } from './device.js';
 import { CommandManager } from './command.js';
@@ -9,14 +10,27 @@ export class EnterpriseManager {
   static ASSETS_STORAGE_KEY = 'assets_cache';
   static ATTENDANCE_STORAGE_KEY = 'attendance_records';
 
+  // Organization of this device, from the `orgId` claim an admin sets on it;
+  // firestore.rules share the records below only within an organization
+  static async getOrgId() {
+    const user = getAuth(getFirebaseApp()).currentUser;
+    const orgId = user && (await user.getIdTokenResult()).claims.orgId;
+    if (!orgId) {
+      throw new Error('This device does not belong to an organization');
+    }
+    return orgId;
+  }
+
   // Asset Management
   static async registerAsset(assetData) {
     try {
+      const orgId = await this.getOrgId();
       const db = getFirestore(getFirebaseApp());
       const assetId = `asset_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
       const asset = {
         id: assetId,
+        orgId,
         name: assetData.name,
         type: assetData.type,
         location: assetData.location,
@@ -33,6 +47,7 @@ export class EnterpriseManager {
       // Log asset creation
       await setDoc(doc(collection(db, 'asset_logs')), {
         assetId,
+        orgId,
         action: 'created',
         details: assetData,
         timestamp: new Date(),
@@ -76,6 +91,7 @@ export class EnterpriseManager {
       // Log checkout
       await setDoc(doc(collection(db, 'asset_logs')), {
         assetId,
+        orgId: asset.orgId,
         action: 'checked_out',
         assigneeId,
         notes,
@@ -127,6 +143,7 @@ export class EnterpriseManager {
       // Log checkin
       await setDoc(doc(collection(db, 'asset_logs')), {
         assetId,
+        orgId: asset.orgId,
         action: 'checked_in',
         previousAssignee: asset.assignedTo,
         notes,
@@ -159,9 +176,10 @@ export class EnterpriseManager {
 
   static async getAssetsByLocation(location) {
     try {
+      const orgId = await this.getOrgId();
       const db = getFirestore(getFirebaseApp());
       const assetsRef = collection(db, 'assets');
-      const q = query(assetsRef, where('location', '==', location));
+      const q = query(assetsRef, where('orgId', '==', orgId), where('location', '==', location));
 
       const querySnapshot = await getDocs(q);
       const assets = [];
@@ -179,9 +197,10 @@ export class EnterpriseManager {
 
   static async getAssetsByAssignee(assigneeId) {
     try {
+      const orgId = await this.getOrgId();
       const db = getFirestore(getFirebaseApp());
       const assetsRef = collection(db, 'assets');
-      const q = query(assetsRef, where('assignedTo', '==', assigneeId));
+      const q = query(assetsRef, where('orgId', '==', orgId), where('assignedTo', '==', assigneeId));
 
       const querySnapshot = await getDocs(q);
       const assets = [];
@@ -210,6 +229,7 @@ export class EnterpriseManager {
       // Log location update
       await setDoc(doc(collection(db, 'asset_logs')), {
         assetId,
+        orgId: await this.getOrgId(),
         action: 'location_updated',
         oldLocation: (await this.getAssetById(assetId)).location,
         newLocation,
@@ -252,6 +272,7 @@ export class EnterpriseManager {
       // Log inventory change
       await setDoc(doc(collection(db, 'inventory_logs')), {
         itemId,
+        orgId: item.orgId,
         action: 'quantity_updated',
         quantityChange,
         newQuantity,
@@ -269,9 +290,10 @@ export class EnterpriseManager {
 
   static async getLowStockItems(threshold = 10) {
     try {
+      const orgId = await this.getOrgId();
       const db = getFirestore(getFirebaseApp());
       const itemsRef = collection(db, 'inventory_items');
-      const q = query(itemsRef, where('quantity', '<=', threshold));
+      const q = query(itemsRef, where('orgId', '==', orgId), where('quantity', '<=', threshold));
 
       const querySnapshot = await getDocs(q);
       const items = [];
@@ -300,6 +322,7 @@ export class EnterpriseManager {
 
       const attendance = {
         id: attendanceId,
+        orgId: await this.getOrgId(),
         eventId,
         attendeeId: attendeeInfo.id,
         attendeeInfo,
@@ -313,18 +336,23 @@ export class EnterpriseManager {
 
       await setDoc(doc(db, 'attendance_records', attendanceId), attendance);
 
-      // Update event attendance count
-      const eventRef = doc(db, 'events', eventId);
-      const eventDoc = await getDoc(eventRef);
+      // Update event attendance count; best effort, since firestore.rules
+      // keep `events` as the backend's append-only log
+      try {
+        const eventRef = doc(db, 'events', eventId);
+        const eventDoc = await getDoc(eventRef);
 
-      if (eventDoc.exists()) {
-        const event = eventDoc.data();
-        const attendanceCount = (event.attendanceCount || 0) + 1;
+        if (eventDoc.exists()) {
+          const event = eventDoc.data();
+          const attendanceCount = (event.attendanceCount || 0) + 1;
 
-        await updateDoc(eventRef, {
-          attendanceCount,
-          lastAttendanceUpdate: new Date()
-        });
+          await updateDoc(eventRef, {
+            attendanceCount,
+            lastAttendanceUpdate: new Date()
+          });
+        }
+      } catch (error) {
+        console.warn('Could not update event attendance count:', error.message);
       }
 
       return attendance;
@@ -336,9 +364,10 @@ export class EnterpriseManager {
 
   static async getAttendanceForEvent(eventId) {
     try {
+      const orgId = await this.getOrgId();
       const db = getFirestore(getFirebaseApp());
       const attendanceRef = collection(db, 'attendance_records');
-      const q = query(attendanceRef, where('eventId', '==', eventId));
+      const q = query(attendanceRef, where('orgId', '==', orgId), where('eventId', '==', eventId));
 
       const querySnapshot = await getDocs(q);
       const records = [];
@@ -356,10 +385,12 @@ export class EnterpriseManager {
 
   static async checkOutAttendee(eventId, attendeeId) {
     try {
+      const orgId = await this.getOrgId();
       const db = getFirestore(getFirebaseApp());
       const attendanceRef = collection(db, 'attendance_records');
       const q = query(
         attendanceRef,
+        where('orgId', '==', orgId),
         where('eventId', '==', eventId),
         where('attendeeId', '==', attendeeId),
         where('checkOutTime', '==', null)
@@ -388,10 +419,12 @@ export class EnterpriseManager {
       const deviceId = await DeviceManager.getDeviceId();
       const db = getFirestore(getFirebaseApp());
 
+      const orgId = await this.getOrgId();
       const accessId = `access_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
       const access = {
         id: accessId,
+        orgId,
         userId,
         resourceId,
         permissions,
@@ -406,6 +439,7 @@ export class EnterpriseManager {
       // Log access grant
       await setDoc(doc(collection(db, 'access_logs')), {
         accessId,
+        orgId,
         action: 'granted',
         userId,
         resourceId,
@@ -438,6 +472,7 @@ export class EnterpriseManager {
       // Log access revocation
       await setDoc(doc(collection(db, 'access_logs')), {
         accessId,
+        orgId: await this.getOrgId(),
         action: 'revoked',
         reason,
         timestamp: new Date(),
@@ -453,10 +488,12 @@ export class EnterpriseManager {
 
   static async checkAccess(userId, resourceId, requiredPermission) {
     try {
+      const orgId = await this.getOrgId();
       const db = getFirestore(getFirebaseApp());
       const accessRef = collection(db, 'access_permissions');
       const q = query(
         accessRef,
+        where('orgId', '==', orgId),
         where('userId', '==', userId),
         where('resourceId', '==', resourceId),
         where('status', '==', 'active')
@@ -496,6 +533,7 @@ export class EnterpriseManager {
 
       const timeEntry = {
         id: trackingId,
+        orgId: await this.getOrgId(),
         employeeId,
         projectId,
         task,
@@ -544,9 +582,11 @@ export class EnterpriseManager {
 
   static async getTimeEntriesForEmployee(employeeId, dateRange = null) {
     try {
+      const orgId = await this.getOrgId();
       const db = getFirestore(getFirebaseApp());
       let q = query(
         collection(db, 'time_entries'),
+        where('orgId', '==', orgId),
         where('employeeId', '==', employeeId)
       );
 
@@ -581,6 +621,7 @@ export class EnterpriseManager {
         itemId,
         ...checkData,
         performedBy: deviceId,
+        orgId: await this.getOrgId(),
         timestamp: new Date(),
         status: checkData.passed ? 'passed' : 'failed'
       };
@@ -604,10 +645,12 @@ export class EnterpriseManager {
 
   static async getQualityChecksForItem(itemId, limit = 10) {
     try {
+      const orgId = await this.getOrgId();
       const db = getFirestore(getFirebaseApp());
       const checksRef = collection(db, 'quality_checks');
       const q = query(
         checksRef,
+        where('orgId', '==', orgId),
         where('itemId', '==', itemId),
         orderBy('timestamp', 'desc'),
         limit(limit)
@@ -640,7 +683,8 @@ export class EnterpriseManager {
         patientId,
         timestamp: new Date(),
         recordedBy: deviceId,
-        ...vitalSigns
+        ...vitalSigns,
+        orgId: await this.getOrgId()
       };
 
       await setDoc(doc(db, 'vital_signs', recordId), vitalsRecord);
@@ -678,6 +722,7 @@ export class EnterpriseManager {
         patientId,
         ...medicationData,
         administeredBy: deviceId,
+        orgId: await this.getOrgId(),
         timestamp: new Date(),
         verified: true
       };
@@ -707,10 +752,12 @@ export class EnterpriseManager {
 
   static async getPatientVitalSigns(patientId, limit = 20) {
     try {
+      const orgId = await this.getOrgId();
       const db = getFirestore(getFirebaseApp());
       const vitalsRef = collection(db, 'vital_signs');
       const q = query(
         vitalsRef,
+        where('orgId', '==', orgId),
         where('patientId', '==', patientId),
         orderBy('timestamp', 'desc'),
         limit(limit)
@@ -743,6 +790,7 @@ export class EnterpriseManager {
         alertType,
         details,
         triggeredBy: deviceId,
+        orgId: await this.getOrgId(),
         timestamp: new Date(),
         status: 'active',
         priority: 'critical'
@@ -780,6 +828,7 @@ export class EnterpriseManager {
   // Bulk operations
   static async bulkUpdateInventory(updates) {
     try {
+      const orgId = await this.getOrgId();
       const db = getFirestore(getFirebaseApp());
       const batch = writeBatch(db);
 
@@ -794,6 +843,7 @@ export class EnterpriseManager {
         const logRef = doc(collection(db, 'inventory_logs'));
         batch.set(logRef, {
           itemId: update.itemId,
+          orgId,
           action: 'bulk_update',
           quantityChange: update.quantityChange,
           newQuantity: update.newQuantity,
@@ -863,12 +913,13 @@ export class EnterpriseManager {
   }
 
   // Real-time subscriptions
-  static subscribeToAssetUpdates(callback) {
+  // Subscriptions take the organization from getOrgId()
+  static subscribeToAssetUpdates(orgId, callback) {
     try {
       const db = getFirestore(getFirebaseApp());
       const assetsRef = collection(db, 'assets');
 
-      return onSnapshot(assetsRef, (snapshot) => {
+      return onSnapshot(query(assetsRef, where('orgId', '==', orgId)), (snapshot) => {
         const changes = [];
         snapshot.docChanges().forEach((change) => {
           changes.push({
@@ -884,11 +935,11 @@ export class EnterpriseManager {
     }
   }
 
-  static subscribeToAttendanceUpdates(eventId, callback) {
+  static subscribeToAttendanceUpdates(orgId, eventId, callback) {
     try {
       const db = getFirestore(getFirebaseApp());
       const attendanceRef = collection(db, 'attendance_records');
-      const q = query(attendanceRef, where('eventId', '==', eventId));
+      const q = query(attendanceRef, where('orgId', '==', orgId), where('eventId', '==', eventId));
 
       return onSnapshot(q, (snapshot) => {
         const changes = [];
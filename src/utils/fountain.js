@@ -0,0 +1,252 @@
+import { createPacket, toBytes, PACKET_CONSTANTS } from './packet.js';
+import { createRandom } from './channelSimulator.js';
+
+// Rateless (LT) fountain coding for one-to-many broadcasts
+//
+// The payload is prefixed with its length, zero padded and split into K
+// source blocks (K travels in the TOTAL header field). The transmitter loops
+// over an endless stream of encoded symbols; each is the XOR of a few source
+// blocks, picked from the symbol ID (the SEQUENCE field) and transfer ID with
+// a robust soliton degree distribution, so receivers rebuild the neighbour
+// sets without them being sent. Symbols 0..K-1 are the source blocks
+// themselves (systematic), so a receiver present from the start needs
+// nothing else. Any K or a few more symbols let a receiver finish, no matter
+// when it joined or which frames it missed: it peels degree-one symbols and
+// falls back to Gaussian elimination when peeling stalls.
+
+export const FOUNTAIN_CONSTANTS = {
+  LENGTH_PREFIX_SIZE: 4, // Big-endian payload length ahead of the source data
+  ROBUST_C: 0.1,         // Robust soliton tuning, expected ripple size
+  ROBUST_DELTA: 0.5,     // Robust soliton tuning, failure probability bound
+  MAX_SYMBOL_ID: 0xFFFF, // Symbol IDs wrap around the SEQUENCE field
+};
+
+const distributions = new Map(); // Cumulative degree distribution per K
+
+// Cumulative robust soliton distribution over degrees 1..k
+export function robustSoliton(k) {
+  if (distributions.has(k)) return distributions.get(k);
+
+  const r = FOUNTAIN_CONSTANTS.ROBUST_C * Math.log(k / FOUNTAIN_CONSTANTS.ROBUST_DELTA) * Math.sqrt(k);
+  const spike = Math.max(1, Math.min(k, Math.round(k / r)));
+  const weights = [];
+  for (let d = 1; d <= k; d++) {
+    const rho = d === 1 ? 1 / k : 1 / (d * (d - 1));
+    let tau = 0;
+    if (d < spike) {
+      tau = r / (d * k);
+    } else if (d === spike) {
+      tau = r * Math.log(r / FOUNTAIN_CONSTANTS.ROBUST_DELTA) / k;
+    }
+    weights.push(rho + Math.max(0, tau));
+  }
+
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let cumulative = 0;
+  const cdf = weights.map(w => (cumulative += w / total));
+  distributions.set(k, cdf);
+  return cdf;
+}
+
+// Source blocks XORed into a symbol, derived from the symbol and transfer IDs
+export function getSymbolNeighbors(symbolId, k, transferId) {
+  if (symbolId < k) return [symbolId];
+
+  const random = createRandom(((transferId << 16) | symbolId) >>> 0);
+  const cdf = robustSoliton(k);
+  const u = random.next();
+  let degree = cdf.findIndex(p => u <= p) + 1;
+  if (degree === 0) degree = k;
+
+  const neighbors = new Set();
+  while (neighbors.size < degree) {
+    neighbors.add(Math.floor(random.next() * k));
+  }
+  return Array.from(neighbors).sort((a, b) => a - b);
+}
+
+// XOR one block into another in place
+function xorInto(target, source) {
+  for (let i = 0; i < target.length; i++) {
+    target[i] ^= source[i];
+  }
+}
+
+// Generates encoded symbols of one payload as binary frames, forever
+export class FountainEncoder {
+  constructor(payload, options = {}) {
+    const bytes = toBytes(payload);
+    const prefixSize = FOUNTAIN_CONSTANTS.LENGTH_PREFIX_SIZE;
+    const minBlocks = options.minBlocks || 1;
+    this.blockSize = Math.max(1, Math.min(
+      options.blockSize || PACKET_CONSTANTS.MAX_CHUNK_SIZE,
+      Math.ceil((bytes.length + prefixSize) / minBlocks)
+    ));
+    this.k = Math.ceil((bytes.length + prefixSize) / this.blockSize);
+    if (this.k > FOUNTAIN_CONSTANTS.MAX_SYMBOL_ID) {
+      throw new Error(`Payload too large for a fountain transfer: ${bytes.length} bytes`);
+    }
+
+    const source = new Uint8Array(this.k * this.blockSize);
+    new DataView(source.buffer).setUint32(0, bytes.length);
+    source.set(bytes, prefixSize);
+    this.blocks = Array.from({ length: this.k }, (_, i) => source.subarray(i * this.blockSize, (i + 1) * this.blockSize));
+
+    this.dataType = options.dataType;
+    this.flags = options.flags || 0;
+    this.codec = options.codec;
+    this.cipher = options.cipher || null; // Symbols are sealed one frame at a time
+    this.transferId = options.transferId || 0;
+    this.nextSymbolId = 0;
+  }
+
+  // Payload of an encoded symbol
+  encodeSymbol(symbolId) {
+    const symbol = new Uint8Array(this.blockSize);
+    getSymbolNeighbors(symbolId, this.k, this.transferId).forEach(i => xorInto(symbol, this.blocks[i]));
+    return symbol;
+  }
+
+  // Frame carrying the next symbol of the stream
+  nextFrame() {
+    const symbolId = this.nextSymbolId;
+    this.nextSymbolId = (this.nextSymbolId + 1) & FOUNTAIN_CONSTANTS.MAX_SYMBOL_ID;
+    return createPacket(this.dataType, this.encodeSymbol(symbolId), this.flags, {
+      sequence: symbolId,
+      total: this.k,
+      transferId: this.transferId,
+      codec: this.codec,
+      cipher: this.cipher
+    });
+  }
+
+  // The next count frames of the stream
+  nextFrames(count = this.k) {
+    return Array.from({ length: count }, () => this.nextFrame());
+  }
+}
+
+// Accumulates encoded symbols of one transfer until the source blocks are recovered
+export class FountainDecoder {
+  constructor(k, blockSize, transferId) {
+    this.k = k;
+    this.blockSize = blockSize;
+    this.transferId = transferId;
+    this.blocks = new Array(k).fill(null);
+    this.recovered = 0;
+    this.pending = []; // { neighbors: Set, data } still covering more than one unknown block
+    this.seen = new Set();
+    this.received = 0;
+    this.complete = false;
+  }
+
+  // Add one encoded symbol, returns true once every source block is known
+  addSymbol(symbolId, payload) {
+    if (this.complete) return true;
+    if (payload.length !== this.blockSize || this.seen.has(symbolId)) return false;
+    this.seen.add(symbolId);
+    this.received++;
+
+    const data = Uint8Array.from(payload);
+    const neighbors = new Set();
+    for (const i of getSymbolNeighbors(symbolId, this.k, this.transferId)) {
+      if (this.blocks[i]) {
+        xorInto(data, this.blocks[i]);
+      } else {
+        neighbors.add(i);
+      }
+    }
+    if (neighbors.size === 0) return false; // Nothing new
+
+    this.pending.push({ neighbors, data });
+    this.peel();
+
+    // Peeling stalls now and then; elimination finishes once enough symbols are in
+    if (!this.complete && this.pending.length >= this.k - this.recovered) {
+      this.solve();
+    }
+    return this.complete;
+  }
+
+  // Recover blocks from degree-one symbols and substitute them everywhere
+  peel() {
+    let ripple = this.pending.filter(symbol => symbol.neighbors.size === 1);
+    while (ripple.length > 0) {
+      for (const symbol of ripple) {
+        const [index] = symbol.neighbors;
+        if (!this.blocks[index]) this.recoverBlock(index, symbol.data);
+      }
+
+      const next = [];
+      this.pending = this.pending.filter(symbol => {
+        for (const index of symbol.neighbors) {
+          if (this.blocks[index]) {
+            xorInto(symbol.data, this.blocks[index]);
+            symbol.neighbors.delete(index);
+          }
+        }
+        if (symbol.neighbors.size === 1) next.push(symbol);
+        return symbol.neighbors.size > 1;
+      });
+      ripple = next;
+    }
+  }
+
+  // Gaussian elimination over GF(2) on the symbols peeling could not resolve
+  solve() {
+    const unknown = [];
+    this.blocks.forEach((block, i) => {
+      if (!block) unknown.push(i);
+    });
+    const column = new Map(unknown.map((index, col) => [index, col]));
+    const rows = this.pending.map(symbol => {
+      const coefficients = new Uint8Array(unknown.length);
+      symbol.neighbors.forEach(index => { coefficients[column.get(index)] = 1; });
+      return { coefficients, data: Uint8Array.from(symbol.data) };
+    });
+
+    for (let col = 0; col < unknown.length; col++) {
+      const pivot = rows.findIndex((row, r) => r >= col && row.coefficients[col] === 1);
+      if (pivot === -1) return; // Not enough independent symbols yet
+      [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+      rows.forEach((row, r) => {
+        if (r !== col && row.coefficients[col] === 1) {
+          xorInto(row.coefficients, rows[col].coefficients);
+          xorInto(row.data, rows[col].data);
+        }
+      });
+    }
+
+    unknown.forEach((index, col) => this.recoverBlock(index, rows[col].data));
+    this.pending = [];
+  }
+
+  // Store a recovered source block
+  recoverBlock(index, data) {
+    this.blocks[index] = Uint8Array.from(data);
+    this.recovered++;
+    this.complete = this.recovered === this.k;
+  }
+
+  // Original payload bytes, or null until complete
+  getPayload() {
+    if (!this.complete) return null;
+    const source = new Uint8Array(this.k * this.blockSize);
+    this.blocks.forEach((block, i) => source.set(block, i * this.blockSize));
+    const length = new DataView(source.buffer).getUint32(0);
+    const prefixSize = FOUNTAIN_CONSTANTS.LENGTH_PREFIX_SIZE;
+    return source.slice(prefixSize, prefixSize + length);
+  }
+
+  // Symbols needed (at least K) vs received, and source blocks recovered so far
+  getProgress() {
+    return {
+      transferId: this.transferId,
+      needed: this.k,
+      received: this.received,
+      recovered: this.recovered,
+      complete: this.complete
+    };
+  }
+}
@@ -0,0 +1,252 @@
+import jpeg from 'jpeg-js';
+import { calculateLuma } from './luma.js';
+
+// Camera frame analysis
+//
+// Frames are plain { width, height, data, channels } pixel buffers (RGBA by
+// default, 1 = grayscale, 3 = RGB), so everything below runs on decoded
+// camera captures and on static image fixtures alike. Regions of interest are
+// normalized to the frame ({ x, y, width, height } in 0..1), which keeps them
+// valid when the capture resolution changes.
+
+export const FRAME_ANALYSIS_DEFAULTS = {
+  GRID_SIZE: 8,          // Cells per side when searching for the transmitter
+  PIXEL_STEP: 2,         // Sample every Nth pixel in both directions
+  LOCATE_FRAMES: 20,     // Frames of history needed before locating
+  MIN_CONTRAST: 30,      // Luma swing a cell needs to count as blinking
+  REGION_THRESHOLD: 0.5, // Neighbours blinking at least this fraction as strongly join the region
+};
+
+export const FULL_FRAME = { x: 0, y: 0, width: 1, height: 1 };
+
+// Decode JPEG bytes into an RGBA frame
+export function decodeJpeg(bytes) {
+  const image = jpeg.decode(bytes, { useTArray: true, formatAsRGBA: true });
+  return { width: image.width, height: image.height, data: image.data, channels: 4 };
+}
+
+// Decode a base64 JPEG (as returned by takePictureAsync) into an RGBA frame
+export function decodeJpegBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return decodeJpeg(bytes);
+}
+
+// Luma of the pixel at (x, y)
+export function pixelLuma(frame, x, y) {
+  const channels = frame.channels || 4;
+  const i = (y * frame.width + x) * channels;
+  if (channels < 3) return frame.data[i];
+  return calculateLuma(frame.data[i], frame.data[i + 1], frame.data[i + 2]);
+}
+
+// Pixel bounds of a normalized region, always at least one pixel
+export function regionToPixels(frame, roi = FULL_FRAME) {
+  const x0 = Math.min(frame.width - 1, Math.max(0, Math.floor(roi.x * frame.width)));
+  const y0 = Math.min(frame.height - 1, Math.max(0, Math.floor(roi.y * frame.height)));
+  const x1 = Math.min(frame.width, Math.max(x0 + 1, Math.ceil((roi.x + roi.width) * frame.width)));
+  const y1 = Math.min(frame.height, Math.max(y0 + 1, Math.ceil((roi.y + roi.height) * frame.height)));
+  return { x0, y0, x1, y1 };
+}
+
+// Mean luma over a region of interest
+export function meanLuma(frame, roi = FULL_FRAME, step = 1) {
+  const { x0, y0, x1, y1 } = regionToPixels(frame, roi);
+  let sum = 0;
+  let count = 0;
+  for (let y = y0; y < y1; y += step) {
+    for (let x = x0; x < x1; x += step) {
+      sum += pixelLuma(frame, x, y);
+      count++;
+    }
+  }
+  return count > 0 ? sum / count : 0;
+}
+
+// Mean color over a region of interest, for multi-level (color) demodulation
+export function meanColor(frame, roi = FULL_FRAME, step = 1) {
+  const channels = frame.channels || 4;
+  const { x0, y0, x1, y1 } = regionToPixels(frame, roi);
+  const sum = { r: 0, g: 0, b: 0 };
+  let count = 0;
+  for (let y = y0; y < y1; y += step) {
+    for (let x = x0; x < x1; x += step) {
+      const i = (y * frame.width + x) * channels;
+      const gray = channels < 3;
+      sum.r += frame.data[i];
+      sum.g += frame.data[gray ? i : i + 1];
+      sum.b += frame.data[gray ? i : i + 2];
+      count++;
+    }
+  }
+  return count > 0 ? { r: sum.r / count, g: sum.g / count, b: sum.b / count } : { r: 0, g: 0, b: 0 };
+}
+
+// Mean luma and color over a region of interest
+export function sampleRegion(frame, roi = FULL_FRAME, step = 1) {
+  const color = meanColor(frame, roi, step);
+  return { brightness: calculateLuma(color.r, color.g, color.b), color };
+}
+
+// Mean luma of every cell in a gridSize x gridSize grid, row by row
+export function gridLuma(frame, gridSize = FRAME_ANALYSIS_DEFAULTS.GRID_SIZE, step = 1) {
+  const cells = new Array(gridSize * gridSize);
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      cells[row * gridSize + col] = meanLuma(frame, cellRegion(row, col, gridSize), step);
+    }
+  }
+  return cells;
+}
+
+// Normalized region of one grid cell
+export function cellRegion(row, col, gridSize = FRAME_ANALYSIS_DEFAULTS.GRID_SIZE) {
+  return { x: col / gridSize, y: row / gridSize, width: 1 / gridSize, height: 1 / gridSize };
+}
+
+// Mean luma of a cell-aligned region, from one frame's grid lumas
+export function gridRegionLuma(cells, region, gridSize = FRAME_ANALYSIS_DEFAULTS.GRID_SIZE) {
+  const top = Math.round(region.y * gridSize);
+  const left = Math.round(region.x * gridSize);
+  const bottom = Math.round((region.y + region.height) * gridSize);
+  const right = Math.round((region.x + region.width) * gridSize);
+  let sum = 0;
+  for (let row = top; row < bottom; row++) {
+    for (let col = left; col < right; col++) {
+      sum += cells[row * gridSize + col];
+    }
+  }
+  return sum / ((bottom - top) * (right - left));
+}
+
+// Find the brightest blinking region from a history of grid lumas.
+// Cells are scored by their luma swing over time; the strongest cell and the
+// adjacent cells blinking nearly as strongly form the region. Ties go to the
+// brighter cell. Returns the region with its off/on luma levels, or null when
+// nothing blinks by at least minContrast.
+export function locateBlinkingRegion(history, gridSize = FRAME_ANALYSIS_DEFAULTS.GRID_SIZE, minContrast = FRAME_ANALYSIS_DEFAULTS.MIN_CONTRAST) {
+  if (history.length < 2) return null;
+
+  const cellCount = gridSize * gridSize;
+  const swing = new Array(cellCount).fill(0);
+  const mean = new Array(cellCount).fill(0);
+  for (let cell = 0; cell < cellCount; cell++) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const cells of history) {
+      min = Math.min(min, cells[cell]);
+      max = Math.max(max, cells[cell]);
+      mean[cell] += cells[cell] / history.length;
+    }
+    swing[cell] = max - min;
+  }
+
+  let best = 0;
+  for (let cell = 1; cell < cellCount; cell++) {
+    if (swing[cell] > swing[best] || (swing[cell] === swing[best] && mean[cell] > mean[best])) {
+      best = cell;
+    }
+  }
+  if (swing[best] < minContrast) return null;
+
+  // Grow a bounding box over the neighbouring cells that blink along
+  const bestRow = Math.floor(best / gridSize);
+  const bestCol = best % gridSize;
+  let top = bestRow;
+  let bottom = bestRow;
+  let left = bestCol;
+  let right = bestCol;
+  for (let row = Math.max(0, bestRow - 1); row <= Math.min(gridSize - 1, bestRow + 1); row++) {
+    for (let col = Math.max(0, bestCol - 1); col <= Math.min(gridSize - 1, bestCol + 1); col++) {
+      if (swing[row * gridSize + col] >= swing[best] * FRAME_ANALYSIS_DEFAULTS.REGION_THRESHOLD) {
+        top = Math.min(top, row);
+        bottom = Math.max(bottom, row);
+        left = Math.min(left, col);
+        right = Math.max(right, col);
+      }
+    }
+  }
+
+  const region = {
+    x: left / gridSize,
+    y: top / gridSize,
+    width: (right - left + 1) / gridSize,
+    height: (bottom - top + 1) / gridSize
+  };
+
+  // Off and on levels of the whole region, so the receiver can re-threshold on it
+  const levels = history.map(cells => gridRegionLuma(cells, region, gridSize));
+
+  return {
+    ...region,
+    contrast: swing[best],
+    low: Math.min(...levels),
+    high: Math.max(...levels)
+  };
+}
+
+// Turns frames into one brightness sample each, over a fixed or auto-located region
+export class FrameAnalyzer {
+  constructor(options = {}) {
+    this.gridSize = options.gridSize || FRAME_ANALYSIS_DEFAULTS.GRID_SIZE;
+    this.step = options.step || FRAME_ANALYSIS_DEFAULTS.PIXEL_STEP;
+    this.locateFrames = options.locateFrames || FRAME_ANALYSIS_DEFAULTS.LOCATE_FRAMES;
+    this.minContrast = options.minContrast || FRAME_ANALYSIS_DEFAULTS.MIN_CONTRAST;
+    this.autoLocate = options.autoLocate !== false;
+    this.fixedRegion = options.roi || null;
+    this.onRegionLocated = options.onRegionLocated || null;
+    this.reset();
+  }
+
+  // Forget the located region and its history
+  reset() {
+    this.region = this.fixedRegion;
+    this.history = [];
+  }
+
+  // Use a fixed region (null to go back to the full frame / auto-locating)
+  setRegion(roi) {
+    this.fixedRegion = roi;
+    this.reset();
+  }
+
+  // Mean luma of a frame over the current region. Until a blinking region has
+  // been located the whole frame is used.
+  analyze(frame) {
+    return this.sample(frame).brightness;
+  }
+
+  // Mean luma and color of a frame over the current region
+  sample(frame) {
+    if (!this.region && this.autoLocate) {
+      this.history.push(gridLuma(frame, this.gridSize, this.step));
+      if (this.history.length > this.locateFrames) {
+        this.history.shift();
+      }
+      if (this.history.length === this.locateFrames) {
+        const located = locateBlinkingRegion(this.history, this.gridSize, this.minContrast);
+        if (located) {
+          this.region = located;
+          console.log('Transmitter located at', located);
+          if (this.onRegionLocated) {
+            this.onRegionLocated(located);
+          }
+        }
+      }
+    }
+    return sampleRegion(frame, this.region || FULL_FRAME, this.step);
+  }
+
+  // Analyze a base64 JPEG capture
+  analyzeBase64(base64) {
+    return this.analyze(decodeJpegBase64(base64));
+  }
+
+  // Sample a base64 JPEG capture
+  sampleBase64(base64) {
+    return this.sample(decodeJpegBase64(base64));
+  }
+}
@@ -0,0 +1,249 @@
+import { pixelLuma } from './frameAnalysis.js';
+
+// Spatial multiplexing layout
+//
+// In grid mode the screen is divided into a lattice of (cols + 2) x (rows + 2)
+// units. The inner cols x rows units are data cells, each flashing its own
+// bit stream; the four corner units are fiducials that stay white for the
+// whole transfer and the rest of the border stays black. The receiver finds
+// the fiducials, maps screen coordinates onto the camera image with a
+// homography (undoing perspective) and samples every cell in every frame.
+//
+// Screen coordinates are normalized ({ x, y } in 0..1 across the screen),
+// image coordinates are pixels.
+
+export const GRID_DEFAULTS = {
+  ROWS: 4,
+  COLS: 4,
+  PIXEL_STEP: 2,     // Sample every Nth pixel while locating fiducials
+  LOCATE_FRAMES: 20, // Frames of history needed before locating
+  MIN_CONTRAST: 30,  // Luma swing (twice the standard deviation) a pixel needs to count as blinking
+  CELL_PATCH: 0.5,   // Fraction of each cell (centred) that is averaged
+  LEAD_IN_CHIPS: 40, // Alternating chips every cell shows first, while the receiver locates the grid
+};
+
+// Normalized screen rectangles of the fiducials and data cells
+export function getGridLayout(rows = GRID_DEFAULTS.ROWS, cols = GRID_DEFAULTS.COLS) {
+  const unitsX = cols + 2;
+  const unitsY = rows + 2;
+  const unit = (x, y) => ({ x: x / unitsX, y: y / unitsY, width: 1 / unitsX, height: 1 / unitsY });
+
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      cells.push({ row, col, ...unit(col + 1, row + 1) });
+    }
+  }
+
+  return {
+    rows,
+    cols,
+    // Top-left, top-right, bottom-left, bottom-right
+    fiducials: [unit(0, 0), unit(unitsX - 1, 0), unit(0, unitsY - 1), unit(unitsX - 1, unitsY - 1)],
+    cells
+  };
+}
+
+// Centre of a normalized rectangle
+export function rectCentre(rect) {
+  return { x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 };
+}
+
+// Homography mapping four source points onto four destination points
+// (3x3 matrix, row-major, h[8] = 1), or null for degenerate points
+export function computeHomography(src, dst) {
+  // Two equations per correspondence, unknowns h0..h7
+  const a = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = src[i];
+    const { x: u, y: v } = dst[i];
+    a.push([x, y, 1, 0, 0, 0, -u * x, -u * y, u]);
+    a.push([0, 0, 0, x, y, 1, -v * x, -v * y, v]);
+  }
+
+  // Gaussian elimination with partial pivoting
+  for (let col = 0; col < 8; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < 8; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    if (Math.abs(a[pivot][col]) < 1e-12) return null;
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = 0; row < 8; row++) {
+      if (row === col) continue;
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k < 9; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+    }
+  }
+
+  return [...a.map((row, i) => row[8] / row[i]), 1];
+}
+
+// Map a point through a homography
+export function applyHomography(h, point) {
+  const w = h[6] * point.x + h[7] * point.y + h[8];
+  return {
+    x: (h[0] * point.x + h[1] * point.y + h[2]) / w,
+    y: (h[3] * point.x + h[4] * point.y + h[5]) / w
+  };
+}
+
+// Find the four fiducials from per-pixel luma statistics over a history of
+// frames. Data cells blink, so their bounding box gives the data area; the
+// fiducials are the pixels just outside it that stayed bright and steady.
+// Standard deviations rather than extremes keep sensor noise from looking
+// like blinking. Returns pixel centres (top-left, top-right, bottom-left,
+// bottom-right) or null.
+export function locateFiducials(stats, rows = GRID_DEFAULTS.ROWS, cols = GRID_DEFAULTS.COLS, minContrast = GRID_DEFAULTS.MIN_CONTRAST) {
+  const { points, sum, sumSquares, frames } = stats;
+  const mean = sum.map(s => s / frames);
+  const swing = sumSquares.map((s, i) => 2 * Math.sqrt(Math.max(0, s / frames - mean[i] * mean[i])));
+
+  // Data area: everything that blinks
+  let left = Infinity;
+  let right = -Infinity;
+  let top = Infinity;
+  let bottom = -Infinity;
+  points.forEach((p, i) => {
+    if (swing[i] >= minContrast) {
+      left = Math.min(left, p.x);
+      right = Math.max(right, p.x);
+      top = Math.min(top, p.y);
+      bottom = Math.max(bottom, p.y);
+    }
+  });
+  if (left >= right || top >= bottom) return null;
+
+  // Fiducials sit one unit beyond the data area's corners
+  const unitX = (right - left) / cols;
+  const unitY = (bottom - top) / rows;
+  const search = {
+    left: left - unitX * 1.5,
+    right: right + unitX * 1.5,
+    top: top - unitY * 1.5,
+    bottom: bottom + unitY * 1.5
+  };
+  const midX = (left + right) / 2;
+  const midY = (top + bottom) / 2;
+
+  // Always-bright: steady, and brighter than halfway between the darkest and
+  // brightest means (reduce rather than spreading, frames have far more
+  // points than a call allows arguments)
+  const darkest = mean.reduce((a, b) => Math.min(a, b), Infinity);
+  const brightest = mean.reduce((a, b) => Math.max(a, b), -Infinity);
+  const level = (darkest + brightest) / 2;
+
+  const sums = [0, 1, 2, 3].map(() => ({ x: 0, y: 0, count: 0 }));
+  points.forEach((p, i) => {
+    const inData = p.x >= left && p.x <= right && p.y >= top && p.y <= bottom;
+    const inSearch = p.x >= search.left && p.x <= search.right && p.y >= search.top && p.y <= search.bottom;
+    if (inData || !inSearch || mean[i] <= level || swing[i] >= minContrast) return;
+
+    const quadrant = (p.y < midY ? 0 : 2) + (p.x < midX ? 0 : 1);
+    sums[quadrant].x += p.x;
+    sums[quadrant].y += p.y;
+    sums[quadrant].count++;
+  });
+
+  if (sums.some(s => s.count === 0)) return null;
+  return sums.map(s => ({ x: s.x / s.count, y: s.y / s.count }));
+}
+
+// Mean luma of every data cell in a frame, sampled through the screen-to-image homography
+export function sampleGridCells(frame, homography, layout, patch = GRID_DEFAULTS.CELL_PATCH) {
+  const offsets = [-patch / 3, 0, patch / 3];
+  return layout.cells.map(cell => {
+    const centre = rectCentre(cell);
+    let sum = 0;
+    let count = 0;
+    for (const dy of offsets) {
+      for (const dx of offsets) {
+        const p = applyHomography(homography, { x: centre.x + dx * cell.width, y: centre.y + dy * cell.height });
+        const x = Math.round(p.x);
+        const y = Math.round(p.y);
+        if (x < 0 || y < 0 || x >= frame.width || y >= frame.height) continue;
+        sum += pixelLuma(frame, x, y);
+        count++;
+      }
+    }
+    return count > 0 ? sum / count : 0;
+  });
+}
+
+// Turns camera frames into one luma sample per data cell. Until the
+// fiducials have been located no samples are produced.
+export class GridFrameSampler {
+  constructor(options = {}) {
+    this.rows = options.rows || GRID_DEFAULTS.ROWS;
+    this.cols = options.cols || GRID_DEFAULTS.COLS;
+    this.step = options.step || GRID_DEFAULTS.PIXEL_STEP;
+    this.locateFrames = options.locateFrames || GRID_DEFAULTS.LOCATE_FRAMES;
+    this.minContrast = options.minContrast || GRID_DEFAULTS.MIN_CONTRAST;
+    this.onGridLocated = options.onGridLocated || null;
+    this.layout = getGridLayout(this.rows, this.cols);
+    this.reset();
+  }
+
+  // Forget the located grid and its history
+  reset() {
+    this.homography = null;
+    this.corners = null;
+    this.stats = null;
+  }
+
+  // Track per-pixel luma statistics on a coarse lattice
+  accumulate(frame) {
+    if (!this.stats || this.stats.width !== frame.width || this.stats.height !== frame.height) {
+      const points = [];
+      for (let y = 0; y < frame.height; y += this.step) {
+        for (let x = 0; x < frame.width; x += this.step) {
+          points.push({ x, y });
+        }
+      }
+      this.stats = {
+        width: frame.width,
+        height: frame.height,
+        points,
+        sum: new Array(points.length).fill(0),
+        sumSquares: new Array(points.length).fill(0),
+        frames: 0
+      };
+    }
+
+    const { points, sum, sumSquares } = this.stats;
+    points.forEach((p, i) => {
+      const luma = pixelLuma(frame, p.x, p.y);
+      sum[i] += luma;
+      sumSquares[i] += luma * luma;
+    });
+    this.stats.frames++;
+  }
+
+  // Cell lumas for a frame (row by row), or null while the grid is still being located
+  sample(frame) {
+    if (!this.homography) {
+      this.accumulate(frame);
+      if (this.stats.frames < this.locateFrames) return null;
+
+      const corners = locateFiducials(this.stats, this.rows, this.cols, this.minContrast);
+      const homography = corners && computeHomography(this.layout.fiducials.map(rectCentre), corners);
+      if (!homography) {
+        this.stats = null; // Start a fresh history
+        return null;
+      }
+
+      this.corners = corners;
+      this.homography = homography;
+      this.stats = null;
+      console.log('Grid located at', corners);
+      if (this.onGridLocated) {
+        this.onGridLocated(corners);
+      }
+    }
+
+    return sampleGridCells(frame, this.homography, this.layout);
+  }
+}
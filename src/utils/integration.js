@@ -146,7 +146,13 @@ export class IntegrationManager {
     try {
       const db = getFirestore(getFirebaseApp());
       const tokensRef = collection(db, 'api_tokens');
-      const q = query(tokensRef, where('token', '==', token), where('active', '==', true));
+      // Scoped to this device's tokens, the only ones firestore.rules let it read
+      const q = query(
+        tokensRef,
+        where('deviceId', '==', await DeviceManager.getDeviceId()),
+        where('token', '==', token),
+        where('active', '==', true)
+      );
 
       const querySnapshot = await getDocs(q);
 
@@ -179,7 +185,7 @@ export class IntegrationManager {
     try {
       const db = getFirestore(getFirebaseApp());
       const tokensRef = collection(db, 'api_tokens');
-      const q = query(tokensRef, where('token', '==', token));
+      const q = query(tokensRef, where('deviceId', '==', await DeviceManager.getDeviceId()), where('token', '==', token));
 
       const querySnapshot = await getDocs(q);
 
@@ -212,9 +218,11 @@ export class IntegrationManager {
       const windowStart = now - (60 * 1000); // 1 minute window
 
       const db = getFirestore(getFirebaseApp());
+      const deviceId = await DeviceManager.getDeviceId();
       const rateLimitRef = collection(db, 'rate_limits');
       const q = query(
         rateLimitRef,
+        where('deviceId', '==', deviceId),
         where('endpointId', '==', endpointId),
         where('timestamp', '>=', new Date(windowStart))
       );
@@ -228,6 +236,7 @@ export class IntegrationManager {
 
       // Log this request
       await setDoc(doc(collection(db, 'rate_limits')), {
+        deviceId,
         endpointId,
         timestamp: new Date(),
         ipAddress: null // Would be set by server
@@ -0,0 +1,151 @@
+import CryptoJS from 'crypto-js';
+import { hkdf, toWordArray, fromWordArray } from './aead.js';
+import { bytesToBase64 } from './packet.js';
+
+// X25519 key agreement for pairing (RFC 7748)
+//
+// The initiator flashes a commitment to its ephemeral public key (SHA-256 of
+// the key) along with its pairing token; the responder answers with its own
+// key, by light or through the backend, and the initiator only then reveals
+// the key it committed to. Both sides derive the same pairing secret and a
+// short authentication string (SAS) from the shared point and the transcript
+// (device IDs and both public keys). Public keys travel in the clear, so the
+// users compare the SAS shown on both screens before the secret is kept: a
+// substituted key gives a different SAS on each side. The commitment (as in
+// ZRTP) fixes both keys before either side can compute a SAS, so a man in the
+// middle cannot try keys until the six digits match and gets a single
+// one-in-a-million guess per handshake.
+
+export const KEY_AGREEMENT_CONSTANTS = {
+  KEY_SIZE: 32,
+  SAS_DIGITS: 6,
+  COMMITMENT_SIZE: 32,
+  HKDF_SALT: 'vlc-key-agreement-v1',
+};
+
+const P = (1n << 255n) - 19n;
+const A24 = 121665n;
+const BASE_POINT = Uint8Array.from({ length: 32 }, (_, i) => (i === 0 ? 9 : 0));
+
+function mod(value) {
+  const r = value % P;
+  return r < 0n ? r + P : r;
+}
+
+function modPow(base, exponent) {
+  let result = 1n;
+  base = mod(base);
+  while (exponent > 0n) {
+    if (exponent & 1n) result = mod(result * base);
+    base = mod(base * base);
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+function decodeLittleEndian(bytes) {
+  let value = 0n;
+  for (let i = bytes.length - 1; i >= 0; i--) value = (value << 8n) | BigInt(bytes[i]);
+  return value;
+}
+
+function encodeLittleEndian(value) {
+  const bytes = new Uint8Array(32);
+  for (let i = 0; i < 32; i++) {
+    bytes[i] = Number(value & 0xFFn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+// Scalar multiplication on Curve25519 (Montgomery ladder), u-coordinates as 32 bytes
+export function x25519(scalar, u) {
+  const k = Uint8Array.from(scalar);
+  k[0] &= 248;
+  k[31] &= 127;
+  k[31] |= 64;
+  const kValue = decodeLittleEndian(k);
+  const x1 = mod(decodeLittleEndian(u) & ((1n << 255n) - 1n));
+
+  let x2 = 1n, z2 = 0n, x3 = x1, z3 = 1n;
+  let swap = 0n;
+  for (let t = 254n; t >= 0n; t--) {
+    const bit = (kValue >> t) & 1n;
+    if (swap ^ bit) {
+      [x2, x3] = [x3, x2];
+      [z2, z3] = [z3, z2];
+    }
+    swap = bit;
+
+    const a = mod(x2 + z2);
+    const aa = mod(a * a);
+    const b = mod(x2 - z2);
+    const bb = mod(b * b);
+    const e = mod(aa - bb);
+    const c = mod(x3 + z3);
+    const d = mod(x3 - z3);
+    const da = mod(d * a);
+    const cb = mod(c * b);
+    x3 = mod((da + cb) * (da + cb));
+    z3 = mod(x1 * mod((da - cb) * (da - cb)));
+    x2 = mod(aa * bb);
+    z2 = mod(e * (aa + A24 * e));
+  }
+  if (swap) {
+    [x2, x3] = [x3, x2];
+    [z2, z3] = [z3, z2];
+  }
+
+  return encodeLittleEndian(mod(x2 * modPow(z2, P - 2n)));
+}
+
+// Key pair from 32 random bytes (the private key)
+export function generateKeyPair(randomBytes) {
+  if (randomBytes.length !== KEY_AGREEMENT_CONSTANTS.KEY_SIZE) {
+    throw new Error(`X25519 private keys are ${KEY_AGREEMENT_CONSTANTS.KEY_SIZE} bytes, got ${randomBytes.length}`);
+  }
+  const privateKey = Uint8Array.from(randomBytes);
+  return { privateKey, publicKey: x25519(privateKey, BASE_POINT) };
+}
+
+// Six digits shown as two groups of three
+export function formatSas(value) {
+  const digits = String(value).padStart(KEY_AGREEMENT_CONSTANTS.SAS_DIGITS, '0');
+  return `${digits.slice(0, 3)} ${digits.slice(3)}`;
+}
+
+// Commitment to a public key, flashed before the key itself
+export function keyCommitment(publicKey) {
+  return fromWordArray(CryptoJS.SHA256(toWordArray(publicKey)));
+}
+
+// Whether a revealed public key is the one committed to
+export function matchesKeyCommitment(commitment, publicKey) {
+  const expected = keyCommitment(publicKey);
+  if (commitment.length !== expected.length) return false;
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) difference |= commitment[i] ^ expected[i];
+  return difference === 0;
+}
+
+// Pairing secret and SAS for one side of a handshake. The transcript is
+// { initiatorId, responderId, initiatorKey, responderKey } and must be the
+// same on both sides; throws on a public key that yields no shared secret.
+export function deriveSharedKeys(privateKey, peerPublicKey, transcript) {
+  const shared = x25519(privateKey, peerPublicKey);
+  if (shared.every(byte => byte === 0)) {
+    throw new Error('Invalid peer public key');
+  }
+
+  const context = [
+    transcript.initiatorId,
+    transcript.responderId,
+    bytesToBase64(transcript.initiatorKey),
+    bytesToBase64(transcript.responderKey)
+  ].join(':');
+  const secret = hkdf(shared, KEY_AGREEMENT_CONSTANTS.HKDF_SALT, `pairing-secret:${context}`, KEY_AGREEMENT_CONSTANTS.KEY_SIZE);
+  const sasBytes = hkdf(shared, KEY_AGREEMENT_CONSTANTS.HKDF_SALT, `sas:${context}`, 4);
+  const sasValue = new DataView(sasBytes.buffer).getUint32(0) % 10 ** KEY_AGREEMENT_CONSTANTS.SAS_DIGITS;
+
+  return { secret, sas: formatSas(sasValue) };
+}
@@ -0,0 +1,194 @@
+// Line coding for the optical channel
+//
+// Frame bytes are expanded to bits, line coded into "chips" (the on/off states
+// actually flashed) and bit stuffed so that neither delimiter can appear
+// inside a frame:
+//
+// START | LINE_CODE | BODY | END
+//
+// START: 8 chips (11111111), never stuffed
+// LINE_CODE: 8 chips, coding ID in the high nibble and its complement in the low nibble
+// BODY: line-coded frame bits
+// END: 8 chips (00000000), never stuffed
+//
+// LINE_CODE and BODY are stuffed together: after MAX_RUN_LENGTH identical chips
+// the opposite chip is inserted, so runs of 8 (a fake START or END) cannot occur
+// and the slicer never sees long stretches without a transition. A chip error
+// that creates or breaks such a run shifts the rest of the frame, which FEC
+// cannot repair; Manchester never has runs long enough to be stuffed, so it is
+// the most robust choice on noisy links.
+
+export const LINE_CODINGS = {
+  NRZ: 0,          // 1 chip per bit, no DC balance beyond stuffing
+  MANCHESTER: 1,   // 2 chips per bit (IEEE 802.3: 0 = 10, 1 = 01), DC balanced
+  FOUR_B_FIVE_B: 2 // 5 chips per 4 bits, at most 3 zeros in a row
+};
+
+export const LINE_CODING_CONSTANTS = {
+  MAX_RUN_LENGTH: 7,
+  LINE_CODE_BITS: 8,
+};
+
+// 4B5B data symbols (FDDI / 100BASE-TX table)
+const FOUR_B_FIVE_B_ENCODE = [
+  '11110', '01001', '10100', '10101', '01010', '01011', '01110', '01111',
+  '10010', '10011', '10110', '10111', '11010', '11011', '11100', '11101'
+];
+
+const FOUR_B_FIVE_B_DECODE = new Map(FOUR_B_FIVE_B_ENCODE.map((symbol, nibble) => [symbol, nibble]));
+
+// Get line coding name from its ID
+export function getLineCodingName(coding) {
+  for (const [name, id] of Object.entries(LINE_CODINGS)) {
+    if (id === coding) return name;
+  }
+  return 'UNKNOWN';
+}
+
+// Chips needed to carry the given number of bits
+export function getChipCount(bitCount, coding) {
+  switch (coding) {
+    case LINE_CODINGS.MANCHESTER:
+      return bitCount * 2;
+    case LINE_CODINGS.FOUR_B_FIVE_B:
+      return Math.ceil(bitCount / 4) * 5;
+    default:
+      return bitCount;
+  }
+}
+
+// Line code a sequence of '0'/'1' bits into chips
+export function encodeLine(bits, coding = LINE_CODINGS.NRZ) {
+  switch (coding) {
+    case LINE_CODINGS.NRZ:
+      return bits.map(String);
+    case LINE_CODINGS.MANCHESTER: {
+      const chips = [];
+      for (const bit of bits) {
+        if (Number(bit) === 1) {
+          chips.push('0', '1');
+        } else {
+          chips.push('1', '0');
+        }
+      }
+      return chips;
+    }
+    case LINE_CODINGS.FOUR_B_FIVE_B: {
+      if (bits.length % 4 !== 0) {
+        throw new Error('4B5B requires a multiple of 4 bits');
+      }
+      const chips = [];
+      for (let i = 0; i < bits.length; i += 4) {
+        const nibble = parseInt(bits.slice(i, i + 4).join(''), 2);
+        chips.push(...FOUR_B_FIVE_B_ENCODE[nibble].split(''));
+      }
+      return chips;
+    }
+    default:
+      throw new Error(`Unknown line coding: ${coding}`);
+  }
+}
+
+// Decode chips back into bits. Invalid code words are sliced as best we can and
+// counted in codingErrors so FEC can deal with the damage.
+export function decodeLine(chips, coding = LINE_CODINGS.NRZ) {
+  switch (coding) {
+    case LINE_CODINGS.NRZ:
+      return { bits: chips.map(chip => (Number(chip) === 1 ? '1' : '0')), codingErrors: 0 };
+    case LINE_CODINGS.MANCHESTER: {
+      const bits = [];
+      let codingErrors = 0;
+      for (let i = 0; i + 1 < chips.length; i += 2) {
+        const first = Number(chips[i]);
+        const second = Number(chips[i + 1]);
+        if (first === second) {
+          codingErrors++; // No mid-bit transition
+        }
+        // The second half is the bit value; it alone decides ambiguous pairs
+        bits.push(second === 1 ? '1' : '0');
+      }
+      return { bits, codingErrors };
+    }
+    case LINE_CODINGS.FOUR_B_FIVE_B: {
+      const bits = [];
+      let codingErrors = 0;
+      for (let i = 0; i + 5 <= chips.length; i += 5) {
+        const symbol = chips.slice(i, i + 5).map(Number).join('');
+        let nibble = FOUR_B_FIVE_B_DECODE.get(symbol);
+        if (nibble === undefined) {
+          codingErrors++;
+          nibble = 0;
+        }
+        bits.push(...nibble.toString(2).padStart(4, '0').split(''));
+      }
+      return { bits, codingErrors };
+    }
+    default:
+      throw new Error(`Unknown line coding: ${coding}`);
+  }
+}
+
+// Insert the opposite chip after every run of MAX_RUN_LENGTH identical chips
+export function stuffBits(chips) {
+  const out = [];
+  let last = null;
+  let run = 0;
+
+  for (const chip of chips) {
+    const value = Number(chip) === 1 ? '1' : '0';
+    run = value === last ? run + 1 : 1;
+    last = value;
+    out.push(value);
+
+    if (run === LINE_CODING_CONSTANTS.MAX_RUN_LENGTH) {
+      last = value === '1' ? '0' : '1';
+      out.push(last);
+      run = 1;
+    }
+  }
+
+  return out;
+}
+
+// Remove stuffed chips. positions[i] is the index in the input of output chip i,
+// so callers can tell how much of a raw buffer a decoded prefix used.
+export function destuffBits(chips) {
+  const bits = [];
+  const positions = [];
+  let last = null;
+  let run = 0;
+
+  for (let i = 0; i < chips.length; i++) {
+    const value = Number(chips[i]) === 1 ? '1' : '0';
+
+    if (run === LINE_CODING_CONSTANTS.MAX_RUN_LENGTH) {
+      // Stuffed chip: drop it, it starts the next run
+      last = value;
+      run = 1;
+      continue;
+    }
+
+    run = value === last ? run + 1 : 1;
+    last = value;
+    bits.push(value);
+    positions.push(i);
+  }
+
+  return { bits, positions };
+}
+
+// LINE_CODE field: ID in the high nibble, complement in the low nibble
+export function encodeLineCodeField(coding) {
+  const id = coding & 0x07; // Keep the first chip 0 so START stays exactly 8 ones
+  const value = (id << 4) | (~id & 0x0F);
+  return value.toString(2).padStart(LINE_CODING_CONSTANTS.LINE_CODE_BITS, '0').split('');
+}
+
+// Parse a LINE_CODE field, returns null when the nibbles don't match
+export function decodeLineCodeField(bits) {
+  if (bits.length < LINE_CODING_CONSTANTS.LINE_CODE_BITS) return null;
+  const value = parseInt(bits.slice(0, LINE_CODING_CONSTANTS.LINE_CODE_BITS).map(Number).join(''), 2);
+  const id = value >> 4;
+  if ((value & 0x0F) !== (~id & 0x0F)) return null;
+  return Object.values(LINE_CODINGS).includes(id) ? id : null;
+}
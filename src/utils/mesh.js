@@ -271,7 +271,8 @@ export class MeshManager {
         priority,
         route: route,
         createdAt: new Date(),
-        status: 'queued'
+        status: 'queued',
+        networkId
       };
 
       const db = getFirestore(getFirebaseApp());
@@ -8,6 +8,13 @@ export function calculateBitErrorRate(receivedBytes, totalBits) {
   return (parityErrors * 9) / totalBits;
 }
 
+// Estimate Bit Error Rate from Reed-Solomon corrections
+// Each corrected symbol hides at least 1 bit error, so this is a lower bound
+export function estimateBitErrorRate(symbolsCorrected, totalBits) {
+  if (totalBits === 0) return 0;
+  return symbolsCorrected / totalBits;
+}
+
 // Validate single byte parity (9-bit: 8 data + 1 parity)
 function validateParityBit(byteStr) {
   if (byteStr.length !== 9) return false;
@@ -28,7 +35,8 @@ export function calculateSNR(samples) {
 
   // SNR = signal power / noise power
   // Using (max-min)/stdDev as proxy for signal strength
-  const signalStrength = Math.max(...samples) - Math.min(...samples);
+  // (reduce rather than spreading, traces have more samples than a call allows arguments)
+  const signalStrength = samples.reduce((a, b) => Math.max(a, b), -Infinity) - samples.reduce((a, b) => Math.min(a, b), Infinity);
   return signalStrength / (stdDev + 1); // +1 to avoid division by zero
 }
 
@@ -0,0 +1,457 @@
+// ML-KEM key encapsulation (FIPS 203), with the SHA-3 functions it is built on
+//
+// A receiver publishes an encapsulation key; anyone holding it encapsulates a
+// fresh 32-byte shared secret into a ciphertext that only the matching
+// decapsulation key opens. Its security rests on module lattices rather than
+// discrete logarithms, so unlike X25519 it is expected to hold up against
+// quantum computers. Decapsulation never fails: an altered ciphertext yields
+// an unrelated secret (implicit rejection), which the key confirmation that
+// follows (the SAS) exposes.
+//
+// ML-KEM-768 is the default; ML-KEM-512 has smaller keys and ciphertexts,
+// which matters at optical data rates.
+
+export const ML_KEM_PARAMETERS = {
+  ML_KEM_512: { name: 'ML-KEM-512', k: 2, eta1: 3, eta2: 2, du: 10, dv: 4 },
+  ML_KEM_768: { name: 'ML-KEM-768', k: 3, eta1: 2, eta2: 2, du: 10, dv: 4 },
+};
+
+export const ML_KEM_CONSTANTS = {
+  SEED_SIZE: 64,          // d | z for key generation
+  MESSAGE_SIZE: 32,       // Randomness for encapsulation
+  SHARED_SECRET_SIZE: 32,
+};
+
+// Sizes in bytes of the keys and ciphertext of a parameter set
+export function getMlKemSizes({ k, du, dv }) {
+  return {
+    encapsulationKey: 384 * k + 32,
+    decapsulationKey: 768 * k + 96,
+    ciphertext: 32 * (du * k + dv),
+  };
+}
+
+// --- Keccak-f[1600] and the SHA-3 family (FIPS 202) ---
+
+// Round constants as [low, high] 32-bit halves
+const ROUND_CONSTANTS = [
+  [0x00000001, 0x00000000], [0x00008082, 0x00000000], [0x0000808A, 0x80000000], [0x80008000, 0x80000000],
+  [0x0000808B, 0x00000000], [0x80000001, 0x00000000], [0x80008081, 0x80000000], [0x00008009, 0x80000000],
+  [0x0000008A, 0x00000000], [0x00000088, 0x00000000], [0x80008009, 0x00000000], [0x8000000A, 0x00000000],
+  [0x8000808B, 0x00000000], [0x0000008B, 0x80000000], [0x00008089, 0x80000000], [0x00008003, 0x80000000],
+  [0x00008002, 0x80000000], [0x00000080, 0x80000000], [0x0000800A, 0x00000000], [0x8000000A, 0x80000000],
+  [0x80008081, 0x80000000], [0x00008080, 0x80000000], [0x80000001, 0x00000000], [0x80008008, 0x80000000],
+];
+
+// Rotation of lane x + 5y
+const ROTATIONS = [0, 1, 62, 28, 27, 36, 44, 6, 55, 20, 3, 10, 43, 25, 39, 41, 45, 15, 21, 8, 18, 2, 61, 56, 14];
+
+// Lanes are [low, high] pairs at state[2i], state[2i + 1]
+function keccakPermute(state) {
+  const c = new Uint32Array(10);
+  const b = new Uint32Array(50);
+  for (let round = 0; round < 24; round++) {
+    // Theta
+    for (let x = 0; x < 5; x++) {
+      c[2 * x] = state[2 * x] ^ state[2 * x + 10] ^ state[2 * x + 20] ^ state[2 * x + 30] ^ state[2 * x + 40];
+      c[2 * x + 1] = state[2 * x + 1] ^ state[2 * x + 11] ^ state[2 * x + 21] ^ state[2 * x + 31] ^ state[2 * x + 41];
+    }
+    for (let x = 0; x < 5; x++) {
+      const left = (x + 4) % 5;
+      const right = (x + 1) % 5;
+      const dLow = c[2 * left] ^ ((c[2 * right] << 1) | (c[2 * right + 1] >>> 31));
+      const dHigh = c[2 * left + 1] ^ ((c[2 * right + 1] << 1) | (c[2 * right] >>> 31));
+      for (let y = 0; y < 25; y += 5) {
+        state[2 * (x + y)] ^= dLow;
+        state[2 * (x + y) + 1] ^= dHigh;
+      }
+    }
+
+    // Rho and pi
+    for (let x = 0; x < 5; x++) {
+      for (let y = 0; y < 5; y++) {
+        const lane = x + 5 * y;
+        const target = y + 5 * ((2 * x + 3 * y) % 5);
+        let low = state[2 * lane];
+        let high = state[2 * lane + 1];
+        let n = ROTATIONS[lane];
+        if (n >= 32) {
+          [low, high] = [high, low];
+          n -= 32;
+        }
+        b[2 * target] = n === 0 ? low : (low << n) | (high >>> (32 - n));
+        b[2 * target + 1] = n === 0 ? high : (high << n) | (low >>> (32 - n));
+      }
+    }
+
+    // Chi
+    for (let y = 0; y < 25; y += 5) {
+      for (let x = 0; x < 5; x++) {
+        const lane = 2 * (x + y);
+        const next = 2 * (((x + 1) % 5) + y);
+        const after = 2 * (((x + 2) % 5) + y);
+        state[lane] = b[lane] ^ (~b[next] & b[after]);
+        state[lane + 1] = b[lane + 1] ^ (~b[next + 1] & b[after + 1]);
+      }
+    }
+
+    // Iota
+    state[0] ^= ROUND_CONSTANTS[round][0];
+    state[1] ^= ROUND_CONSTANTS[round][1];
+  }
+}
+
+function xorByte(state, position, byte) {
+  const word = 2 * (position >> 3) + ((position & 7) >> 2);
+  state[word] ^= byte << ((position & 3) * 8);
+}
+
+function readByte(state, position) {
+  const word = 2 * (position >> 3) + ((position & 7) >> 2);
+  return (state[word] >>> ((position & 3) * 8)) & 0xFF;
+}
+
+// Sponge with a rate in bytes and a domain separation suffix
+function keccak(rate, suffix, input, outputLength) {
+  const state = new Uint32Array(50);
+  let position = 0;
+  for (let i = 0; i < input.length; i++) {
+    xorByte(state, position++, input[i]);
+    if (position === rate) {
+      keccakPermute(state);
+      position = 0;
+    }
+  }
+  xorByte(state, position, suffix);
+  xorByte(state, rate - 1, 0x80);
+  keccakPermute(state);
+
+  const output = new Uint8Array(outputLength);
+  for (let i = 0, offset = 0; i < outputLength; i++, offset++) {
+    if (offset === rate) {
+      keccakPermute(state);
+      offset = 0;
+    }
+    output[i] = readByte(state, offset);
+  }
+  return output;
+}
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
+
+export function sha3_256(...parts) {
+  return keccak(136, 0x06, concat(...parts), 32);
+}
+
+export function sha3_512(...parts) {
+  return keccak(72, 0x06, concat(...parts), 64);
+}
+
+export function shake128(input, outputLength) {
+  return keccak(168, 0x1F, input, outputLength);
+}
+
+export function shake256(input, outputLength) {
+  return keccak(136, 0x1F, input, outputLength);
+}
+
+// --- Polynomial arithmetic over Z_3329[X]/(X^256 + 1) ---
+
+const N = 256;
+const Q = 3329;
+const INVERSE_128 = 3303; // 128^-1 mod q, scales the inverse NTT
+
+function bitReverse7(value) {
+  let result = 0;
+  for (let i = 0; i < 7; i++) result |= ((value >> i) & 1) << (6 - i);
+  return result;
+}
+
+function powModQ(base, exponent) {
+  let result = 1;
+  for (let i = 0; i < exponent; i++) result = (result * base) % Q;
+  return result;
+}
+
+// 17 is a primitive 256th root of unity mod q
+const ZETAS = Array.from({ length: 128 }, (_, i) => powModQ(17, bitReverse7(i)));
+const GAMMAS = Array.from({ length: 128 }, (_, i) => powModQ(17, 2 * bitReverse7(i) + 1));
+
+function ntt(polynomial) {
+  const f = Int32Array.from(polynomial);
+  let k = 1;
+  for (let length = 128; length >= 2; length >>= 1) {
+    for (let start = 0; start < N; start += 2 * length) {
+      const zeta = ZETAS[k++];
+      for (let j = start; j < start + length; j++) {
+        const t = (zeta * f[j + length]) % Q;
+        f[j + length] = (f[j] - t + Q) % Q;
+        f[j] = (f[j] + t) % Q;
+      }
+    }
+  }
+  return f;
+}
+
+function inverseNtt(polynomial) {
+  const f = Int32Array.from(polynomial);
+  let k = 127;
+  for (let length = 2; length <= 128; length <<= 1) {
+    for (let start = 0; start < N; start += 2 * length) {
+      const zeta = ZETAS[k--];
+      for (let j = start; j < start + length; j++) {
+        const t = f[j];
+        f[j] = (t + f[j + length]) % Q;
+        f[j + length] = (zeta * ((f[j + length] - t + Q) % Q)) % Q;
+      }
+    }
+  }
+  for (let i = 0; i < N; i++) f[i] = (f[i] * INVERSE_128) % Q;
+  return f;
+}
+
+// Product of two polynomials in NTT form
+function multiplyNtts(f, g) {
+  const h = new Int32Array(N);
+  for (let i = 0; i < 128; i++) {
+    const a0 = f[2 * i], a1 = f[2 * i + 1];
+    const b0 = g[2 * i], b1 = g[2 * i + 1];
+    h[2 * i] = (a0 * b0 + ((a1 * b1) % Q) * GAMMAS[i]) % Q;
+    h[2 * i + 1] = (a0 * b1 + a1 * b0) % Q;
+  }
+  return h;
+}
+
+function addPolynomials(f, g) {
+  const h = new Int32Array(N);
+  for (let i = 0; i < N; i++) h[i] = (f[i] + g[i]) % Q;
+  return h;
+}
+
+function subtractPolynomials(f, g) {
+  const h = new Int32Array(N);
+  for (let i = 0; i < N; i++) h[i] = (f[i] - g[i] + Q) % Q;
+  return h;
+}
+
+// Uniform polynomial in NTT form from a 34-byte seed (rejection sampling on SHAKE128)
+function sampleNtt(seed) {
+  const a = new Int32Array(N);
+  let stream = shake128(seed, 840);
+  for (let j = 0, offset = 0; j < N; offset += 3) {
+    if (offset + 3 > stream.length) stream = shake128(seed, stream.length + 168);
+    const d1 = stream[offset] | ((stream[offset + 1] & 0x0F) << 8);
+    const d2 = (stream[offset + 1] >> 4) | (stream[offset + 2] << 4);
+    if (d1 < Q) a[j++] = d1;
+    if (d2 < Q && j < N) a[j++] = d2;
+  }
+  return a;
+}
+
+// Centered binomial noise from 64 * eta bytes
+function samplePolyCbd(bytes, eta) {
+  const f = new Int32Array(N);
+  const bit = (index) => (bytes[index >> 3] >> (index & 7)) & 1;
+  for (let i = 0; i < N; i++) {
+    let x = 0, y = 0;
+    for (let j = 0; j < eta; j++) {
+      x += bit(2 * i * eta + j);
+      y += bit(2 * i * eta + eta + j);
+    }
+    f[i] = (x - y + Q) % Q;
+  }
+  return f;
+}
+
+function prf(eta, seed, nonce) {
+  return shake256(concat(seed, Uint8Array.of(nonce)), 64 * eta);
+}
+
+function compress(value, d) {
+  return Math.floor((value * (1 << d) + (Q >> 1)) / Q) & ((1 << d) - 1);
+}
+
+function decompress(value, d) {
+  return Math.floor((value * Q + (1 << (d - 1))) / (1 << d));
+}
+
+// Pack d-bit coefficients, least significant bit first
+function byteEncode(polynomial, d) {
+  const out = new Uint8Array(32 * d);
+  let accumulator = 0, bits = 0, offset = 0;
+  for (let i = 0; i < N; i++) {
+    accumulator |= polynomial[i] << bits;
+    bits += d;
+    while (bits >= 8) {
+      out[offset++] = accumulator & 0xFF;
+      accumulator >>>= 8;
+      bits -= 8;
+    }
+  }
+  return out;
+}
+
+function byteDecode(bytes, d) {
+  const f = new Int32Array(N);
+  const mask = (1 << d) - 1;
+  let accumulator = 0, bits = 0, offset = 0;
+  for (let i = 0; i < N; i++) {
+    while (bits < d) {
+      accumulator |= bytes[offset++] << bits;
+      bits += 8;
+    }
+    f[i] = accumulator & mask;
+    accumulator >>>= d;
+    bits -= d;
+  }
+  if (d === 12) {
+    for (let i = 0; i < N; i++) f[i] %= Q;
+  }
+  return f;
+}
+
+// --- K-PKE, the underlying public key encryption ---
+
+function expandMatrix(rho, k) {
+  const matrix = [];
+  for (let i = 0; i < k; i++) {
+    matrix.push([]);
+    for (let j = 0; j < k; j++) {
+      matrix[i].push(sampleNtt(concat(rho, Uint8Array.of(j, i))));
+    }
+  }
+  return matrix;
+}
+
+function pkeKeyGen(params, d) {
+  const { k, eta1 } = params;
+  const g = sha3_512(d, Uint8Array.of(k));
+  const rho = g.slice(0, 32);
+  const sigma = g.slice(32);
+  const matrix = expandMatrix(rho, k);
+
+  let nonce = 0;
+  const s = Array.from({ length: k }, () => ntt(samplePolyCbd(prf(eta1, sigma, nonce++), eta1)));
+  const e = Array.from({ length: k }, () => ntt(samplePolyCbd(prf(eta1, sigma, nonce++), eta1)));
+  const t = matrix.map((row, i) => row.reduce((sum, a, j) => addPolynomials(sum, multiplyNtts(a, s[j])), e[i]));
+
+  return {
+    encryptionKey: concat(...t.map(poly => byteEncode(poly, 12)), rho),
+    decryptionKey: concat(...s.map(poly => byteEncode(poly, 12))),
+  };
+}
+
+function pkeEncrypt(params, encryptionKey, message, randomness) {
+  const { k, eta1, eta2, du, dv } = params;
+  const t = Array.from({ length: k }, (_, i) => byteDecode(encryptionKey.subarray(384 * i, 384 * (i + 1)), 12));
+  const matrix = expandMatrix(encryptionKey.subarray(384 * k), k);
+
+  let nonce = 0;
+  const y = Array.from({ length: k }, () => ntt(samplePolyCbd(prf(eta1, randomness, nonce++), eta1)));
+  const e1 = Array.from({ length: k }, () => samplePolyCbd(prf(eta2, randomness, nonce++), eta2));
+  const e2 = samplePolyCbd(prf(eta2, randomness, nonce), eta2);
+
+  // u = A^T y + e1, v = t^T y + e2 + message
+  const u = Array.from({ length: k }, (_, i) => {
+    let sum = new Int32Array(N);
+    for (let j = 0; j < k; j++) sum = addPolynomials(sum, multiplyNtts(matrix[j][i], y[j]));
+    return addPolynomials(inverseNtt(sum), e1[i]);
+  });
+  const mu = byteDecode(message, 1).map(bit => decompress(bit, 1));
+  let tY = new Int32Array(N);
+  for (let j = 0; j < k; j++) tY = addPolynomials(tY, multiplyNtts(t[j], y[j]));
+  const v = addPolynomials(addPolynomials(inverseNtt(tY), e2), mu);
+
+  return concat(
+    ...u.map(poly => byteEncode(poly.map(c => compress(c, du)), du)),
+    byteEncode(v.map(c => compress(c, dv)), dv)
+  );
+}
+
+function pkeDecrypt(params, decryptionKey, ciphertext) {
+  const { k, du, dv } = params;
+  const u = Array.from({ length: k }, (_, i) =>
+    byteDecode(ciphertext.subarray(32 * du * i, 32 * du * (i + 1)), du).map(c => decompress(c, du)));
+  const v = byteDecode(ciphertext.subarray(32 * du * k), dv).map(c => decompress(c, dv));
+  const s = Array.from({ length: k }, (_, i) => byteDecode(decryptionKey.subarray(384 * i, 384 * (i + 1)), 12));
+
+  let sU = new Int32Array(N);
+  for (let j = 0; j < k; j++) sU = addPolynomials(sU, multiplyNtts(s[j], ntt(u[j])));
+  const w = subtractPolynomials(v, inverseNtt(sU));
+  return byteEncode(w.map(c => compress(c, 1)), 1);
+}
+
+// --- ML-KEM ---
+
+function equalBytes(a, b) {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) difference |= a[i] ^ b[i];
+  return difference === 0;
+}
+
+// Key pair from 64 random bytes
+export function mlKemKeyGen(seed, params = ML_KEM_PARAMETERS.ML_KEM_768) {
+  if (seed.length !== ML_KEM_CONSTANTS.SEED_SIZE) {
+    throw new Error(`${params.name} key generation takes ${ML_KEM_CONSTANTS.SEED_SIZE} random bytes, got ${seed.length}`);
+  }
+  const { encryptionKey, decryptionKey } = pkeKeyGen(params, seed.subarray(0, 32));
+  return {
+    encapsulationKey: encryptionKey,
+    decapsulationKey: concat(decryptionKey, encryptionKey, sha3_256(encryptionKey), seed.subarray(32)),
+  };
+}
+
+// Shared secret and the ciphertext carrying it, from 32 random bytes;
+// throws on a malformed encapsulation key
+export function mlKemEncapsulate(encapsulationKey, randomBytes, params = ML_KEM_PARAMETERS.ML_KEM_768) {
+  const sizes = getMlKemSizes(params);
+  if (encapsulationKey.length !== sizes.encapsulationKey) {
+    throw new Error(`${params.name} encapsulation keys are ${sizes.encapsulationKey} bytes, got ${encapsulationKey.length}`);
+  }
+  for (let i = 0; i < params.k; i++) {
+    const encoded = encapsulationKey.subarray(384 * i, 384 * (i + 1));
+    if (!equalBytes(byteEncode(byteDecode(encoded, 12), 12), encoded)) {
+      throw new Error('Encapsulation key coefficients out of range');
+    }
+  }
+  if (randomBytes.length !== ML_KEM_CONSTANTS.MESSAGE_SIZE) {
+    throw new Error(`Encapsulation takes ${ML_KEM_CONSTANTS.MESSAGE_SIZE} random bytes, got ${randomBytes.length}`);
+  }
+
+  const g = sha3_512(randomBytes, sha3_256(encapsulationKey));
+  return {
+    sharedSecret: g.slice(0, 32),
+    ciphertext: pkeEncrypt(params, encapsulationKey, randomBytes, g.subarray(32)),
+  };
+}
+
+// Shared secret in a ciphertext; an altered ciphertext gives an unrelated secret
+export function mlKemDecapsulate(decapsulationKey, ciphertext, params = ML_KEM_PARAMETERS.ML_KEM_768) {
+  const { k } = params;
+  const sizes = getMlKemSizes(params);
+  if (ciphertext.length !== sizes.ciphertext || decapsulationKey.length !== sizes.decapsulationKey) {
+    throw new Error(`${params.name} ciphertexts are ${sizes.ciphertext} bytes and decapsulation keys ${sizes.decapsulationKey}`);
+  }
+  const decryptionKey = decapsulationKey.subarray(0, 384 * k);
+  const encryptionKey = decapsulationKey.subarray(384 * k, 768 * k + 32);
+  const keyHash = decapsulationKey.subarray(768 * k + 32, 768 * k + 64);
+  const z = decapsulationKey.subarray(768 * k + 64);
+  if (!equalBytes(sha3_256(encryptionKey), keyHash)) {
+    throw new Error('Corrupted decapsulation key');
+  }
+
+  const message = pkeDecrypt(params, decryptionKey, ciphertext);
+  const g = sha3_512(message, keyHash);
+  const rejection = shake256(concat(z, ciphertext), 32);
+  const reencrypted = pkeEncrypt(params, encryptionKey, message, g.subarray(32));
+  return equalBytes(reencrypted, ciphertext) ? g.slice(0, 32) : rejection;
+}
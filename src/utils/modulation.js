@@ -0,0 +1,184 @@
+import { calculateLuma } from './luma.js';
+
+// Multi-level modulation of the screen
+//
+// On-off keying flashes one chip per symbol. The higher orders carry several
+// chips per symbol by showing one of M brightness levels (PAM) or colors
+// (color-shift keying). Everything the receiver needs before it knows the
+// modulation (PREAMBLE, START, LINE_CODE, MODULATION) and the END delimiter
+// are always sent as OOK; only the frame body uses the advertised order.
+//
+// MODULATION field: 8 OOK chips following LINE_CODE. The high nibble holds the
+// CALIBRATION flag (bit 3) and the modulation ID (bits 0-1), the low nibble its
+// complement. A calibration frame carries no data: its body shows every
+// constellation point in order, CALIBRATION_REPEATS times, so the receiver
+// can learn how each point looks through its camera.
+
+export const MODULATIONS = {
+  OOK: 0,  // Black / white, 1 chip per symbol
+  PAM4: 1, // 4 gray levels, 2 chips per symbol
+  CSK4: 2, // Red, green, blue, white, 2 chips per symbol
+  CSK8: 3, // The 8 RGB cube corners, 3 chips per symbol
+};
+
+export const MODULATION_CONSTANTS = {
+  FIELD_BITS: 8,
+  CALIBRATION_FLAG: 0x08,
+  CALIBRATION_REPEATS: 2,
+};
+
+// Nominal screen colors, indexed by symbol value (chips read MSB first)
+const CONSTELLATIONS = {
+  [MODULATIONS.OOK]: [
+    { r: 0, g: 0, b: 0 }, { r: 255, g: 255, b: 255 }
+  ],
+  [MODULATIONS.PAM4]: [
+    { r: 0, g: 0, b: 0 }, { r: 85, g: 85, b: 85 }, { r: 170, g: 170, b: 170 }, { r: 255, g: 255, b: 255 }
+  ],
+  [MODULATIONS.CSK4]: [
+    { r: 255, g: 0, b: 0 }, { r: 0, g: 255, b: 0 }, { r: 0, g: 0, b: 255 }, { r: 255, g: 255, b: 255 }
+  ],
+  // Value bits select red, green and blue
+  [MODULATIONS.CSK8]: [0, 1, 2, 3, 4, 5, 6, 7].map(value => ({
+    r: value & 4 ? 255 : 0,
+    g: value & 2 ? 255 : 0,
+    b: value & 1 ? 255 : 0
+  })),
+};
+
+// Get modulation name from its ID
+export function getModulationName(modulation) {
+  for (const [name, id] of Object.entries(MODULATIONS)) {
+    if (id === modulation) return name;
+  }
+  return 'UNKNOWN';
+}
+
+// Chips carried by one symbol
+export function getBitsPerSymbol(modulation) {
+  return Math.log2(getConstellation(modulation).length);
+}
+
+// Symbols needed to carry the given number of chips
+export function getSymbolCount(chipCount, modulation) {
+  return Math.ceil(chipCount / getBitsPerSymbol(modulation));
+}
+
+// Nominal colors of a modulation's constellation points
+export function getConstellation(modulation) {
+  const constellation = CONSTELLATIONS[modulation];
+  if (!constellation) {
+    throw new Error(`Unknown modulation: ${modulation}`);
+  }
+  return constellation;
+}
+
+// Group chips into symbol values, padding the last symbol with zeros
+export function modulateChips(chips, modulation) {
+  const k = getBitsPerSymbol(modulation);
+  const symbols = [];
+  for (let i = 0; i < chips.length; i += k) {
+    let value = 0;
+    for (let j = 0; j < k; j++) {
+      value = (value << 1) | (Number(chips[i + j]) === 1 ? 1 : 0);
+    }
+    symbols.push(value);
+  }
+  return symbols;
+}
+
+// Chips carried by one symbol value
+export function symbolToChips(value, modulation) {
+  return value.toString(2).padStart(getBitsPerSymbol(modulation), '0').split('');
+}
+
+// Screen color for a symbol value
+export function symbolToColor(value, modulation) {
+  return getConstellation(modulation)[value];
+}
+
+// CSS hex string for a color
+export function colorToHex(color) {
+  return '#' + [color.r, color.g, color.b]
+    .map(channel => Math.round(channel).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// MODULATION field: flag and ID in the high nibble, complement in the low nibble
+export function encodeModulationField(modulation, calibration = false) {
+  const id = (modulation & 0x03) | (calibration ? MODULATION_CONSTANTS.CALIBRATION_FLAG : 0);
+  const value = (id << 4) | (~id & 0x0F);
+  return value.toString(2).padStart(MODULATION_CONSTANTS.FIELD_BITS, '0').split('');
+}
+
+// Parse a MODULATION field, returns { modulation, calibration } or null when the nibbles don't match
+export function decodeModulationField(bits) {
+  if (bits.length < MODULATION_CONSTANTS.FIELD_BITS) return null;
+  const value = parseInt(bits.slice(0, MODULATION_CONSTANTS.FIELD_BITS).map(Number).join(''), 2);
+  const id = value >> 4;
+  if ((value & 0x0F) !== (~id & 0x0F)) return null;
+  if (id & ~(MODULATION_CONSTANTS.CALIBRATION_FLAG | 0x03)) return null;
+  return {
+    modulation: id & 0x03,
+    calibration: (id & MODULATION_CONSTANTS.CALIBRATION_FLAG) !== 0
+  };
+}
+
+// Symbol values shown in a calibration frame body
+export function getCalibrationSequence(modulation, repeats = MODULATION_CONSTANTS.CALIBRATION_REPEATS) {
+  const points = getConstellation(modulation).map((_, value) => value);
+  return Array.from({ length: repeats }, () => points).flat();
+}
+
+// Per-channel luma contributions, the space symbols are sliced in
+export function lumaComponents(color) {
+  return [
+    calculateLuma(color.r, 0, 0),
+    calculateLuma(0, color.g, 0),
+    calculateLuma(0, 0, color.b)
+  ];
+}
+
+// Expected constellation when nothing has been learned yet: the nominal
+// colors scaled between the measured off (black) and on (white) levels
+export function nominalConstellation(modulation, black, white) {
+  return getConstellation(modulation).map(point => lumaComponents({
+    r: black.r + (point.r / 255) * (white.r - black.r),
+    g: black.g + (point.g / 255) * (white.g - black.g),
+    b: black.b + (point.b / 255) * (white.b - black.b)
+  }));
+}
+
+// Learn a constellation from received calibration symbols (colors in calibration sequence order)
+export function learnConstellation(modulation, colors) {
+  const size = getConstellation(modulation).length;
+  const sums = Array.from({ length: size }, () => [0, 0, 0]);
+  const counts = new Array(size).fill(0);
+
+  colors.forEach((color, i) => {
+    const components = lumaComponents(color);
+    const point = i % size;
+    for (let c = 0; c < 3; c++) {
+      sums[point][c] += components[c];
+    }
+    counts[point]++;
+  });
+
+  if (counts.some(count => count === 0)) return null;
+  return sums.map((sum, point) => sum.map(value => value / counts[point]));
+}
+
+// Nearest constellation point to a received color
+export function sliceSymbol(color, constellation) {
+  const components = lumaComponents(color);
+  let best = 0;
+  let bestDistance = Infinity;
+  constellation.forEach((point, value) => {
+    const distance = (components[0] - point[0]) ** 2 + (components[1] - point[1]) ** 2 + (components[2] - point[2]) ** 2;
+    if (distance < bestDistance) {
+      best = value;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
@@ -1,20 +1,53 @@
-// Universal VLC Data Packet Format:
-// START | TYPE | FLAGS | LENGTH | PAYLOAD | CHECKSUM | END
+// Universal VLC Data Packet Format (binary frame, version 2):
+// PREAMBLE | START | LINE_CODE | MODULATION | HEADER | PAYLOAD | PARITY | PAYLOAD_CRC | END
 //
+// PREAMBLE: 16 bits (1010...10), training sequence for receiver clock recovery
 // START: 8 bits (11111111)
-// TYPE: 8 bits (data type identifier)
-// FLAGS: 8 bits (compression, chunking, etc.)
-// LENGTH: 16 bits (payload length in bytes)
-// PAYLOAD: variable length (data)
-// CHECKSUM: 16 bits (CRC-16)
+// LINE_CODE: 8 bits, line coding used for the rest of the frame (see lineCoding.js)
+// MODULATION: 8 bits, modulation order of the symbols carrying HEADER to PAYLOAD_CRC (see modulation.js)
+// HEADER: 15 bytes
+//   VERSION (1) | TYPE (1) | FLAGS (1) | SEQUENCE (2) | TOTAL (2) |
+//   TRANSFER_ID (2) | FEC_SYMBOLS (1) | LENGTH (2) | CODEC (1) | HEADER_CRC (2)
+//   CODEC is the compression codec of the payload (see compression.js), 0 when uncompressed
+// PAYLOAD: LENGTH bytes
+// PARITY: FEC_SYMBOLS bytes per payload block of (255 - FEC_SYMBOLS) bytes, 0 when FEC is off
+// PAYLOAD_CRC: 16 bits (CRC-16 of the payload after error correction)
 // END: 8 bits (00000000)
+//
+// Multi-byte header fields are big-endian. Everything from HEADER to
+// PAYLOAD_CRC is line coded, and LINE_CODE through PAYLOAD_CRC is bit stuffed.
+// Everything up to MODULATION and the END delimiter is always on-off keyed.
+//
+// Payloads are bytes: text and JSON travel as UTF-8, files and images as raw
+// bytes. Compression, chunking, CRC and FEC all operate on Uint8Arrays.
+// ENCRYPTED frames carry a sealed payload bound to their header (see aead.js).
+
+import { rsEncode, rsDecode, ReedSolomonError, RS_CONSTANTS } from './reedSolomon.js';
+import { LINE_CODINGS, LINE_CODING_CONSTANTS, encodeLine, decodeLine, stuffBits, destuffBits, encodeLineCodeField, decodeLineCodeField, getChipCount } from './lineCoding.js';
+import { CODEC_IDS, compress, decompress, COMPRESSION_CONSTANTS } from './compression.js';
+import { MODULATIONS, MODULATION_CONSTANTS, encodeModulationField, decodeModulationField, modulateChips, symbolToColor, getCalibrationSequence } from './modulation.js';
 
 export const PACKET_CONSTANTS = {
+  PREAMBLE: '1010101010101010',
   START_FRAME: '11111111',
   END_FRAME: '00000000',
   BIT_DURATION: 100, // 100ms per bit
   MAX_CHUNK_SIZE: 256, // Max payload size per packet (bytes)
   CRC_POLYNOMIAL: 0x1021, // CRC-16-CCITT
+  DEFAULT_LINE_CODING: LINE_CODINGS.NRZ,
+  DEFAULT_MODULATION: MODULATIONS.OOK,
+};
+
+// Binary frame layout
+export const FRAME_CONSTANTS = {
+  VERSION: 2,
+  HEADER_SIZE: 15, // bytes, including HEADER_CRC
+  CODEC_OFFSET: 12,
+  HEADER_CRC_OFFSET: 13,
+  CRC_SIZE: 2,
+  DEFAULT_PARITY_SYMBOLS: 16,
+  MAX_SEQUENCE: 0xFFFF,
+  MAX_TRANSFER_ID: 0xFFFF,
 };
 
 // Packet Flags
@@ -25,75 +58,80 @@ export const PACKET_FLAGS = {
   HIGH_PRIORITY: 8,   // Bit 3: High priority packet
   RETRANSMISSION: 16, // Bit 4: Retransmission of failed packet
   FEC_ENABLED: 32,    // Bit 5: Forward Error Correction enabled
+  FOUNTAIN: 64,       // Bit 6: Fountain-coded symbol (SEQUENCE is the symbol ID, TOTAL the source block count)
 };
 
-// Reed-Solomon Error Correction Implementation
+// Reed-Solomon Error Correction
+// Payloads longer than one codeword are split into blocks of (255 - paritySymbols)
+// data bytes, each followed by its own paritySymbols parity bytes.
 export class ReedSolomonFEC {
-  constructor(dataShards = 4, parityShards = 2) {
-    this.dataShards = dataShards;
-    this.parityShards = parityShards;
-    this.totalShards = dataShards + parityShards;
-    // Simplified Reed-Solomon implementation for demo
-    this.generator = this.generateGeneratorPolynomial();
+  constructor(paritySymbols = 16) {
+    if (paritySymbols < 2 || paritySymbols > 254) {
+      throw new Error(`Invalid parity symbol count: ${paritySymbols}`);
+    }
+    this.paritySymbols = paritySymbols;
+    this.blockDataSize = RS_CONSTANTS.MAX_CODEWORD_LENGTH - paritySymbols;
   }
 
-  // Generate generator polynomial for Reed-Solomon
-  generateGeneratorPolynomial() {
-    // Simplified implementation - in practice would use proper GF(256) arithmetic
-    return [1, 2, 4, 8, 16]; // Example coefficients
+  // Maximum number of unknown byte errors correctable in each block
+  get correctableErrors() {
+    return Math.floor(this.paritySymbols / 2);
   }
 
   // Encode data with FEC
   encode(data) {
-    const dataBytes = data.split('').map(c => c.charCodeAt(0));
-    const parityBytes = new Array(this.parityShards).fill(0);
+    const dataBytes = Array.from(toBytes(data));
+    const parityBytes = [];
 
-    // Simple parity calculation (simplified Reed-Solomon)
-    for (let i = 0; i < dataBytes.length; i++) {
-      for (let j = 0; j < this.parityShards; j++) {
-        parityBytes[j] ^= dataBytes[i] ^ (j + 1); // Simple XOR with offset
-      }
+    for (let i = 0; i < dataBytes.length; i += this.blockDataSize) {
+      const block = dataBytes.slice(i, i + this.blockDataSize);
+      const codeword = rsEncode(block, this.paritySymbols);
+      parityBytes.push(...codeword.slice(block.length));
     }
 
     return {
       data: dataBytes,
       parity: parityBytes,
-      originalSize: data.length
+      originalSize: dataBytes.length,
+      paritySymbols: this.paritySymbols
     };
   }
 
   // Decode data with error correction
-  decode(encodedData) {
+  // erasures: optional byte offsets into data known to be unreliable
+  decode(encodedData, erasures = []) {
     try {
-      const dataBytes = encodedData.data;
-      const parityBytes = encodedData.parity;
-      const corrected = [...dataBytes];
-
-      // Simple error detection and correction
-      const calculatedParity = new Array(this.parityShards).fill(0);
-      for (let i = 0; i < dataBytes.length; i++) {
-        for (let j = 0; j < this.parityShards; j++) {
-          calculatedParity[j] ^= dataBytes[i] ^ (j + 1);
-        }
+      const paritySymbols = encodedData.paritySymbols || this.paritySymbols;
+      const blockDataSize = RS_CONSTANTS.MAX_CODEWORD_LENGTH - paritySymbols;
+      const dataBytes = Array.from(toBytes(encodedData.data));
+      const parityBytes = Array.from(encodedData.parity || []);
+      const blockCount = Math.ceil(dataBytes.length / blockDataSize);
+
+      if (parityBytes.length !== blockCount * paritySymbols) {
+        throw new ReedSolomonError(`Parity length ${parityBytes.length} does not match ${blockCount} block(s)`);
       }
 
-      // Check for errors and attempt correction
+      const corrected = [];
       let errorsCorrected = 0;
-      for (let j = 0; j < this.parityShards; j++) {
-        if (calculatedParity[j] !== parityBytes[j]) {
-          // Attempt single error correction (simplified)
-          const errorPos = Math.abs(calculatedParity[j] - parityBytes[j]) % dataBytes.length;
-          if (errorPos < dataBytes.length) {
-            corrected[errorPos] ^= (calculatedParity[j] ^ parityBytes[j]);
-            errorsCorrected++;
-          }
-        }
+
+      for (let b = 0; b < blockCount; b++) {
+        const offset = b * blockDataSize;
+        const block = dataBytes.slice(offset, offset + blockDataSize);
+        const parity = parityBytes.slice(b * paritySymbols, (b + 1) * paritySymbols);
+        const blockErasures = erasures
+          .filter(pos => pos >= offset && pos < offset + block.length)
+          .map(pos => pos - offset);
+
+        const result = rsDecode([...block, ...parity], paritySymbols, blockErasures);
+        corrected.push(...result.data);
+        errorsCorrected += result.errorsCorrected;
       }
 
       return {
-        data: String.fromCharCode(...corrected),
+        data: bytesToString(corrected),
+        bytes: corrected,
         errorsCorrected,
-        success: errorsCorrected <= this.parityShards / 2 // Can correct up to t = parity/2 errors
+        success: true
       };
     } catch (error) {
       return {
@@ -113,193 +151,45 @@ export const fecEncoder = new ReedSolomonFEC();
 export const DATA_TYPES = {
   TEXT: '00000001',      // Plain text (backward compatible)
   JSON: '00000010',      // JSON object
-  FILE: '00000011',      // File data (Base64 chunked)
+  FILE: '00000011',      // File data (raw bytes, chunked)
   SENSOR_DATA: '00000100', // Sensor readings
-  IMAGE: '00000101',     // Low-res image (Base64)
+  IMAGE: '00000101',     // Low-res image (raw bytes)
   AUDIO: '00000110',     // Real-time audio streaming
   GESTURE: '00000111',   // Gesture control data
   MESH_COMMAND: '00001000', // Multi-device mesh commands
-  QUANTUM_KEY: '00001001',  // Quantum-resistant encryption keys
+  QUANTUM_KEY: '00001001',  // Post-quantum key exchange messages (see quantumKey.js)
 };
 
-// LZ77 Compression Implementation
-export class LZ77Compressor {
-  constructor(windowSize = 4096, lookaheadSize = 256) {
-    this.windowSize = windowSize;
-    this.lookaheadSize = lookaheadSize;
-  }
-
-  // Find longest match in window
-  findLongestMatch(data, currentPos) {
-    let bestMatch = { length: 0, distance: 0 };
-    const start = Math.max(0, currentPos - this.windowSize);
-    const end = Math.min(data.length, currentPos + this.lookaheadSize);
-
-    for (let i = start; i < currentPos; i++) {
-      let length = 0;
-      while (length < end - currentPos &&
-             i + length < currentPos &&
-             data[i + length] === data[currentPos + length]) {
-        length++;
-      }
-
-      if (length > bestMatch.length) {
-        bestMatch = {
-          length,
-          distance: currentPos - i
-        };
-      }
-    }
-
-    return bestMatch;
-  }
-
-  // Compress data using LZ77
-  compress(data) {
-    const compressed = [];
-    let pos = 0;
-
-    while (pos < data.length) {
-      const match = this.findLongestMatch(data, pos);
-
-      if (match.length >= 3) { // Minimum match length
-        // Add literal byte before match if needed
-        if (match.distance > match.length) {
-          compressed.push({
-            type: 'literal',
-            value: data[pos]
-          });
-          pos++;
-        } else {
-          // Add match
-          compressed.push({
-            type: 'match',
-            length: match.length,
-            distance: match.distance
-          });
-          pos += match.length;
-        }
-      } else {
-        // Add literal byte
-        compressed.push({
-          type: 'literal',
-          value: data[pos]
-        });
-        pos++;
-      }
-    }
-
-    return compressed;
-  }
-
-  // Decompress LZ77 data
-  decompress(compressed) {
-    const decompressed = [];
-    let pos = 0;
-
-    for (const token of compressed) {
-      if (token.type === 'literal') {
-        decompressed.push(token.value);
-      } else if (token.type === 'match') {
-        const start = decompressed.length - token.distance;
-        for (let i = 0; i < token.length; i++) {
-          decompressed.push(decompressed[start + i]);
-        }
-      }
-    }
-
-    return decompressed.join('');
-  }
-
-  // Serialize compressed data for transmission
-  serialize(compressed) {
-    let result = '';
-    for (const token of compressed) {
-      if (token.type === 'literal') {
-        result += '0'; // 0 = literal
-        result += toBinaryString(token.value.charCodeAt(0), 8);
-      } else {
-        result += '1'; // 1 = match
-        result += toBinaryString(token.length, 8);
-        result += toBinaryString(token.distance, 12); // 12 bits for distance
-      }
-    }
-    return result;
-  }
-
-  // Deserialize compressed data
-  deserialize(data) {
-    const compressed = [];
-    let pos = 0;
-
-    while (pos < data.length) {
-      const type = data[pos];
-      pos++;
-
-      if (type === '0') { // literal
-        const byteStr = data.slice(pos, pos + 8);
-        const charCode = fromBinaryString(byteStr);
-        compressed.push({
-          type: 'literal',
-          value: String.fromCharCode(charCode)
-        });
-        pos += 8;
-      } else { // match
-        const lengthStr = data.slice(pos, pos + 8);
-        const distanceStr = data.slice(pos + 8, pos + 20);
-        const length = fromBinaryString(lengthStr);
-        const distance = fromBinaryString(distanceStr);
-        compressed.push({
-          type: 'match',
-          length,
-          distance
-        });
-        pos += 20;
-      }
-    }
-
-    return compressed;
-  }
-}
-
-// Global compressor instance
-export const compressor = new LZ77Compressor();
-
-// Compress data before transmission
+// Compress data (bytes, or a string as UTF-8) before transmission with
+// whichever codec gives the smallest result; codec goes in the CODEC header field
 export function compressData(data, enableCompression = true) {
-  if (!enableCompression || data.length < 100) { // Don't compress small data
-    return { compressed: false, data };
+  data = toBytes(data);
+  if (!enableCompression || data.length < COMPRESSION_CONSTANTS.MIN_SIZE) { // Don't compress small data
+    return { compressed: false, codec: CODEC_IDS.NONE, data };
   }
 
-  try {
-    const compressed = compressor.compress(data);
-    const serialized = compressor.serialize(compressed);
-
-    // Only use compression if it's actually smaller
-    if (serialized.length < data.length * 8) { // Compare bit lengths
-      return {
-        compressed: true,
-        data: serialized,
-        originalSize: data.length,
-        compressedSize: Math.ceil(serialized.length / 8)
-      };
-    }
-  } catch (error) {
-    console.warn('Compression failed:', error);
+  const result = compress(data);
+  if (result.codec === CODEC_IDS.NONE) {
+    return { compressed: false, codec: CODEC_IDS.NONE, data };
   }
-
-  return { compressed: false, data };
+  return {
+    compressed: true,
+    codec: result.codec,
+    data: result.data,
+    originalSize: data.length,
+    compressedSize: result.data.length
+  };
 }
 
-// Decompress received data
+// Decompress received data with the codec from its header, returns bytes
 export function decompressData(data, compressionInfo) {
-  if (!compressionInfo.compressed) {
+  data = toBytes(data);
+  if (!compressionInfo.compressed || compressionInfo.codec === CODEC_IDS.NONE) {
     return data;
   }
 
   try {
-    const deserialized = compressor.deserialize(data);
-    return compressor.decompress(deserialized);
+    return decompress(data, compressionInfo.codec);
   } catch (error) {
     console.error('Decompression failed:', error);
     return data; // Return original data on failure
@@ -307,10 +197,12 @@ export function decompressData(data, compressionInfo) {
 }
 
 // Calculate CRC-16-CCITT
+// Accepts bytes, or a string which is checksummed as UTF-8
 export function calculateCRC16(data) {
+  const bytes = toBytes(data);
   let crc = 0xFFFF;
-  for (let i = 0; i < data.length; i++) {
-    crc ^= data.charCodeAt(i) << 8;
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i] << 8;
     for (let j = 0; j < 8; j++) {
       if (crc & 0x8000) {
         crc = (crc << 1) ^ PACKET_CONSTANTS.CRC_POLYNOMIAL;
@@ -332,106 +224,499 @@ export function fromBinaryString(binaryStr) {
   return parseInt(binaryStr, 2);
 }
 
-// Create packet binary representation
-export function createPacket(type, payload, flags = 0) {
-  const typeBits = type;
-  const flagsBits = toBinaryString(flags, 8);
-  const lengthBits = toBinaryString(payload.length, 16);
-  const payloadBits = payload.split('').map(char =>
-    toBinaryString(char.charCodeAt(0), 8)
-  ).join('');
-  const checksumBits = toBinaryString(calculateCRC16(payload), 16);
+// Convert a string (as UTF-8), buffer or byte array to a Uint8Array
+export function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  if (typeof data === 'string') return utf8Encode(data);
+  if (data instanceof ArrayBuffer) return new Uint8Array(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return Uint8Array.from(data);
+}
 
-  return [
-    PACKET_CONSTANTS.START_FRAME,
-    typeBits,
-    flagsBits,
-    lengthBits,
-    payloadBits,
-    checksumBits,
-    PACKET_CONSTANTS.END_FRAME
-  ];
+// Convert bytes back to a string with one character per byte (Latin-1)
+export function bytesToString(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i++) {
+    result += String.fromCharCode(bytes[i]);
+  }
+  return result;
 }
 
-// Parse packet from received bits
-export function parsePacket(receivedBits) {
-  try {
-    let bitIndex = 0;
+// Build a string from code points, a slice at a time (a call takes only so many arguments)
+function fromCodePoints(codePoints) {
+  let result = '';
+  for (let i = 0; i < codePoints.length; i += 4096) {
+    result += String.fromCodePoint(...codePoints.slice(i, i + 4096));
+  }
+  return result;
+}
 
-    // Find start frame
-    while (bitIndex <= receivedBits.length - 8) {
-      const frame = receivedBits.slice(bitIndex, bitIndex + 8).join('');
-      if (frame === PACKET_CONSTANTS.START_FRAME) {
+// Encode text as UTF-8 bytes (lone surrogates become U+FFFD)
+export function utf8Encode(text) {
+  const bytes = [];
+  for (const char of text) {
+    let code = char.codePointAt(0);
+    if (code >= 0xD800 && code <= 0xDFFF) code = 0xFFFD;
+
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+    } else if (code < 0x10000) {
+      bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+    } else {
+      bytes.push(0xF0 | (code >> 18), 0x80 | ((code >> 12) & 0x3F), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+    }
+  }
+  return Uint8Array.from(bytes);
+}
+
+// Decode UTF-8 bytes; malformed sequences become U+FFFD one byte at a time
+export function utf8Decode(bytes) {
+  const codePoints = [];
+  let i = 0;
+  while (i < bytes.length) {
+    const lead = bytes[i];
+    const length = lead < 0x80 ? 1 : (lead & 0xE0) === 0xC0 ? 2 : (lead & 0xF0) === 0xE0 ? 3 : (lead & 0xF8) === 0xF0 ? 4 : 0;
+    let code = length > 1 ? lead & (0xFF >> (length + 1)) : lead;
+    for (let j = 1; j < length; j++) {
+      const next = bytes[i + j];
+      if (next === undefined || (next & 0xC0) !== 0x80) {
+        code = -1;
         break;
       }
-      bitIndex++;
+      code = (code << 6) | (next & 0x3F);
     }
 
-    if (bitIndex > receivedBits.length - 8) {
-      throw new Error('Start frame not found');
+    // Reject truncated, overlong and out-of-range sequences and encoded surrogates
+    const minimum = [Infinity, 0, 0x80, 0x800, 0x10000][length];
+    if (code < minimum || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF)) {
+      codePoints.push(0xFFFD);
+      i++;
+    } else {
+      codePoints.push(code);
+      i += length;
     }
+  }
+  return fromCodePoints(codePoints);
+}
 
-    bitIndex += 8; // Skip start frame
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
 
-    // Read type (8 bits)
-    const typeBits = receivedBits.slice(bitIndex, bitIndex + 8).join('');
-    bitIndex += 8;
+// Encode bytes as Base64 (for storage and JSON, not for the optical link)
+export function bytesToBase64(bytes) {
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const chunk = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    result += BASE64_ALPHABET[(chunk >> 18) & 0x3F] + BASE64_ALPHABET[(chunk >> 12) & 0x3F];
+    result += i + 1 < bytes.length ? BASE64_ALPHABET[(chunk >> 6) & 0x3F] : '=';
+    result += i + 2 < bytes.length ? BASE64_ALPHABET[chunk & 0x3F] : '=';
+  }
+  return result;
+}
 
-    // Read flags (8 bits)
-    const flagsBits = receivedBits.slice(bitIndex, bitIndex + 8).join('');
-    const flags = fromBinaryString(flagsBits);
-    bitIndex += 8;
+// Decode Base64 (whitespace ignored) into bytes, throws on anything else
+export function base64ToBytes(base64) {
+  const clean = base64.replace(/\s/g, '');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(clean) || clean.replace(/=+$/, '').length % 4 === 1) {
+    throw new Error('Invalid Base64 data');
+  }
 
-    // Read length (16 bits)
-    const lengthBits = receivedBits.slice(bitIndex, bitIndex + 16).join('');
-    const payloadLength = fromBinaryString(lengthBits);
-    bitIndex += 16;
+  const digits = clean.replace(/=+$/, '');
+  const bytes = new Uint8Array(Math.floor(digits.length * 3 / 4));
+  let buffer = 0;
+  let bits = 0;
+  let offset = 0;
+  for (const digit of digits) {
+    buffer = ((buffer << 6) | BASE64_ALPHABET.indexOf(digit)) & 0xFFFFFF;
+    bits += 6;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[offset++] = (buffer >> bits) & 0xFF;
+    }
+  }
+  return bytes;
+}
+
+// Join byte arrays end to end
+export function concatBytes(arrays) {
+  const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  arrays.forEach(array => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+}
 
-    // Read payload
-    const payloadBits = receivedBits.slice(bitIndex, bitIndex + (payloadLength * 8));
-    bitIndex += payloadLength * 8;
+// Expand bytes into individual '0'/'1' bits, most significant bit first
+export function bytesToBits(bytes) {
+  const bits = [];
+  for (const byte of bytes) {
+    for (let i = 7; i >= 0; i--) {
+      bits.push((byte >> i) & 1 ? '1' : '0');
+    }
+  }
+  return bits;
+}
 
-    // Convert payload bits to string
-    const payload = [];
-    for (let i = 0; i < payloadBits.length; i += 8) {
-      const byte = payloadBits.slice(i, i + 8).join('');
-      payload.push(String.fromCharCode(fromBinaryString(byte)));
+// Pack '0'/'1' (or 0/1) bits into bytes; trailing bits that do not fill a byte are dropped
+export function bitsToBytes(bits) {
+  const bytes = new Uint8Array(Math.floor(bits.length / 8));
+  for (let i = 0; i < bytes.length; i++) {
+    let byte = 0;
+    for (let j = 0; j < 8; j++) {
+      byte = (byte << 1) | (Number(bits[i * 8 + j]) & 1);
     }
-    const payloadStr = payload.join('');
+    bytes[i] = byte;
+  }
+  return bytes;
+}
+
+// Number of parity bytes added to a payload of the given length
+export function getParityLength(payloadLength, paritySymbols) {
+  if (!paritySymbols || payloadLength === 0) return 0;
+  const blockDataSize = RS_CONSTANTS.MAX_CODEWORD_LENGTH - paritySymbols;
+  return Math.ceil(payloadLength / blockDataSize) * paritySymbols;
+}
 
-    // Read checksum (16 bits)
-    const checksumBits = receivedBits.slice(bitIndex, bitIndex + 16).join('');
-    const receivedChecksum = fromBinaryString(checksumBits);
-    bitIndex += 16;
+// Total frame size in bytes (between START and END delimiters)
+export function getFrameLength(header) {
+  return FRAME_CONSTANTS.HEADER_SIZE +
+    header.length +
+    getParityLength(header.length, header.paritySymbols) +
+    FRAME_CONSTANTS.CRC_SIZE;
+}
 
-    // Verify end frame
-    const endFrameBits = receivedBits.slice(bitIndex, bitIndex + 8).join('');
-    if (endFrameBits !== PACKET_CONSTANTS.END_FRAME) {
-      throw new Error('Invalid end frame');
+// Largest frame the decoder has to buffer, in bits including delimiters.
+// Defaults to Manchester, the most expensive line coding, plus worst-case stuffing.
+export function getMaxFrameBits(
+  maxPayloadSize = PACKET_CONSTANTS.MAX_CHUNK_SIZE,
+  paritySymbols = FRAME_CONSTANTS.DEFAULT_PARITY_SYMBOLS,
+  lineCoding = LINE_CODINGS.MANCHESTER
+) {
+  const chips = LINE_CODING_CONSTANTS.LINE_CODE_BITS + MODULATION_CONSTANTS.FIELD_BITS + getChipCount(getFrameLength({ length: maxPayloadSize, paritySymbols }) * 8, lineCoding);
+  const stuffed = chips + Math.floor(chips / LINE_CODING_CONSTANTS.MAX_RUN_LENGTH);
+  return PACKET_CONSTANTS.PREAMBLE.length + stuffed + 16;
+}
+
+// Shared codec for the default parity count, others are created on demand
+function getFECCodec(paritySymbols) {
+  return paritySymbols === fecEncoder.paritySymbols ? fecEncoder : new ReedSolomonFEC(paritySymbols);
+}
+
+// Header bytes an encrypted payload is bound to: everything before HEADER_CRC,
+// RETRANSMISSION cleared since it is set on frames that were already sealed
+export function getAssociatedData(frame) {
+  const aad = frame.slice(0, FRAME_CONSTANTS.HEADER_CRC_OFFSET);
+  aad[2] &= ~PACKET_FLAGS.RETRANSMISSION;
+  return aad;
+}
+
+// Build a binary frame from header fields and payload bytes; with a cipher
+// ({ seal(payload, aad), see aead.js }) the payload is encrypted
+export function encodeFrame(header, payload, cipher = null) {
+  const {
+    type,
+    flags = 0,
+    sequence = 0,
+    total = 1,
+    transferId = 0,
+    paritySymbols = 0,
+    codec = CODEC_IDS.NONE
+  } = header;
+  let payloadBytes = toBytes(payload);
+  const length = payloadBytes.length + (cipher ? cipher.overhead : 0);
+
+  if (length > 0xFFFF) {
+    throw new Error(`Payload too large for a single frame: ${length} bytes`);
+  }
+  if (sequence > FRAME_CONSTANTS.MAX_SEQUENCE || total > FRAME_CONSTANTS.MAX_SEQUENCE) {
+    throw new Error('Sequence number out of range');
+  }
+
+  const frame = new Uint8Array(getFrameLength({ length, paritySymbols }));
+  const view = new DataView(frame.buffer);
+  const frameFlags = cipher ? flags | PACKET_FLAGS.ENCRYPTED : flags & ~PACKET_FLAGS.ENCRYPTED;
+
+  view.setUint8(0, FRAME_CONSTANTS.VERSION);
+  view.setUint8(1, type);
+  view.setUint8(2, paritySymbols > 0 ? frameFlags | PACKET_FLAGS.FEC_ENABLED : frameFlags & ~PACKET_FLAGS.FEC_ENABLED);
+  view.setUint16(3, sequence);
+  view.setUint16(5, total);
+  view.setUint16(7, transferId & FRAME_CONSTANTS.MAX_TRANSFER_ID);
+  view.setUint8(9, paritySymbols);
+  view.setUint16(10, length);
+  view.setUint8(FRAME_CONSTANTS.CODEC_OFFSET, codec);
+  view.setUint16(FRAME_CONSTANTS.HEADER_CRC_OFFSET, calculateCRC16(frame.subarray(0, FRAME_CONSTANTS.HEADER_CRC_OFFSET)));
+
+  // FEC and the payload CRC protect the sealed bytes
+  if (cipher) {
+    payloadBytes = cipher.seal(payloadBytes, getAssociatedData(frame));
+  }
+  const parity = paritySymbols > 0 ? getFECCodec(paritySymbols).encode(payloadBytes).parity : [];
+
+  let offset = FRAME_CONSTANTS.HEADER_SIZE;
+  frame.set(payloadBytes, offset);
+  offset += payloadBytes.length;
+  frame.set(parity, offset);
+  offset += parity.length;
+  view.setUint16(offset, calculateCRC16(payloadBytes));
+
+  return frame;
+}
+
+// Copy of a frame with the RETRANSMISSION flag set (only the header CRC changes)
+export function markRetransmission(frame) {
+  const copy = Uint8Array.from(frame);
+  const view = new DataView(copy.buffer);
+  view.setUint8(2, view.getUint8(2) | PACKET_FLAGS.RETRANSMISSION);
+  view.setUint16(FRAME_CONSTANTS.HEADER_CRC_OFFSET, calculateCRC16(copy.subarray(0, FRAME_CONSTANTS.HEADER_CRC_OFFSET)));
+  return copy;
+}
+
+// Read and validate a frame header, returns null when absent or corrupt
+export function decodeFrameHeader(bytes) {
+  if (bytes.length < FRAME_CONSTANTS.HEADER_SIZE) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, FRAME_CONSTANTS.HEADER_SIZE);
+  if (view.getUint16(FRAME_CONSTANTS.HEADER_CRC_OFFSET) !== calculateCRC16(bytes.subarray(0, FRAME_CONSTANTS.HEADER_CRC_OFFSET))) return null;
+
+  const version = view.getUint8(0);
+  if (version !== FRAME_CONSTANTS.VERSION) return null;
+
+  return {
+    version,
+    type: view.getUint8(1),
+    flags: view.getUint8(2),
+    sequence: view.getUint16(3),
+    total: view.getUint16(5),
+    transferId: view.getUint16(7),
+    paritySymbols: view.getUint8(9),
+    length: view.getUint16(10),
+    codec: view.getUint8(FRAME_CONSTANTS.CODEC_OFFSET)
+  };
+}
+
+// Decode a complete binary frame, applying FEC before verifying the payload CRC
+export function decodeFrame(bytes) {
+  const header = decodeFrameHeader(bytes);
+  if (!header) {
+    return { valid: false, header: null, payload: null, errorsCorrected: 0, error: 'Invalid frame header' };
+  }
+
+  const frameLength = getFrameLength(header);
+  if (bytes.length < frameLength) {
+    return { valid: false, header, payload: null, errorsCorrected: 0, error: 'Truncated frame' };
+  }
+
+  const payloadStart = FRAME_CONSTANTS.HEADER_SIZE;
+  const parityStart = payloadStart + header.length;
+  const crcStart = frameLength - FRAME_CONSTANTS.CRC_SIZE;
+  let payload = bytes.slice(payloadStart, parityStart);
+  let errorsCorrected = 0;
+
+  if (header.paritySymbols > 0) {
+    const fecResult = getFECCodec(header.paritySymbols).decode({
+      data: payload,
+      parity: bytes.subarray(parityStart, crcStart),
+      paritySymbols: header.paritySymbols
+    });
+    if (fecResult.success) {
+      payload = Uint8Array.from(fecResult.bytes);
+      errorsCorrected = fecResult.errorsCorrected;
     }
+  }
+
+  const receivedChecksum = (bytes[crcStart] << 8) | bytes[crcStart + 1];
+  if (calculateCRC16(payload) !== receivedChecksum) {
+    return { valid: false, header, payload: null, errorsCorrected, error: 'Checksum mismatch' };
+  }
+
+  return { valid: true, header, payload, associatedData: getAssociatedData(bytes), errorsCorrected };
+}
 
-    // Verify checksum
-    const calculatedChecksum = calculateCRC16(payloadStr);
-    if (calculatedChecksum !== receivedChecksum) {
-      throw new Error('Checksum mismatch');
+// Line code and stuff a frame, wrapped in PREAMBLE/START/END, as individual bits for the optical layer
+export function frameToBits(frame, lineCoding = PACKET_CONSTANTS.DEFAULT_LINE_CODING, modulation = PACKET_CONSTANTS.DEFAULT_MODULATION) {
+  const body = stuffBits([
+    ...encodeLineCodeField(lineCoding),
+    ...encodeModulationField(modulation),
+    ...encodeLine(bytesToBits(frame), lineCoding)
+  ]);
+  return [
+    ...PACKET_CONSTANTS.PREAMBLE.split(''),
+    ...PACKET_CONSTANTS.START_FRAME.split(''),
+    ...body,
+    ...PACKET_CONSTANTS.END_FRAME.split('')
+  ];
+}
+
+// OOK chips ahead of the modulated part of a frame: PREAMBLE, START, LINE_CODE and MODULATION.
+// Neither field can contain a run long enough to be stuffed.
+function getFrameHeadLength() {
+  return PACKET_CONSTANTS.PREAMBLE.length + PACKET_CONSTANTS.START_FRAME.length +
+    LINE_CODING_CONSTANTS.LINE_CODE_BITS + MODULATION_CONSTANTS.FIELD_BITS;
+}
+
+// Serialize a frame into the screen colors flashed for each symbol
+export function frameToSymbols(frame, lineCoding = PACKET_CONSTANTS.DEFAULT_LINE_CODING, modulation = PACKET_CONSTANTS.DEFAULT_MODULATION) {
+  const chips = frameToBits(frame, lineCoding, modulation);
+  const head = chips.slice(0, getFrameHeadLength());
+  const body = chips.slice(getFrameHeadLength(), chips.length - PACKET_CONSTANTS.END_FRAME.length);
+  const end = chips.slice(chips.length - PACKET_CONSTANTS.END_FRAME.length);
+  const ook = chip => symbolToColor(Number(chip), MODULATIONS.OOK);
+
+  return [
+    ...head.map(ook),
+    ...modulateChips(body, modulation).map(value => symbolToColor(value, modulation)),
+    ...end.map(ook)
+  ];
+}
+
+// Calibration frame: shows every constellation point so receivers can learn them
+export function calibrationFrameToSymbols(modulation, lineCoding = PACKET_CONSTANTS.DEFAULT_LINE_CODING) {
+  const head = [
+    ...PACKET_CONSTANTS.PREAMBLE.split(''),
+    ...PACKET_CONSTANTS.START_FRAME.split(''),
+    ...encodeLineCodeField(lineCoding),
+    ...encodeModulationField(modulation, true)
+  ];
+  const ook = chip => symbolToColor(Number(chip), MODULATIONS.OOK);
+
+  return [
+    ...head.map(ook),
+    ...getCalibrationSequence(modulation).map(value => symbolToColor(value, modulation)),
+    ...PACKET_CONSTANTS.END_FRAME.split('').map(ook)
+  ];
+}
+
+// Create packet binary representation
+export function createPacket(type, payload, flags = 0, options = {}) {
+  const useFEC = (flags & PACKET_FLAGS.FEC_ENABLED) !== 0;
+  return encodeFrame({
+    type: fromBinaryString(type),
+    flags,
+    sequence: options.sequence,
+    total: options.total,
+    transferId: options.transferId,
+    codec: options.codec,
+    paritySymbols: useFEC ? (options.paritySymbols || fecEncoder.paritySymbols) : 0
+  }, payload, options.cipher);
+}
+
+// Check for the START delimiter at a bit offset
+function isStartFrame(bits, offset) {
+  for (let i = 0; i < 8; i++) {
+    if (Number(bits[offset + i]) !== 1) return false;
+  }
+  return true;
+}
+
+// Parse packet from received bits (line-coded chips)
+// Scans for a START delimiter followed by a valid LINE_CODE field and header;
+// bitsConsumed tells the caller how much of the buffer the frame occupied (including END).
+// An incomplete result carries bitsNeeded, the buffer length before which parsing again
+// cannot give a different answer (stuffed chips can make the real figure larger).
+export function parsePacket(receivedBits) {
+  const headerBits = FRAME_CONSTANTS.HEADER_SIZE * 8;
+  const fieldBits = LINE_CODING_CONSTANTS.LINE_CODE_BITS + MODULATION_CONSTANTS.FIELD_BITS;
+  let incomplete = false;
+  let bitsNeeded = receivedBits.length + 1;
+
+  for (let start = 0; start + 8 <= receivedBits.length; start++) {
+    if (!isStartFrame(receivedBits, start)) continue;
+
+    // Everything between START and END is bit stuffed
+    const bodyStart = start + 8;
+    const body = destuffBits(receivedBits.slice(bodyStart));
+    if (body.bits.length < fieldBits) {
+      incomplete = true;
+      bitsNeeded = receivedBits.length + fieldBits - body.bits.length;
+      break;
     }
 
-    return {
-      type: typeBits,
-      flags: flags,
-      payload: payloadStr,
-      valid: true
-    };
+    const lineCoding = decodeLineCodeField(body.bits);
+    if (lineCoding === null) continue; // START pattern inside noise
+
+    // Calibration frames carry constellation points, not data
+    const modulation = decodeModulationField(body.bits.slice(LINE_CODING_CONSTANTS.LINE_CODE_BITS));
+    if (modulation === null || modulation.calibration) continue;
+
+    const chips = body.bits.slice(fieldBits);
+    const headerChips = getChipCount(headerBits, lineCoding);
+    if (chips.length < headerChips) {
+      incomplete = true;
+      bitsNeeded = receivedBits.length + headerChips - chips.length;
+      break;
+    }
+
+    const header = decodeFrameHeader(bitsToBytes(decodeLine(chips.slice(0, headerChips), lineCoding).bits));
+    if (!header) continue;
+
+    const frameChips = getChipCount(getFrameLength(header) * 8, lineCoding);
+    if (chips.length < frameChips) {
+      incomplete = true;
+      bitsNeeded = receivedBits.length + frameChips - chips.length + PACKET_CONSTANTS.END_FRAME.length;
+      break;
+    }
+
+    const bitsConsumed = bodyStart + body.positions[fieldBits + frameChips - 1] + 1 + 8;
+    if (bitsConsumed > receivedBits.length) {
+      incomplete = true; // Wait for END so the next frame starts cleanly
+      bitsNeeded = bitsConsumed;
+      break;
+    }
+
+    const decoded = decodeLine(chips.slice(0, frameChips), lineCoding);
+    const result = decodeFrame(bitsToBytes(decoded.bits));
+
+    if (!result.valid) {
+      return {
+        type: toBinaryString(header.type, 8),
+        flags: header.flags,
+        sequence: header.sequence,
+        total: header.total,
+        transferId: header.transferId,
+        codec: header.codec,
+        payload: null,
+        valid: false,
+        lineCoding,
+        modulation: modulation.modulation,
+        codingErrors: decoded.codingErrors,
+        errorsCorrected: result.errorsCorrected,
+        bitsConsumed,
+        error: result.error
+      };
+    }
 
-  } catch (error) {
     return {
-      type: null,
-      flags: 0,
-      payload: null,
-      valid: false,
-      error: error.message
+      type: toBinaryString(header.type, 8),
+      flags: header.flags,
+      sequence: header.sequence,
+      total: header.total,
+      transferId: header.transferId,
+      paritySymbols: header.paritySymbols,
+      codec: header.codec,
+      payload: result.payload,
+      associatedData: result.associatedData,
+      lineCoding,
+      modulation: modulation.modulation,
+      codingErrors: decoded.codingErrors,
+      errorsCorrected: result.errorsCorrected,
+      valid: true,
+      bitsConsumed
     };
   }
+
+  return {
+    type: null,
+    flags: 0,
+    payload: null,
+    valid: false,
+    incomplete,
+    bitsNeeded,
+    error: incomplete ? 'Incomplete frame' : 'Start frame not found'
+  };
 }
 
 // Get data type name from binary identifier
@@ -443,7 +728,7 @@ export function getDataTypeName(typeBits) {
   return 'UNKNOWN';
 }
 
-// Chunk large data into multiple packets
+// Chunk large data (bytes) into multiple packets
 export function chunkData(data, type, maxChunkSize = PACKET_CONSTANTS.MAX_CHUNK_SIZE) {
   const chunks = [];
   for (let i = 0; i < data.length; i += maxChunkSize) {
@@ -458,10 +743,26 @@ export function chunkData(data, type, maxChunkSize = PACKET_CONSTANTS.MAX_CHUNK_
   return chunks;
 }
 
-// Reassemble chunked data
+// Bitmap of the chunks not received yet, bit i set (most significant bit first) when chunk i is missing
+export function getMissingChunkBitmap(chunks, total = chunks[0]?.total || 0) {
+  const bitmap = new Uint8Array(Math.ceil(total / 8)).fill(0xFF);
+  if (total % 8 !== 0) {
+    bitmap[bitmap.length - 1] = (0xFF << (8 - total % 8)) & 0xFF; // Padding bits are never missing
+  }
+  chunks.forEach(chunk => {
+    if (chunk.sequence < total) {
+      bitmap[chunk.sequence >> 3] &= ~(0x80 >> (chunk.sequence & 7));
+    }
+  });
+  return bitmap;
+}
+
+// Reassemble chunked data, returns null while chunks are missing (see getMissingChunkBitmap).
+// Duplicates of a chunk are ignored.
 export function reassembleChunks(chunks) {
-  // Sort by sequence number
+  // Sort by sequence number, keeping one copy of each chunk
   chunks.sort((a, b) => a.sequence - b.sequence);
+  chunks = chunks.filter((chunk, i) => i === 0 || chunk.sequence !== chunks[i - 1].sequence);
 
   // Check if we have all chunks
   const total = chunks[0]?.total || 0;
@@ -476,5 +777,5 @@ export function reassembleChunks(chunks) {
     }
   }
 
-  return chunks.map(chunk => chunk.data).join('');
+  return concatBytes(chunks.map(chunk => toBytes(chunk.data)));
 }
\ No newline at end of file
@@ -1,11 +1,35 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import DeviceManager from './device.js';
-import { getFirestore, doc, setDoc, getDoc, collection, query, where, getDocs, deleteDoc, addDoc } from 'firebase/firestore';
+import DeviceManager, { DeviceAuthError } from './device.js';
+import { getFirestore, doc, getDoc, collection, query, where, getDocs, deleteDoc, addDoc } from 'firebase/firestore';
 import CryptoJS from 'crypto-js';
+import * as SecureStore from 'expo-secure-store';
+import * as Crypto from 'expo-crypto';
+import { PacketCipher } from './aead.js';
+import { generateKeyPair, deriveSharedKeys, keyCommitment, matchesKeyCommitment, KEY_AGREEMENT_CONSTANTS } from './keyAgreement.js';
+import { createQuantumKeyOffer, respondToQuantumKeyOffer, completeQuantumKeyExchange, openQuantumKeyReveal, QUANTUM_KEY_CONSTANTS } from './quantumKey.js';
+import { bytesToBase64, base64ToBytes } from './packet.js';
+import { ApiClient } from './apiClient.js';
+
+// A command refused by the backend or by the local checks; `code` carries
+// the backend's error code when it gave one
+export class CommandVerificationError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'CommandVerificationError';
+    this.code = code;
+  }
+}
 
 export class PairingManager {
   static PAIRED_DEVICES_KEY = 'paired_devices';
   static PAIRING_TOKEN_KEY = 'pairing_token';
+  static PAIRING_SECRETS_KEY = 'pairing_secret_devices'; // Device IDs with a stored secret
+  static PAIRING_SECRET_PREFIX = 'pairing_secret_';      // SecureStore key per device
+  static KEY_AGREEMENT_TTL_MS = 2 * 60 * 1000;           // As long as the pairing token
+  static QUANTUM_KEY_TTL_MS = 30 * 60 * 1000;            // ML-KEM keys take minutes on air
+
+  // Handshakes in progress by peer device ID; private keys never leave memory
+  static pendingKeyAgreements = new Map();
 
   // Get Firestore instance
   static getDB() {
@@ -19,19 +43,11 @@ export class PairingManager {
     try {
       const senderDeviceId = await DeviceManager.getDeviceId();
 
-      const response = await fetch(`${backendUrl}/auth/challenge`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          senderDeviceId,
-          receiverDeviceId
-        })
+      const result = await DeviceManager.apiClient(backendUrl).createAuthChallenge({
+        senderDeviceId,
+        receiverDeviceId
       });
 
-      const result = await response.json();
-
       if (result.success) {
         // Store token temporarily
         await AsyncStorage.setItem(this.PAIRING_TOKEN_KEY, JSON.stringify({
@@ -58,19 +74,13 @@ export class PairingManager {
   // Verify pairing token (called after VLC reception)
   static async verifyPairingToken(token, backendUrl = 'http://localhost:3000') {
     try {
-      const response = await fetch(`${backendUrl}/auth/verify`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ token })
-      });
-
-      const result = await response.json();
+      // Tokens are bound to their receiver, so send who we are
+      const receiverDeviceId = await DeviceManager.getDeviceId();
+      const result = await DeviceManager.apiClient(backendUrl).verifyAuthToken({ token, receiverDeviceId });
 
       if (result.success) {
         // Store pairing relationship
-        await this.storePairing(result.senderDeviceId, result.receiverDeviceId);
+        await this.storePairing(result.senderDeviceId, result.receiverDeviceId, backendUrl);
         await this.logPairingEvent('pairing_established', {
           senderDeviceId: result.senderDeviceId,
           receiverDeviceId: result.receiverDeviceId
@@ -89,11 +99,11 @@ export class PairingManager {
     }
   }
 
-  // Store pairing relationship locally and in Firestore
-  static async storePairing(senderDeviceId, receiverDeviceId) {
+  // Store pairing relationship locally and confirm it to the backend, which
+  // writes the Firestore pairing once the other device has confirmed too
+  static async storePairing(senderDeviceId, receiverDeviceId, backendUrl = DeviceManager.backendUrl) {
     try {
       const currentDeviceId = await DeviceManager.getDeviceId();
-      const db = this.getDB();
 
       // Determine which device is "this" device
       const isSender = currentDeviceId === senderDeviceId;
@@ -106,19 +116,12 @@ export class PairingManager {
         await AsyncStorage.setItem(this.PAIRED_DEVICES_KEY, JSON.stringify(pairedDevices));
       }
 
-      // Store in Firestore
-      const pairingId = [senderDeviceId, receiverDeviceId].sort().join('_');
-      const pairingData = {
-        id: pairingId,
-        devices: [senderDeviceId, receiverDeviceId],
-        establishedAt: new Date(),
-        status: 'active',
-        lastActivity: new Date()
-      };
-
-      await setDoc(doc(db, 'pairings', pairingId), pairingData);
+      const result = await DeviceManager.apiClient(backendUrl).confirmPairing({ peerDeviceId: pairedDeviceId });
+      if (!result.success) {
+        throw new Error(result.message);
+      }
 
-      console.log('Pairing stored successfully');
+      console.log(result.status === 'active' ? 'Pairing stored successfully' : 'Pairing waits for the other device to confirm');
       return true;
     } catch (error) {
       console.error('Error storing pairing:', error);
@@ -152,22 +155,25 @@ export class PairingManager {
   }
 
   // Revoke pairing
-  static async revokePairing(pairedDeviceId) {
+  static async revokePairing(pairedDeviceId, backendUrl = DeviceManager.backendUrl) {
     try {
       const currentDeviceId = await DeviceManager.getDeviceId();
-      const db = this.getDB();
 
       // Remove locally
       const pairedDevices = await this.getPairedDevices();
       const updatedDevices = pairedDevices.filter(id => id !== pairedDeviceId);
       await AsyncStorage.setItem(this.PAIRED_DEVICES_KEY, JSON.stringify(updatedDevices));
 
-      // Update in Firestore
-      const pairingId = [currentDeviceId, pairedDeviceId].sort().join('_');
-      await setDoc(doc(db, 'pairings', pairingId), {
-        status: 'revoked',
-        revokedAt: new Date()
-      }, { merge: true });
+      await this.deletePairingSecret(pairedDeviceId);
+
+      // Only a participant may revoke, so the backend needs this device's token
+      const result = await DeviceManager.apiClient(backendUrl).revokePairing({
+        deviceId1: currentDeviceId,
+        deviceId2: pairedDeviceId
+      });
+      if (!result.success && result.code !== 'PAIRING_NOT_FOUND') {
+        throw new Error(result.message);
+      }
 
       await this.logPairingEvent('pairing_revoked', {
         deviceId1: currentDeviceId,
@@ -182,6 +188,386 @@ export class PairingManager {
     }
   }
 
+  // Store the packet encryption secret shared with a device (SecureStore, one entry per device)
+  static async storePairingSecret(pairedDeviceId, secret) {
+    try {
+      await SecureStore.setItemAsync(this.PAIRING_SECRET_PREFIX + pairedDeviceId, bytesToBase64(secret));
+      const devices = await this.getPairingSecretDevices();
+      if (!devices.includes(pairedDeviceId)) {
+        devices.push(pairedDeviceId);
+        await AsyncStorage.setItem(this.PAIRING_SECRETS_KEY, JSON.stringify(devices));
+      }
+      return true;
+    } catch (error) {
+      console.error('Error storing pairing secret:', error);
+      return false;
+    }
+  }
+
+  // Devices a packet encryption secret is stored for
+  static async getPairingSecretDevices() {
+    try {
+      const data = await AsyncStorage.getItem(this.PAIRING_SECRETS_KEY);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Error getting pairing secret devices:', error);
+      return [];
+    }
+  }
+
+  // Forget the packet encryption secret shared with a device
+  static async deletePairingSecret(pairedDeviceId) {
+    try {
+      await SecureStore.deleteItemAsync(this.PAIRING_SECRET_PREFIX + pairedDeviceId);
+      const devices = await this.getPairingSecretDevices();
+      await AsyncStorage.setItem(this.PAIRING_SECRETS_KEY, JSON.stringify(devices.filter(id => id !== pairedDeviceId)));
+    } catch (error) {
+      console.error('Error deleting pairing secret:', error);
+    }
+  }
+
+  // Secret shared with a paired device, null if there is none
+  static async getPairingSecret(pairedDeviceId) {
+    const secret = await SecureStore.getItemAsync(this.PAIRING_SECRET_PREFIX + pairedDeviceId);
+    return secret ? base64ToBytes(secret) : null;
+  }
+
+  // Cipher for frames to a paired device (or, with incoming, from it), null without a shared secret
+  static async getPacketCipher(pairedDeviceId, incoming = false) {
+    try {
+      const secret = await this.getPairingSecret(pairedDeviceId);
+      if (!secret) return null;
+
+      const deviceId = await DeviceManager.getDeviceId();
+      const counterSeed = new Uint8Array(await Crypto.getRandomBytesAsync(8));
+      return incoming
+        ? PacketCipher.fromPairingSecret(secret, pairedDeviceId, deviceId, counterSeed)
+        : PacketCipher.fromPairingSecret(secret, deviceId, pairedDeviceId, counterSeed);
+    } catch (error) {
+      console.error('Error loading packet cipher:', error);
+      return null;
+    }
+  }
+
+  // Ciphers for frames from every device a secret is stored for, for the receiver
+  static async getPacketCiphers() {
+    const devices = await this.getPairingSecretDevices();
+    const ciphers = await Promise.all(devices.map(id => this.getPacketCipher(id, true)));
+    return ciphers.filter(Boolean);
+  }
+
+  // Start an optical key agreement with a device (initiator), returns the
+  // commitment to flash along with the pairing token; the public key itself
+  // is revealed once the responder has answered (completeKeyAgreement)
+  static async startKeyAgreement(receiverDeviceId) {
+    const deviceId = await DeviceManager.getDeviceId();
+    const keyPair = generateKeyPair(new Uint8Array(await Crypto.getRandomBytesAsync(KEY_AGREEMENT_CONSTANTS.KEY_SIZE)));
+    this.pendingKeyAgreements.set(receiverDeviceId, {
+      role: 'initiator',
+      kind: 'x25519',
+      initiatorId: deviceId,
+      responderId: receiverDeviceId,
+      keyPair,
+      expiresAt: Date.now() + this.KEY_AGREEMENT_TTL_MS
+    });
+    return keyCommitment(keyPair.publicKey);
+  }
+
+  // Answer a key agreement flashed with a verified pairing token (responder).
+  // Returns { success, publicKey, relayed }; the public key goes back by light
+  // (payloadBuilder.buildKeyAgreementPayload) or through the backend, which is tried here.
+  // The SAS comes once the initiator reveals the key it committed to (completeKeyAgreement).
+  static async respondToKeyAgreement(authPayload, backendUrl = 'http://localhost:3000') {
+    try {
+      const deviceId = await DeviceManager.getDeviceId();
+      const commitment = base64ToBytes(authPayload.keyCommitment);
+      if (commitment.length !== KEY_AGREEMENT_CONSTANTS.COMMITMENT_SIZE) {
+        throw new Error('Malformed key commitment');
+      }
+      const keyPair = generateKeyPair(new Uint8Array(await Crypto.getRandomBytesAsync(KEY_AGREEMENT_CONSTANTS.KEY_SIZE)));
+
+      this.pendingKeyAgreements.set(authPayload.senderDeviceId, {
+        role: 'responder',
+        kind: 'x25519',
+        initiatorId: authPayload.senderDeviceId,
+        responderId: deviceId,
+        commitment,
+        keyPair,
+        expiresAt: Date.now() + this.KEY_AGREEMENT_TTL_MS
+      });
+
+      // Reverse channel through the backend; without one the answer is flashed back
+      let relayed = false;
+      try {
+        const result = await DeviceManager.apiClient(backendUrl).answerPairingHandshake({
+          token: authPayload.token,
+          publicKey: bytesToBase64(keyPair.publicKey)
+        });
+        relayed = result.success;
+        if (!result.success) {
+          console.warn('Backend did not take the key agreement answer:', result.message);
+        }
+      } catch (error) {
+        console.warn('No backend reverse channel, answer by light:', error.message);
+      }
+
+      return { success: true, publicKey: keyPair.publicKey, relayed };
+    } catch (error) {
+      console.error('Error answering key agreement:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  // Finish a key agreement with the peer's public key: the responder's answer
+  // (initiator), or the initiator's key revealed after that answer, which must
+  // match its commitment (responder). Returns { success, role, sas, relayed }; the
+  // initiator reveals its key through the backend here, or by light
+  // (payloadBuilder.buildKeyAgreementPayload) when relayed is false.
+  static async completeKeyAgreement(peerDeviceId, peerPublicKey, backendUrl = 'http://localhost:3000') {
+    try {
+      const pending = this.pendingKeyAgreements.get(peerDeviceId);
+      if (!pending || pending.kind !== 'x25519') {
+        throw new Error('No key agreement in progress with this device');
+      }
+      if (Date.now() > pending.expiresAt) {
+        this.pendingKeyAgreements.delete(peerDeviceId);
+        throw new Error('Key agreement expired');
+      }
+      if (pending.sas) {
+        return { success: true, role: pending.role, sas: pending.sas, relayed: Boolean(pending.relayed) };
+      }
+
+      const peerKey = typeof peerPublicKey === 'string' ? base64ToBytes(peerPublicKey) : peerPublicKey;
+      const initiator = pending.role === 'initiator';
+      if (!initiator && !matchesKeyCommitment(pending.commitment, peerKey)) {
+        // Not the key flashed with the token: someone else is answering for the initiator
+        this.pendingKeyAgreements.delete(peerDeviceId);
+        throw new Error('Revealed key does not match its commitment');
+      }
+
+      const transcript = {
+        initiatorId: pending.initiatorId,
+        responderId: pending.responderId,
+        initiatorKey: initiator ? pending.keyPair.publicKey : peerKey,
+        responderKey: initiator ? peerKey : pending.keyPair.publicKey
+      };
+      const { secret, sas } = deriveSharedKeys(pending.keyPair.privateKey, peerKey, transcript);
+      Object.assign(pending, transcript, { secret, sas });
+
+      if (initiator) {
+        pending.relayed = await this.revealKeyAgreement(pending, backendUrl);
+      }
+      return { success: true, role: pending.role, sas, relayed: Boolean(pending.relayed) };
+    } catch (error) {
+      console.error('Error completing key agreement:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  // Reveal the initiator's public key to the responder through the backend,
+  // returns whether it took it
+  static async revealKeyAgreement(pending, backendUrl) {
+    try {
+      const result = await DeviceManager.apiClient(backendUrl).revealPairingHandshake({
+        receiverDeviceId: pending.responderId,
+        publicKey: bytesToBase64(pending.keyPair.publicKey)
+      });
+      if (!result.success) {
+        console.warn('Backend did not take the key agreement reveal:', result.message);
+      }
+      return result.success;
+    } catch (error) {
+      console.warn('No backend reverse channel, reveal by light:', error.message);
+      return false;
+    }
+  }
+
+  // Check the backend for the peer's key: the responder's answer (initiator)
+  // or the initiator's revealed key (responder). Returns { success, sas } once
+  // it is there, { success: false } until then.
+  static async pollKeyAgreement(peerDeviceId, backendUrl = 'http://localhost:3000') {
+    const pending = this.pendingKeyAgreements.get(peerDeviceId);
+    if (!pending || pending.kind !== 'x25519') {
+      return { success: false, message: 'No key agreement in progress with this device' };
+    }
+    if (pending.sas) {
+      return { success: true, sas: pending.sas }; // Answered by light
+    }
+
+    try {
+      const result = await new ApiClient(backendUrl).getPairingHandshake({
+        senderDeviceId: pending.initiatorId,
+        receiverDeviceId: pending.responderId
+      });
+      if (!result.success) {
+        return { success: false, message: result.message };
+      }
+      const peerKey = pending.role === 'initiator' ? result.publicKey : result.initiatorPublicKey;
+      if (!peerKey) {
+        return { success: false, message: 'Key not revealed yet' };
+      }
+      return await this.completeKeyAgreement(peerDeviceId, peerKey, backendUrl);
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  }
+
+  // Handshakes waiting for the users to compare their SAS, and the
+  // responder's ones still waiting for the initiator's key (sas is null)
+  static getPendingKeyAgreements() {
+    const now = Date.now();
+    return Array.from(this.pendingKeyAgreements.entries())
+      .filter(([, pending]) => (pending.sas || pending.role === 'responder') && now <= pending.expiresAt)
+      .map(([peerDeviceId, pending]) => ({
+        peerDeviceId,
+        role: pending.role,
+        kind: pending.kind,
+        sas: pending.sas || null,
+        publicKey: pending.keyPair ? pending.keyPair.publicKey : null, // Answer or reveal to flash
+        reply: pending.reply || null // QUANTUM_KEY response to flash back
+      }));
+  }
+
+  // Start a post-quantum key exchange with a device (initiator), returns the
+  // OFFER to flash as a DATA_TYPES.QUANTUM_KEY transfer
+  static async startQuantumKeyExchange(receiverDeviceId, options = {}) {
+    const deviceId = await DeviceManager.getDeviceId();
+    const randomBytes = new Uint8Array(await Crypto.getRandomBytesAsync(QUANTUM_KEY_CONSTANTS.RANDOM_BYTES));
+    const { message, state } = createQuantumKeyOffer(deviceId, receiverDeviceId, randomBytes, options);
+    this.pendingKeyAgreements.set(receiverDeviceId, {
+      role: 'initiator',
+      kind: 'quantum',
+      initiatorId: deviceId,
+      responderId: receiverDeviceId,
+      quantumState: state,
+      expiresAt: Date.now() + this.QUANTUM_KEY_TTL_MS
+    });
+    return message;
+  }
+
+  // Answer a received QUANTUM_KEY offer (responder). Returns { success,
+  // peerDeviceId, reply }; the reply is flashed back to the initiator, and the
+  // SAS comes with the initiator's reveal (openQuantumKeyReveal).
+  static async respondToQuantumKeyExchange(offerMessage) {
+    try {
+      const deviceId = await DeviceManager.getDeviceId();
+      const randomBytes = new Uint8Array(await Crypto.getRandomBytesAsync(QUANTUM_KEY_CONSTANTS.RANDOM_BYTES));
+      const { offer, message, state } = respondToQuantumKeyOffer(offerMessage, randomBytes);
+      if (offer.receiverId !== deviceId) {
+        throw new Error('Quantum key offer is for another device');
+      }
+
+      this.pendingKeyAgreements.set(offer.senderId, {
+        role: 'responder',
+        kind: 'quantum',
+        initiatorId: offer.senderId,
+        responderId: deviceId,
+        quantumState: state,
+        reply: message,
+        expiresAt: Date.now() + this.QUANTUM_KEY_TTL_MS
+      });
+      return { success: true, peerDeviceId: offer.senderId, reply: message };
+    } catch (error) {
+      console.error('Error answering quantum key exchange:', error);
+      return { success: false, message: error.message };
+    }
+  }
+
+  // Finish a post-quantum key exchange with the responder's QUANTUM_KEY
+  // response (initiator), returns { success, peerDeviceId, sas, reply }; the
+  // reply reveals the committed nonce and is flashed to the responder
+  static async completeQuantumKeyExchange(responderDeviceId, responseMessage) {
+    try {
+      const pending = this.pendingKeyAgreements.get(responderDeviceId);
+      if (!pending || pending.role !== 'initiator' || pending.kind !== 'quantum') {
+        throw new Error('No quantum key exchange in progress with this device');
+      }
+      if (Date.now() > pending.expiresAt) {
+        this.pendingKeyAgreements.delete(responderDeviceId);
+        throw new Error('Quantum key exchange expired');
+      }
+
+      const { secret, sas, reveal } = completeQuantumKeyExchange(pending.quantumState, responseMessage);
+      Object.assign(pending, { secret, sas, reply: reveal });
+      return { success: true, peerDeviceId: responderDeviceId, sas, reply: reveal };
+    } catch (error) {
+      console.error('Error completing quantum key exchange:', error);
+      return { success: false, peerDeviceId: responderDeviceId, message: error.message };
+    }
+  }
+
+  // Finish a post-quantum key exchange we answered with the initiator's
+  // QUANTUM_KEY reveal (responder), returns { success, peerDeviceId, sas }
+  static async openQuantumKeyReveal(initiatorDeviceId, revealMessage) {
+    try {
+      const pending = this.pendingKeyAgreements.get(initiatorDeviceId);
+      if (!pending || pending.role !== 'responder' || pending.kind !== 'quantum') {
+        throw new Error('No quantum key exchange in progress with this device');
+      }
+      if (Date.now() > pending.expiresAt) {
+        this.pendingKeyAgreements.delete(initiatorDeviceId);
+        throw new Error('Quantum key exchange expired');
+      }
+
+      let keys;
+      try {
+        keys = openQuantumKeyReveal(pending.quantumState, revealMessage);
+      } catch (error) {
+        // Not the nonce committed to in the offer: someone else is answering for the initiator
+        this.pendingKeyAgreements.delete(initiatorDeviceId);
+        throw error;
+      }
+      Object.assign(pending, { secret: keys.secret, sas: keys.sas, reply: null });
+      return { success: true, peerDeviceId: initiatorDeviceId, sas: keys.sas };
+    } catch (error) {
+      console.error('Error opening quantum key reveal:', error);
+      return { success: false, peerDeviceId: initiatorDeviceId, message: error.message };
+    }
+  }
+
+  // The users saw the same SAS on both screens: keep the secret and the pairing
+  static async confirmKeyAgreement(peerDeviceId) {
+    try {
+      const pending = this.pendingKeyAgreements.get(peerDeviceId);
+      if (!pending || !pending.secret) {
+        throw new Error('No key agreement to confirm with this device');
+      }
+      if (Date.now() > pending.expiresAt) {
+        throw new Error('Key agreement expired');
+      }
+
+      // The backend records the pairing first, so a refused pairing keeps no secret
+      if (!(await this.storePairing(pending.initiatorId, pending.responderId))) {
+        throw new Error('The backend did not record the pairing');
+      }
+      await this.storePairingSecret(peerDeviceId, pending.secret);
+      await this.logPairingEvent('key_agreement_confirmed', {
+        initiatorId: pending.initiatorId,
+        responderId: pending.responderId,
+        kind: pending.kind
+      });
+      return { success: true };
+    } catch (error) {
+      console.error('Error confirming key agreement:', error);
+      return { success: false, message: error.message };
+    } finally {
+      this.pendingKeyAgreements.delete(peerDeviceId);
+    }
+  }
+
+  // The SAS differed (or the user gave up): forget the handshake
+  static async rejectKeyAgreement(peerDeviceId) {
+    const pending = this.pendingKeyAgreements.get(peerDeviceId);
+    this.pendingKeyAgreements.delete(peerDeviceId);
+    if (pending) {
+      await this.logPairingEvent('key_agreement_rejected', {
+        initiatorId: pending.initiatorId,
+        responderId: pending.responderId,
+        kind: pending.kind
+      });
+    }
+  }
+
   // Create signed command
   static async createSignedCommand(receiverId, command, expiresInMinutes = 5) {
     try {
@@ -204,67 +590,52 @@ export class PairingManager {
         expiresAt
       };
 
-      // Create signature using device ID as key (in production, use proper key management)
-      const signature = CryptoJS.HmacSHA256(JSON.stringify(commandData), senderId).toString();
-
-      const signedCommand = {
-        ...commandData,
-        signature
-      };
-
-      return signedCommand;
+      // Sign with this device's identity key (adds keyId and signature)
+      return await DeviceManager.signEnvelope(commandData);
     } catch (error) {
       console.error('Error creating signed command:', error);
       throw error;
     }
   }
 
-  // Verify and execute command
-  static async verifyAndExecuteCommand(signedCommand) {
+  // Backend verdict on a signed command: { success, code, message }, or null
+  // when the backend cannot be reached
+  static async verifyCommandWithBackend(signedCommand, backendUrl) {
     try {
-      const currentDeviceId = await DeviceManager.getDeviceId();
-
-      // Check if this device is the intended receiver
-      if (signedCommand.receiverId !== currentDeviceId) {
-        throw new Error('Command not intended for this device');
+      const result = await DeviceManager.apiClient(backendUrl).verifyCommand({ signedCommand });
+      return { success: result.success, code: result.code || null, message: result.message };
+    } catch (error) {
+      if (error instanceof DeviceAuthError) {
+        // Reachable, but refused this device's login; that is a verdict too
+        return { success: false, code: error.code, message: error.message };
       }
+      console.warn('Backend unreachable for command verification:', error.message);
+      return null;
+    }
+  }
 
-      // Check expiration
-      if (Date.now() > signedCommand.expiresAt) {
-        throw new Error('Command expired');
-      }
+  // Verify and execute command. The backend checks the signature against the
+  // sender's registered key and reserves the nonce, and its verdict stands.
+  // Without a verdict the command is refused: a device cannot keep every
+  // nonce it has seen, so it could not rule out a replay on its own.
+  static async verifyAndExecuteCommand(signedCommand, backendUrl = 'http://localhost:3000') {
+    let currentDeviceId = null;
+    try {
+      currentDeviceId = await DeviceManager.getDeviceId();
 
-      // Check pairing
-      if (!(await this.areDevicesPaired(signedCommand.senderId, signedCommand.receiverId))) {
-        throw new Error('Devices are not paired');
+      // Check if this device is the intended receiver
+      if (signedCommand.receiverId !== currentDeviceId) {
+        throw new CommandVerificationError('Command not intended for this device');
       }
 
-      // Verify signature
-      const commandData = {
-        type: signedCommand.type,
-        senderId: signedCommand.senderId,
-        receiverId: signedCommand.receiverId,
-        command: signedCommand.command,
-        nonce: signedCommand.nonce,
-        expiresAt: signedCommand.expiresAt
-      };
-
-      const expectedSignature = CryptoJS.HmacSHA256(JSON.stringify(commandData), signedCommand.senderId).toString();
-
-      if (expectedSignature !== signedCommand.signature) {
-        throw new Error('Invalid signature');
+      const verdict = await this.verifyCommandWithBackend(signedCommand, backendUrl);
+      if (!verdict) {
+        throw new CommandVerificationError('Backend unreachable, command not verified', 'BACKEND_UNREACHABLE');
       }
-
-      // Check for replay attack (simple nonce check)
-      const usedNonces = await this.getUsedNonces();
-      if (usedNonces.includes(signedCommand.nonce)) {
-        throw new Error('Command already executed (replay attack)');
+      if (!verdict.success) {
+        throw new CommandVerificationError(verdict.message, verdict.code);
       }
 
-      // Mark nonce as used
-      usedNonces.push(signedCommand.nonce);
-      await AsyncStorage.setItem('used_nonces', JSON.stringify(usedNonces.slice(-100))); // Keep last 100
-
       // Log command execution
       await this.logPairingEvent('command_executed', {
         senderId: signedCommand.senderId,
@@ -282,9 +653,10 @@ export class PairingManager {
       await this.logPairingEvent('command_failed', {
         senderId: signedCommand.senderId || 'unknown',
         receiverId: currentDeviceId,
-        error: error.message
+        error: error.message,
+        code: error.code || null
       });
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, code: error.code || null };
     }
   }
 
@@ -301,17 +673,6 @@ export class PairingManager {
     }
   }
 
-  // Get used nonces for replay prevention
-  static async getUsedNonces() {
-    try {
-      const data = await AsyncStorage.getItem('used_nonces');
-      return data ? JSON.parse(data) : [];
-    } catch (error) {
-      console.error('Error getting used nonces:', error);
-      return [];
-    }
-  }
-
   // Log pairing events
   static async logPairingEvent(action, data) {
     try {
@@ -319,6 +680,7 @@ export class PairingManager {
       await addDoc(collection(db, 'pairing_events'), {
         action,
         ...data,
+        deviceId: await DeviceManager.getDeviceId(),
         timestamp: new Date()
       });
     } catch (error) {
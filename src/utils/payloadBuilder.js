@@ -1,5 +1,7 @@
 import { encodeData } from '../encoder/encoder.js';
-import { DATA_TYPES, PACKET_FLAGS } from './packet.js';
+import { DATA_TYPES, PACKET_FLAGS, bytesToBase64 } from './packet.js';
+import { DeviceManager } from './device.js';
+import { ApiClient } from './apiClient.js';
 
 // Payload mode flags (2 bits prefix)
 export const PAYLOAD_MODES = {
@@ -15,28 +17,22 @@ export class PayloadBuilder {
     this.backendUrl = 'http://localhost:3000'; // Default, can be configured
   }
 
-  // Set backend URL for API calls
+  // Set backend URL for API calls (and this device's logins to it)
   setBackendUrl(url) {
     this.backendUrl = url;
+    DeviceManager.setBackendUrl(url);
   }
 
-  // Build auth payload for VLC transmission
-  async buildAuthPayload(senderDeviceId, receiverDeviceId) {
+  // Build auth payload for VLC transmission; the commitment to the initiator's
+  // key agreement public key (PairingManager.startKeyAgreement) goes along with the token
+  async buildAuthPayload(senderDeviceId, receiverDeviceId, keyCommitment = null) {
     try {
       // Request auth token from backend
-      const response = await fetch(`${this.backendUrl}/auth/challenge`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          senderDeviceId,
-          receiverDeviceId
-        })
+      const result = await DeviceManager.apiClient(this.backendUrl).createAuthChallenge({
+        senderDeviceId,
+        receiverDeviceId
       });
 
-      const result = await response.json();
-
       if (!result.success) {
         throw new Error(result.message || 'Failed to get auth token');
       }
@@ -50,6 +46,9 @@ export class PayloadBuilder {
         receiverDeviceId,
         timestamp: Date.now()
       };
+      if (keyCommitment) {
+        payloadData.keyCommitment = bytesToBase64(keyCommitment);
+      }
 
       return {
         mode: PAYLOAD_MODES.AUTH,
@@ -62,6 +61,43 @@ export class PayloadBuilder {
     }
   }
 
+  // Build a key agreement public key flashed to the peer when there is no
+  // backend reverse channel: the responder's answer or the initiator's reveal
+  async buildKeyAgreementPayload(senderDeviceId, receiverDeviceId, publicKey) {
+    try {
+      const payloadData = {
+        mode: 'key_agreement',
+        senderDeviceId,
+        receiverDeviceId,
+        publicKey: bytesToBase64(publicKey),
+        timestamp: Date.now()
+      };
+
+      // Part of the pairing handshake, so it shares the auth mode flag
+      const modeFlag = PAYLOAD_MODES.AUTH;
+
+      return {
+        mode: PAYLOAD_MODES.AUTH,
+        data: payloadData,
+        encoded: this.encodePayload(modeFlag, JSON.stringify(payloadData))
+      };
+    } catch (error) {
+      console.error('Failed to build key agreement payload:', error);
+      throw error;
+    }
+  }
+
+  // Frames for a QUANTUM_KEY message (PairingManager.startQuantumKeyExchange
+  // or the reply of a pending exchange); keys and ciphertexts are random, so
+  // they go uncompressed and are chunked like any large transfer
+  buildQuantumKeyPayload(message) {
+    return {
+      mode: null,
+      data: message,
+      encoded: encodeData(message, DATA_TYPES.QUANTUM_KEY, false, true)
+    };
+  }
+
   // Build config payload for VLC transmission
   async buildConfigPayload(deviceId, configId) {
     try {
@@ -88,8 +124,9 @@ export class PayloadBuilder {
     }
   }
 
-  // Build command payload for VLC transmission
-  async buildCommandPayload(signedCommand) {
+  // Build command payload for VLC transmission, encrypted when given the
+  // receiver's cipher (PairingManager.getPacketCipher)
+  async buildCommandPayload(signedCommand, cipher = null) {
     try {
       const payloadData = {
         mode: 'command',
@@ -103,7 +140,7 @@ export class PayloadBuilder {
       return {
         mode: PAYLOAD_MODES.COMMAND,
         data: payloadData,
-        encoded: this.encodePayload(modeFlag, JSON.stringify(payloadData))
+        encoded: this.encodePayload(modeFlag, JSON.stringify(payloadData), cipher)
       };
     } catch (error) {
       console.error('Failed to build command payload:', error);
@@ -112,12 +149,12 @@ export class PayloadBuilder {
   }
 
   // Encode payload with mode flag for VLC transmission
-  encodePayload(modeFlag, payloadString) {
+  encodePayload(modeFlag, payloadString, cipher = null) {
     // Combine mode flag with payload data
     const fullPayload = modeFlag + payloadString;
 
     // Use existing VLC encoding with custom data type
-    return encodeData(fullPayload, DATA_TYPES.JSON, true, true); // Enable compression and FEC
+    return encodeData(fullPayload, DATA_TYPES.JSON, true, true, cipher); // Enable compression and FEC
   }
 
   // Parse received VLC payload and extract mode/data
@@ -168,18 +205,11 @@ export class PayloadBuilder {
   // Process auth payload (verify with backend)
   async processAuthPayload(payloadData) {
     try {
-      const response = await fetch(`${this.backendUrl}/auth/verify`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          token: payloadData.token
-        })
+      // Tokens are bound to their receiver and can be verified once
+      return await DeviceManager.apiClient(this.backendUrl).verifyAuthToken({
+        token: payloadData.token,
+        receiverDeviceId: await DeviceManager.getDeviceId()
       });
-
-      const result = await response.json();
-      return result;
     } catch (error) {
       console.error('Failed to process auth payload:', error);
       return {
@@ -192,9 +222,7 @@ export class PayloadBuilder {
   // Process config payload (fetch config from backend)
   async processConfigPayload(payloadData) {
     try {
-      const response = await fetch(`${this.backendUrl}/config/${payloadData.deviceId}`);
-
-      const result = await response.json();
+      const result = await new ApiClient(this.backendUrl).getConfig({ deviceId: payloadData.deviceId });
 
       if (result.success) {
         return {
@@ -220,18 +248,9 @@ export class PayloadBuilder {
   // Process command payload (verify with backend)
   async processCommandPayload(payloadData) {
     try {
-      const response = await fetch(`${this.backendUrl}/pairing/verify-command`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          signedCommand: payloadData.signedCommand
-        })
+      return await DeviceManager.apiClient(this.backendUrl).verifyCommand({
+        signedCommand: payloadData.signedCommand
       });
-
-      const result = await response.json();
-      return result;
     } catch (error) {
       console.error('Failed to process command payload:', error);
       return {
@@ -0,0 +1,253 @@
+import { mlKemKeyGen, mlKemEncapsulate, mlKemDecapsulate, ML_KEM_PARAMETERS, ML_KEM_CONSTANTS, getMlKemSizes, sha3_256 } from './mlKem.js';
+import { x25519, generateKeyPair, formatSas, KEY_AGREEMENT_CONSTANTS } from './keyAgreement.js';
+import { hkdf } from './aead.js';
+import { utf8Encode, utf8Decode } from './packet.js';
+
+// Post-quantum key exchange carried in DATA_TYPES.QUANTUM_KEY transfers
+//
+// The initiator flashes an OFFER with an ML-KEM encapsulation key and a
+// commitment (SHA3-256) to a random nonce; the responder encapsulates a secret
+// to the key and flashes back a RESPONSE with the ciphertext; the initiator
+// then flashes a REVEAL with the nonce. Hybrid exchanges also carry X25519
+// public keys both ways and feed both shared secrets into the key derivation,
+// so the pairing secret stays safe as long as either primitive holds. As with
+// the classical handshake, both screens show a SAS derived from the whole
+// exchange, and the secret is kept only once the users confirm they match.
+// The nonce goes into the SAS and is fixed before the responder answers but
+// unknown until after, so a man in the middle cannot pick a response that
+// makes the two SAS match and gets a single one-in-a-million guess.
+//
+// Message layout: VERSION (1) | KIND (1) | FLAGS (1) | PARAMETER_SET (1) |
+// sender ID and receiver ID (1-byte length + UTF-8 each), then for an OFFER
+// the ML-KEM encapsulation key | X25519 public key (hybrid only) | commitment,
+// for a RESPONSE the ML-KEM ciphertext | X25519 public key (hybrid only), and
+// for a REVEAL the nonce
+
+const NONCE_SIZE = 32;
+
+export const QUANTUM_KEY_CONSTANTS = {
+  VERSION: 2,
+  OFFER: 1,
+  RESPONSE: 2,
+  REVEAL: 3,
+  HYBRID: 0x01,                        // FLAGS bit: X25519 alongside ML-KEM
+  NONCE_SIZE,                          // Also the size of its commitment
+  HKDF_SALT: 'vlc-pq-key-agreement-v1',
+  // Enough for either side: ML-KEM seed, X25519 private key and nonce
+  RANDOM_BYTES: ML_KEM_CONSTANTS.SEED_SIZE + KEY_AGREEMENT_CONSTANTS.KEY_SIZE + NONCE_SIZE,
+};
+
+const CLASSICAL_OFFSET = ML_KEM_CONSTANTS.SEED_SIZE;
+const NONCE_OFFSET = CLASSICAL_OFFSET + KEY_AGREEMENT_CONSTANTS.KEY_SIZE;
+
+// PARAMETER_SET byte of each ML-KEM parameter set
+const PARAMETER_SET_IDS = new Map([
+  [1, ML_KEM_PARAMETERS.ML_KEM_512],
+  [2, ML_KEM_PARAMETERS.ML_KEM_768],
+]);
+
+function getParameterSetId(params) {
+  for (const [id, candidate] of PARAMETER_SET_IDS) {
+    if (candidate === params) return id;
+  }
+  throw new QuantumKeyError(`Unknown ML-KEM parameter set: ${params && params.name}`);
+}
+
+export class QuantumKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuantumKeyError';
+  }
+}
+
+// Bytes of a QUANTUM_KEY message; an OFFER carries kemData, classicalKey
+// (hybrid) and commitment, a RESPONSE kemData and classicalKey, a REVEAL the
+// nonce and the hybrid flag of its offer
+export function encodeQuantumKeyMessage({ kind, senderId, receiverId, params, kemData = null, classicalKey = null, commitment = null, nonce = null, hybrid = Boolean(classicalKey) }) {
+  const ids = [senderId, receiverId].map(id => utf8Encode(id));
+  if (ids.some(id => id.length > 255)) {
+    throw new QuantumKeyError('Device IDs longer than 255 bytes');
+  }
+
+  const fields = [kemData, classicalKey, commitment, nonce].filter(Boolean);
+  const length = 4 + ids[0].length + ids[1].length + 2 + fields.reduce((sum, field) => sum + field.length, 0);
+  const message = new Uint8Array(length);
+  message.set([QUANTUM_KEY_CONSTANTS.VERSION, kind, hybrid ? QUANTUM_KEY_CONSTANTS.HYBRID : 0, getParameterSetId(params)]);
+  let offset = 4;
+  ids.forEach(id => {
+    message[offset++] = id.length;
+    message.set(id, offset);
+    offset += id.length;
+  });
+  fields.forEach(field => {
+    message.set(field, offset);
+    offset += field.length;
+  });
+  return message;
+}
+
+// Fields of a QUANTUM_KEY message, throws QuantumKeyError when it is malformed
+export function decodeQuantumKeyMessage(message) {
+  if (message.length < 6 || message[0] !== QUANTUM_KEY_CONSTANTS.VERSION) {
+    throw new QuantumKeyError('Unsupported quantum key message');
+  }
+  const kind = message[1];
+  const hybrid = (message[2] & QUANTUM_KEY_CONSTANTS.HYBRID) !== 0;
+  const params = PARAMETER_SET_IDS.get(message[3]);
+  if (!params || ![QUANTUM_KEY_CONSTANTS.OFFER, QUANTUM_KEY_CONSTANTS.RESPONSE, QUANTUM_KEY_CONSTANTS.REVEAL].includes(kind)) {
+    throw new QuantumKeyError('Unknown quantum key message kind or parameter set');
+  }
+
+  let offset = 4;
+  const ids = [];
+  for (let i = 0; i < 2; i++) {
+    const length = message[offset++];
+    if (offset + length > message.length) throw new QuantumKeyError('Truncated quantum key message');
+    ids.push(utf8Decode(message.subarray(offset, offset + length)));
+    offset += length;
+  }
+
+  const sizes = getMlKemSizes(params);
+  const reveal = kind === QUANTUM_KEY_CONSTANTS.REVEAL;
+  const kemSize = { [QUANTUM_KEY_CONSTANTS.OFFER]: sizes.encapsulationKey, [QUANTUM_KEY_CONSTANTS.RESPONSE]: sizes.ciphertext }[kind] || 0;
+  const classicalSize = hybrid && !reveal ? KEY_AGREEMENT_CONSTANTS.KEY_SIZE : 0;
+  const nonceSize = kind === QUANTUM_KEY_CONSTANTS.RESPONSE ? 0 : NONCE_SIZE;
+  const expected = offset + kemSize + classicalSize + nonceSize;
+  if (message.length !== expected) {
+    throw new QuantumKeyError(`Quantum key message is ${message.length} bytes, expected ${expected}`);
+  }
+
+  const nonceOffset = offset + kemSize + classicalSize;
+  return {
+    kind,
+    hybrid,
+    params,
+    senderId: ids[0],
+    receiverId: ids[1],
+    kemData: reveal ? null : message.slice(offset, offset + kemSize),
+    classicalKey: classicalSize ? message.slice(offset + kemSize, nonceOffset) : null,
+    commitment: kind === QUANTUM_KEY_CONSTANTS.OFFER ? message.slice(nonceOffset) : null,
+    nonce: reveal ? message.slice(nonceOffset) : null,
+  };
+}
+
+// Pairing secret and SAS from the ML-KEM secret, the X25519 one (hybrid),
+// both messages, which bind the device IDs and every public value, and the
+// revealed nonce
+function deriveQuantumSharedKeys(kemSecret, classicalSecret, offer, response, nonce) {
+  const transcriptHash = Array.from(sha3_256(offer, response, nonce), byte => byte.toString(16).padStart(2, '0')).join('');
+  const inputKey = classicalSecret ? new Uint8Array([...kemSecret, ...classicalSecret]) : kemSecret;
+  const secret = hkdf(inputKey, QUANTUM_KEY_CONSTANTS.HKDF_SALT, `pairing-secret:${transcriptHash}`, KEY_AGREEMENT_CONSTANTS.KEY_SIZE);
+  const sasBytes = hkdf(inputKey, QUANTUM_KEY_CONSTANTS.HKDF_SALT, `sas:${transcriptHash}`, 4);
+  const sasValue = new DataView(sasBytes.buffer).getUint32(0) % 10 ** KEY_AGREEMENT_CONSTANTS.SAS_DIGITS;
+  return { secret, sas: formatSas(sasValue) };
+}
+
+function classicalShared(privateKey, peerPublicKey) {
+  const shared = x25519(privateKey, peerPublicKey);
+  if (shared.every(byte => byte === 0)) {
+    throw new QuantumKeyError('Invalid X25519 public key');
+  }
+  return shared;
+}
+
+// Initiator's OFFER; keep `state` for completeQuantumKeyExchange.
+// randomBytes holds QUANTUM_KEY_CONSTANTS.RANDOM_BYTES bytes.
+export function createQuantumKeyOffer(senderId, receiverId, randomBytes, { hybrid = true, params = ML_KEM_PARAMETERS.ML_KEM_768 } = {}) {
+  const kem = mlKemKeyGen(randomBytes.subarray(0, ML_KEM_CONSTANTS.SEED_SIZE), params);
+  const classical = hybrid ? generateKeyPair(randomBytes.slice(CLASSICAL_OFFSET, NONCE_OFFSET)) : null;
+  const nonce = randomBytes.slice(NONCE_OFFSET, NONCE_OFFSET + NONCE_SIZE);
+  const message = encodeQuantumKeyMessage({
+    kind: QUANTUM_KEY_CONSTANTS.OFFER,
+    senderId,
+    receiverId,
+    params,
+    kemData: kem.encapsulationKey,
+    classicalKey: classical ? classical.publicKey : null,
+    commitment: sha3_256(nonce),
+  });
+
+  return {
+    message,
+    state: {
+      params,
+      senderId,
+      receiverId,
+      offer: message,
+      nonce,
+      decapsulationKey: kem.decapsulationKey,
+      classicalPrivateKey: classical ? classical.privateKey : null,
+    },
+  };
+}
+
+// Responder's RESPONSE to an OFFER, with the decoded offer and the `state` to
+// keep for openQuantumKeyReveal, which gives the pairing secret and SAS.
+// randomBytes holds QUANTUM_KEY_CONSTANTS.RANDOM_BYTES bytes.
+export function respondToQuantumKeyOffer(offerMessage, randomBytes) {
+  const offer = decodeQuantumKeyMessage(offerMessage);
+  if (offer.kind !== QUANTUM_KEY_CONSTANTS.OFFER) {
+    throw new QuantumKeyError('Not a quantum key offer');
+  }
+  const { sharedSecret, ciphertext } = mlKemEncapsulate(offer.kemData, randomBytes.subarray(0, ML_KEM_CONSTANTS.MESSAGE_SIZE), offer.params);
+
+  let classical = null;
+  let classicalSecret = null;
+  if (offer.hybrid) {
+    classical = generateKeyPair(randomBytes.slice(CLASSICAL_OFFSET, NONCE_OFFSET));
+    classicalSecret = classicalShared(classical.privateKey, offer.classicalKey);
+  }
+
+  const message = encodeQuantumKeyMessage({
+    kind: QUANTUM_KEY_CONSTANTS.RESPONSE,
+    senderId: offer.receiverId,
+    receiverId: offer.senderId,
+    params: offer.params,
+    kemData: ciphertext,
+    classicalKey: classical ? classical.publicKey : null,
+  });
+  return {
+    offer,
+    message,
+    state: { offer: offerMessage, response: message, commitment: offer.commitment, kemSecret: sharedSecret, classicalSecret },
+  };
+}
+
+// Initiator's pairing secret and SAS from a RESPONSE, with the REVEAL of its
+// nonce to flash back
+export function completeQuantumKeyExchange(state, responseMessage) {
+  const response = decodeQuantumKeyMessage(responseMessage);
+  if (response.kind !== QUANTUM_KEY_CONSTANTS.RESPONSE || response.params !== state.params) {
+    throw new QuantumKeyError('Response does not answer this offer');
+  }
+  if (response.hybrid !== Boolean(state.classicalPrivateKey)) {
+    throw new QuantumKeyError('Response dropped or added the classical key exchange');
+  }
+
+  const kemSecret = mlKemDecapsulate(state.decapsulationKey, response.kemData, state.params);
+  const classicalSecret = response.hybrid ? classicalShared(state.classicalPrivateKey, response.classicalKey) : null;
+  const reveal = encodeQuantumKeyMessage({
+    kind: QUANTUM_KEY_CONSTANTS.REVEAL,
+    senderId: state.senderId,
+    receiverId: state.receiverId,
+    params: state.params,
+    nonce: state.nonce,
+    hybrid: response.hybrid,
+  });
+  return { ...deriveQuantumSharedKeys(kemSecret, classicalSecret, state.offer, responseMessage, state.nonce), reveal };
+}
+
+// Responder's pairing secret and SAS from the initiator's REVEAL, throws
+// QuantumKeyError when the nonce is not the one committed to in the offer
+export function openQuantumKeyReveal(state, revealMessage) {
+  const reveal = decodeQuantumKeyMessage(revealMessage);
+  const offer = decodeQuantumKeyMessage(state.offer);
+  if (reveal.kind !== QUANTUM_KEY_CONSTANTS.REVEAL || reveal.senderId !== offer.senderId || reveal.receiverId !== offer.receiverId) {
+    throw new QuantumKeyError('Reveal does not answer this response');
+  }
+  const expected = sha3_256(reveal.nonce);
+  if (expected.some((byte, i) => byte !== state.commitment[i])) {
+    throw new QuantumKeyError('Revealed nonce does not match its commitment');
+  }
+  return deriveQuantumSharedKeys(state.kemSecret, state.classicalSecret, state.offer, state.response, reveal.nonce);
+}
@@ -0,0 +1,180 @@
+import { reassembleChunks, getMissingChunkBitmap, bytesToBase64, base64ToBytes } from './packet.js';
+
+// Chunk reassembly across transfers
+//
+// Chunks are keyed by data type and transfer ID, so transfers may interleave,
+// arrive out of order or repeat (retransmissions, looping transmitters);
+// chunks of a transfer that completed within TTL_MS count as duplicates.
+// Transfers nobody has added to for TTL_MS are dropped, as are the least
+// recently active ones beyond MAX_TRANSFERS. The buffer holds no storage of
+// its own: snapshot() gives plain JSON (chunk bytes as Base64) that restore()
+// takes back, which is how VLCDecoder keeps partial transfers across app restarts.
+
+export const REASSEMBLY_CONSTANTS = {
+  TTL_MS: 30 * 60 * 1000, // Partial transfers older than this are abandoned
+  MAX_TRANSFERS: 16,      // Partial transfers kept at once
+  SNAPSHOT_VERSION: 3,
+};
+
+export class ReassemblyBuffer {
+  constructor(options = {}) {
+    this.ttlMs = options.ttlMs || REASSEMBLY_CONSTANTS.TTL_MS;
+    this.maxTransfers = options.maxTransfers || REASSEMBLY_CONSTANTS.MAX_TRANSFERS;
+    this.transfers = new Map();
+    this.completed = new Map(); // Key -> { total, at } of recently completed transfers
+  }
+
+  // Partial transfers currently held
+  get size() {
+    return this.transfers.size;
+  }
+
+  // Add one chunk ({ sequence, total, transferId }) and its compression
+  // ({ compressed, codec } from the header), returns { duplicate, data }
+  // with data the reassembled payload once complete
+  add(type, chunkInfo, data, compression = { compressed: false }, now = Date.now()) {
+    this.expire(now);
+    const key = `${type}_${chunkInfo.transferId}`;
+
+    const done = this.completed.get(key);
+    if (done && done.total === chunkInfo.total) {
+      return { duplicate: true, data: null };
+    }
+
+    let transfer = this.transfers.get(key);
+    if (transfer && transfer.total !== chunkInfo.total) {
+      // Transfer IDs are 16 bits and get reused; a different chunk count means a new transfer
+      console.warn(`Transfer ${chunkInfo.transferId} restarted with ${chunkInfo.total} chunks, dropping ${transfer.chunks.size} old ones`);
+      transfer = null;
+    }
+    if (!transfer) {
+      transfer = {
+        type,
+        transferId: chunkInfo.transferId,
+        total: chunkInfo.total,
+        compression,
+        firstSeen: now,
+        lastSeen: now,
+        chunks: new Map()
+      };
+      this.transfers.set(key, transfer);
+      this.evict();
+    }
+
+    transfer.lastSeen = now;
+    if (transfer.chunks.has(chunkInfo.sequence)) {
+      return { duplicate: true, data: null };
+    }
+    transfer.chunks.set(chunkInfo.sequence, data);
+
+    const reassembled = reassembleChunks(this.getChunks(transfer));
+    if (reassembled !== null) {
+      this.transfers.delete(key);
+      this.completed.set(key, { total: transfer.total, at: now });
+      if (this.completed.size > this.maxTransfers) {
+        this.completed.delete(this.completed.keys().next().value);
+      }
+    }
+    return { duplicate: false, data: reassembled };
+  }
+
+  // Chunks of a transfer in the shape reassembleChunks expects
+  getChunks(transfer) {
+    return Array.from(transfer.chunks.entries()).map(([sequence, data]) => ({
+      sequence,
+      total: transfer.total,
+      transferId: transfer.transferId,
+      data
+    }));
+  }
+
+  // Drop transfers without a new chunk for ttlMs, returns their keys
+  expire(now = Date.now()) {
+    const expired = [];
+    for (const [key, transfer] of this.transfers) {
+      if (now - transfer.lastSeen > this.ttlMs) {
+        expired.push(key);
+      }
+    }
+    expired.forEach(key => {
+      console.warn(`Abandoning stale transfer ${key}`);
+      this.transfers.delete(key);
+    });
+    for (const [key, done] of this.completed) {
+      if (now - done.at > this.ttlMs) this.completed.delete(key);
+    }
+    return expired;
+  }
+
+  // Keep at most maxTransfers, dropping the least recently active
+  evict() {
+    while (this.transfers.size > this.maxTransfers) {
+      let oldest = null;
+      for (const [key, transfer] of this.transfers) {
+        if (oldest === null || transfer.lastSeen < this.transfers.get(oldest).lastSeen) {
+          oldest = key;
+        }
+      }
+      this.transfers.delete(oldest);
+    }
+  }
+
+  // Received and missing chunks of every partial transfer
+  getProgress() {
+    return Array.from(this.transfers.entries()).map(([key, transfer]) => {
+      const chunks = this.getChunks(transfer);
+      const received = chunks.map(chunk => chunk.sequence).sort((a, b) => a - b);
+      const size = chunks.reduce((sum, chunk) => sum + chunk.data.length, 0);
+
+      // Every chunk but the last is full size, so the total is known once the last one is in
+      const last = transfer.chunks.get(transfer.total - 1);
+      const full = chunks.find(chunk => chunk.sequence !== transfer.total - 1);
+      const expectedSize = last !== undefined && (full || transfer.total === 1)
+        ? (transfer.total - 1) * (full ? full.data.length : 0) + last.length
+        : null;
+
+      return {
+        key,
+        type: transfer.type,
+        transferId: transfer.transferId,
+        total: transfer.total,
+        received,
+        missing: getMissingChunkBitmap(chunks, transfer.total),
+        size,
+        expectedSize,
+        firstSeen: transfer.firstSeen,
+        lastSeen: transfer.lastSeen
+      };
+    });
+  }
+
+  // Plain JSON copy of every partial transfer
+  snapshot() {
+    return {
+      version: REASSEMBLY_CONSTANTS.SNAPSHOT_VERSION,
+      transfers: Array.from(this.transfers.values()).map(transfer => ({
+        ...transfer,
+        chunks: Array.from(transfer.chunks.entries()).map(([sequence, data]) => [sequence, bytesToBase64(data)])
+      }))
+    };
+  }
+
+  // Resume from a snapshot (transfers received since take precedence), returns the number of transfers restored
+  restore(snapshot, now = Date.now()) {
+    if (!snapshot || snapshot.version !== REASSEMBLY_CONSTANTS.SNAPSHOT_VERSION || !Array.isArray(snapshot.transfers)) {
+      return 0;
+    }
+
+    let restored = 0;
+    snapshot.transfers.forEach(saved => {
+      if (now - saved.lastSeen > this.ttlMs) return;
+      const key = `${saved.type}_${saved.transferId}`;
+      if (this.transfers.has(key)) return;
+
+      this.transfers.set(key, { ...saved, chunks: new Map(saved.chunks.map(([sequence, data]) => [sequence, base64ToBytes(data)])) });
+      restored++;
+    });
+    this.evict();
+    return restored;
+  }
+}
@@ -0,0 +1,327 @@
+// Reed-Solomon codec over GF(2^8)
+//
+// Systematic RS(n, k) with n <= 255: the codeword is the message followed by
+// nsym parity symbols, and up to floor(nsym / 2) errors (or nsym erasures, or
+// any mix where 2 * errors + erasures <= nsym) can be corrected per codeword.
+//
+// Polynomials are arrays of GF(256) coefficients, highest degree first.
+
+export const RS_CONSTANTS = {
+  FIELD_SIZE: 256,
+  PRIMITIVE_POLYNOMIAL: 0x11d, // x^8 + x^4 + x^3 + x^2 + 1
+  GENERATOR: 2,
+  MAX_CODEWORD_LENGTH: 255,
+};
+
+export class ReedSolomonError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReedSolomonError';
+  }
+}
+
+// Exponent and logarithm tables (exp table is doubled to skip a modulo in gfMul)
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+
+(function initTables() {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    GF_EXP[i] = x;
+    GF_LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) {
+      x ^= RS_CONSTANTS.PRIMITIVE_POLYNOMIAL;
+    }
+  }
+  for (let i = 255; i < 512; i++) {
+    GF_EXP[i] = GF_EXP[i - 255];
+  }
+})();
+
+// Multiply two field elements
+export function gfMul(x, y) {
+  if (x === 0 || y === 0) return 0;
+  return GF_EXP[GF_LOG[x] + GF_LOG[y]];
+}
+
+// Divide two field elements
+export function gfDiv(x, y) {
+  if (y === 0) throw new ReedSolomonError('Division by zero');
+  if (x === 0) return 0;
+  return GF_EXP[(GF_LOG[x] + 255 - GF_LOG[y]) % 255];
+}
+
+// Raise a field element to an integer power (negative powers allowed)
+export function gfPow(x, power) {
+  const exponent = ((GF_LOG[x] * power) % 255 + 255) % 255;
+  return GF_EXP[exponent];
+}
+
+// Multiplicative inverse of a field element
+export function gfInverse(x) {
+  if (x === 0) throw new ReedSolomonError('Zero has no inverse');
+  return GF_EXP[255 - GF_LOG[x]];
+}
+
+// Multiply every coefficient by a scalar
+function polyScale(p, x) {
+  return p.map(coef => gfMul(coef, x));
+}
+
+// Add two polynomials (aligned on the lowest degree)
+function polyAdd(p, q) {
+  const result = new Array(Math.max(p.length, q.length)).fill(0);
+  for (let i = 0; i < p.length; i++) {
+    result[i + result.length - p.length] = p[i];
+  }
+  for (let i = 0; i < q.length; i++) {
+    result[i + result.length - q.length] ^= q[i];
+  }
+  return result;
+}
+
+// Multiply two polynomials
+function polyMul(p, q) {
+  const result = new Array(p.length + q.length - 1).fill(0);
+  for (let j = 0; j < q.length; j++) {
+    for (let i = 0; i < p.length; i++) {
+      result[i + j] ^= gfMul(p[i], q[j]);
+    }
+  }
+  return result;
+}
+
+// Evaluate a polynomial at x (Horner's scheme)
+function polyEval(p, x) {
+  let y = p[0];
+  for (let i = 1; i < p.length; i++) {
+    y = gfMul(y, x) ^ p[i];
+  }
+  return y;
+}
+
+// Synthetic division, returns [quotient, remainder]
+function polyDiv(dividend, divisor) {
+  const out = [...dividend];
+  for (let i = 0; i < dividend.length - (divisor.length - 1); i++) {
+    const coef = out[i];
+    if (coef !== 0) {
+      for (let j = 1; j < divisor.length; j++) {
+        if (divisor[j] !== 0) {
+          out[i + j] ^= gfMul(divisor[j], coef);
+        }
+      }
+    }
+  }
+  const separator = out.length - (divisor.length - 1);
+  return [out.slice(0, separator), out.slice(separator)];
+}
+
+// Generator polynomials are reused across codewords, keyed by parity count
+const generatorCache = new Map();
+
+// Build g(x) = (x - a^0)(x - a^1)...(x - a^(nsym-1))
+export function generatorPolynomial(nsym) {
+  if (!generatorCache.has(nsym)) {
+    let g = [1];
+    for (let i = 0; i < nsym; i++) {
+      g = polyMul(g, [1, gfPow(RS_CONSTANTS.GENERATOR, i)]);
+    }
+    generatorCache.set(nsym, g);
+  }
+  return generatorCache.get(nsym);
+}
+
+// Encode one codeword: returns message bytes followed by nsym parity bytes
+export function rsEncode(message, nsym) {
+  if (message.length + nsym > RS_CONSTANTS.MAX_CODEWORD_LENGTH) {
+    throw new ReedSolomonError(`Codeword too long: ${message.length + nsym} > ${RS_CONSTANTS.MAX_CODEWORD_LENGTH}`);
+  }
+
+  const gen = generatorPolynomial(nsym);
+  const out = new Uint8Array(message.length + nsym);
+  out.set(message);
+
+  for (let i = 0; i < message.length; i++) {
+    const coef = out[i];
+    if (coef !== 0) {
+      for (let j = 1; j < gen.length; j++) {
+        out[i + j] ^= gfMul(gen[j], coef);
+      }
+    }
+  }
+
+  // Division overwrote the message part; restore it
+  out.set(message);
+  return out;
+}
+
+// Syndromes S_0..S_(nsym-1), padded with a leading 0 for Forney
+function calcSyndromes(codeword, nsym) {
+  const synd = [0];
+  for (let i = 0; i < nsym; i++) {
+    synd.push(polyEval(codeword, gfPow(RS_CONSTANTS.GENERATOR, i)));
+  }
+  return synd;
+}
+
+// Errata locator from coefficient positions
+function findErrataLocator(coefPositions) {
+  let loc = [1];
+  for (const pos of coefPositions) {
+    loc = polyMul(loc, polyAdd([1], [gfPow(RS_CONSTANTS.GENERATOR, pos), 0]));
+  }
+  return loc;
+}
+
+// Error evaluator Omega(x) = S(x) * Lambda(x) mod x^(nsym + 1)
+function findErrorEvaluator(synd, errLoc, nsym) {
+  const divisor = [1, ...new Array(nsym + 1).fill(0)];
+  const [, remainder] = polyDiv(polyMul(synd, errLoc), divisor);
+  return remainder;
+}
+
+// Forney algorithm: compute magnitudes and apply them at the given positions
+function correctErrata(codeword, synd, errPositions) {
+  const coefPositions = errPositions.map(p => codeword.length - 1 - p);
+  const errLoc = findErrataLocator(coefPositions);
+  const errEval = findErrorEvaluator([...synd].reverse(), errLoc, errLoc.length - 1).reverse();
+
+  const X = coefPositions.map(pos => gfPow(RS_CONSTANTS.GENERATOR, -(255 - pos)));
+  const magnitudes = new Array(codeword.length).fill(0);
+
+  for (let i = 0; i < X.length; i++) {
+    const xiInv = gfInverse(X[i]);
+
+    // Formal derivative of the locator evaluated at Xi^-1
+    let errLocPrime = 1;
+    for (let j = 0; j < X.length; j++) {
+      if (j !== i) {
+        errLocPrime = gfMul(errLocPrime, 1 ^ gfMul(xiInv, X[j]));
+      }
+    }
+    if (errLocPrime === 0) {
+      throw new ReedSolomonError('Could not find error magnitude');
+    }
+
+    const y = gfMul(X[i], polyEval([...errEval].reverse(), xiInv));
+    magnitudes[errPositions[i]] = gfDiv(y, errLocPrime);
+  }
+
+  return polyAdd(codeword, magnitudes);
+}
+
+// Berlekamp-Massey: error locator polynomial from (Forney) syndromes
+function findErrorLocator(synd, nsym, erasureCount = 0) {
+  let errLoc = [1];
+  let oldLoc = [1];
+  const syndShift = synd.length > nsym ? synd.length - nsym : 0;
+
+  for (let i = 0; i < nsym - erasureCount; i++) {
+    const k = i + syndShift;
+    let delta = synd[k];
+    for (let j = 1; j < errLoc.length; j++) {
+      delta ^= gfMul(errLoc[errLoc.length - 1 - j], synd[k - j]);
+    }
+
+    oldLoc = [...oldLoc, 0];
+
+    if (delta !== 0) {
+      if (oldLoc.length > errLoc.length) {
+        const newLoc = polyScale(oldLoc, delta);
+        oldLoc = polyScale(errLoc, gfInverse(delta));
+        errLoc = newLoc;
+      }
+      errLoc = polyAdd(errLoc, polyScale(oldLoc, delta));
+    }
+  }
+
+  while (errLoc.length && errLoc[0] === 0) {
+    errLoc.shift();
+  }
+
+  const errors = errLoc.length - 1;
+  if (errors * 2 + erasureCount > nsym) {
+    throw new ReedSolomonError('Too many errors to correct');
+  }
+  return errLoc;
+}
+
+// Chien search: roots of the locator give the error positions
+function findErrors(errLocReversed, length) {
+  const errors = errLocReversed.length - 1;
+  const positions = [];
+  for (let i = 0; i < length; i++) {
+    if (polyEval(errLocReversed, gfPow(RS_CONSTANTS.GENERATOR, i)) === 0) {
+      positions.push(length - 1 - i);
+    }
+  }
+  if (positions.length !== errors) {
+    throw new ReedSolomonError('Could not locate errors');
+  }
+  return positions;
+}
+
+// Remove the erasures' contribution so Berlekamp-Massey only sees errors
+function forneySyndromes(synd, erasurePositions, length) {
+  const fsynd = synd.slice(1);
+  for (const pos of erasurePositions) {
+    const x = gfPow(RS_CONSTANTS.GENERATOR, length - 1 - pos);
+    for (let j = 0; j < fsynd.length - 1; j++) {
+      fsynd[j] = gfMul(fsynd[j], x) ^ fsynd[j + 1];
+    }
+  }
+  return fsynd;
+}
+
+// Check whether a codeword has any non-zero syndrome
+export function rsCheck(codeword, nsym) {
+  return calcSyndromes(codeword, nsym).every(s => s === 0);
+}
+
+// Decode one codeword, correcting errors and known erasure positions.
+// Returns { data, parity, errorsCorrected, erasuresCorrected }, throws ReedSolomonError when uncorrectable.
+export function rsDecode(codeword, nsym, erasurePositions = []) {
+  if (codeword.length > RS_CONSTANTS.MAX_CODEWORD_LENGTH) {
+    throw new ReedSolomonError(`Codeword too long: ${codeword.length} > ${RS_CONSTANTS.MAX_CODEWORD_LENGTH}`);
+  }
+  if (erasurePositions.length > nsym) {
+    throw new ReedSolomonError('Too many erasures to correct');
+  }
+
+  const received = Array.from(codeword);
+  for (const pos of erasurePositions) {
+    received[pos] = 0;
+  }
+
+  let synd = calcSyndromes(received, nsym);
+  let corrected = received;
+  let errorPositions = [];
+
+  if (synd.some(s => s !== 0)) {
+    const fsynd = forneySyndromes(synd, erasurePositions, received.length);
+    const errLoc = findErrorLocator(fsynd, nsym, erasurePositions.length);
+    errorPositions = findErrors([...errLoc].reverse(), received.length);
+    corrected = correctErrata(received, synd, [...erasurePositions, ...errorPositions]);
+
+    synd = calcSyndromes(corrected, nsym);
+    if (synd.some(s => s !== 0)) {
+      throw new ReedSolomonError('Could not correct message');
+    }
+  }
+
+  // Count symbols that actually changed, so callers get an honest figure
+  let changed = 0;
+  for (let i = 0; i < codeword.length; i++) {
+    if (corrected[i] !== codeword[i]) changed++;
+  }
+
+  const out = Uint8Array.from(corrected);
+  return {
+    data: out.slice(0, out.length - nsym),
+    parity: out.slice(out.length - nsym),
+    errorsCorrected: changed,
+    erasuresCorrected: erasurePositions.length,
+  };
+}
@@ -1,6 +1,6 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getFirestore, doc, setDoc, getDoc, updateDoc, collection, query, where, getDocs, deleteDoc, onSnapshot } from 'firebase/firestore';
-import { getFirebaseApp } from './device.js';
+import { getFirebaseApp, DeviceManager } from './device.js';
 import { PairingSession, Permission, AuditLog } from '../types';
 
 export class SessionManager {
@@ -346,7 +346,7 @@ export class SessionManager {
       const auditLog = {
         timestamp: new Date(),
         action,
-        actor: 'system', // Could be device ID or user ID
+        actor: await DeviceManager.getDeviceId(), // firestore.rules only accept logs written as the caller
         target: sessionId,
         details,
         success: true,
@@ -0,0 +1,233 @@
+import CryptoJS from 'crypto-js';
+import { toWordArray, fromWordArray } from './aead.js';
+import { utf8Encode, bytesToBase64, base64ToBytes } from './packet.js';
+
+// Ed25519 signatures for device identity keys (RFC 8032)
+//
+// Every device holds one identity key pair (see DeviceManager) and publishes
+// the public key in its device profile. Commands travel as signed envelopes:
+// the command fields plus the signer's key ID and an Ed25519 signature over
+// the canonical JSON of everything but the signature, so receivers check
+// them against the published key instead of recomputing them from public
+// fields. The key ID is the start of the SHA-256 of the public key; shown as
+// a fingerprint, it lets users compare keys between screens.
+
+export const SIGNING_CONSTANTS = {
+  SEED_SIZE: 32,
+  PUBLIC_KEY_SIZE: 32,
+  SIGNATURE_SIZE: 64,
+  KEY_ID_SIZE: 8,
+};
+
+const P = (1n << 255n) - 19n;
+const L = (1n << 252n) + 27742317777372353535851937790883648493n;
+
+function mod(value, modulus = P) {
+  const r = value % modulus;
+  return r < 0n ? r + modulus : r;
+}
+
+function modPow(base, exponent) {
+  let result = 1n;
+  base = mod(base);
+  while (exponent > 0n) {
+    if (exponent & 1n) result = mod(result * base);
+    base = mod(base * base);
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+function invert(value) {
+  return modPow(value, P - 2n);
+}
+
+const D = mod(-121665n * invert(121666n));
+const SQRT_M1 = modPow(2n, (P - 1n) / 4n);
+
+function decodeLittleEndian(bytes) {
+  let value = 0n;
+  for (let i = bytes.length - 1; i >= 0; i--) value = (value << 8n) | BigInt(bytes[i]);
+  return value;
+}
+
+function encodeLittleEndian(value, length = 32) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = Number(value & 0xFFn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+function sha512(...parts) {
+  const data = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    data.set(part, offset);
+    offset += part.length;
+  });
+  return fromWordArray(CryptoJS.SHA512(toWordArray(data)));
+}
+
+// Points in extended coordinates (X, Y, Z, T) with x = X/Z, y = Y/Z, xy = T/Z
+const IDENTITY = [0n, 1n, 1n, 0n];
+const BASE_X = 15112221349535400772501151409588531511454012693041857206046113283949847762202n;
+const BASE_Y = 46316835694926478169428394003475163141307993866256225615783033603165251855960n;
+const BASE_POINT = [BASE_X, BASE_Y, 1n, mod(BASE_X * BASE_Y)];
+
+// Complete addition on the twisted Edwards curve (also used for doubling)
+function pointAdd([x1, y1, z1, t1], [x2, y2, z2, t2]) {
+  const a = mod((y1 - x1) * (y2 - x2));
+  const b = mod((y1 + x1) * (y2 + x2));
+  const c = mod(2n * D * t1 * t2);
+  const d = mod(2n * z1 * z2);
+  const e = b - a;
+  const f = d - c;
+  const g = d + c;
+  const h = b + a;
+  return [mod(e * f), mod(g * h), mod(f * g), mod(e * h)];
+}
+
+function scalarMultiply(point, scalar) {
+  let result = IDENTITY;
+  let addend = point;
+  while (scalar > 0n) {
+    if (scalar & 1n) result = pointAdd(result, addend);
+    addend = pointAdd(addend, addend);
+    scalar >>= 1n;
+  }
+  return result;
+}
+
+function encodePoint([x, y, z]) {
+  const zInverse = invert(z);
+  const bytes = encodeLittleEndian(mod(y * zInverse));
+  bytes[31] |= Number(mod(x * zInverse) & 1n) << 7;
+  return bytes;
+}
+
+// Point from its 32-byte encoding, null when the bytes are not on the curve
+function decodePoint(bytes) {
+  if (bytes.length !== 32) return null;
+  const signBit = bytes[31] >> 7;
+  const y = decodeLittleEndian(bytes) & ((1n << 255n) - 1n);
+  if (y >= P) return null;
+
+  const u = mod(y * y - 1n);
+  const v = mod(D * y * y + 1n);
+  let x = mod(u * modPow(v, 3n) * modPow(u * modPow(v, 7n), (P - 5n) / 8n));
+  const check = mod(v * x * x);
+  if (check === mod(-u)) {
+    x = mod(x * SQRT_M1);
+  } else if (check !== u) {
+    return null;
+  }
+  if (x === 0n && signBit === 1) return null;
+  if (Number(x & 1n) !== signBit) x = P - x;
+  return [x, y, 1n, mod(x * y)];
+}
+
+function equalBytes(a, b) {
+  if (a.length !== b.length) return false;
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) difference |= a[i] ^ b[i];
+  return difference === 0;
+}
+
+// Secret scalar and nonce prefix of a 32-byte seed (the private key)
+function expandSeed(seed) {
+  if (seed.length !== SIGNING_CONSTANTS.SEED_SIZE) {
+    throw new Error(`Ed25519 private keys are ${SIGNING_CONSTANTS.SEED_SIZE} bytes, got ${seed.length}`);
+  }
+  const hash = sha512(seed);
+  const scalarBytes = hash.slice(0, 32);
+  scalarBytes[0] &= 248;
+  scalarBytes[31] &= 127;
+  scalarBytes[31] |= 64;
+  return { scalar: decodeLittleEndian(scalarBytes), prefix: hash.slice(32) };
+}
+
+// Key pair from 32 random bytes (the private key)
+export function generateSigningKeyPair(seed) {
+  const { scalar } = expandSeed(seed);
+  return { privateKey: Uint8Array.from(seed), publicKey: encodePoint(scalarMultiply(BASE_POINT, scalar)) };
+}
+
+// 64-byte signature of a message (bytes or string)
+export function sign(message, privateKey) {
+  const messageBytes = typeof message === 'string' ? utf8Encode(message) : message;
+  const { scalar, prefix } = expandSeed(privateKey);
+  const publicKey = encodePoint(scalarMultiply(BASE_POINT, scalar));
+
+  const r = mod(decodeLittleEndian(sha512(prefix, messageBytes)), L);
+  const encodedR = encodePoint(scalarMultiply(BASE_POINT, r));
+  const k = mod(decodeLittleEndian(sha512(encodedR, publicKey, messageBytes)), L);
+
+  const signature = new Uint8Array(SIGNING_CONSTANTS.SIGNATURE_SIZE);
+  signature.set(encodedR);
+  signature.set(encodeLittleEndian(mod(r + k * scalar, L)), 32);
+  return signature;
+}
+
+// Whether a signature of a message (bytes or string) was made with the key
+export function verify(signature, message, publicKey) {
+  if (signature.length !== SIGNING_CONSTANTS.SIGNATURE_SIZE) return false;
+  const messageBytes = typeof message === 'string' ? utf8Encode(message) : message;
+  const point = decodePoint(publicKey);
+  const encodedR = signature.subarray(0, 32);
+  const rPoint = decodePoint(encodedR);
+  const s = decodeLittleEndian(signature.subarray(32));
+  if (!point || !rPoint || s >= L) return false;
+
+  const k = mod(decodeLittleEndian(sha512(encodedR, publicKey, messageBytes)), L);
+  const expected = pointAdd(rPoint, scalarMultiply(point, k));
+  return equalBytes(encodePoint(scalarMultiply(BASE_POINT, s)), encodePoint(expected));
+}
+
+// Key ID of a public key: hex of the first bytes of its SHA-256
+export function getSigningKeyId(publicKey) {
+  const hash = fromWordArray(CryptoJS.SHA256(toWordArray(publicKey)));
+  return Array.from(hash.subarray(0, SIGNING_CONSTANTS.KEY_ID_SIZE), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Key ID grouped for reading aloud, e.g. "3F2A 91C0 7B44 E815"
+export function formatFingerprint(keyId) {
+  return keyId.toUpperCase().match(/.{1,4}/g).join(' ');
+}
+
+// JSON with object keys sorted at every level; values go through JSON first,
+// so Dates and their ISO strings serialize the same
+export function canonicalJson(value) {
+  const sortKeys = (item) => {
+    if (Array.isArray(item)) return item.map(sortKeys);
+    if (item && typeof item === 'object') {
+      return Object.keys(item).sort().reduce((sorted, key) => {
+        sorted[key] = sortKeys(item[key]);
+        return sorted;
+      }, {});
+    }
+    return item;
+  };
+  const normalized = JSON.stringify(value);
+  return normalized === undefined ? 'null' : JSON.stringify(sortKeys(JSON.parse(normalized)));
+}
+
+// Fields plus keyId and a base64 signature over everything but the signature
+export function signEnvelope(fields, privateKey, publicKey) {
+  const { signature: _previous, ...unsigned } = fields;
+  const envelope = { ...unsigned, keyId: getSigningKeyId(publicKey) };
+  return { ...envelope, signature: bytesToBase64(sign(canonicalJson(envelope), privateKey)) };
+}
+
+// Whether an envelope is intact and was signed with the key
+export function verifyEnvelope(envelope, publicKey) {
+  if (!envelope || typeof envelope.signature !== 'string') return false;
+  const { signature, ...unsigned } = envelope;
+  if (unsigned.keyId !== getSigningKeyId(publicKey)) return false;
+  try {
+    return verify(base64ToBytes(signature), canonicalJson(unsigned), publicKey);
+  } catch (_error) {
+    return false; // Malformed base64
+  }
+}
@@ -1,5 +1,5 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getFirestore, doc, setDoc, getDoc, updateDoc, collection, query, where, getDocs, orderBy, limit } from 'firebase/firestore';
+import { getFirestore, doc, setDoc, getDoc, updateDoc, collection, query, where, getDocs, orderBy, limit, onSnapshot } from 'firebase/firestore';
 import { getFirebaseApp } from './device.js';
 import { DeviceManager } from './device.js';
 import { VLCConfig } from '../types';
@@ -350,6 +350,7 @@ export class VLCManager {
     try {
       const qualityData = {
         sessionId,
+        deviceId: await DeviceManager.getDeviceId(),
         timestamp: new Date(),
         bitErrorRate: metrics.bitErrorRate || 0,
         signalStrength: metrics.signalStrength || 0,
@@ -380,6 +381,7 @@ export class VLCManager {
     try {
       const optimizations = {
         sessionId,
+        deviceId: qualityData.deviceId,
         timestamp: new Date(),
         qualityIssues: [],
         recommendations: [],
@@ -536,10 +538,11 @@ export class VLCManager {
 
       const startDate = new Date(Date.now() - (periodDays * 24 * 60 * 60 * 1000));
 
+      // firestore.rules only return a device's own metrics (all of them to admins)
       const metricsRef = collection(db, 'vlc_quality_metrics');
       const q = query(
         metricsRef,
-        where('sessionId', '>=', targetDeviceId + '_'),
+        where('deviceId', '==', targetDeviceId),
         where('timestamp', '>=', startDate)
       );
 
@@ -587,7 +590,7 @@ export class VLCManager {
       const optimizationsRef = collection(db, 'vlc_optimizations');
       const optQuery = query(
         optimizationsRef,
-        where('sessionId', '>=', targetDeviceId + '_'),
+        where('deviceId', '==', targetDeviceId),
         where('timestamp', '>=', startDate)
       );
 
@@ -616,12 +619,12 @@ export class VLCManager {
   }
 
   // Real-time VLC monitoring
-  static subscribeToVLCMetrics(callback) {
+  static subscribeToVLCMetrics(deviceId, callback) {
     try {
       const db = getFirestore(getFirebaseApp());
       const metricsRef = collection(db, 'vlc_quality_metrics');
 
-      return onSnapshot(metricsRef, (snapshot) => {
+      return onSnapshot(query(metricsRef, where('deviceId', '==', deviceId)), (snapshot) => {
         const changes = [];
         snapshot.docChanges().forEach((change) => {
           changes.push({